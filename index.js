@@ -5,17 +5,31 @@
  * Ecospace Backend Server
  * 
  * @description This module serves as server entry point for the Ecospace backend application.
- * It initializes the Express application and starts the server on a specified port.
- * The server listens for incoming requests and handles them through application defined routes.
+ * It initializes the Express application, applies the pending schema migrations and then starts the server on
+ * the port of the configuration module. The migrations are applied first so that the models never query a column
+ * which is not added yet, e.g. deleted_at of the soft deleted plants and soils, and the server is not started
+ * if a migration fails. The server listens for incoming requests and handles them through application defined routes.
  * 
  * @requires app
+ * @requires config
+ * @requires migrate
  */
 
 // Custom module imports
+// The configuration is loaded first, so that an invalid configuration stops the server before anything else starts
+const config = require("./src/config");
 const app = require("./src/app");
+const sequelize = require("./src/db/index");
+const { migrateUp } = require("./src/db/scripts/migrate");
 
-// Port configuration
-const PORT = 7000;
-
-// Start the server and listen on the specified port
-app.listen(PORT, () => console.log("Ecospace backend running on PORT %d", PORT));
+// Apply the pending migrations, then start the server and listen on the configured port
+migrateUp()
+    .then(migrated => {
+        migrated.forEach(name => console.log("Applied %s", name));
+        app.listen(config.port, () => console.log("Ecospace backend running on PORT %d (%s)", config.port, config.env));
+    })
+    .catch(error => {
+        console.error("Error applying migrations, server not started:", error?.message || error);
+        process.exitCode = 1;
+        sequelize.close();
+    });
@@ -0,0 +1,99 @@
+// src/api/controllers/api-key-controller.js
+
+/**
+ * @module api-key-controller
+ * Ecospace API Key Controller
+ *
+ * @description This module defines the controller for handling API key related requests in the Ecospace backend.
+ * It includes functions for creating an API key, fetching all API keys, fetching an API key by its ID
+ * and revoking an API key.
+ *
+ * @requires ../../utils/common
+ * @requires ../services/api-key-service
+ * @requires ../../utils/errors
+ * @exports { createApiKey, fetchAllApiKeys, fetchApiKeyById, revokeApiKeyById }
+ */
+
+// Custom module imports
+const { toSnakeCaseKeys } = require("../../utils/common");
+const { NotFoundError, ValidationError } = require("../../utils/errors");
+const { getAllApiKeys, getApiKeyById, revokeApiKey, saveApiKey } = require("../services/api-key-service");
+
+/**
+ * @function createApiKey
+ * @post /api-keys
+ *
+ * @description Handles the creation of a new API key by the admin of the request.
+ * The key is in the response only, it cannot be fetched again.
+ *
+ * @param {Object} req - The request object containing the API key details in the body.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the saved API key object, its key and a success message.
+ */
+const createApiKey = async (req, res) => {
+    if (!req.body) throw new ValidationError("Required body");
+    const { expires_at: expiresAt, name, scopes } = req.body;
+    const apiKeyDetails = { name, scopes };
+    if (expiresAt) apiKeyDetails.expiresAt = expiresAt;
+
+    const apiKey = await saveApiKey(apiKeyDetails, req.user.id);
+    return res.status(201).json({ data: toSnakeCaseKeys(apiKey), message: "API key created successfully" });
+};
+
+/**
+ * @function fetchAllApiKeys
+ * @get /api-keys
+ *
+ * @description Handles fetching all API keys the newest first, with pagination, without the revoked ones unless asked for.
+ *
+ * @param {Object} req - The request object containing the query parameters.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the API keys, the pagination metadata and a success message.
+ */
+const fetchAllApiKeys = async (req, res) => {
+    let { limit, page, include_revoked: includeRevoked } = req.sanitizedQuery ?? req.query;
+    const DEFAULT_LIMIT = 10, MAX_LIMIT = 50, DEFAULT_PAGE = 1; // Default pagination values
+
+    // Validations: Pagination, incase express validations are missed in routes
+    limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+    page = Math.max(DEFAULT_PAGE, parseInt(page, 10) || DEFAULT_PAGE);
+
+    const result = await getAllApiKeys({ limit, page }, includeRevoked === true);
+    return res.status(200).json({ ...toSnakeCaseKeys(result), message: "Retrieved all API keys successfully" });
+};
+
+/**
+ * @function fetchApiKeyById
+ * @get /api-keys/:api_key_id
+ *
+ * @description Handles fetching an API key by its ID, without the key itself.
+ *
+ * @param {Object} req - The request object containing the API key ID in the path.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the API key object and a success message.
+ * @throws {NotFoundError} - Throws a not found error if the API key is not found.
+ */
+const fetchApiKeyById = async (req, res) => {
+    const apiKey = await getApiKeyById(req.params["api_key_id"]);
+    if (!apiKey) throw new NotFoundError("API key not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(apiKey), message: "Retrieved API key successfully" });
+};
+
+/**
+ * @function revokeApiKeyById
+ * @delete /api-keys/:api_key_id
+ *
+ * @description Handles revoking an API key by its ID. The API key is kept in the list of revoked keys.
+ *
+ * @param {Object} req - The request object containing the API key ID in the path.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a 204 No Content response.
+ * @throws {NotFoundError} - Throws a not found error if the API key is not found.
+ */
+const revokeApiKeyById = async (req, res) => {
+    const apiKey = await revokeApiKey(req.params["api_key_id"]);
+    if (!apiKey) throw new NotFoundError("API key not found");
+    return res.status(204).end();
+};
+
+module.exports = { createApiKey, fetchAllApiKeys, fetchApiKeyById, revokeApiKeyById };
@@ -0,0 +1,88 @@
+// src/api/controllers/auth-controller.js
+
+/**
+ * @module auth-controller
+ * Ecospace Authentication Controller
+ *
+ * @description This module defines the controller for handling authentication requests in the Ecospace backend.
+ * It includes functions for logging in, refreshing the tokens, logging out and fetching the logged in user.
+ *
+ * @requires ../../utils/common
+ * @requires ../services/auth-service
+ * @requires ../services/user-service
+ * @requires ../../utils/errors
+ * @exports { fetchCurrentUser, loginUser, logoutUser, refreshUserTokens }
+ */
+
+// Custom module imports
+const { toSnakeCaseKeys } = require("../../utils/common");
+const { UnauthorizedError } = require("../../utils/errors");
+const { login, logout, refreshTokens } = require("../services/auth-service");
+const { getUserById } = require("../services/user-service");
+
+/**
+ * @function fetchCurrentUser
+ * @get /auth/me
+ *
+ * @description Handles fetching the user of the access token of the request.
+ *
+ * @param {Object} req - The request object, with the authenticated user.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the user object and a success message.
+ * @throws {UnauthorizedError} - Throws an unauthorized error if the user no longer exists.
+ */
+const fetchCurrentUser = async (req, res) => {
+    const user = await getUserById(req.user.id);
+    if (!user) throw new UnauthorizedError("User no longer exists");
+    return res.status(200).json({ data: toSnakeCaseKeys(user), message: "Retrieved the current user successfully" });
+};
+
+/**
+ * @function loginUser
+ * @post /auth/login
+ *
+ * @description Handles logging in a user with email and password.
+ *
+ * @param {Object} req - The request object containing the email and password in the body.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the access and refresh tokens, the user and a success message.
+ */
+const loginUser = async (req, res) => {
+    const { email, password } = req.body;
+    const result = await login(email, password);
+    return res.status(200).json({ data: toSnakeCaseKeys(result), message: "Logged in successfully" });
+};
+
+/**
+ * @function logoutUser
+ * @post /auth/logout
+ *
+ * @description Handles logging out the user of the access token of the request, from all its sessions.
+ * The refresh tokens of the user are revoked, and its access tokens expire on their own.
+ *
+ * @param {Object} req - The request object, with the authenticated user.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a 204 No Content response.
+ */
+const logoutUser = async (req, res) => {
+    await logout(req.user.id);
+    return res.status(204).end();
+};
+
+/**
+ * @function refreshUserTokens
+ * @post /auth/refresh
+ *
+ * @description Handles exchanging a refresh token for new access and refresh tokens.
+ *
+ * @param {Object} req - The request object containing the refresh token in the body.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the new tokens and a success message.
+ */
+const refreshUserTokens = async (req, res) => {
+    const { refresh_token: refreshToken } = req.body;
+    const tokens = await refreshTokens(refreshToken);
+    return res.status(200).json({ data: toSnakeCaseKeys(tokens), message: "Refreshed tokens successfully" });
+};
+
+module.exports = { fetchCurrentUser, loginUser, logoutUser, refreshUserTokens };
@@ -0,0 +1,113 @@
+// src/api/controllers/calendar-controller.js
+
+/**
+ * @module calendar-controller
+ * Ecospace Calendar Controller
+ *
+ * @description This module defines the controller for handling planting calendar requests in the Ecospace backend.
+ * It includes functions for fetching the plants to plant in a region in a month, and managing the months
+ * of the seasons of a region which drive the planting calendar.
+ *
+ * @requires ../../utils/common
+ * @requires ../services/calendar-service
+ * @requires ../services/region-service
+ * @requires ../../utils/errors
+ * @exports { deleteSeasonMonths, fetchCalendar, fetchSeasonMonths, upsertSeasonMonths }
+ */
+
+// Custom module imports
+const { toSnakeCaseKeys } = require("../../utils/common");
+const { NotFoundError } = require("../../utils/errors");
+const { getCalendarPlants, getSeasonCalendars, removeSeasonCalendar,
+    saveSeasonCalendar } = require("../services/calendar-service");
+const { getRegionById } = require("../services/region-service");
+
+/**
+ * @function deleteSeasonMonths
+ * @delete /calendar/seasons/:region_id/:season
+ *
+ * @description Handles the removal of the months of a season of a region.
+ * If the season of the region is not in the calendar, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the region ID and season in the path parameters.
+ * @param {string} req.params.region_id - The ID of the region.
+ * @param {string} req.params.season - The season.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a response with statusCode as 204.
+ * @throws {NotFoundError} - Throws a not found error if the region has no months for the season.
+ */
+const deleteSeasonMonths = async (req, res) => {
+    const { region_id: regionId, season } = req.params;
+    const removed = await removeSeasonCalendar(regionId, season);
+    if (!removed) throw new NotFoundError("Season not found for the region");
+    return res.status(204).end();
+};
+
+/**
+ * @function fetchCalendar
+ * @get /calendar
+ *
+ * @description Handles fetching the plants to plant in a region in a month, grouped by their purpose.
+ * The seasons of the region in the month come from the months of the seasons saved for the region,
+ * or for the nearest region it is within. If the region is not found, it returns a 404 status code.
+ *
+ * @param {Object} req - The request object containing the query parameters.
+ * @param {string} req.sanitizedQuery.region_id - The ID of the region.
+ * @param {number} req.sanitizedQuery.month - The month from 1 to 12 (optional, default is the current month).
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the seasons and the plants grouped by purpose, and a success message.
+ */
+const fetchCalendar = async (req, res) => {
+    const { month = new Date().getMonth() + 1, region_id: regionId } = req.sanitizedQuery ?? req.query;
+    const region = await getRegionById(regionId);
+    if (!region) throw new NotFoundError("Region not found");
+    const { purposes, seasons } = await getCalendarPlants(regionId, month);
+    const data = { regionId, month, seasons, purposes };
+    return res.status(200).json({ data: toSnakeCaseKeys(data), message: "Retrieved planting calendar successfully" });
+};
+
+/**
+ * @function fetchSeasonMonths
+ * @get /calendar/seasons
+ *
+ * @description Handles fetching the months of the seasons of all regions, or of a region.
+ *
+ * @param {Object} req - The request object containing the query parameters.
+ * @param {string} req.sanitizedQuery.region_id - The ID of the region (optional).
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the months of the seasons and a success message.
+ */
+const fetchSeasonMonths = async (req, res) => {
+    const { region_id: regionId } = req.sanitizedQuery ?? req.query;
+    const seasonCalendars = await getSeasonCalendars(regionId);
+    return res.status(200).json({ data: toSnakeCaseKeys(seasonCalendars), message: "Retrieved season months successfully" });
+};
+
+/**
+ * @function upsertSeasonMonths
+ * @put /calendar/seasons/:region_id/:season
+ *
+ * @description Handles saving the months of a season of a region.
+ * If the season of the region is already in the calendar, its months are replaced.
+ * If the region is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the region ID and season in the path parameters and months in the body.
+ * @param {string} req.params.region_id - The ID of the region.
+ * @param {string} req.params.season - The season.
+ * @param {Array<number>} req.body.months - The months of the season from 1 to 12.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the saved months of the season, with 201 status code when created
+ * and 200 status code when updated.
+ */
+const upsertSeasonMonths = async (req, res) => {
+    const { region_id: regionId, season } = req.params;
+    const { months } = req.body;
+    const region = await getRegionById(regionId);
+    if (!region) throw new NotFoundError("Region not found");
+    const { seasonCalendar, created } = await saveSeasonCalendar(regionId, season, months);
+    const message = created ? "Season months saved successfully" : "Season months updated successfully";
+    return res.status(created ? 201 : 200).json({ data: toSnakeCaseKeys(seasonCalendar), message });
+};
+
+// Export the controller handler functions to use in the routes
+module.exports = { deleteSeasonMonths, fetchCalendar, fetchSeasonMonths, upsertSeasonMonths };
@@ -0,0 +1,196 @@
+// src/api/controllers/fertilizer-controller.js
+
+/**
+ * @module fertilizer-controller
+ * Ecospace Fertilizer Controller
+ *
+ * @description This module defines the controller for handling fertilizer related requests in the Ecospace backend.
+ * It includes functions for creating a fertilizer, fetching all fertilizers, fetching a fertilizer by its ID,
+ * fetching the plants a fertilizer is recommended for, updating fertilizer details, and deleting a fertilizer.
+ *
+ * @requires ../../utils/common
+ * @requires ../services/fertilizer-service
+ * @requires ../../utils/errors
+ * @exports { createFertilizer, deleteFertilizerById, fetchAllFertilizers, fetchFertilizerById, fetchFertilizerPlants, updateFertilizerDetailsById }
+ */
+
+// Custom module imports
+const { toSnakeCaseKeys } = require("../../utils/common");
+const { NotFoundError, ValidationError } = require("../../utils/errors");
+const { getAllFertilizers, getFertilizerById, getFertilizerPlants, removeFertilizer, saveFertilizer,
+    updateFertilizerDetails } = require("../services/fertilizer-service");
+
+/**
+ * @function createFertilizer
+ * @post /fertilizers
+ *
+ * @description Handles the creation of a new fertilizer in the fertilizer catalog.
+ *
+ * @param {Object} req - The request object containing the fertilizer details in the body.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the saved fertilizer object and a success message.
+ * @throws {ValidationError} - Throws a validation error if the body is missing.
+ */
+const createFertilizer = async (req, res) => {
+    let fertilizerDetails = {};
+    if (!req.body) throw new ValidationError("Required body");
+    // Destructure the fertilizer details from the request body
+    const { application_rate: applicationRate, description, name, nitrogen, phosphorus, potassium,
+        suitable_growth_stages: suitableGrowthStages, type } = req.body;
+
+    // Add values to the fertilizerDetails object
+    fertilizerDetails = { applicationRate, name, type };
+    // Add optional properties if they exist
+    if (description) fertilizerDetails.description = description;
+    if (nitrogen != null) fertilizerDetails.nitrogen = nitrogen;
+    if (phosphorus != null) fertilizerDetails.phosphorus = phosphorus;
+    if (potassium != null) fertilizerDetails.potassium = potassium;
+    if (suitableGrowthStages) fertilizerDetails.suitableGrowthStages = suitableGrowthStages;
+
+    const fertilizer = await saveFertilizer(fertilizerDetails);
+    return res.status(201).json({ data: toSnakeCaseKeys(fertilizer), message: "Fertilizer created successfully" });
+};
+
+/**
+ * @function deleteFertilizerById
+ * @delete /fertilizers/:fertilizer_id
+ *
+ * @description Handles the deletion of a fertilizer by its ID along with its links to plants.
+ * If the fertilizer is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the fertilizer ID in the path parameters.
+ * @param {string} req.params.fertilizer_id - The ID of the fertilizer.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a response with statusCode as 204.
+ * @throws {NotFoundError} - Throws a not found error if the fertilizer is not found.
+ */
+const deleteFertilizerById = async (req, res) => {
+    const fertilizerId = req.params["fertilizer_id"];
+    const fertilizer = await getFertilizerById(fertilizerId);
+    if (!fertilizer) throw new NotFoundError("Fertilizer not found");
+    await removeFertilizer(fertilizerId);
+    return res.status(204).end();
+};
+
+/**
+ * @function fetchAllFertilizers
+ * @get /fertilizers
+ *
+ * @description Handles the retrieval of all fertilizers with pagination, sorting and filtering
+ * by their type or the growth stage they suit.
+ *
+ * @param {Object} req - The request object containing query parameters for pagination, sorting and filtering.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the list of fertilizers, pagination metadata, and a success message.
+ */
+const fetchAllFertilizers = async (req, res) => {
+    let { limit, page, sort_by: sortBy, sort_order: sortOrder, suitable_growth_stage: suitableGrowthStage,
+        type } = req.sanitizedQuery ?? req.query;
+    const DEFAULT_LIMIT = 10, MAX_LIMIT = 50, DEFAULT_PAGE = 1; // Default pagination values
+    const SORT_PARAMS = ["name", "created_at"], DEFAULT_SORT_BY = "name", DEFAULT_SORT_ORDER = "asc"; // Default sorting values
+
+    // Validations: Pagination and sorting, incase express validations are missed in routes
+    limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+    page = Math.max(DEFAULT_PAGE, parseInt(page, 10) || DEFAULT_PAGE);
+    if (!sortBy || !SORT_PARAMS.includes(sortBy)) sortBy = DEFAULT_SORT_BY;
+    if (!sortOrder || !["asc", "desc"].includes(String(sortOrder).toLowerCase())) sortOrder = DEFAULT_SORT_ORDER;
+
+    // Filtering
+    let filters = {};
+    if (suitableGrowthStage) filters.suitableGrowthStage = suitableGrowthStage;
+    if (type) filters.type = type;
+
+    const result = await getAllFertilizers({ limit, page }, { sortBy, sortOrder }, filters);
+    return res.status(200).json({ ...toSnakeCaseKeys(result), message: "Retrieved all fertilizers successfully" });
+};
+
+/**
+ * @function fetchFertilizerById
+ * @get /fertilizers/:fertilizer_id
+ *
+ * @description Handles fetching a fertilizer by its ID.
+ * If the fertilizer is not found, it returns a 404 status code with a "Fertilizer not found" message.
+ *
+ * @param {Object} req - The request object containing the fertilizer ID in the parameters.
+ * @param {string} req.params.fertilizer_id - The ID of the fertilizer.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the fertilizer object if found, or a 404 status code.
+ */
+const fetchFertilizerById = async (req, res) => {
+    const { fertilizer_id: fertilizerId } = req.params;
+    const fertilizer = await getFertilizerById(fertilizerId);
+    if (!fertilizer) throw new NotFoundError("Fertilizer not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(fertilizer), message: "Fertilizer fetched successfully" });
+};
+
+/**
+ * @function fetchFertilizerPlants
+ * @get /fertilizers/:fertilizer_id/plants
+ *
+ * @description Handles the retrieval of the plants a fertilizer is recommended for along with the notes on the fertilizer for each plant.
+ * If the fertilizer is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the fertilizer ID in the path parameters.
+ * @param {string} req.params.fertilizer_id - The ID of the fertilizer.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the list of plants or an error message.
+ */
+const fetchFertilizerPlants = async (req, res) => {
+    const fertilizerId = req.params["fertilizer_id"];
+    const plants = await getFertilizerPlants(fertilizerId);
+    if (!plants) throw new NotFoundError("Fertilizer not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(plants), message: "Retrieved plants of the fertilizer successfully" });
+};
+
+/**
+ * @function updateFertilizerDetailsById
+ * @patch /fertilizers/:fertilizer_id
+ *
+ * @description Handles the patch update of fertilizer details by its ID.
+ * The N-P-K composition after the update must add up to at most 100, else it returns a 400 status code.
+ * If the fertilizer is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the fertilizer details in the body.
+ * @param {string} req.params.fertilizer_id - The ID of the fertilizer.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the updated fertilizer details and a success message if successful.
+ * @throws {ValidationError} - Throws a validation error if the body is missing or has no details to update,
+ * or the nitrogen, phosphorus and potassium of the fertilizer add up to more than 100.
+ * @throws {NotFoundError} - Throws a not found error if the fertilizer is not found.
+ */
+const updateFertilizerDetailsById = async (req, res) => {
+    // Fertilizer detail params that can be allowed to update
+    const updateFertilizerDetailParams = ["application_rate", "description", "name", "nitrogen", "phosphorus",
+        "potassium", "suitable_growth_stages", "type"];
+    let fertilizerDetails = {};
+    const fertilizerId = req.params["fertilizer_id"];
+
+    const body = req.body;
+    if (!body) throw new ValidationError("Required body");
+    const bodyParams = Object.keys(body);
+    if (bodyParams.length === 0 || !bodyParams.some(param => updateFertilizerDetailParams.includes(param))) throw new ValidationError("No details to update");
+
+    // Destructure body params for update
+    const { application_rate: applicationRate, description, name, nitrogen, phosphorus, potassium,
+        suitable_growth_stages: suitableGrowthStages, type } = body;
+    if (applicationRate) fertilizerDetails.applicationRate = applicationRate;
+    if (description) fertilizerDetails.description = description;
+    if (name) fertilizerDetails.name = name;
+    if (nitrogen != null) fertilizerDetails.nitrogen = nitrogen;
+    if (phosphorus != null) fertilizerDetails.phosphorus = phosphorus;
+    if (potassium != null) fertilizerDetails.potassium = potassium;
+    if (suitableGrowthStages) fertilizerDetails.suitableGrowthStages = suitableGrowthStages;
+    if (type) fertilizerDetails.type = type;
+
+    const savedFertilizer = await getFertilizerById(fertilizerId);
+    if (!savedFertilizer) throw new NotFoundError("Fertilizer not found");
+    // Check the N-P-K composition with the saved values for the nutrients not being updated
+    const { nitrogen: n, phosphorus: p, potassium: k } = { ...savedFertilizer, ...fertilizerDetails };
+    if (n + p + k > 100) throw new ValidationError("nitrogen, phosphorus and potassium must add up to at most 100");
+    const fertilizer = await updateFertilizerDetails(fertilizerId, fertilizerDetails);
+    if (!fertilizer) throw new NotFoundError("Fertilizer not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(fertilizer), message: "Update successful" });
+};
+
+// Export the controller handler functions to use in the routes
+module.exports = { createFertilizer, deleteFertilizerById, fetchAllFertilizers, fetchFertilizerById, fetchFertilizerPlants, updateFertilizerDetailsById };
@@ -0,0 +1,161 @@
+// src/api/controllers/garden-controller.js
+
+/**
+ * @module garden-controller
+ * Ecospace Garden Controller
+ *
+ * @description This module defines the controller for handling garden related requests in the Ecospace backend.
+ * It includes functions for creating a garden, fetching all gardens, fetching a garden by its ID,
+ * updating garden details, and deleting a garden.
+ *
+ * @requires ../../utils/common
+ * @requires ../services/garden-service
+ * @requires ../services/soil-service
+ * @requires ../../utils/errors
+ * @exports { createGarden, deleteGardenById, fetchAllGardens, fetchGardenById, updateGardenDetailsById }
+ */
+
+// Custom module imports
+const { toSnakeCaseKeys } = require("../../utils/common");
+const { NotFoundError, ValidationError } = require("../../utils/errors");
+const { getAllGardens, getGardenById, removeGarden, saveGarden, updateGardenDetails } = require("../services/garden-service");
+const { getSoilById } = require("../services/soil-service");
+
+/**
+ * @function createGarden
+ * @post /gardens
+ *
+ * @description Handles the creation of a new garden.
+ * If a soil is assigned to the garden, it must be present in the soils catalog.
+ *
+ * @param {Object} req - The request object containing the garden details in the body.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the saved garden object and a success message.
+ * @throws {ValidationError} - Throws a validation error if the body is missing or the soil is not found.
+ */
+const createGarden = async (req, res) => {
+    let gardenDetails = {};
+    if (!req.body) throw new ValidationError("Required body");
+    // Destructure the garden details from the request body
+    const { area, location, name, soil_id: soilId } = req.body;
+
+    // Add values to the gardenDetails object
+    gardenDetails = { name };
+    // Add optional properties if they exist
+    if (area) gardenDetails.area = area;
+    if (location) gardenDetails.location = location;
+    if (soilId) gardenDetails.soilId = soilId;
+
+    // Check the assigned soil is in the soils catalog
+    if (soilId && !(await getSoilById(soilId))) throw new ValidationError("Soil not found for soil_id");
+    const garden = await saveGarden(gardenDetails);
+    return res.status(201).json({ data: toSnakeCaseKeys(garden), message: "Garden created successfully" });
+};
+
+/**
+ * @function deleteGardenById
+ * @delete /gardens/:garden_id
+ *
+ * @description Handles the deletion of a garden by its ID along with its plots.
+ * If the garden is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the garden ID in the path parameters.
+ * @param {string} req.params.garden_id - The ID of the garden.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a response with statusCode as 204.
+ * @throws {NotFoundError} - Throws a not found error if the garden is not found.
+ */
+const deleteGardenById = async (req, res) => {
+    const gardenId = req.params["garden_id"];
+    const garden = await getGardenById(gardenId);
+    if (!garden) throw new NotFoundError("Garden not found");
+    await removeGarden(gardenId);
+    return res.status(204).end();
+};
+
+/**
+ * @function fetchAllGardens
+ * @get /gardens
+ *
+ * @description Handles the retrieval of all gardens with pagination and sorting.
+ *
+ * @param {Object} req - The request object containing query parameters for pagination and sorting.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the list of gardens, pagination metadata, and a success message.
+ */
+const fetchAllGardens = async (req, res) => {
+    let { limit, page, sort_by: sortBy, sort_order: sortOrder } = req.sanitizedQuery ?? req.query;
+    const DEFAULT_LIMIT = 10, MAX_LIMIT = 50, DEFAULT_PAGE = 1; // Default pagination values
+    const SORT_PARAMS = ["name", "created_at"], DEFAULT_SORT_BY = "created_at", DEFAULT_SORT_ORDER = "asc"; // Default sorting values
+
+    // Validations: Pagination and sorting, incase express validations are missed in routes
+    limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+    page = Math.max(DEFAULT_PAGE, parseInt(page, 10) || DEFAULT_PAGE);
+    if (!sortBy || !SORT_PARAMS.includes(sortBy)) sortBy = DEFAULT_SORT_BY;
+    if (!sortOrder || !["asc", "desc"].includes(String(sortOrder).toLowerCase())) sortOrder = DEFAULT_SORT_ORDER;
+
+    const result = await getAllGardens({ limit, page }, { sortBy, sortOrder });
+    return res.status(200).json({ ...toSnakeCaseKeys(result), message: "Retrieved all gardens successfully" });
+};
+
+/**
+ * @function fetchGardenById
+ * @get /gardens/:garden_id
+ *
+ * @description Handles fetching a garden by its ID along with its assigned soil.
+ * If the garden is not found, it returns a 404 status code with a "Garden not found" message.
+ *
+ * @param {Object} req - The request object containing the garden ID in the parameters.
+ * @param {string} req.params.garden_id - The ID of the garden.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the garden object if found, or a 404 status code.
+ */
+const fetchGardenById = async (req, res) => {
+    const { garden_id: gardenId } = req.params;
+    const garden = await getGardenById(gardenId);
+    if (!garden) throw new NotFoundError("Garden not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(garden), message: "Garden fetched successfully" });
+};
+
+/**
+ * @function updateGardenDetailsById
+ * @patch /gardens/:garden_id
+ *
+ * @description Handles the patch update of garden details by its ID.
+ * If the garden is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the garden details in the body.
+ * @param {string} req.params.garden_id - The ID of the garden.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the updated garden details and a success message if successful.
+ * @throws {ValidationError} - Throws a validation error if the body is missing or has no details to update,
+ * or the soil is not found.
+ * @throws {NotFoundError} - Throws a not found error if the garden is not found.
+ */
+const updateGardenDetailsById = async (req, res) => {
+    // Garden detail params that can be allowed to update
+    const updateGardenDetailParams = ["area", "location", "name", "soil_id"];
+    let gardenDetails = {};
+    const gardenId = req.params["garden_id"];
+
+    const body = req.body;
+    if (!body) throw new ValidationError("Required body");
+    const bodyParams = Object.keys(body);
+    if (bodyParams.length === 0 || !bodyParams.some(param => updateGardenDetailParams.includes(param))) throw new ValidationError("No details to update");
+
+    // Destructure body params for update
+    const { area, location, name, soil_id: soilId } = body;
+    if (area) gardenDetails.area = area;
+    if (location) gardenDetails.location = location;
+    if (name) gardenDetails.name = name;
+    if (soilId) gardenDetails.soilId = soilId;
+
+    // Check the assigned soil is in the soils catalog
+    if (soilId && !(await getSoilById(soilId))) throw new ValidationError("Soil not found for soil_id");
+    const garden = await updateGardenDetails(gardenId, gardenDetails);
+    if (!garden) throw new NotFoundError("Garden not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(garden), message: "Update successful" });
+};
+
+// Export the controller handler functions to use in the routes
+module.exports = { createGarden, deleteGardenById, fetchAllGardens, fetchGardenById, updateGardenDetailsById };
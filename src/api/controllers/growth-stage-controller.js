@@ -6,18 +6,22 @@
  * 
  * @description This module defines the controller for handling growth stage related requests in the Ecospace backend.
  * It includes functions for creating growth stage, fetching all growth stages, fetching a growth stage by its ID,
- * updating growth stage details, and deleting a growth stage.
+ * updating growth stage details, reordering the growth stages, and deleting a growth stage.
  * This controller is used to process requests related to growth stage management and interact with the growth stage service.
  * It handles the business logic for growth stage-related operations and returns appropriate responses to the client.
  * 
  * @requires ../../utils/common
  * @requires ../services/growth-stage-service
- * @exports { createGrowthStage, fetchAllGrowthStages, fetchGrowthStageById, updateGrowthStageDetailsById }
+ * @requires ../../utils/errors
+ * @exports { createGrowthStage, deleteGrowthStageById, fetchAllGrowthStages, fetchGrowthStageById, reorderAllGrowthStages,
+ * updateGrowthStageDetailsById }
  */
 
 // Custom module imports
 const { toSnakeCaseKeys } = require("../../utils/common");
-const { getAllGrowthStages, getGrowthStageById, saveGrowthStage, updateGrowthStageDetails } = require("../services/growth-stage-service");
+const { ConflictError, NotFoundError, ValidationError } = require("../../utils/errors");
+const { countGrowthStageReferences, getAllGrowthStages, getGrowthStageById, removeGrowthStage, reorderGrowthStages,
+    saveGrowthStage, updateGrowthStageDetails } = require("../services/growth-stage-service");
 
 /**
  * @function createGrowthStage
@@ -31,12 +35,12 @@ const { getAllGrowthStages, getGrowthStageById, saveGrowthStage, updateGrowthSta
  * @param {Object} req - The request object containing the growth stage details in the body.
  * @param {Object} res - The response object used to send the response back to the client.
  * @returns {Object} - Returns a JSON response with the saved growth stage object and a success message.
- * @throws {Error} - Throws an error if the save operation fails, returning a 500 status code with an error message.
+ * @throws {ValidationError} - Throws a validation error if the body is missing.
  */
 const createGrowthStage = async (req, res) => {
     let growthStageDetails = {};
     // Get body of the request
-    if (!req.body) return res.status(400).json({ message: "Required body" });
+    if (!req.body) throw new ValidationError("Required body");
     console.log(req.body);
     // Destructure the growth stage details from the request body
     const { description, max_days: maxDays, min_days: minDays,
@@ -48,40 +52,79 @@ const createGrowthStage = async (req, res) => {
     if (![ undefined, null ].includes(maxDays)) growthStageDetails.maxDays = maxDays;
     if (![ undefined, null ].includes(minDays)) growthStageDetails.minDays = minDays;
 
-    // Try to save the growth stage details
-    try {
-        const growthStage = await saveGrowthStage(growthStageDetails);
-        return res.status(201).json({ data: toSnakeCaseKeys(growthStage), message: 'GrowthStage created successfully' })
-    } catch (error) {
-        console.error("Error creating growth stage:", error);
-        return res.status(500).json({ message: error.message });
+    // Save the growth stage details
+    const growthStage = await saveGrowthStage(growthStageDetails);
+    return res.status(201).json({ data: toSnakeCaseKeys(growthStage), message: 'GrowthStage created successfully' })
+};
+
+/**
+ * @function deleteGrowthStageById
+ * @delete /growth-stages/:growth_stage_id
+ *
+ * @description Handles the deletion of a growth stage by its ID. The growth stages after it move one order up.
+ * If the growth stage is not found, it returns a 404 status code, and if plants or plantings still reference it,
+ * it returns a 409 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the growth stage ID in the path parameters.
+ * @param {string} req.params.growth_stage_id - The ID of the growth stage.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a response with statusCode as 204.
+ * @throws {NotFoundError} - Throws a not found error if the growth stage is not found.
+ * @throws {ConflictError} - Throws a conflict error if the growth stage is still linked to plants or plantings.
+ */
+const deleteGrowthStageById = async (req, res) => {
+    const growthStageId = req.params["growth_stage_id"];
+    const growthStage = await getGrowthStageById(growthStageId);
+    if (!growthStage) throw new NotFoundError("Growth stage not found");
+    const { plantings, plants } = await countGrowthStageReferences(growthStageId);
+    if (plants > 0 || plantings > 0) {
+        throw new ConflictError(`Growth stage is still referenced by ${plants} plant(s) and ${plantings} planting record(s)`);
     }
+    const removed = await removeGrowthStage(growthStageId);
+    if (!removed) throw new NotFoundError("Growth stage not found");
+    return res.status(204).end();
 };
 
 /**
  * @function fetchAllGrowthStages
  * @get /growth-stages
  * @description Handles the retrieval of all growth stages from the database.
- * It fetches all growth stages and returns them in a JSON response with a success message.
+ * It fetches the growth stages with pagination, sorting (by order by default) and filtering,
+ * and returns them in a JSON response with a success message.
  * If there are no growth stages, it returns an empty array.
  * 
- * @param {Object} req - The request object to be processed.
+ * @param {Object} req - The request object containing query parameters for pagination, sorting and filtering.
+ * @param {string} req.sanitizedQuery.name - The name of the growth stage (optional).
+ * @param {number} req.sanitizedQuery.max_days_lte - The greatest maximum number of days of the growth stages (optional).
+ * @param {number} req.sanitizedQuery.min_days_gte - The least minimum number of days of the growth stages (optional).
+ * @param {number} req.sanitizedQuery.limit - The maximum number of growth stages to return per page (optional).
+ * @param {number} req.sanitizedQuery.page - The current page number for pagination (optional).
+ * @param {string} req.sanitizedQuery.sort_by - The field to sort by (optional, default is 'order').
+ * @param {string} req.sanitizedQuery.sort_order - The order of sorting (optional, default is 'asc').
  * @param {Object} res - The response object used to send the response back to the client.
- * @return {Object} - Returns a JSON response with the list of growth stages as data and a success message.
- * If an error occurs, it returns a 500 status code with an error message.
+ * @return {Object} - Returns a JSON response with the list of growth stages as data, pagination metadata and a success message.
  */
 const fetchAllGrowthStages = async (req, res) => {
-    /**
-     * No pagination, sorting and filtering as we will have max of 6-7 growth stages
-     * So, will fetch all and return
-     */
-    // try to fetch all growth stages
-    try {
-        const growthStages = await getAllGrowthStages();
-        return res.status(200).json({ data: toSnakeCaseKeys(growthStages), message: "Retrieved all growth stages successfully" }) 
-    } catch (error) {
-        return res.status(500).json({ message: error.message });  
-    }
+    let { limit, max_days_lte: maxDaysLte, min_days_gte: minDaysGte, name, page, sort_by: sortBy,
+        sort_order: sortOrder } = req.sanitizedQuery ?? req.query;
+    const DEFAULT_LIMIT = 10, MAX_LIMIT = 50, DEFAULT_PAGE = 1; // Default pagination values
+    const SORT_PARAMS = ["order", "name", "created_at"], DEFAULT_SORT_BY = "order", DEFAULT_SORT_ORDER = "asc"; // Default sorting values
+
+    // Validations: Pagination and sorting, incase express validations are missed in routes
+    limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+    page = Math.max(DEFAULT_PAGE, parseInt(page, 10) || DEFAULT_PAGE);
+    if (!sortBy || !SORT_PARAMS.includes(sortBy)) sortBy = DEFAULT_SORT_BY;
+    if (!sortOrder || !["asc", "desc"].includes(String(sortOrder).toLowerCase())) sortOrder = DEFAULT_SORT_ORDER;
+
+    // Filtering
+    let filters = {};
+    if (name) filters.name = name;
+    if (![ undefined, null ].includes(maxDaysLte)) filters.maxDaysLte = maxDaysLte;
+    if (![ undefined, null ].includes(minDaysGte)) filters.minDaysGte = minDaysGte;
+
+    // Fetch the growth stages
+    const result = await getAllGrowthStages({ limit, page }, { sortBy, sortOrder }, filters);
+    return res.status(200).json({ ...toSnakeCaseKeys(result), message: "Retrieved all growth stages successfully" }) 
 };
 
 /**
@@ -98,23 +141,39 @@ const fetchAllGrowthStages = async (req, res) => {
  * @param {Object} res - The response object used to send the response back to the client.
  * @returns {Object} - Returns a JSON response with the growth stage object if found, or
  * a 404 status code with a message if the growth stage does not exist.
- * @throws {Error} - Throws an error if the fetch operation fails, returning a 500 status code with an error message.
+ * @throws {NotFoundError} - Throws a not found error if the growth stage is not found.
  */
 const fetchGrowthStageById = async (req, res) => {
     // Get growth stage id
     const growthStageId = req.params["growth_stage_id"];
 
-    // Try to fetch a growth stage
-    try {
-        // Fetch the growth stage by ID using the service
-        const growthStage = await getGrowthStageById(growthStageId);
-        const message = growthStage ? "Growth stage fetched successfully" : "Growth stage not found";
-        const statusCode = growthStage ? 200 : 404;
-        return res.status(statusCode).json({ data: toSnakeCaseKeys(growthStage), message });
-    } catch (error) {
-        console.error("Error fetching growth stage by ID:", error);
-        return res.status(500).json({ message: error.message });
-    }
+    // Fetch the growth stage by ID using the service
+    const growthStage = await getGrowthStageById(growthStageId);
+    if (!growthStage) throw new NotFoundError("Growth stage not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(growthStage), message: "Growth stage fetched successfully" });
+};
+
+/**
+ * @function reorderAllGrowthStages
+ * @post /growth-stages/reorder
+ *
+ * @description Handles reordering all the growth stages. Each growth stage gets the position of its ID
+ * in growth_stage_ids as its order, from 1 to N, in a single transaction.
+ * If growth_stage_ids does not list every growth stage exactly once, it returns a 400 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the growth stage IDs in the body.
+ * @param {Array<string>} req.body.growth_stage_ids - The IDs of all the growth stages in their new order.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the reordered growth stages and a success message.
+ * @throws {ValidationError} - Throws a validation error if growth_stage_ids is missing or does not list every growth
+ * stage exactly once.
+ */
+const reorderAllGrowthStages = async (req, res) => {
+    const { growth_stage_ids: growthStageIds } = req.body ?? {};
+    if (!Array.isArray(growthStageIds)) throw new ValidationError("Required growth_stage_ids");
+    const growthStages = await reorderGrowthStages(growthStageIds);
+    if (!growthStages) throw new ValidationError("growth_stage_ids must list every growth stage exactly once");
+    return res.status(200).json({ data: toSnakeCaseKeys(growthStages), message: "Growth stages reordered successfully" });
 };
 
 /**
@@ -127,8 +186,10 @@ const fetchGrowthStageById = async (req, res) => {
  *
  * @param {Object} req - The request object containing the growth stage details in the body.
  * @param {Object} res - The response object used to send the response back to the client.
- * @return {Object} - Returns a JSON response with the updated growth stage details and a success message if successful,
- * or null if no growth stage found for the given ID or an error message with a 500 status code if the updation fails.
+ * @return {Object} - Returns a JSON response with the updated growth stage details and a success message if successful.
+ * @throws {ValidationError} - Throws a validation error if the ID is missing,
+ * or the body is missing or has no details to update.
+ * @throws {NotFoundError} - Throws a not found error if the growth stage is not found.
  */
 const updateGrowthStageDetailsById = async (req, res) => {
     // Allowed body params for the update
@@ -136,13 +197,13 @@ const updateGrowthStageDetailsById = async (req, res) => {
     
     // Get growth stage id from req params
     const growthStageId = req.params["growth_stage_id"];
-    if (!growthStageId) return res.status(400).json({ message: "Required ID of the growth stage" });
+    if (!growthStageId) throw new ValidationError("Required ID of the growth stage");
 
     // Get body params
     const body = req.body;
-    if (!body) return res.status(400).json({ message: "Required body" });
+    if (!body) throw new ValidationError("Required body");
     const bodyParams = Object.keys(body);
-    if (bodyParams.length === 0 || !bodyParams.some(param => updateGrowthStageParams.includes(param))) return res.status(400).json({ message: "No details to update" });
+    if (bodyParams.length === 0 || !bodyParams.some(param => updateGrowthStageParams.includes(param))) throw new ValidationError("No details to update");
     const { description, max_days: maxDays, min_days: minDays } = req.body;
 
     console.debug("Body received for update:", body);
@@ -154,16 +215,12 @@ const updateGrowthStageDetailsById = async (req, res) => {
     if (maxDays) growthStageDetails.maxDays = maxDays;
     if (minDays) growthStageDetails.minDays = minDays;
 
-    // Try to update growth stage details
-    try {
-        const growthStage = await updateGrowthStageDetails(growthStageId, growthStageDetails);
-        if (!growthStage) return res.status(404).json({ message: "Growth stage not found" });
-        return res.status(200).json({ data: toSnakeCaseKeys(growthStage), message: "Updated successfully" });
-    } catch (error) {
-        console.error("Error updating growth stage by ID:", error);
-        return res.status(500).json({ message: error.message });
-    }
+    // Update growth stage details
+    const growthStage = await updateGrowthStageDetails(growthStageId, growthStageDetails);
+    if (!growthStage) throw new NotFoundError("Growth stage not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(growthStage), message: "Updated successfully" });
 };
 
 // Export the controller handler functions to use in the routes
-module.exports = { createGrowthStage, fetchAllGrowthStages, fetchGrowthStageById, updateGrowthStageDetailsById };
+module.exports = { createGrowthStage, deleteGrowthStageById, fetchAllGrowthStages, fetchGrowthStageById, reorderAllGrowthStages,
+    updateGrowthStageDetailsById };
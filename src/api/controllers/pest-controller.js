@@ -0,0 +1,187 @@
+// src/api/controllers/pest-controller.js
+
+/**
+ * @module pest-controller
+ * Ecospace Pest Controller
+ *
+ * @description This module defines the controller for handling pest related requests in the Ecospace backend.
+ * It includes functions for creating a pest, fetching all pests, fetching a pest by its ID,
+ * fetching the plants affected by a pest, updating pest details, and deleting a pest.
+ *
+ * @requires ../../utils/common
+ * @requires ../services/pest-service
+ * @requires ../../utils/errors
+ * @exports { createPest, deletePestById, fetchAllPests, fetchPestById, fetchPestPlants, updatePestDetailsById }
+ */
+
+// Custom module imports
+const { toSnakeCaseKeys } = require("../../utils/common");
+const { NotFoundError, ValidationError } = require("../../utils/errors");
+const { getAllPests, getPestById, getPestPlants, removePest, savePest,
+    updatePestDetails } = require("../services/pest-service");
+
+/**
+ * @function createPest
+ * @post /pests
+ *
+ * @description Handles the creation of a new pest in the pest catalog.
+ *
+ * @param {Object} req - The request object containing the pest details in the body.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the saved pest object and a success message.
+ * @throws {ValidationError} - Throws a validation error if the body is missing.
+ */
+const createPest = async (req, res) => {
+    let pestDetails = {};
+    if (!req.body) throw new ValidationError("Required body");
+    // Destructure the pest details from the request body
+    const { active_seasons: activeSeasons, affected_growth_stages: affectedGrowthStages, description, name,
+        scientific_name: scientificName, symptoms } = req.body;
+
+    // Add values to the pestDetails object
+    pestDetails = { name };
+    // Add optional properties if they exist
+    if (activeSeasons) pestDetails.activeSeasons = activeSeasons;
+    if (affectedGrowthStages) pestDetails.affectedGrowthStages = affectedGrowthStages;
+    if (description) pestDetails.description = description;
+    if (scientificName) pestDetails.scientificName = scientificName;
+    if (symptoms) pestDetails.symptoms = symptoms;
+
+    const pest = await savePest(pestDetails);
+    return res.status(201).json({ data: toSnakeCaseKeys(pest), message: "Pest created successfully" });
+};
+
+/**
+ * @function deletePestById
+ * @delete /pests/:pest_id
+ *
+ * @description Handles the deletion of a pest by its ID along with its links to plants.
+ * If the pest is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the pest ID in the path parameters.
+ * @param {string} req.params.pest_id - The ID of the pest.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a response with statusCode as 204.
+ * @throws {NotFoundError} - Throws a not found error if the pest is not found.
+ */
+const deletePestById = async (req, res) => {
+    const pestId = req.params["pest_id"];
+    const pest = await getPestById(pestId);
+    if (!pest) throw new NotFoundError("Pest not found");
+    await removePest(pestId);
+    return res.status(204).end();
+};
+
+/**
+ * @function fetchAllPests
+ * @get /pests
+ *
+ * @description Handles the retrieval of all pests with pagination, sorting and filtering
+ * by the season they are active in or the growth stage they affect.
+ *
+ * @param {Object} req - The request object containing query parameters for pagination, sorting and filtering.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the list of pests, pagination metadata, and a success message.
+ */
+const fetchAllPests = async (req, res) => {
+    let { active_season: activeSeason, affected_growth_stage: affectedGrowthStage, limit, page, sort_by: sortBy,
+        sort_order: sortOrder } = req.sanitizedQuery ?? req.query;
+    const DEFAULT_LIMIT = 10, MAX_LIMIT = 50, DEFAULT_PAGE = 1; // Default pagination values
+    const SORT_PARAMS = ["name", "created_at"], DEFAULT_SORT_BY = "name", DEFAULT_SORT_ORDER = "asc"; // Default sorting values
+
+    // Validations: Pagination and sorting, incase express validations are missed in routes
+    limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+    page = Math.max(DEFAULT_PAGE, parseInt(page, 10) || DEFAULT_PAGE);
+    if (!sortBy || !SORT_PARAMS.includes(sortBy)) sortBy = DEFAULT_SORT_BY;
+    if (!sortOrder || !["asc", "desc"].includes(String(sortOrder).toLowerCase())) sortOrder = DEFAULT_SORT_ORDER;
+
+    // Filtering
+    let filters = {};
+    if (activeSeason) filters.activeSeason = activeSeason;
+    if (affectedGrowthStage) filters.affectedGrowthStage = affectedGrowthStage;
+
+    const result = await getAllPests({ limit, page }, { sortBy, sortOrder }, filters);
+    return res.status(200).json({ ...toSnakeCaseKeys(result), message: "Retrieved all pests successfully" });
+};
+
+/**
+ * @function fetchPestById
+ * @get /pests/:pest_id
+ *
+ * @description Handles fetching a pest by its ID.
+ * If the pest is not found, it returns a 404 status code with a "Pest not found" message.
+ *
+ * @param {Object} req - The request object containing the pest ID in the parameters.
+ * @param {string} req.params.pest_id - The ID of the pest.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the pest object if found, or a 404 status code.
+ */
+const fetchPestById = async (req, res) => {
+    const { pest_id: pestId } = req.params;
+    const pest = await getPestById(pestId);
+    if (!pest) throw new NotFoundError("Pest not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(pest), message: "Pest fetched successfully" });
+};
+
+/**
+ * @function fetchPestPlants
+ * @get /pests/:pest_id/plants
+ *
+ * @description Handles the retrieval of the plants affected by a pest along with the notes on the pest for each plant.
+ * If the pest is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the pest ID in the path parameters.
+ * @param {string} req.params.pest_id - The ID of the pest.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the list of plants or an error message.
+ */
+const fetchPestPlants = async (req, res) => {
+    const pestId = req.params["pest_id"];
+    const plants = await getPestPlants(pestId);
+    if (!plants) throw new NotFoundError("Pest not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(plants), message: "Retrieved plants of the pest successfully" });
+};
+
+/**
+ * @function updatePestDetailsById
+ * @patch /pests/:pest_id
+ *
+ * @description Handles the patch update of pest details by its ID.
+ * If the pest is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the pest details in the body.
+ * @param {string} req.params.pest_id - The ID of the pest.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the updated pest details and a success message if successful.
+ * @throws {ValidationError} - Throws a validation error if the body is missing or has no details to update.
+ * @throws {NotFoundError} - Throws a not found error if the pest is not found.
+ */
+const updatePestDetailsById = async (req, res) => {
+    // Pest detail params that can be allowed to update
+    const updatePestDetailParams = ["active_seasons", "affected_growth_stages", "description", "name",
+        "scientific_name", "symptoms"];
+    let pestDetails = {};
+    const pestId = req.params["pest_id"];
+
+    const body = req.body;
+    if (!body) throw new ValidationError("Required body");
+    const bodyParams = Object.keys(body);
+    if (bodyParams.length === 0 || !bodyParams.some(param => updatePestDetailParams.includes(param))) throw new ValidationError("No details to update");
+
+    // Destructure body params for update
+    const { active_seasons: activeSeasons, affected_growth_stages: affectedGrowthStages, description, name,
+        scientific_name: scientificName, symptoms } = body;
+    if (activeSeasons) pestDetails.activeSeasons = activeSeasons;
+    if (affectedGrowthStages) pestDetails.affectedGrowthStages = affectedGrowthStages;
+    if (description) pestDetails.description = description;
+    if (name) pestDetails.name = name;
+    if (scientificName) pestDetails.scientificName = scientificName;
+    if (symptoms) pestDetails.symptoms = symptoms;
+
+    const pest = await updatePestDetails(pestId, pestDetails);
+    if (!pest) throw new NotFoundError("Pest not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(pest), message: "Update successful" });
+};
+
+// Export the controller handler functions to use in the routes
+module.exports = { createPest, deletePestById, fetchAllPests, fetchPestById, fetchPestPlants, updatePestDetailsById };
@@ -5,15 +5,147 @@
  * Ecospace Plant Controller
  *
  * @description This module defines the controller to handle plant-related endpoints in the Ecospace backend.
- * It includes functions to create a plant, fetch all plants, and fetch a plant by its ID.
+ * It includes functions to create a plant, fetch all plants, fetch a plant by its ID, update a plant,
+ * soft delete, restore or purge a plant, manage the soils compatible with a plant, fetch the growth stages of a plant,
+ * manage the companion and antagonist plants of a plant, the pests affecting a plant and the fertilizers recommended for it,
+ * check plants for antagonistic pairs, build the fertilizer plan of a plant for a soil, project the growth stage timeline
+ * of a plant, rank soils by the soil preferences of a plant, search plants by text, and export and import plants in bulk.
  *
+ * @requires fertilizer-service
+ * @requires import-service
+ * @requires pest-service
  * @requires plant-service
- * @exports {createPlant, fetchAllPlants, fetchPlantById, updatePlantDetailsById}
+ * @requires region-service
+ * @requires soil-service
+ * @requires ../../utils/errors
+ * @requires ../../utils/export
+ * @exports {checkCompanions, createPlant, deletePlantById, deletePlantCompanionById, deletePlantFertilizerById,
+ * deletePlantPestById, deletePlantSoilById, exportAllPlants, fetchAllPlants, fetchPlantById, fetchPlantCompanions, fetchPlantFertilizerPlan,
+ * fetchPlantFertilizers, fetchPlantGrowthStages, fetchPlantPests, fetchPlantSoils, fetchPlantTimeline, fetchSuitableSoils,
+ * importAllPlants, purgePlantById, restorePlantById, searchAllPlants, updatePlantDetailsById, upsertPlantCompanionById,
+ * upsertPlantFertilizerById, upsertPlantPestById, upsertPlantSoilById}
  */
 
 // Custom module imports
 const { toSnakeCaseKeys } = require("../../utils/common");
-const { getAllPlants, getPlantById, savePlant, updatePlantDetails } = require("../services/plant-service");
+const { decodeCursor } = require("../../utils/cursor");
+const { ConflictError, NotFoundError, ValidationError } = require("../../utils/errors");
+const { createExportWriter, EXPORT_FORMAT } = require("../../utils/export");
+const { getFertilizerById } = require("../services/fertilizer-service");
+const { getPestById } = require("../services/pest-service");
+const { checkPlantCompanions, exportPlants, getAllPlants, getPlantById, getPlantCompanions, getPlantFertilizerPlan, getPlantFertilizers,
+    getPlantGrowthStages, getPlantPests, getPlantSoils, getPlantTimeline, getSuitableSoils, importPlants, purgePlant, removePlant,
+    removePlantCompanion, removePlantFertilizer, removePlantPest, removePlantSoil, resolveGrowthStages, restorePlant,
+    savePlant, savePlantCompanion, savePlantFertilizer, savePlantPest, savePlantSoil, searchPlants,
+    updatePlantDetails } = require("../services/plant-service");
+const { toImportErrors } = require("../services/import-service");
+const { findMissingRegionIds } = require("../services/region-service");
+const { getSoilById } = require("../services/soil-service");
+
+// Columns of a CSV export of plants, the lists are joined by '|' as the plant import reads them
+const PLANT_EXPORT_COLUMNS = ["id", "name", "scientific_name", "category", "growth_cycle", "growth_habit", "ideal_season",
+    "purpose", "common_names", "tags", "ph_min", "ph_max", "preferred_drainage", "preferred_water_retention_level",
+    "growth_stages", "region_ids", "created_at", "updated_at", "deleted_at"];
+
+/**
+ * @function toPlantDetails
+ *
+ * @description Picks the details of a plant from a validated request body, or a validated row of a plant import.
+ *
+ * @param {Object} body - The validated plant details in snake_case.
+ * @returns {Object} - An object with plantDetails for the Plant model, and growthStages
+ * (each with name, minDays and maxDays) and regionIds if the body has them.
+ */
+const toPlantDetails = (body) => {
+    // Destructure the plant details from the request body
+    const { category, common_names: commonNames,
+        growth_cycle: growthCycle, growth_habit: growthHabit, growth_stages: growthStages,
+        ideal_season: idealSeason, name, ph_max: phMax, ph_min: phMin, preferred_drainage: preferredDrainage,
+        preferred_water_retention_level: preferredWaterRetentionLevel, purpose,
+        region_ids: regionIds, scientific_name: scientificName, tags } = body;
+
+    // Add values to plant object
+    const plantDetails = { name, category, growthCycle, growthHabit, idealSeason, purpose };
+
+    // Add optional values
+    if (commonNames) plantDetails.commonNames = commonNames;
+    if (scientificName) plantDetails.scientificName = scientificName;
+    if (tags) plantDetails.tags = tags;
+    if (phMax != null) plantDetails.phMax = phMax;
+    if (phMin != null) plantDetails.phMin = phMin;
+    if (preferredDrainage) plantDetails.preferredDrainage = preferredDrainage;
+    if (preferredWaterRetentionLevel) plantDetails.preferredWaterRetentionLevel = preferredWaterRetentionLevel;
+
+    return {
+        growthStages: growthStages?.map(({ max_days: maxDays, min_days: minDays, name }) => ({ maxDays, minDays, name })),
+        plantDetails,
+        regionIds,
+    };
+};
+
+/**
+ * @function toPlantFilters
+ *
+ * @description Builds the filters of the plant list from the validated query parameters, shared by the list
+ * and the export of plants.
+ * category: Categories of the plant, any of them (optional)
+ * growthCycle: Growth cycles of the plant, any of them (optional)
+ * growthHabit: Growth habits of the plant, any of them (optional)
+ * idealSeason: Ideal seasons for the plant, any of them (optional)
+ * purpose: Purposes of the plant, any of them (optional)
+ * commonNames: Common names of the plant, all or any of them by commonNamesMode (optional)
+ * commonPests: Names of the pests affecting the plant, any of them (optional)
+ * regionIds: Regions the plant grows in, any of them including the regions within them (optional)
+ * tags: Tags of the plant, all or any of them by tagsMode (optional)
+ *
+ * @param {Object} query - The validated query parameters in snake_case.
+ * @returns {Object} - The filters for the plant service, with only the filters which are provided.
+ */
+const toPlantFilters = (query) => {
+    const { category, growth_cycle: growthCycle, growth_habit: growthHabit, ideal_season: idealSeason, purpose,
+        common_names: commonNames, common_names_mode: commonNamesMode, common_pest: commonPests, region_id: regionIds,
+        tags, tags_mode: tagsMode } = query;
+    const filters = {};
+    if (category) filters.category = category;
+    if (growthCycle) filters.growthCycle = growthCycle;
+    if (growthHabit) filters.growthHabit = growthHabit;
+    if (idealSeason) filters.idealSeason = idealSeason;
+    if (purpose) filters.purpose = purpose;
+    if (commonNames) {
+        filters.commonNames = commonNames;
+        filters.commonNamesMode = commonNamesMode === "any" ? "any" : "all";
+    }
+    if (commonPests) filters.commonPests = commonPests;
+    if (regionIds) filters.regionIds = regionIds;
+    if (tags) {
+        filters.tags = tags;
+        filters.tagsMode = tagsMode === "any" ? "any" : "all";
+    }
+    return filters;
+};
+
+/**
+ * @function checkCompanions
+ * @post /plants/companions/check
+ *
+ * @description Handles checking a list of plants, such as the plants planned for a plot, for antagonistic pairs.
+ * If any of the plants is not found, it returns a 400 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plant IDs in the body.
+ * @param {Array<string>} req.body.plant_ids - The IDs of the plants to check.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the antagonistic pairs and whether the plants are compatible.
+ * @throws {ValidationError} - Throws a validation error if one of the plants is not found.
+ */
+const checkCompanions = async (req, res) => {
+    const { plant_ids: plantIds } = req.body;
+    const { antagonisticPairs, missingPlantIds } = await checkPlantCompanions(plantIds);
+    if (missingPlantIds.length > 0) {
+        throw new ValidationError(`Plant(s) not found: ${missingPlantIds.join(", ")}`);
+    }
+    const data = { compatible: antagonisticPairs.length === 0, antagonisticPairs };
+    return res.status(200).json({ data: toSnakeCaseKeys(data), message: "Checked plant companions successfully" });
+};
 
 /**
  * @function createPlant
@@ -24,76 +156,169 @@ const { getAllPlants, getPlantById, savePlant, updatePlantDetails } = require(".
  * 
  * @param {Object} req - The request object containing the plant details in the body.
  * @param {Object} res - The response object used to send the response back to the client.
- * @return {Object} - Returns a JSON response with the created plant details and a success message if successful,
- * or an error message with a 500 status code if the creation fails.
+ * @return {Object} - Returns a JSON response with the created plant details and a success message if successful.
+ * @throws {ValidationError} - Throws a validation error if the body is missing,
+ * or a growth stage or a region of the plant is not found.
  */
 const createPlant = async (req, res) => {
-    let plantDetails = {};
-    if (!req.body) return res.status(400).json({ message: "Required body" });
+    if (!req.body) throw new ValidationError("Required body");
     console.log(req.body)
-    // Destructure the plant details from the request body
-    const { category, common_names: commonNames, common_pests: commonPests, compatible_plants: compatiblePlants,
-        growth_cycle: growthCycle, growth_habit: growthHabit, growth_stages: growthStages,
-        ideal_season: idealSeason, name, purpose, recommended_fertilizers: recommendedFertilizers,
-        region_compatibility: regionCompatibility, scientific_name: scientificName, tags } = req.body;
-
-    // Add values to plant object
-    plantDetails = { name, category, growthCycle, growthHabit, idealSeason, purpose };
-
-    // Add optional values
-    if (commonNames) plantDetails.commonNames = commonNames;
-    if (commonPests) plantDetails.commonPests = commonPests;
-    if (compatiblePlants) plantDetails.compatiblePlants = compatiblePlants;
-    if (growthStages) plantDetails.growthStages = growthStages;
-    if (recommendedFertilizers) plantDetails.recommendedFertilizers = recommendedFertilizers;
-    if (regionCompatibility) plantDetails.regionCompatibility = regionCompatibility;
-    if (scientificName) plantDetails.scientificName = scientificName;
-    if (tags) plantDetails.tags = tags;
+    const { growthStages, plantDetails, regionIds } = toPlantDetails(req.body);
 
     // Save to DB
-    try {
-        const plant = await savePlant(plantDetails);
-        return res.status(201).send({ data: toSnakeCaseKeys(plant), message: "Created successfully" });
-    } catch (error) {
-        return res.status(500).json({ message: error.message });        
+    // Resolve growth stage names to the growth stage catalog
+    let resolvedGrowthStages;
+    if (growthStages) {
+        const { growthStages: resolved, missingNames } = await resolveGrowthStages(growthStages);
+        if (missingNames.length) throw new ValidationError(`Growth stage(s) not found: ${missingNames.join(", ")}`);
+        resolvedGrowthStages = resolved;
+    }
+    if (regionIds?.length) {
+        const missingRegionIds = await findMissingRegionIds(regionIds);
+        if (missingRegionIds.length) throw new ValidationError(`Region(s) not found: ${missingRegionIds.join(", ")}`);
     }
+    const plant = await savePlant(plantDetails, resolvedGrowthStages, regionIds);
+    return res.status(201).send({ data: toSnakeCaseKeys(plant), message: "Created successfully" });
 };
 
 /**
  * @function deletePlantById
- * @delete
+ * @delete /plants/plant_id
  * @description Handles the deletion of a plant by its ID.
- * It checks if the plant exists in the database and deletes it.
+ * It checks if the plant exists in the database and soft deletes it, so it can be restored later.
  * If the plant is not found, it returns a 404 status code with an error message.
- * If the deletion logic is not implemented, it returns a 202 status code with a message.
  *
  * @param {Object} req - The request object containing the plant ID in the path parameters.
  * @param {string} req.params.plant_id - The ID of the plant to be deleted.
  * @param {Object} res - The response object used to send the response back to the client.
- * @returns {Object} - Returns a JSON response with the deleted plant details and a success message if successful,
- * or an error message with a 500 status code if the deletion fails.
+ * @returns {Object} - Returns a response with statusCode as 204.
+ * @throws {ValidationError} - Throws a validation error if the ID is missing.
+ * @throws {NotFoundError} - Throws a not found error if the plant is not found.
  */
 const deletePlantById = async (req, res) => {
     const plantId = req.params["plant_id"];
-    if (!plantId) return res.status(400).json({ message: "Required ID of the plant" });
-    try {
-        const plant = await getPlantById(plantId);
-        if (!plant) return res.status(404).json({ message: "Plant details not found" });
-        /**
-         * Delete the plant by its ID
-         *
-         * This is a placeholder for the actual deletion logic.
-         * You would typically call a service function to delete the plant from the database.
-         * For example: await deletePlant(plantId);
-         *
-         * Note: Currently, the deletion logic is not implemented.
-         * So, will send a 202 status code with a message indicating that the deletion logic is not implemented.
-         */ 
-        return res.status(202).json({ message: "This action is not available yet but will be supported soon" });
-    } catch (error) {
-        return res.status(500).json({ message: error.message });        
-    }
+    if (!plantId) throw new ValidationError("Required ID of the plant");
+    const plant = await getPlantById(plantId);
+    if (!plant) throw new NotFoundError("Plant details not found");
+    // Soft delete plant from DB
+    await removePlant(plantId);
+    return res.status(204).end();
 }
+
+/**
+ * @function deletePlantCompanionById
+ * @delete /plants/plant_id/companions/companion_id
+ *
+ * @description Handles the removal of the relationship between two plants.
+ * If the plants are not related, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plant ID and companion ID in the path parameters.
+ * @param {string} req.params.plant_id - The ID of the plant.
+ * @param {string} req.params.companion_id - The ID of the related plant.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a response with statusCode as 204.
+ * @throws {NotFoundError} - Throws a not found error if the plants are not related.
+ */
+const deletePlantCompanionById = async (req, res) => {
+    const { companion_id: companionId, plant_id: plantId } = req.params;
+    const isRemoved = await removePlantCompanion(plantId, companionId);
+    if (!isRemoved) throw new NotFoundError("Plants are not related");
+    return res.status(204).end();
+};
+
+/**
+ * @function deletePlantFertilizerById
+ * @delete /plants/plant_id/fertilizers/fertilizer_id
+ *
+ * @description Handles the removal of the link between a plant and a fertilizer.
+ * If the plant is not linked to the fertilizer, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plant ID and fertilizer ID in the path parameters.
+ * @param {string} req.params.plant_id - The ID of the plant.
+ * @param {string} req.params.fertilizer_id - The ID of the fertilizer.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a response with statusCode as 204.
+ * @throws {NotFoundError} - Throws a not found error if the fertilizer is not linked to the plant.
+ */
+const deletePlantFertilizerById = async (req, res) => {
+    const { fertilizer_id: fertilizerId, plant_id: plantId } = req.params;
+    const isRemoved = await removePlantFertilizer(plantId, fertilizerId);
+    if (!isRemoved) throw new NotFoundError("Fertilizer is not linked to the plant");
+    return res.status(204).end();
+};
+
+/**
+ * @function deletePlantPestById
+ * @delete /plants/plant_id/pests/pest_id
+ *
+ * @description Handles the removal of the link between a plant and a pest.
+ * If the plant is not linked to the pest, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plant ID and pest ID in the path parameters.
+ * @param {string} req.params.plant_id - The ID of the plant.
+ * @param {string} req.params.pest_id - The ID of the pest.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a response with statusCode as 204.
+ * @throws {NotFoundError} - Throws a not found error if the pest is not linked to the plant.
+ */
+const deletePlantPestById = async (req, res) => {
+    const { pest_id: pestId, plant_id: plantId } = req.params;
+    const isRemoved = await removePlantPest(plantId, pestId);
+    if (!isRemoved) throw new NotFoundError("Pest is not linked to the plant");
+    return res.status(204).end();
+};
+
+/**
+ * @function deletePlantSoilById
+ * @delete /plants/plant_id/soils/soil_id
+ *
+ * @description Handles the removal of the link between a plant and a soil.
+ * If the plant is not linked to the soil, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plant ID and soil ID in the path parameters.
+ * @param {string} req.params.plant_id - The ID of the plant.
+ * @param {string} req.params.soil_id - The ID of the soil.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a response with statusCode as 204.
+ * @throws {NotFoundError} - Throws a not found error if the soil is not linked to the plant.
+ */
+const deletePlantSoilById = async (req, res) => {
+    const { plant_id: plantId, soil_id: soilId } = req.params;
+    const isRemoved = await removePlantSoil(plantId, soilId);
+    if (!isRemoved) throw new NotFoundError("Soil is not linked to the plant");
+    return res.status(204).end();
+};
+
+/**
+ * @function exportAllPlants
+ *
+ * @description Controller function to export all the plants matching the filters of the plant list as a file,
+ * in the format from the query parameters: csv, json (default) or ndjson. The plants are streamed batch by batch.
+ * In JSON, a plant has its growth stage names and its regions as in the plant list. In CSV, the regions
+ * are reduced to region_ids, so that the file can be imported back.
+ *
+ * @param {Object} req - The request object containing the format, sorting and filtering query parameters.
+ * @param {Object} res - The response object to stream the file to.
+ * @returns {Promise<void>}
+ */
+const exportAllPlants = async (req, res) => {
+    const { format = EXPORT_FORMAT.JSON, sort_by: sortBy, sort_order: sortOrder,
+        include_deleted: includeDeleted } = req.sanitizedQuery;
+    // Default sorting values, as for the plant list
+    const sorting = { sortBy: ["name", "created_at"].includes(sortBy) ? sortBy : "created_at",
+        sortOrder: sortOrder === "desc" ? "desc" : "asc" };
+
+    const fileName = `plants-${new Date().toISOString().slice(0, 10)}`;
+    const writer = createExportWriter(res, { columns: PLANT_EXPORT_COLUMNS, fileName, format });
+    const toRow = (plant) => {
+        const row = toSnakeCaseKeys(plant);
+        return format === EXPORT_FORMAT.CSV ? { ...row, region_ids: row.regions.map(({ id }) => id) } : row;
+    };
+    await exportPlants(toPlantFilters(req.sanitizedQuery), sorting, includeDeleted === true,
+        plants => writer.writeRows(plants.map(toRow)));
+    writer.end();
+};
+
 /**
  * @function fetchAllPlants
  * @get /plants
@@ -101,86 +326,90 @@ const deletePlantById = async (req, res) => {
  * @description Handles the retrieval of all plants from the database.
  * It fetches all plants and returns them in a JSON response with a success message.
  * If there are no plants, it returns an empty array.
+ * Plants are paginated by page number, or by cursor when a cursor or pagination_mode 'cursor' is given.
  * 
  * @param {Object} req - The request object containing query parameters for pagination and sorting.
  * @param {Object} req.sanitizedQuery - The sanitized query parameters including filters, pagination, and sorting.
- * @param {string} req.sanitizedQuery.category - The category of the plant (optional).
- * @param {string} req.sanitizedQuery.growth_cycle - The growth cycle of the plant (optional).
- * @param {string} req.sanitizedQuery.growth_habit - The growth habit of the plant (optional).
- * @param {string} req.sanitizedQuery.ideal_season - The ideal season for the plant (optional).
- * @param {string} req.sanitizedQuery.purpose - The purpose of the plant (optional).
+ * @param {Array<string>} req.sanitizedQuery.category - The categories of the plant, any of them (optional).
+ * @param {Array<string>} req.sanitizedQuery.growth_cycle - The growth cycles of the plant, any of them (optional).
+ * @param {Array<string>} req.sanitizedQuery.growth_habit - The growth habits of the plant, any of them (optional).
+ * @param {Array<string>} req.sanitizedQuery.ideal_season - The ideal seasons for the plant, any of them (optional).
+ * @param {Array<string>} req.sanitizedQuery.purpose - The purposes of the plant, any of them (optional).
+ * @param {Array<string>} req.sanitizedQuery.common_names - The common names of the plant (optional).
+ * @param {string} req.sanitizedQuery.common_names_mode - Whether the plant must have 'all' or 'any' of the common names (optional, default is 'all').
+ * @param {Array<string>} req.sanitizedQuery.common_pest - The names of the pests affecting the plant, any of them (optional).
+ * @param {Array<string>} req.sanitizedQuery.region_id - The regions the plant grows in, any of them including the regions within them (optional).
+ * @param {Array<string>} req.sanitizedQuery.tags - The tags of the plant (optional).
+ * @param {string} req.sanitizedQuery.tags_mode - Whether the plant must have 'all' or 'any' of the tags (optional, default is 'all').
  * @param {number} req.sanitizedQuery.limit - The maximum number of plants to return per page (optional).
  * @param {number} req.sanitizedQuery.page - The current page number for pagination (optional).
+ * @param {string} req.sanitizedQuery.pagination_mode - 'cursor' for cursor pagination (optional, default is 'page').
+ * @param {string} req.sanitizedQuery.cursor - The next_cursor or prev_cursor of a page, for cursor pagination (optional).
  * @param {string} req.sanitizedQuery.sort_by - The field to sort by (optional, default is 'createdAt').
  * @param {string} req.sanitizedQuery.sort_order - The order of sorting (optional, default is 'asc').
+ * @param {boolean} req.sanitizedQuery.include_deleted - Whether to include soft deleted plants (optional, default is false).
  * @param {Object} res - The response object used to send the response back to the client.
  * @return {Object} - Returns a JSON response with the list of plants, pagination metadata, and a success message.
- * If an error occurs, it returns a 500 status code with an error message.
+ * @throws {ValidationError} - Throws a validation error if the cursor is invalid.
  */
 const fetchAllPlants = async (req, res) => {
-    try {
-        let { category, growth_cycle: growthCycle, growth_habit: growthHabit,
-            ideal_season: idealSeason, purpose, limit, page, sort_by: sortBy, sort_order: sortOrder } = req.sanitizedQuery;
-        const DEFAULT_LIMIT = 10, MAX_LIMIT = 100, DEFAULT_PAGE = 1 ; // Default pagination values
-        const SORT_PARAMS = ["name", "created_at"], DEFAULT_SORT_BY = "created_at", DEFAULT_SORT_ORDER = "asc"; // Default sorting values 
-        /** 
-         * Validations: Pagination
-         *
-         * If limit and page are provided, use them to paginate results else use default values
-         * limit: Maximum number of plants to return per page
-         * page: Current page number for pagination
-         *
-         * Ensure limit is at least 1 and page is at least 1
-         * Also ensure max limit is 1000 and max page is 1000
-         * This prevents excessive load on the server and ensures reasonable pagination
-         * If limit or page is not provided, use default values
-         * Default limit is 10 and default page is 1
-         *
-         * Note: Here validations are just incase you miss express validations to apply as middleware in routes
-         * so that you can still use this controller handler function without any issues, so that the 
-         * below validations comes in handy.
-         */
-        limit = Math.min(MAX_LIMIT, Math.max(DEFAULT_LIMIT, parseInt(limit, 10) || DEFAULT_LIMIT));
-        page = Math.max(DEFAULT_PAGE, parseInt(page, 10) || DEFAULT_PAGE);
-
-        /**
-         * Validations: Sorting
-         *
-         * If sortBy and sortOrder are provided, use them to sort results else use default values
-         * sortBy: Field to sort by (default is created_at)
-         * sortOrder: Order to sort by (default is asc)
-         * Ensure sortBy is one of the allowed fields and sortOrder is either asc or desc
-         *
-         * Note: Here validations are just incase you miss express validations to apply as middleware in routes
-         * so that you can still use this controller handler function without any issues, so that the 
-         * below validations comes in handy.
-         */
-        if (!sortBy || (sortBy && !SORT_PARAMS.includes(sortBy))) sortBy = DEFAULT_SORT_BY;
-        if (!sortOrder || (sortOrder && !["asc", "desc"].includes(String(sortOrder).toLowerCase()))) sortOrder = DEFAULT_SORT_ORDER;
-
-        /**
-         * Filtering
-         *
-         * If filters parameters are provided, use them to filter results
-         * category: Category of the plant (optional)
-         * growthCycle: Growth cycle of the plant (optional)
-         * growthHabit: Growth habit of the plant (optional)
-         * idealSeason: Ideal season for the plant (optional)
-         * purpose: Purpose of the plant (optional)
-         */
-        let filters = {};
-        if (category) filters.category = category;
-        if (growthCycle) filters.growthCycle = growthCycle;
-        if (growthHabit) filters.growthHabit = growthHabit;
-        if (idealSeason) filters.idealSeason = idealSeason;
-        if (purpose) filters.purpose = purpose;
-
-        // Fetch all plants with pagination, sorting and filtering
-        const result = await getAllPlants({ limit, page }, { sortBy, sortOrder }, filters);
-        return res.status(200).json({ ...toSnakeCaseKeys(result), message: "Retrieved all plants successfully" });
-    } catch (error) {
-        return res.status(500).json({ message: error.message });        
+    let { limit, page, cursor, pagination_mode: paginationMode, sort_by: sortBy, sort_order: sortOrder,
+        include_deleted: includeDeleted } = req.sanitizedQuery;
+    const DEFAULT_LIMIT = 10, MAX_LIMIT = 100, DEFAULT_PAGE = 1 ; // Default pagination values
+    const SORT_PARAMS = ["name", "created_at"], DEFAULT_SORT_BY = "created_at", DEFAULT_SORT_ORDER = "asc"; // Default sorting values 
+    /** 
+     * Validations: Pagination
+     *
+     * If limit and page are provided, use them to paginate results else use default values
+     * limit: Maximum number of plants to return per page
+     * page: Current page number for pagination
+     *
+     * Ensure limit is at least 1 and page is at least 1
+     * Also ensure max limit is 1000 and max page is 1000
+     * This prevents excessive load on the server and ensures reasonable pagination
+     * If limit or page is not provided, use default values
+     * Default limit is 10 and default page is 1
+     *
+     * Note: Here validations are just incase you miss express validations to apply as middleware in routes
+     * so that you can still use this controller handler function without any issues, so that the 
+     * below validations comes in handy.
+     */
+    limit = Math.min(MAX_LIMIT, Math.max(DEFAULT_LIMIT, parseInt(limit, 10) || DEFAULT_LIMIT));
+    page = Math.max(DEFAULT_PAGE, parseInt(page, 10) || DEFAULT_PAGE);
+
+    /**
+     * Validations: Sorting
+     *
+     * If sortBy and sortOrder are provided, use them to sort results else use default values
+     * sortBy: Field to sort by (default is created_at)
+     * sortOrder: Order to sort by (default is asc)
+     * Ensure sortBy is one of the allowed fields and sortOrder is either asc or desc
+     *
+     * Note: Here validations are just incase you miss express validations to apply as middleware in routes
+     * so that you can still use this controller handler function without any issues, so that the 
+     * below validations comes in handy.
+     */
+    if (!sortBy || (sortBy && !SORT_PARAMS.includes(sortBy))) sortBy = DEFAULT_SORT_BY;
+    if (!sortOrder || (sortOrder && !["asc", "desc"].includes(String(sortOrder).toLowerCase()))) sortOrder = DEFAULT_SORT_ORDER;
+
+    /**
+     * Pagination mode
+     *
+     * A cursor or pagination_mode 'cursor' switches to cursor pagination, else page pagination is used
+     * The cursor carries the sorting of the list it was returned with, so it overrides sort_by and sort_order
+     */
+    let pagination = { limit, page };
+    if (cursor || paginationMode === "cursor") {
+        const decodedCursor = cursor ? decodeCursor(cursor) : null;
+        if (cursor && !SORT_PARAMS.includes(decodedCursor?.sortBy)) throw new ValidationError("Invalid cursor");
+        if (decodedCursor) ({ sortBy, sortOrder } = decodedCursor);
+        pagination = { mode: "cursor", cursor: decodedCursor, limit };
     }
+
+    // Fetch all plants with pagination, sorting and filtering
+    const filters = toPlantFilters(req.sanitizedQuery);
+    const result = await getAllPlants(pagination, { sortBy, sortOrder }, filters, includeDeleted === true);
+    return res.status(200).json({ ...toSnakeCaseKeys(result), message: "Retrieved all plants successfully" });
 };
 
 /**
@@ -193,21 +422,300 @@ const fetchAllPlants = async (req, res) => {
  *
  * @param {Object} req - The request object containing the plant ID in the path parameters.
  * @param {string} req.params.plant_id - The ID of the plant to be fetched.
+ * @param {boolean} req.sanitizedQuery.include_deleted - Whether to look up soft deleted plants (optional, default is false).
  * @param {Object} res - The response object used to send the response back to the client.
  * @return {Object} - Returns a JSON response with the plant details or an error message.
  */
 const fetchPlantById = async (req, res) => {
     // Get plant id from path params
     const plantId = req.params["plant_id"];
+    const { include_deleted: includeDeleted } = req.sanitizedQuery ?? {};
     // Get plant details by its id
-    try {
-        const plant = await getPlantById(plantId);
-        const message = plant ? "Retrieved plant details successfully" : "Plant details not found";
-        const statusCode = plant ? 200 : 404;
-        return res.status(statusCode).json({ data: toSnakeCaseKeys(plant), message });
-    } catch (error) {
-        return res.status(500).json({ message: error.message });        
+    const plant = await getPlantById(plantId, includeDeleted === true);
+    if (!plant) throw new NotFoundError("Plant details not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(plant), message: "Retrieved plant details successfully" });
+};
+
+/**
+ * @function fetchPlantCompanions
+ * @get /plants/plant_id/companions
+ *
+ * @description Handles the retrieval of the plants related to a plant as companions or antagonists.
+ * If the plant is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plant ID in the path parameters.
+ * @param {string} req.params.plant_id - The ID of the plant.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the list of related plants or an error message.
+ */
+const fetchPlantCompanions = async (req, res) => {
+    const plantId = req.params["plant_id"];
+    const companions = await getPlantCompanions(plantId);
+    if (!companions) throw new NotFoundError("Plant details not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(companions), message: "Retrieved companions of the plant successfully" });
+};
+
+/**
+ * @function fetchPlantFertilizerPlan
+ * @get /plants/plant_id/fertilizer-plan
+ *
+ * @description Handles building the fertilizer plan of a plant from the fertilizers recommended for it.
+ * When a soil_id is given, the application rate of each fertilizer is adjusted to the nutrient level
+ * and organic matter level of the soil.
+ * If the plant is not found, it returns a 404 status code and if the soil is not found,
+ * it returns a 400 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plant ID in the path parameters.
+ * @param {string} req.params.plant_id - The ID of the plant.
+ * @param {string} req.sanitizedQuery.soil_id - The ID of the soil to adjust the plan to (optional).
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the fertilizer plan and a success message.
+ */
+const fetchPlantFertilizerPlan = async (req, res) => {
+    const plantId = req.params["plant_id"];
+    const { soil_id: soilId } = req.sanitizedQuery ?? {};
+    let soil = null;
+    if (soilId) {
+        soil = await getSoilById(soilId);
+        if (!soil) throw new ValidationError("Soil not found for soil_id");
     }
+    const plan = await getPlantFertilizerPlan(plantId, soil);
+    if (!plan) throw new NotFoundError("Plant details not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(plan), message: "Built fertilizer plan of the plant successfully" });
+};
+
+/**
+ * @function fetchPlantFertilizers
+ * @get /plants/plant_id/fertilizers
+ *
+ * @description Handles the retrieval of the fertilizers recommended for a plant along with the notes on each fertilizer for the plant.
+ * If the plant is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plant ID in the path parameters.
+ * @param {string} req.params.plant_id - The ID of the plant.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the list of fertilizers or an error message.
+ */
+const fetchPlantFertilizers = async (req, res) => {
+    const plantId = req.params["plant_id"];
+    const fertilizers = await getPlantFertilizers(plantId);
+    if (!fertilizers) throw new NotFoundError("Plant details not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(fertilizers), message: "Retrieved fertilizers of the plant successfully" });
+};
+
+/**
+ * @function fetchPlantGrowthStages
+ * @get /plants/plant_id/growth-stages
+ *
+ * @description Handles the retrieval of the growth stages of a plant sorted by their order.
+ * The min and max days of each growth stage are the plant specific values when overridden for the plant.
+ * If the plant is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plant ID in the path parameters.
+ * @param {string} req.params.plant_id - The ID of the plant.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the list of growth stages or an error message.
+ */
+const fetchPlantGrowthStages = async (req, res) => {
+    const plantId = req.params["plant_id"];
+    const growthStages = await getPlantGrowthStages(plantId);
+    if (!growthStages) throw new NotFoundError("Plant details not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(growthStages), message: "Retrieved growth stages of the plant successfully" });
+};
+
+/**
+ * @function fetchPlantPests
+ * @get /plants/plant_id/pests
+ *
+ * @description Handles the retrieval of the pests affecting a plant along with the notes on each pest for the plant.
+ * If the plant is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plant ID in the path parameters.
+ * @param {string} req.params.plant_id - The ID of the plant.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the list of pests or an error message.
+ */
+const fetchPlantPests = async (req, res) => {
+    const plantId = req.params["plant_id"];
+    const pests = await getPlantPests(plantId);
+    if (!pests) throw new NotFoundError("Plant details not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(pests), message: "Retrieved pests of the plant successfully" });
+};
+
+/**
+ * @function fetchPlantSoils
+ * @get /plants/plant_id/soils
+ *
+ * @description Handles the retrieval of the soils compatible with a plant.
+ * Each soil comes with the suitability rating and notes of its link to the plant.
+ * If the plant is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plant ID in the path parameters.
+ * @param {string} req.params.plant_id - The ID of the plant.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the list of soils or an error message.
+ */
+const fetchPlantSoils = async (req, res) => {
+    const plantId = req.params["plant_id"];
+    const soils = await getPlantSoils(plantId);
+    if (!soils) throw new NotFoundError("Plant details not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(soils), message: "Retrieved soils of the plant successfully" });
+};
+
+/**
+ * @function fetchPlantTimeline
+ * @get /plants/plant_id/timeline
+ *
+ * @description Handles the projection of the growth stage timeline of a plant from a sow date.
+ * It returns the earliest and latest start and end dates of each growth stage and the expected harvest window.
+ * If the plant is not found, it returns a 404 status code and if the plant has no growth stages,
+ * it returns a 400 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plant ID in the path parameters.
+ * @param {string} req.params.plant_id - The ID of the plant.
+ * @param {string} req.sanitizedQuery.sow_date - The sow date in YYYY-MM-DD format (optional, default is today).
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the projected timeline and a success message.
+ */
+const fetchPlantTimeline = async (req, res) => {
+    const plantId = req.params["plant_id"];
+    const { sow_date: sowDate = new Date().toISOString().slice(0, 10) } = req.sanitizedQuery ?? {};
+    const timeline = await getPlantTimeline(plantId, sowDate);
+    if (!timeline) throw new NotFoundError("Plant details not found");
+    if (timeline.stages.length === 0) throw new ValidationError("Plant has no growth stages to project a timeline");
+    return res.status(200).json({ data: toSnakeCaseKeys(timeline), message: "Projected timeline of the plant successfully" });
+};
+
+/**
+ * @function fetchSuitableSoils
+ * @get /plants/plant_id/suitable-soils
+ *
+ * @description Handles the retrieval of all soils ranked by how well they match the soil preferences of a plant
+ * (pH range, drainage and water retention level), with the score breakdown per criterion.
+ * If the plant is not found, it returns a 404 status code and if the plant has no soil preferences,
+ * it returns a 400 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plant ID in the path parameters.
+ * @param {string} req.params.plant_id - The ID of the plant.
+ * @param {number} req.sanitizedQuery.limit - The maximum number of soils to return per page (optional).
+ * @param {number} req.sanitizedQuery.page - The current page number for pagination (optional).
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the ranked soils, pagination metadata, and a success message.
+ */
+const fetchSuitableSoils = async (req, res) => {
+    const plantId = req.params["plant_id"];
+    let { limit, page } = req.sanitizedQuery ?? {};
+    const DEFAULT_LIMIT = 10, MAX_LIMIT = 100, DEFAULT_PAGE = 1; // Default pagination values
+    limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+    page = Math.max(DEFAULT_PAGE, parseInt(page, 10) || DEFAULT_PAGE);
+    const plant = await getPlantById(plantId);
+    if (!plant) throw new NotFoundError("Plant details not found");
+    const { phMax, phMin, preferredDrainage, preferredWaterRetentionLevel } = plant;
+    if ((phMin == null || phMax == null) && !preferredDrainage && !preferredWaterRetentionLevel) {
+        throw new ValidationError("Plant has no soil preferences to match soils with");
+    }
+    const result = await getSuitableSoils(plant, { limit, page });
+    return res.status(200).json({ ...toSnakeCaseKeys(result), message: "Retrieved suitable soils of the plant successfully" });
+};
+
+/**
+ * @function importAllPlants
+ * @post /plants/import
+ *
+ * @description Handles importing plants in bulk from a JSON array or CSV text, upserting each row by the plant name.
+ * Each row is validated like the body of createPlant. With dry_run=true, it returns the report of what importing
+ * would do to each row without saving anything. Otherwise all the rows are saved in a single transaction,
+ * and if any row is invalid nothing is saved and it returns a 400 status code with the errors of each row.
+ *
+ * @param {Object} req - The request object containing the validated rows in importRows.
+ * @param {boolean} req.sanitizedQuery.dry_run - Whether to only report on the rows without saving them (optional).
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the import report: applied, summary and the status of each row.
+ */
+const importAllPlants = async (req, res) => {
+    const { dry_run: dryRun = false } = req.sanitizedQuery ?? {};
+    const rows = req.importRows.map(({ body, errors, row }) =>
+        ({ errors, name: body.name, row, ...(errors.length === 0 && toPlantDetails(body)) }));
+    const report = await importPlants(rows, dryRun);
+    if (!dryRun && !report.applied) throw new ValidationError("Import has invalid rows, no plants were saved", toImportErrors(report));
+    const message = dryRun ? "Checked import, no plants were saved" : "Imported successfully";
+    return res.status(200).json({ data: toSnakeCaseKeys({ dryRun, ...report }), message });
+};
+
+/**
+ * @function purgePlantById
+ * @delete /plants/plant_id/purge
+ *
+ * @description Handles the permanent deletion of a plant by its ID.
+ * Unlike deletePlantById, this removes the plant row even if it was already soft deleted and it cannot be restored.
+ * If the plant is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plant ID in the path parameters.
+ * @param {string} req.params.plant_id - The ID of the plant to be purged.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a response with statusCode as 204.
+ * @throws {ValidationError} - Throws a validation error if the ID is missing.
+ * @throws {NotFoundError} - Throws a not found error if the plant is not found.
+ */
+const purgePlantById = async (req, res) => {
+    const plantId = req.params["plant_id"];
+    if (!plantId) throw new ValidationError("Required ID of the plant");
+    const plant = await getPlantById(plantId, true);
+    if (!plant) throw new NotFoundError("Plant details not found");
+    // Remove plant permanently from DB
+    await purgePlant(plantId);
+    return res.status(204).end();
+};
+
+/**
+ * @function restorePlantById
+ * @post /plants/plant_id/restore
+ *
+ * @description Handles the restoration of a soft deleted plant by its ID.
+ * If the plant is not found, it returns a 404 status code and if the plant is not deleted,
+ * it returns a 409 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plant ID in the path parameters.
+ * @param {string} req.params.plant_id - The ID of the plant to be restored.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the restored plant details and a success message if successful.
+ * @throws {ValidationError} - Throws a validation error if the ID is missing.
+ * @throws {NotFoundError} - Throws a not found error if the plant is not found.
+ * @throws {ConflictError} - Throws a conflict error if the plant is not deleted.
+ */
+const restorePlantById = async (req, res) => {
+    const plantId = req.params["plant_id"];
+    if (!plantId) throw new ValidationError("Required ID of the plant");
+    const plant = await getPlantById(plantId, true);
+    if (!plant) throw new NotFoundError("Plant details not found");
+    if (!plant.deletedAt) throw new ConflictError("Plant is not deleted");
+    const restoredPlant = await restorePlant(plantId);
+    return res.status(200).json({ data: toSnakeCaseKeys(restoredPlant), message: "Restored successfully" });
+};
+
+/**
+ * @function searchAllPlants
+ * @get /plants/search
+ *
+ * @description Handles searching plants by text across their name, scientific name, common names and tags.
+ * Plants are matched with full-text search and trigram similarity, so typos like 'tomatoe' still find tomato,
+ * and are returned ranked by relevance with the same pagination metadata as fetching all plants.
+ *
+ * @param {Object} req - The request object containing the query parameters.
+ * @param {string} req.sanitizedQuery.q - The text to search plants by.
+ * @param {number} req.sanitizedQuery.limit - The maximum number of plants to return per page (optional).
+ * @param {number} req.sanitizedQuery.page - The current page number for pagination (optional).
+ * @param {boolean} req.sanitizedQuery.include_deleted - Whether to include soft deleted plants (optional, default is false).
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the matching plants, pagination metadata, and a success message.
+ */
+const searchAllPlants = async (req, res) => {
+    let { q: searchText, limit, page, include_deleted: includeDeleted } = req.sanitizedQuery ?? req.query;
+    const DEFAULT_LIMIT = 10, MAX_LIMIT = 100, DEFAULT_PAGE = 1; // Default pagination values
+    limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+    page = Math.max(DEFAULT_PAGE, parseInt(page, 10) || DEFAULT_PAGE);
+    const result = await searchPlants(searchText, { limit, page }, includeDeleted === true);
+    return res.status(200).json({ ...toSnakeCaseKeys(result), message: "Searched plants successfully" });
 };
 
 /**
@@ -221,49 +729,210 @@ const fetchPlantById = async (req, res) => {
  * @param {Object} req - The request object containing the plant details in the body.
  * @param {string} req.params.plant_id - The ID of the plant which needs to be updated.
  * @param {Object} res - The response object used to send the response back to the client.
- * @return {Object} - Returns a JSON response with the updated plant details and a success message if successful,
- * or null if no plant found for the given ID or an error message with a 500 status code if the updation fails.
+ * @return {Object} - Returns a JSON response with the updated plant details and a success message if successful.
+ * @throws {ValidationError} - Throws a validation error if the ID is missing, the body is missing or has no details
+ * to update, ph_min is greater than ph_max, or a growth stage or a region of the plant is not found.
+ * @throws {NotFoundError} - Throws a not found error if the plant is not found.
  */
 const updatePlantDetailsById = async (req, res) => {
-    const updatePlantDetailParams = ["common_names", "common_pests", "compatible_plants", "growth_stages",
-        "recommended_fertilizers", "region_compatibility", "scientific_name", "tags"];
+    const updatePlantDetailParams = ["common_names", "growth_stages",
+        "ph_max", "ph_min", "preferred_drainage", "preferred_water_retention_level",
+        "region_ids", "scientific_name", "tags"];
     let plantDetails = {};
     // Get plantId from request params
     const plantId = req.params["plant_id"];
-    if (!plantId) return res.status(400).json({ message: "Required ID of the plant" });
+    if (!plantId) throw new ValidationError("Required ID of the plant");
 
     const body = req.body;
-    if (!body) return res.status(400).json({ message: "Required body" });
+    if (!body) throw new ValidationError("Required body");
     // Check valid params for patch update
     const bodyParams = Object.keys(req.body);
-    if (bodyParams.length === 0 || !bodyParams.some(param => updatePlantDetailParams.includes(param))) return res.status(400).json({ message: "No details to update" });
+    if (bodyParams.length === 0 || !bodyParams.some(param => updatePlantDetailParams.includes(param))) throw new ValidationError("No details to update");
     console.debug("Body received for update:", body);
     console.debug("Path param plantId received for update:", plantId);
 
     // Destructure the plant details from the request body
-    const { common_names: commonNames, common_pests: commonPests, compatible_plants: compatiblePlants,
-        growth_stages: growthStages, recommended_fertilizers: recommendedFertilizers,
-        region_compatibility: regionCompatibility, scientific_name: scientificName, tags } = body;
+    const { common_names: commonNames,
+        growth_stages: growthStages, ph_max: phMax, ph_min: phMin, preferred_drainage: preferredDrainage,
+        preferred_water_retention_level: preferredWaterRetentionLevel,
+        region_ids: regionIds, scientific_name: scientificName, tags } = body;
     
     // Pass details to be updated of the plant to an object
     if (commonNames) plantDetails.commonNames = commonNames;
-    if (commonPests) plantDetails.commonPests = commonPests;
-    if (compatiblePlants) plantDetails.compatiblePlants = compatiblePlants;
-    if (growthStages) plantDetails.growthStages = growthStages;
-    if (recommendedFertilizers) plantDetails.recommendedFertilizers = recommendedFertilizers;
-    if (regionCompatibility) plantDetails.regionCompatibility = regionCompatibility;
     if (scientificName) plantDetails.scientificName = scientificName;
     if (tags) plantDetails.tags = tags;
+    if (phMax != null) plantDetails.phMax = phMax;
+    if (phMin != null) plantDetails.phMin = phMin;
+    if (preferredDrainage) plantDetails.preferredDrainage = preferredDrainage;
+    if (preferredWaterRetentionLevel) plantDetails.preferredWaterRetentionLevel = preferredWaterRetentionLevel;
 
     // Update details to DB
-    try {
-        const plant = await updatePlantDetails(plantId, plantDetails);
-        if (!plant) return res.status(404).send({ data: null, message: "Plant not found" });
-        return res.status(200).send({ data: toSnakeCaseKeys(plant), message: "Updated successfully" });
-    } catch (error) {
-        return res.status(500).json({ message: error.message });        
+    /**
+     * Validation for ph_min and ph_max
+     * Always ph_min <= ph_max
+     * Comparison wrt previously saved DB values when only one of them is given
+     */
+    if ((phMin != null) !== (phMax != null)) {
+        const savedPlant = await getPlantById(plantId);
+        if (!savedPlant) throw new NotFoundError("Plant not found");
+        const newPhMin = phMin ?? savedPlant.phMin, newPhMax = phMax ?? savedPlant.phMax;
+        if (newPhMin != null && newPhMax != null && newPhMin > newPhMax) {
+            throw new ValidationError("ph_min must be less than or equal to ph_max");
+        }
+    }
+
+    // Resolve growth stage names to the growth stage catalog
+    let resolvedGrowthStages;
+    if (growthStages) {
+        const { growthStages: resolved, missingNames } = await resolveGrowthStages(growthStages
+            .map(({ max_days: maxDays, min_days: minDays, name }) => ({ maxDays, minDays, name })));
+        if (missingNames.length) throw new ValidationError(`Growth stage(s) not found: ${missingNames.join(", ")}`);
+        resolvedGrowthStages = resolved;
+    }
+    if (regionIds?.length) {
+        const missingRegionIds = await findMissingRegionIds(regionIds);
+        if (missingRegionIds.length) throw new ValidationError(`Region(s) not found: ${missingRegionIds.join(", ")}`);
     }
+    const plant = await updatePlantDetails(plantId, plantDetails, resolvedGrowthStages, regionIds);
+    if (!plant) throw new NotFoundError("Plant not found");
+    return res.status(200).send({ data: toSnakeCaseKeys(plant), message: "Updated successfully" });
+};
+
+/**
+ * @function upsertPlantCompanionById
+ * @put /plants/plant_id/companions/companion_id
+ *
+ * @description Handles relating a plant to another plant as companions or antagonists with a reason.
+ * The relationship is symmetric, and if it already exists, it is updated with the given details.
+ * If the plant or the related plant is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the relationship details in the body.
+ * @param {string} req.params.plant_id - The ID of the plant.
+ * @param {string} req.params.companion_id - The ID of the related plant.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the saved relationship, with 201 status code if created or 200 if updated.
+ * @throws {ValidationError} - Throws a validation error if the body is missing.
+ * @throws {NotFoundError} - Throws a not found error if the plant or the companion plant is not found.
+ */
+const upsertPlantCompanionById = async (req, res) => {
+    const { companion_id: companionId, plant_id: plantId } = req.params;
+    if (!req.body) throw new ValidationError("Required body");
+    const { reason, relationship } = req.body;
+
+    let plantCompanionDetails = { relationship };
+    if (reason) plantCompanionDetails.reason = reason;
+
+    const plant = await getPlantById(plantId);
+    if (!plant) throw new NotFoundError("Plant details not found");
+    const companion = await getPlantById(companionId);
+    if (!companion) throw new NotFoundError("Companion plant not found");
+    // Save relationship details to DB
+    const { plantCompanion, created } = await savePlantCompanion(plantId, companionId, plantCompanionDetails);
+    const message = created ? "Created successfully" : "Updated successfully";
+    return res.status(created ? 201 : 200).json({ data: toSnakeCaseKeys(plantCompanion), message });
+};
+
+/**
+ * @function upsertPlantFertilizerById
+ * @put /plants/plant_id/fertilizers/fertilizer_id
+ *
+ * @description Handles recommending a fertilizer for a plant with notes.
+ * If the link already exists, it is updated with the given details.
+ * If the plant or the fertilizer is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the link details in the body.
+ * @param {string} req.params.plant_id - The ID of the plant.
+ * @param {string} req.params.fertilizer_id - The ID of the fertilizer.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the saved link, with 201 status code if created or 200 if updated.
+ * @throws {NotFoundError} - Throws a not found error if the plant or the fertilizer is not found.
+ */
+const upsertPlantFertilizerById = async (req, res) => {
+    const { fertilizer_id: fertilizerId, plant_id: plantId } = req.params;
+    const { notes } = req.body ?? {};
+
+    let plantFertilizerDetails = {};
+    if (notes) plantFertilizerDetails.notes = notes;
+
+    const plant = await getPlantById(plantId);
+    if (!plant) throw new NotFoundError("Plant details not found");
+    const fertilizer = await getFertilizerById(fertilizerId);
+    if (!fertilizer) throw new NotFoundError("Fertilizer not found");
+    // Save link details to DB
+    const { plantFertilizer, created } = await savePlantFertilizer(plantId, fertilizerId, plantFertilizerDetails);
+    const message = created ? "Created successfully" : "Updated successfully";
+    return res.status(created ? 201 : 200).json({ data: toSnakeCaseKeys(plantFertilizer), message });
+};
+
+/**
+ * @function upsertPlantPestById
+ * @put /plants/plant_id/pests/pest_id
+ *
+ * @description Handles linking a pest to a plant it affects with notes.
+ * If the link already exists, it is updated with the given details.
+ * If the plant or the pest is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the link details in the body.
+ * @param {string} req.params.plant_id - The ID of the plant.
+ * @param {string} req.params.pest_id - The ID of the pest.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the saved link, with 201 status code if created or 200 if updated.
+ * @throws {NotFoundError} - Throws a not found error if the plant or the pest is not found.
+ */
+const upsertPlantPestById = async (req, res) => {
+    const { pest_id: pestId, plant_id: plantId } = req.params;
+    const { notes } = req.body ?? {};
+
+    let plantPestDetails = {};
+    if (notes) plantPestDetails.notes = notes;
+
+    const plant = await getPlantById(plantId);
+    if (!plant) throw new NotFoundError("Plant details not found");
+    const pest = await getPestById(pestId);
+    if (!pest) throw new NotFoundError("Pest not found");
+    // Save link details to DB
+    const { plantPest, created } = await savePlantPest(plantId, pestId, plantPestDetails);
+    const message = created ? "Created successfully" : "Updated successfully";
+    return res.status(created ? 201 : 200).json({ data: toSnakeCaseKeys(plantPest), message });
+};
+
+/**
+ * @function upsertPlantSoilById
+ * @put /plants/plant_id/soils/soil_id
+ *
+ * @description Handles linking a soil to a plant with a suitability rating and notes.
+ * If the link already exists, it is updated with the given details.
+ * If the plant or the soil is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the link details in the body.
+ * @param {string} req.params.plant_id - The ID of the plant.
+ * @param {string} req.params.soil_id - The ID of the soil.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the saved link, with 201 status code if created or 200 if updated.
+ * @throws {ValidationError} - Throws a validation error if the body is missing.
+ * @throws {NotFoundError} - Throws a not found error if the plant or the soil is not found.
+ */
+const upsertPlantSoilById = async (req, res) => {
+    const { plant_id: plantId, soil_id: soilId } = req.params;
+    if (!req.body) throw new ValidationError("Required body");
+    const { notes, suitability } = req.body;
+
+    let plantSoilDetails = { suitability };
+    if (notes) plantSoilDetails.notes = notes;
+
+    const plant = await getPlantById(plantId);
+    if (!plant) throw new NotFoundError("Plant details not found");
+    const soil = await getSoilById(soilId);
+    if (!soil) throw new NotFoundError("Soil not found");
+    // Save link details to DB
+    const { plantSoil, created } = await savePlantSoil(plantId, soilId, plantSoilDetails);
+    const message = created ? "Created successfully" : "Updated successfully";
+    return res.status(created ? 201 : 200).json({ data: toSnakeCaseKeys(plantSoil), message });
 };
 
 // Export the controller handler functions for use in the routes
-module.exports = { createPlant, deletePlantById, fetchAllPlants, fetchPlantById, updatePlantDetailsById };
+module.exports = { checkCompanions, createPlant, deletePlantById, deletePlantCompanionById, deletePlantFertilizerById,
+    deletePlantPestById, deletePlantSoilById, exportAllPlants, fetchAllPlants, fetchPlantById, fetchPlantCompanions,
+    fetchPlantFertilizerPlan, fetchPlantFertilizers, fetchPlantGrowthStages, fetchPlantPests, fetchPlantSoils, fetchPlantTimeline, fetchSuitableSoils,
+    importAllPlants, purgePlantById, restorePlantById, searchAllPlants, updatePlantDetailsById, upsertPlantCompanionById,
+    upsertPlantFertilizerById, upsertPlantPestById, upsertPlantSoilById };
@@ -0,0 +1,226 @@
+// src/api/controllers/planting-controller.js
+
+/**
+ * @module planting-controller
+ * Ecospace Planting Controller
+ *
+ * @description This module defines the controller for handling planting related requests in the Ecospace backend.
+ * It includes functions for creating a planting, fetching all plantings, fetching a planting by its ID,
+ * advancing a planting to its next growth stage, fetching the growth stage history of a planting,
+ * projecting the growth stage timeline of a planting from its sow date, and deleting a planting.
+ * A planting goes through the growth stages linked to its plant, in the growth stage order.
+ *
+ * @requires ../../utils/common
+ * @requires ../services/plant-service
+ * @requires ../services/planting-service
+ * @requires ../services/plot-service
+ * @requires ../../utils/errors
+ * @exports { advancePlantingById, createPlanting, deletePlantingById, fetchAllPlantings, fetchPlantingById,
+ * fetchPlantingStages, fetchPlantingTimeline }
+ */
+
+// Custom module imports
+const { toSnakeCaseKeys } = require("../../utils/common");
+const { ConflictError, NotFoundError, ValidationError } = require("../../utils/errors");
+const { getPlantById, getPlantGrowthStages, getPlantTimeline } = require("../services/plant-service");
+const { advancePlanting, getAllPlantings, getPlantingById, getPlantingStageHistory, removePlanting,
+    savePlanting } = require("../services/planting-service");
+const { getPlotById } = require("../services/plot-service");
+
+/**
+ * @function advancePlantingById
+ * @post /plantings/:planting_id/advance
+ *
+ * @description Handles moving a planting to the next growth stage of its plant by the growth stage order,
+ * and records the time of the transition.
+ * If the planting is not found, it returns a 404 status code, and if the planting is already in the
+ * final growth stage of its plant, or is advanced by another request at the same time, it returns a 409 status code.
+ *
+ * @param {Object} req - The request object containing the planting ID in the path parameters.
+ * @param {string} req.params.planting_id - The ID of the planting.
+ * @param {Date} req.body.transitioned_at - The time the planting entered the next growth stage (optional, default is now).
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the updated planting and a success message.
+ * @throws {ValidationError} - Throws a validation error if transitioned_at is not after the time the current
+ * growth stage was entered.
+ * @throws {NotFoundError} - Throws a not found error if the planting is not found.
+ * @throws {ConflictError} - Throws a conflict error if the planting is already in the final growth stage,
+ * or another request advanced it first.
+ */
+const advancePlantingById = async (req, res) => {
+    const plantingId = req.params["planting_id"];
+    const transitionedAt = req.body?.transitioned_at ?? new Date();
+    const planting = await getPlantingById(plantingId);
+    if (!planting) throw new NotFoundError("Planting not found");
+
+    // Find the next growth stage of the plant, the plant may have been soft deleted after sowing
+    const growthStages = await getPlantGrowthStages(planting.plantId, true) ?? [];
+    const nextGrowthStage = growthStages.find(({ order }) => order > planting.currentGrowthStage.order);
+    if (!nextGrowthStage) throw new ConflictError("Planting is already in the final growth stage");
+
+    // The transition can not happen before the current growth stage was entered
+    const stageHistory = await getPlantingStageHistory(plantingId, growthStages);
+    const currentStage = stageHistory[stageHistory.length - 1];
+    if (currentStage && transitionedAt <= new Date(currentStage.enteredAt)) {
+        throw new ValidationError("transitioned_at must be after the current growth stage was entered");
+    }
+
+    const updatedPlanting = await advancePlanting(plantingId, planting.currentGrowthStageId, nextGrowthStage.id, transitionedAt);
+    return res.status(200).json({ data: toSnakeCaseKeys(updatedPlanting), message: `Planting advanced to ${nextGrowthStage.name}` });
+};
+
+/**
+ * @function createPlanting
+ * @post /plantings
+ *
+ * @description Handles the creation of a new planting of a plant in a plot.
+ * The planting starts in the first growth stage of the plant, entered on the sow date.
+ * If the plot or plant is not found, or the plant has no growth stages, it returns a 400 status code.
+ *
+ * @param {Object} req - The request object containing the planting details in the body.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the saved planting object and a success message.
+ * @throws {ValidationError} - Throws a validation error if the body is missing, the plot or the plant is not found,
+ * or the plant has no growth stages.
+ */
+const createPlanting = async (req, res) => {
+    let plantingDetails = {};
+    if (!req.body) throw new ValidationError("Required body");
+    // Destructure the planting details from the request body
+    const { plant_id: plantId, plot_id: plotId, quantity, sow_date: sowDate } = req.body;
+
+    // Add values to the plantingDetails object
+    plantingDetails = { plantId, plotId, sowDate };
+    // Add optional properties if they exist
+    if (quantity) plantingDetails.quantity = quantity;
+
+    if (!(await getPlotById(null, plotId))) throw new ValidationError("Plot not found for plot_id");
+    if (!(await getPlantById(plantId))) throw new ValidationError("Plant not found for plant_id");
+
+    // The planting starts in the first growth stage of the plant
+    const [firstGrowthStage] = await getPlantGrowthStages(plantId);
+    if (!firstGrowthStage) throw new ValidationError("Plant has no growth stages to track");
+    plantingDetails.currentGrowthStageId = firstGrowthStage.id;
+
+    const planting = await savePlanting(plantingDetails);
+    return res.status(201).json({ data: toSnakeCaseKeys(planting), message: "Planting created successfully" });
+};
+
+/**
+ * @function deletePlantingById
+ * @delete /plantings/:planting_id
+ *
+ * @description Handles the deletion of a planting by its ID along with its growth stage history.
+ * If the planting is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the planting ID in the path parameters.
+ * @param {string} req.params.planting_id - The ID of the planting.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a response with statusCode as 204.
+ * @throws {NotFoundError} - Throws a not found error if the planting is not found.
+ */
+const deletePlantingById = async (req, res) => {
+    const plantingId = req.params["planting_id"];
+    const planting = await getPlantingById(plantingId);
+    if (!planting) throw new NotFoundError("Planting not found");
+    await removePlanting(plantingId);
+    return res.status(204).end();
+};
+
+/**
+ * @function fetchAllPlantings
+ * @get /plantings
+ *
+ * @description Handles the retrieval of all plantings with pagination, sorting and filtering by plant or plot.
+ *
+ * @param {Object} req - The request object containing query parameters for pagination, sorting and filtering.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the list of plantings, pagination metadata, and a success message.
+ */
+const fetchAllPlantings = async (req, res) => {
+    let { limit, page, plant_id: plantId, plot_id: plotId, sort_by: sortBy,
+        sort_order: sortOrder } = req.sanitizedQuery ?? req.query;
+    const DEFAULT_LIMIT = 10, MAX_LIMIT = 50, DEFAULT_PAGE = 1; // Default pagination values
+    const SORT_PARAMS = ["sow_date", "created_at"], DEFAULT_SORT_BY = "sow_date", DEFAULT_SORT_ORDER = "desc"; // Default sorting values
+
+    // Validations: Pagination and sorting, incase express validations are missed in routes
+    limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+    page = Math.max(DEFAULT_PAGE, parseInt(page, 10) || DEFAULT_PAGE);
+    if (!sortBy || !SORT_PARAMS.includes(sortBy)) sortBy = DEFAULT_SORT_BY;
+    if (!sortOrder || !["asc", "desc"].includes(String(sortOrder).toLowerCase())) sortOrder = DEFAULT_SORT_ORDER;
+
+    // Filtering
+    let filters = {};
+    if (plantId) filters.plantId = plantId;
+    if (plotId) filters.plotId = plotId;
+
+    const result = await getAllPlantings({ limit, page }, { sortBy, sortOrder }, filters);
+    return res.status(200).json({ ...toSnakeCaseKeys(result), message: "Retrieved all plantings successfully" });
+};
+
+/**
+ * @function fetchPlantingById
+ * @get /plantings/:planting_id
+ *
+ * @description Handles fetching a planting by its ID along with its plant, plot and current growth stage.
+ * If the planting is not found, it returns a 404 status code with a "Planting not found" message.
+ *
+ * @param {Object} req - The request object containing the planting ID in the parameters.
+ * @param {string} req.params.planting_id - The ID of the planting.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the planting object if found, or a 404 status code.
+ */
+const fetchPlantingById = async (req, res) => {
+    const { planting_id: plantingId } = req.params;
+    const planting = await getPlantingById(plantingId);
+    if (!planting) throw new NotFoundError("Planting not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(planting), message: "Planting fetched successfully" });
+};
+
+/**
+ * @function fetchPlantingStages
+ * @get /plantings/:planting_id/stages
+ *
+ * @description Handles the retrieval of the growth stage history of a planting.
+ * Each growth stage has the days the planting spent in it compared with the min and max days for its plant.
+ * If the planting is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the planting ID in the parameters.
+ * @param {string} req.params.planting_id - The ID of the planting.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the growth stage history of the planting and a success message.
+ */
+const fetchPlantingStages = async (req, res) => {
+    const { planting_id: plantingId } = req.params;
+    const planting = await getPlantingById(plantingId);
+    if (!planting) throw new NotFoundError("Planting not found");
+    const growthStages = await getPlantGrowthStages(planting.plantId, true) ?? [];
+    const stageHistory = await getPlantingStageHistory(plantingId, growthStages);
+    return res.status(200).json({ data: toSnakeCaseKeys(stageHistory), message: "Retrieved growth stage history of planting successfully" });
+};
+
+/**
+ * @function fetchPlantingTimeline
+ * @get /plantings/:planting_id/timeline
+ *
+ * @description Handles the projection of the growth stage timeline of a planting from its sow date.
+ * It returns the earliest and latest start and end dates of each growth stage of its plant and the expected harvest window.
+ * If the planting is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the planting ID in the parameters.
+ * @param {string} req.params.planting_id - The ID of the planting.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the projected timeline of the planting and a success message.
+ */
+const fetchPlantingTimeline = async (req, res) => {
+    const { planting_id: plantingId } = req.params;
+    const planting = await getPlantingById(plantingId);
+    if (!planting) throw new NotFoundError("Planting not found");
+    // The plant may have been soft deleted after sowing
+    const timeline = await getPlantTimeline(planting.plantId, planting.sowDate, true);
+    return res.status(200).json({ data: toSnakeCaseKeys(timeline), message: "Projected timeline of the planting successfully" });
+};
+
+// Export the controller handler functions to use in the routes
+module.exports = { advancePlantingById, createPlanting, deletePlantingById, fetchAllPlantings, fetchPlantingById,
+    fetchPlantingStages, fetchPlantingTimeline };
@@ -0,0 +1,180 @@
+// src/api/controllers/plot-controller.js
+
+/**
+ * @module plot-controller
+ * Ecospace Plot Controller
+ *
+ * @description This module defines the controller for handling plot related requests in the Ecospace backend.
+ * It includes functions for creating a plot in a garden, fetching all plots of a garden, fetching a plot by its ID,
+ * updating plot details, and deleting a plot.
+ * Every handler checks that the garden in the path exists before working on its plots.
+ *
+ * @requires ../../utils/common
+ * @requires ../services/garden-service
+ * @requires ../services/plot-service
+ * @requires ../services/soil-service
+ * @requires ../../utils/errors
+ * @exports { createPlot, deletePlotById, fetchAllPlots, fetchPlotById, updatePlotDetailsById }
+ */
+
+// Custom module imports
+const { toSnakeCaseKeys } = require("../../utils/common");
+const { NotFoundError, ValidationError } = require("../../utils/errors");
+const { getGardenById } = require("../services/garden-service");
+const { getAllPlots, getPlotById, removePlot, savePlot, updatePlotDetails } = require("../services/plot-service");
+const { getSoilById } = require("../services/soil-service");
+
+/**
+ * @function createPlot
+ * @post /gardens/:garden_id/plots
+ *
+ * @description Handles the creation of a new plot in a garden.
+ * The soil of the plot must be present in the soils catalog.
+ * If the garden is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plot details in the body.
+ * @param {string} req.params.garden_id - The ID of the garden.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the saved plot object and a success message.
+ * @throws {ValidationError} - Throws a validation error if the body is missing or the soil is not found.
+ * @throws {NotFoundError} - Throws a not found error if the garden is not found.
+ */
+const createPlot = async (req, res) => {
+    let plotDetails = {};
+    const gardenId = req.params["garden_id"];
+    if (!req.body) throw new ValidationError("Required body");
+    // Destructure the plot details from the request body
+    const { area, name, soil_id: soilId } = req.body;
+
+    // Add values to the plotDetails object
+    plotDetails = { name, soilId };
+    // Add optional properties if they exist
+    if (area) plotDetails.area = area;
+
+    const garden = await getGardenById(gardenId);
+    if (!garden) throw new NotFoundError("Garden not found");
+    // Check the soil is in the soils catalog
+    if (!(await getSoilById(soilId))) throw new ValidationError("Soil not found for soil_id");
+    const plot = await savePlot(gardenId, plotDetails);
+    return res.status(201).json({ data: toSnakeCaseKeys(plot), message: "Plot created successfully" });
+};
+
+/**
+ * @function deletePlotById
+ * @delete /gardens/:garden_id/plots/:plot_id
+ *
+ * @description Handles the deletion of a plot of a garden by its ID.
+ * If the garden or the plot is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the garden ID and plot ID in the path parameters.
+ * @param {string} req.params.garden_id - The ID of the garden.
+ * @param {string} req.params.plot_id - The ID of the plot.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a response with statusCode as 204.
+ * @throws {NotFoundError} - Throws a not found error if the plot is not found.
+ */
+const deletePlotById = async (req, res) => {
+    const { garden_id: gardenId, plot_id: plotId } = req.params;
+    const plot = await getPlotById(gardenId, plotId);
+    if (!plot) throw new NotFoundError("Plot not found");
+    await removePlot(gardenId, plotId);
+    return res.status(204).end();
+};
+
+/**
+ * @function fetchAllPlots
+ * @get /gardens/:garden_id/plots
+ *
+ * @description Handles the retrieval of all plots of a garden with pagination, sorting and filtering.
+ * If the garden is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing query parameters for pagination, sorting and filtering.
+ * @param {string} req.params.garden_id - The ID of the garden.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the list of plots, pagination metadata, and a success message.
+ * @throws {NotFoundError} - Throws a not found error if the garden is not found.
+ */
+const fetchAllPlots = async (req, res) => {
+    const gardenId = req.params["garden_id"];
+    let { limit, page, soil_id: soilId, sort_by: sortBy, sort_order: sortOrder } = req.sanitizedQuery ?? req.query;
+    const DEFAULT_LIMIT = 10, MAX_LIMIT = 50, DEFAULT_PAGE = 1; // Default pagination values
+    const SORT_PARAMS = ["name", "created_at"], DEFAULT_SORT_BY = "created_at", DEFAULT_SORT_ORDER = "asc"; // Default sorting values
+
+    // Validations: Pagination and sorting, incase express validations are missed in routes
+    limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+    page = Math.max(DEFAULT_PAGE, parseInt(page, 10) || DEFAULT_PAGE);
+    if (!sortBy || !SORT_PARAMS.includes(sortBy)) sortBy = DEFAULT_SORT_BY;
+    if (!sortOrder || !["asc", "desc"].includes(String(sortOrder).toLowerCase())) sortOrder = DEFAULT_SORT_ORDER;
+
+    // Filtering
+    let filters = {};
+    if (soilId) filters.soilId = soilId;
+
+    const garden = await getGardenById(gardenId);
+    if (!garden) throw new NotFoundError("Garden not found");
+    const result = await getAllPlots(gardenId, { limit, page }, { sortBy, sortOrder }, filters);
+    return res.status(200).json({ ...toSnakeCaseKeys(result), message: "Retrieved all plots successfully" });
+};
+
+/**
+ * @function fetchPlotById
+ * @get /gardens/:garden_id/plots/:plot_id
+ *
+ * @description Handles fetching a plot of a garden by its ID along with its soil.
+ * If the plot is not found in the garden, it returns a 404 status code with a "Plot not found" message.
+ *
+ * @param {Object} req - The request object containing the garden ID and plot ID in the parameters.
+ * @param {string} req.params.garden_id - The ID of the garden.
+ * @param {string} req.params.plot_id - The ID of the plot.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the plot object if found, or a 404 status code.
+ */
+const fetchPlotById = async (req, res) => {
+    const { garden_id: gardenId, plot_id: plotId } = req.params;
+    const plot = await getPlotById(gardenId, plotId);
+    if (!plot) throw new NotFoundError("Plot not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(plot), message: "Plot fetched successfully" });
+};
+
+/**
+ * @function updatePlotDetailsById
+ * @patch /gardens/:garden_id/plots/:plot_id
+ *
+ * @description Handles the patch update of plot details by its ID.
+ * If the plot is not found in the garden, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the plot details in the body.
+ * @param {string} req.params.garden_id - The ID of the garden.
+ * @param {string} req.params.plot_id - The ID of the plot.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the updated plot details and a success message if successful.
+ * @throws {ValidationError} - Throws a validation error if the body is missing or has no details to update,
+ * or the soil is not found.
+ * @throws {NotFoundError} - Throws a not found error if the plot is not found.
+ */
+const updatePlotDetailsById = async (req, res) => {
+    // Plot detail params that can be allowed to update
+    const updatePlotDetailParams = ["area", "name", "soil_id"];
+    let plotDetails = {};
+    const { garden_id: gardenId, plot_id: plotId } = req.params;
+
+    const body = req.body;
+    if (!body) throw new ValidationError("Required body");
+    const bodyParams = Object.keys(body);
+    if (bodyParams.length === 0 || !bodyParams.some(param => updatePlotDetailParams.includes(param))) throw new ValidationError("No details to update");
+
+    // Destructure body params for update
+    const { area, name, soil_id: soilId } = body;
+    if (area) plotDetails.area = area;
+    if (name) plotDetails.name = name;
+    if (soilId) plotDetails.soilId = soilId;
+
+    // Check the soil is in the soils catalog
+    if (soilId && !(await getSoilById(soilId))) throw new ValidationError("Soil not found for soil_id");
+    const plot = await updatePlotDetails(gardenId, plotId, plotDetails);
+    if (!plot) throw new NotFoundError("Plot not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(plot), message: "Update successful" });
+};
+
+// Export the controller handler functions to use in the routes
+module.exports = { createPlot, deletePlotById, fetchAllPlots, fetchPlotById, updatePlotDetailsById };
@@ -0,0 +1,203 @@
+// src/api/controllers/region-controller.js
+
+/**
+ * @module region-controller
+ * Ecospace Region Controller
+ *
+ * @description This module defines the controller for handling region related requests in the Ecospace backend.
+ * It includes functions for creating a region, fetching all regions, fetching a region by its ID,
+ * updating region details, and deleting a region.
+ *
+ * @requires ../../constants/region-constant
+ * @requires ../../utils/common
+ * @requires ../services/region-service
+ * @requires ../../utils/errors
+ * @exports { createRegion, deleteRegionById, fetchAllRegions, fetchRegionById, updateRegionDetailsById }
+ */
+
+// Custom module imports
+const { REGION_PARENT_LEVEL } = require("../../constants/region-constant");
+const { toSnakeCaseKeys } = require("../../utils/common");
+const { ConflictError, NotFoundError, ValidationError } = require("../../utils/errors");
+const { countRegionChildren, getAllRegions, getRegionById, removeRegion, saveRegion,
+    updateRegionDetails } = require("../services/region-service");
+
+/**
+ * @function checkParentRegion
+ *
+ * @description Checks that a region of a level is placed under a parent region of the level above it,
+ * i.e. a country has no parent, a state is within a country and a district is within a state.
+ *
+ * @param {string} level - The level of the region.
+ * @param {string|null} parentId - The ID of the parent region.
+ * @returns {Promise<string|null>} - The error message if the parent region is not valid, else null.
+ */
+const checkParentRegion = async (level, parentId) => {
+    const parentLevel = REGION_PARENT_LEVEL[level];
+    if (!parentLevel) return parentId ? `A ${level} cannot have a parent region` : null;
+    if (!parentId) return `parent_id is required for a ${level}`;
+    const parent = await getRegionById(parentId);
+    if (!parent) return "Parent region not found for parent_id";
+    if (parent.level !== parentLevel) return `The parent region of a ${level} must be a ${parentLevel}`;
+    return null;
+};
+
+/**
+ * @function createRegion
+ * @post /regions
+ *
+ * @description Handles the creation of a new region in the region hierarchy.
+ * If the parent region does not suit the level of the region, it returns a 400 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the region details in the body.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the saved region object and a success message.
+ * @throws {ValidationError} - Throws a validation error if the body is missing or the parent region is not valid for
+ * the level of the region.
+ */
+const createRegion = async (req, res) => {
+    let regionDetails = {};
+    if (!req.body) throw new ValidationError("Required body");
+    // Destructure the region details from the request body
+    const { climate_zone: climateZone, code, default_soil_types: defaultSoilTypes, level, name,
+        parent_id: parentId } = req.body;
+
+    // Add values to the regionDetails object
+    regionDetails = { level, name, parentId: parentId ?? null };
+    // Add optional properties if they exist
+    if (climateZone) regionDetails.climateZone = climateZone;
+    if (code) regionDetails.code = code;
+    if (defaultSoilTypes) regionDetails.defaultSoilTypes = defaultSoilTypes;
+
+    const parentError = await checkParentRegion(level, regionDetails.parentId);
+    if (parentError) throw new ValidationError(parentError);
+    const region = await saveRegion(regionDetails);
+    return res.status(201).json({ data: toSnakeCaseKeys(region), message: "Region created successfully" });
+};
+
+/**
+ * @function deleteRegionById
+ * @delete /regions/:region_id
+ *
+ * @description Handles the deletion of a region by its ID along with its links to plants and its season months.
+ * If the region is not found, it returns a 404 status code, and if the region has child regions,
+ * it returns a 409 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the region ID in the path parameters.
+ * @param {string} req.params.region_id - The ID of the region.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a response with statusCode as 204.
+ * @throws {NotFoundError} - Throws a not found error if the region is not found.
+ * @throws {ConflictError} - Throws a conflict error if the region has child regions.
+ */
+const deleteRegionById = async (req, res) => {
+    const regionId = req.params["region_id"];
+    const region = await getRegionById(regionId);
+    if (!region) throw new NotFoundError("Region not found");
+    const childCount = await countRegionChildren(regionId);
+    if (childCount > 0) throw new ConflictError("Region has child regions, delete them first");
+    await removeRegion(regionId);
+    return res.status(204).end();
+};
+
+/**
+ * @function fetchAllRegions
+ * @get /regions
+ *
+ * @description Handles the retrieval of all regions with pagination, sorting and filtering
+ * by level, parent region, climate zone or part of the name.
+ *
+ * @param {Object} req - The request object containing query parameters for pagination, sorting and filtering.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the list of regions, pagination metadata, and a success message.
+ */
+const fetchAllRegions = async (req, res) => {
+    let { climate_zone: climateZone, level, limit, name, page, parent_id: parentId, sort_by: sortBy,
+        sort_order: sortOrder } = req.sanitizedQuery ?? req.query;
+    const DEFAULT_LIMIT = 10, MAX_LIMIT = 50, DEFAULT_PAGE = 1; // Default pagination values
+    const SORT_PARAMS = ["name", "created_at"], DEFAULT_SORT_BY = "name", DEFAULT_SORT_ORDER = "asc"; // Default sorting values
+
+    // Validations: Pagination and sorting, incase express validations are missed in routes
+    limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+    page = Math.max(DEFAULT_PAGE, parseInt(page, 10) || DEFAULT_PAGE);
+    if (!sortBy || !SORT_PARAMS.includes(sortBy)) sortBy = DEFAULT_SORT_BY;
+    if (!sortOrder || !["asc", "desc"].includes(String(sortOrder).toLowerCase())) sortOrder = DEFAULT_SORT_ORDER;
+
+    // Filtering
+    let filters = {};
+    if (climateZone) filters.climateZone = climateZone;
+    if (level) filters.level = level;
+    if (name) filters.name = name;
+    if (parentId) filters.parentId = parentId;
+
+    const result = await getAllRegions({ limit, page }, { sortBy, sortOrder }, filters);
+    return res.status(200).json({ ...toSnakeCaseKeys(result), message: "Retrieved all regions successfully" });
+};
+
+/**
+ * @function fetchRegionById
+ * @get /regions/:region_id
+ *
+ * @description Handles fetching a region by its ID along with its parent region.
+ * If the region is not found, it returns a 404 status code with a "Region not found" message.
+ *
+ * @param {Object} req - The request object containing the region ID in the parameters.
+ * @param {string} req.params.region_id - The ID of the region.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the region object if found, or a 404 status code.
+ */
+const fetchRegionById = async (req, res) => {
+    const { region_id: regionId } = req.params;
+    const region = await getRegionById(regionId);
+    if (!region) throw new NotFoundError("Region not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(region), message: "Region fetched successfully" });
+};
+
+/**
+ * @function updateRegionDetailsById
+ * @patch /regions/:region_id
+ *
+ * @description Handles the patch update of region details by its ID.
+ * A new parent region must suit the level of the region, else it returns a 400 status code.
+ * If the region is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the region details in the body.
+ * @param {string} req.params.region_id - The ID of the region.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @return {Object} - Returns a JSON response with the updated region details and a success message if successful.
+ * @throws {ValidationError} - Throws a validation error if the body is missing or has no details to update,
+ * or the parent region is not valid for the level of the region.
+ * @throws {NotFoundError} - Throws a not found error if the region is not found.
+ */
+const updateRegionDetailsById = async (req, res) => {
+    // Region detail params that can be allowed to update
+    const updateRegionDetailParams = ["climate_zone", "code", "default_soil_types", "name", "parent_id"];
+    let regionDetails = {};
+    const regionId = req.params["region_id"];
+
+    const body = req.body;
+    if (!body) throw new ValidationError("Required body");
+    const bodyParams = Object.keys(body);
+    if (bodyParams.length === 0 || !bodyParams.some(param => updateRegionDetailParams.includes(param))) throw new ValidationError("No details to update");
+
+    // Destructure body params for update
+    const { climate_zone: climateZone, code, default_soil_types: defaultSoilTypes, name, parent_id: parentId } = body;
+    if (climateZone) regionDetails.climateZone = climateZone;
+    if (code) regionDetails.code = code;
+    if (defaultSoilTypes) regionDetails.defaultSoilTypes = defaultSoilTypes;
+    if (name) regionDetails.name = name;
+    if (parentId) regionDetails.parentId = parentId;
+
+    const savedRegion = await getRegionById(regionId);
+    if (!savedRegion) throw new NotFoundError("Region not found");
+    if (parentId) {
+        const parentError = await checkParentRegion(savedRegion.level, parentId);
+        if (parentError) throw new ValidationError(parentError);
+    }
+    const region = await updateRegionDetails(regionId, regionDetails);
+    if (!region) throw new NotFoundError("Region not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(region), message: "Update successful" });
+};
+
+// Export the controller handler functions to use in the routes
+module.exports = { createRegion, deleteRegionById, fetchAllRegions, fetchRegionById, updateRegionDetailsById };
@@ -6,18 +6,80 @@
  * 
  * @description This module defines the controller for handling soil-related requests in the Ecospace backend.
  * It includes functions for creating soil, fetching all soils, fetching a soil by its ID,
- * updating soil details, and deleting a soil.
+ * updating soil details, deleting (soft delete, restore and purge) a soil, fetching the plants compatible with a soil,
+ * and exporting and importing soils in bulk.
  * This controller is used to process requests related to soil management and interact with the soil service.
  * It handles the business logic for soil-related operations and returns appropriate responses to the client.
  * 
  * @requires ../../utils/common
+ * @requires ../../utils/cursor
+ * @requires ../services/import-service
  * @requires ../services/soil-service
- * @exports { createSoil }
+ * @requires ../../utils/errors
+ * @requires ../../utils/export
+ * @exports { createSoil, deleteSoilById, exportAllSoils, fetchAllSoils, fetchSoilById, fetchSoilPlants, importAllSoils,
+ * purgeSoilById, restoreSoilById, updateSoilDetailsById }
  */
 
 // Custom module imports
 const { toSnakeCaseKeys } = require("../../utils/common");
-const { getSoilById, saveSoil, getAllSoils, removeSoil, updateSoilDetails } = require("../services/soil-service");
+const { decodeCursor } = require("../../utils/cursor");
+const { ConflictError, NotFoundError, ValidationError } = require("../../utils/errors");
+const { createExportWriter, EXPORT_FORMAT } = require("../../utils/export");
+const { toImportErrors } = require("../services/import-service");
+const { exportSoils, getSoilById, getSoilPlants, saveSoil, getAllSoils, importSoils, purgeSoil, removeSoil, restoreSoil,
+    updateSoilDetails } = require("../services/soil-service");
+
+// Columns of a CSV export of soils, which the soil import can read back
+const SOIL_EXPORT_COLUMNS = ["id", "name", "type", "texture", "drainage", "nutrient_level", "organic_matter_level",
+    "water_retention_level", "ph_min", "ph_max", "ph_type", "color", "description", "created_at", "updated_at", "deleted_at"];
+
+/**
+ * @function toSoilDetails
+ *
+ * @description Picks the details of a soil from a validated request body, or a validated row of a soil import.
+ *
+ * @param {Object} body - The validated soil details in snake_case.
+ * @returns {Object} - The soil details for the Soil model.
+ */
+const toSoilDetails = (body) => {
+    // Destructure the soil details from the request body
+    const { color, description, drainage, name, nutrient_level: nutrientLevel, organic_matter_level: organicMatterLevel,
+        ph_max: phMax, ph_min: phMin, texture, type, water_retention_level: waterRetentionLevel } = body;
+
+    // Add values to the soilDetails object
+    const soilDetails = { drainage, name, nutrientLevel, organicMatterLevel, texture, type, waterRetentionLevel };
+
+    // Add optional properties if they exist
+    if (color) soilDetails.color = color;
+    if (description) soilDetails.description = description;
+    if (phMax) soilDetails.phMax = phMax;
+    if (phMin) soilDetails.phMin = phMin;
+    return soilDetails;
+};
+
+/**
+ * @function toSoilFilters
+ *
+ * @description Builds the filters of the soil list from the validated query parameters, shared by the list
+ * and the export of soils. Each filter is an exact match on its enum column:
+ * drainage, nutrient_level, organic_matter_level, texture, type and water_retention_level.
+ *
+ * @param {Object} query - The validated query parameters in snake_case.
+ * @returns {Object} - The filters for the soil service, with only the filters which are provided.
+ */
+const toSoilFilters = (query) => {
+    const { drainage, nutrient_level: nutrientLevel, organic_matter_level: organicMatterLevel, texture, type,
+        water_retention_level: waterRetentionLevel } = query;
+    const filters = {};
+    if (drainage) filters.drainage = drainage;
+    if (nutrientLevel) filters.nutrientLevel = nutrientLevel;
+    if (organicMatterLevel) filters.organicMatterLevel = organicMatterLevel;
+    if (texture) filters.texture = texture;
+    if (type) filters.type = type;
+    if (waterRetentionLevel) filters.waterRetentionLevel = waterRetentionLevel;
+    return filters;
+};
 
 /**
  * @function createSoil
@@ -31,33 +93,16 @@ const { getSoilById, saveSoil, getAllSoils, removeSoil, updateSoilDetails } = re
  * @param {Object} req - The request object containing the soil details in the body.
  * @param {Object} res - The response object used to send the response back to the client.
  * @returns {Object} - Returns a JSON response with the saved soil object and a success message.
- * @throws {Error} - Throws an error if the save operation fails, returning a 500 status code with an error message.
+ * @throws {ValidationError} - Throws a validation error if the body is missing.
  */
 const createSoil = async (req, res) => {
-    let soilDetails = {};
-    if (!req.body) return res.status(400).json({ message: "Required body" });
+    if (!req.body) throw new ValidationError("Required body");
     console.log(req.body)
-    // Destructure the soil details from the request body
-    const { color, description, drainage, name, nutrient_level: nutrientLevel, organic_matter_level: organicMatterLevel,
-        ph_max: phMax, ph_min: phMin, texture, type, water_retention_level: waterRetentionLevel } = req.body;
+    const soilDetails = toSoilDetails(req.body);
 
-    // Add values to the soilDetails object
-    soilDetails = { drainage, name, nutrientLevel, organicMatterLevel, texture, type, waterRetentionLevel };
-
-    // Add optional properties if they exist
-    if (color) soilDetails.color = color;
-    if (description) soilDetails.description = description;
-    if (phMax) soilDetails.phMax = phMax;
-    if (phMin) soilDetails.phMin = phMin;
-
-    // try to save the soil details
-    try {
-        const soil = await saveSoil(soilDetails);
-        return res.status(201).json({ data: toSnakeCaseKeys(soil), message: "Soil created successfully" });
-    } catch (error) {
-        console.error("Error creating soil:", error);
-        return res.status(500).json({ message: error.message });
-    }
+    // Save the soil details
+    const soil = await saveSoil(soilDetails);
+    return res.status(201).json({ data: toSnakeCaseKeys(soil), message: "Soil created successfully" });
 };
 
 /**
@@ -65,29 +110,50 @@ const createSoil = async (req, res) => {
  * @delete /soils/:soil_id
  *
  * @description Handles the deletion of a soil by its ID.
- * It checks if the soil exists in the database and deletes it (hard delete).
+ * It checks if the soil exists in the database and soft deletes it, so it can be restored later.
  * If the soil is not found, it returns a 404 status code with an error message.
  *
  * @param {Object} req - The request object containing the soil ID in the path parameters.
  * @param {string} req.params.soil_id - The ID of the soil.
  * @param {Object} res - The response object used to send the response back to the client.
- * @returns {Object} - Returns a response with statusCode as 204,
- * or an error message with a 500 status code if the deletion fails.
+ * @returns {Object} - Returns a response with statusCode as 204.
+ * @throws {ValidationError} - Throws a validation error if the ID is missing.
+ * @throws {NotFoundError} - Throws a not found error if the soil is not found.
  */
 const deleteSoilById = async (req, res) => {
     const soilId = req.params["soil_id"];
-    if (!soilId) return res.status(400).json({ message: "Required ID of the soil" });
-    try {
-        const soil = await getSoilById(soilId);
-        if (!soil) return res.status(404).json({ message: "Soil not found" });
-        // Remove soil from DB
-        await removeSoil(soilId);
-        return res.status(204).end();
-    } catch (error) {
-        return res.status(500).json({ message: error.message });        
-    }
+    if (!soilId) throw new ValidationError("Required ID of the soil");
+    const soil = await getSoilById(soilId);
+    if (!soil) throw new NotFoundError("Soil not found");
+    // Remove soil from DB
+    await removeSoil(soilId);
+    return res.status(204).end();
 }
 
+/**
+ * @function exportAllSoils
+ *
+ * @description Controller function to export all the soils matching the filters of the soil list as a file,
+ * in the format from the query parameters: csv, json (default) or ndjson. The soils are streamed batch by batch.
+ *
+ * @param {Object} req - The request object containing the format, sorting and filtering query parameters.
+ * @param {Object} res - The response object to stream the file to.
+ * @returns {Promise<void>}
+ */
+const exportAllSoils = async (req, res) => {
+    const { format = EXPORT_FORMAT.JSON, sort_by: sortBy, sort_order: sortOrder,
+        include_deleted: includeDeleted } = req.sanitizedQuery;
+    // Default sorting values, as for the soil list
+    const sorting = { sortBy: ["name", "created_at"].includes(sortBy) ? sortBy : "created_at",
+        sortOrder: sortOrder === "desc" ? "desc" : "asc" };
+
+    const fileName = `soils-${new Date().toISOString().slice(0, 10)}`;
+    const writer = createExportWriter(res, { columns: SOIL_EXPORT_COLUMNS, fileName, format });
+    await exportSoils(toSoilFilters(req.sanitizedQuery), sorting, includeDeleted === true,
+        soils => writer.writeRows(soils.map(toSnakeCaseKeys)));
+    writer.end();
+};
+
 /**
  * @function fetchAllSoils
  * @get /soils
@@ -96,16 +162,20 @@ const deleteSoilById = async (req, res) => {
  * It fetches all soils and returns them in a JSON response with a success message.
  * If there are no soils, it returns an empty array.
  *
+ * Soils are paginated by page number, or by cursor when a cursor or pagination_mode 'cursor' is given.
+ *
  * @param {Object} req - The request object containing query parameters for pagination and sorting.
+ * @param {string} req.sanitizedQuery.pagination_mode - 'cursor' for cursor pagination (optional, default is 'page').
+ * @param {string} req.sanitizedQuery.cursor - The next_cursor or prev_cursor of a page, for cursor pagination (optional).
  * @param {Object} res - The response object used to send the response back to the client.
  * @return {Object} - Returns a JSON response with the list of soils, pagination metadata, and a success message.
- * If an error occurs, it returns a 500 status code with an error message.
+ * @throws {ValidationError} - Throws a validation error if the cursor is invalid.
  */
 const fetchAllSoils = async (req, res) => {
     // Extract pagination, sorting, and filters from the request query
-    let { drainage, limit, nutrient_level: nutrientLevel, organic_matter_level: organicMatterLevel,
-        page, sort_by: sortBy, sort_order: sortOrder, texture, type,
-        water_retention_level: waterRetentionLevel } = req.sanitizedQuery ?? req.query;
+    const query = req.sanitizedQuery ?? req.query;
+    let { limit, page, cursor, pagination_mode: paginationMode, sort_by: sortBy, sort_order: sortOrder,
+        include_deleted: includeDeleted } = query;
     const DEFAULT_LIMIT = 10, MAX_LIMIT = 50, DEFAULT_PAGE = 1 ; // Default pagination values
     const SORT_PARAMS = ["name", "created_at"], DEFAULT_SORT_BY = "created_at", DEFAULT_SORT_ORDER = "asc"; // Default sorting values
     /** 
@@ -144,31 +214,22 @@ const fetchAllSoils = async (req, res) => {
     if (!sortOrder || (sortOrder && !["asc", "desc"].includes(String(sortOrder).toLowerCase()))) sortOrder = DEFAULT_SORT_ORDER;
 
     /**
-     * Filtering
+     * Pagination mode
      *
-     * If filter parameters are provided, use them to filter results
-     * drainage
-     * nutrient_level
-     * organic_matter_level
-     * texture
-     * type
-     * water_retention_level
+     * A cursor or pagination_mode 'cursor' switches to cursor pagination, else page pagination is used
+     * The cursor carries the sorting of the list it was returned with, so it overrides sort_by and sort_order
      */
-    let filters = {};
-    if (drainage) filters.drainage = drainage;
-    if (nutrientLevel) filters.nutrientLevel = nutrientLevel;
-    if (organicMatterLevel) filters.organicMatterLevel = organicMatterLevel;
-    if (texture) filters.texture = texture;
-    if (type) filters.type = type;
-    if (waterRetentionLevel) filters.waterRetentionLevel = waterRetentionLevel;
-
-    // Try to fetch all soils with pagination, sorting and filtering
-    try {
-        const result = await getAllSoils({ limit, page }, { sortBy, sortOrder }, filters);
-        return res.status(200).json({ ...toSnakeCaseKeys(result), message: "Retrieved all soils successfully" })
-    } catch (error) {
-        return res.status(500).json({ message: error.message }); 
+    let pagination = { limit, page };
+    if (cursor || paginationMode === "cursor") {
+        const decodedCursor = cursor ? decodeCursor(cursor) : null;
+        if (cursor && !SORT_PARAMS.includes(decodedCursor?.sortBy)) throw new ValidationError("Invalid cursor");
+        if (decodedCursor) ({ sortBy, sortOrder } = decodedCursor);
+        pagination = { mode: "cursor", cursor: decodedCursor, limit };
     }
+
+    // Fetch all soils with pagination, sorting and filtering
+    const result = await getAllSoils(pagination, { sortBy, sortOrder }, toSoilFilters(query), includeDeleted === true);
+    return res.status(200).json({ ...toSnakeCaseKeys(result), message: "Retrieved all soils successfully" })
 };
 
 /**
@@ -182,25 +243,115 @@ const fetchAllSoils = async (req, res) => {
  *
  * @param {Object} req - The request object containing the soil ID in the parameters.
  * @param {string} req.params.soil_id - The ID of the soil.
+ * @param {boolean} req.sanitizedQuery.include_deleted - Whether to look up soft deleted soils (optional, default is false).
  * @param {Object} res - The response object used to send the response back to the client.
  * @returns {Object} - Returns a JSON response with the soil object if found, or
  * a 404 status code with a "Soil not found" message if the soil does not exist.
- * @throws {Error} - Throws an error if the fetch operation fails, returning a 500 status code with an error message.
+ * @throws {NotFoundError} - Throws a not found error if the soil is not found.
  */
 const fetchSoilById = async (req, res) => {
     // Extract the soil ID from the request parameters
     const { soil_id: soilId } = req.params;
-    // Try to fetch the soil by ID using the service
-    try {
-        // Fetch the soil by ID using the service
-        const soil = await getSoilById(soilId);
-        const message = soil ? "Soil fetched successfully" : "Soil not found";
-        const statusCode = soil ? 200 : 404;
-        return res.status(statusCode).json({ data: toSnakeCaseKeys(soil), message });
-    } catch (error) {
-        console.error("Error fetching soil by ID:", error);
-        return res.status(500).json({ message: error.message });
-    }
+    const { include_deleted: includeDeleted } = req.sanitizedQuery ?? {};
+    // Fetch the soil by ID using the service
+    const soil = await getSoilById(soilId, includeDeleted === true);
+    if (!soil) throw new NotFoundError("Soil not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(soil), message: "Soil fetched successfully" });
+};
+
+/**
+ * @function fetchSoilPlants
+ * @get /soils/:soil_id/plants
+ *
+ * @description Handles the retrieval of the plants compatible with a soil.
+ * Each plant comes with the suitability rating and notes of its link to the soil.
+ * If the soil is not found, it returns a 404 status code with a "Soil not found" message.
+ *
+ * @param {Object} req - The request object containing the soil ID in the parameters.
+ * @param {string} req.params.soil_id - The ID of the soil.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the list of plants or an error message.
+ */
+const fetchSoilPlants = async (req, res) => {
+    const { soil_id: soilId } = req.params;
+    const plants = await getSoilPlants(soilId);
+    if (!plants) throw new NotFoundError("Soil not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(plants), message: "Plants of the soil fetched successfully" });
+};
+
+/**
+ * @function importAllSoils
+ * @post /soils/import
+ *
+ * @description Handles importing soils in bulk from a JSON array or CSV text, upserting each row by the soil name.
+ * Each row is validated like the body of createSoil. With dry_run=true, it returns the report of what importing
+ * would do to each row without saving anything. Otherwise all the rows are saved in a single transaction,
+ * and if any row is invalid nothing is saved and it returns a 400 status code with the errors of each row.
+ *
+ * @param {Object} req - The request object containing the validated rows in importRows.
+ * @param {boolean} req.sanitizedQuery.dry_run - Whether to only report on the rows without saving them (optional).
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the import report: applied, summary and the status of each row.
+ */
+const importAllSoils = async (req, res) => {
+    const { dry_run: dryRun = false } = req.sanitizedQuery ?? {};
+    const rows = req.importRows.map(({ body, errors, row }) =>
+        ({ errors, name: body.name, row, ...(errors.length === 0 && { soilDetails: toSoilDetails(body) }) }));
+    const report = await importSoils(rows, dryRun);
+    if (!dryRun && !report.applied) throw new ValidationError("Import has invalid rows, no soils were saved", toImportErrors(report));
+    const message = dryRun ? "Checked import, no soils were saved" : "Imported successfully";
+    return res.status(200).json({ data: toSnakeCaseKeys({ dryRun, ...report }), message });
+};
+
+/**
+ * @function purgeSoilById
+ * @delete /soils/:soil_id/purge
+ *
+ * @description Handles the permanent deletion of a soil by its ID.
+ * Unlike deleteSoilById, this removes the soil row even if it was already soft deleted and it cannot be restored.
+ * If the soil is not found, it returns a 404 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the soil ID in the path parameters.
+ * @param {string} req.params.soil_id - The ID of the soil.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a response with statusCode as 204.
+ * @throws {ValidationError} - Throws a validation error if the ID is missing.
+ * @throws {NotFoundError} - Throws a not found error if the soil is not found.
+ */
+const purgeSoilById = async (req, res) => {
+    const soilId = req.params["soil_id"];
+    if (!soilId) throw new ValidationError("Required ID of the soil");
+    const soil = await getSoilById(soilId, true);
+    if (!soil) throw new NotFoundError("Soil not found");
+    // Remove soil permanently from DB
+    await purgeSoil(soilId);
+    return res.status(204).end();
+};
+
+/**
+ * @function restoreSoilById
+ * @post /soils/:soil_id/restore
+ *
+ * @description Handles the restoration of a soft deleted soil by its ID.
+ * If the soil is not found, it returns a 404 status code and if the soil is not deleted,
+ * it returns a 409 status code with an error message.
+ *
+ * @param {Object} req - The request object containing the soil ID in the path parameters.
+ * @param {string} req.params.soil_id - The ID of the soil.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the restored soil details and a success message if successful.
+ * @throws {ValidationError} - Throws a validation error if the ID is missing.
+ * @throws {NotFoundError} - Throws a not found error if the soil is not found.
+ * @throws {ConflictError} - Throws a conflict error if the soil is not deleted.
+ */
+const restoreSoilById = async (req, res) => {
+    const soilId = req.params["soil_id"];
+    if (!soilId) throw new ValidationError("Required ID of the soil");
+    const soil = await getSoilById(soilId, true);
+    if (!soil) throw new NotFoundError("Soil not found");
+    if (!soil.deletedAt) throw new ConflictError("Soil is not deleted");
+    const restoredSoil = await restoreSoil(soilId);
+    return res.status(200).json({ data: toSnakeCaseKeys(restoredSoil), message: "Soil restored successfully" });
 };
 
 /**
@@ -214,8 +365,10 @@ const fetchSoilById = async (req, res) => {
  * @param {Object} req - The request object containing the soil details in the body.
  * @param {string} req.params.soil_id - The ID of the soil.
  * @param {Object} res - The response object used to send the response back to the client.
- * @return {Object} - Returns a JSON response with the updated soil details and a success message if successful,
- * or null if no soil found for the given ID or an error message with a 500 status code if the updation fails.
+ * @return {Object} - Returns a JSON response with the updated soil details and a success message if successful.
+ * @throws {ValidationError} - Throws a validation error if the ID is missing, the body is missing or has no details
+ * to update, or ph_min is greater than ph_max.
+ * @throws {NotFoundError} - Throws a not found error if the soil is not found.
  */
 const updateSoilDetailsById = async (req, res) => {
     // Soil detail params that can be allowed to update
@@ -224,14 +377,14 @@ const updateSoilDetailsById = async (req, res) => {
     
     // Get soil ID from req params
     const soilId = req.params["soil_id"];
-    if (!soilId) return res.status(400).json({ message: "Required ID of the soil" });
+    if (!soilId) throw new ValidationError("Required ID of the soil");
     
     // Get body params for updation
     const body = req.body;
-    if (!req.body) return res.status(400).json({ message: "Required body" });
+    if (!req.body) throw new ValidationError("Required body");
     const bodyParams = Object.keys(body);
     // Check valid params for update
-    if (bodyParams.length === 0 || !bodyParams.some(param => updateSoilDetailparams.includes(param))) return res.status(400).json({ message: "No details to update" });
+    if (bodyParams.length === 0 || !bodyParams.some(param => updateSoilDetailparams.includes(param))) throw new ValidationError("No details to update");
     console.debug("Body received for update:", body);
     console.debug("Path param soil_id received for update:", soilId);
 
@@ -244,15 +397,12 @@ const updateSoilDetailsById = async (req, res) => {
     if (phMax) soilDetails.phMax = phMax;
     if (phMin) soilDetails.phMin = phMin;
  
-    // Try to update soil details
-    try {
-        const soil = await updateSoilDetails(soilId, soilDetails);
-        if (!soil) return res.status(404).json({ data: null, message: "Soil not found" });
-        return res.status(200).json({ data: toSnakeCaseKeys(soil), message: "Update successful" });
-    } catch (error) {
-        return res.status(500).json({ message: error.message });
-    }
+    // Update soil details
+    const soil = await updateSoilDetails(soilId, soilDetails);
+    if (!soil) throw new NotFoundError("Soil not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(soil), message: "Update successful" });
 };
 
 // Export the controller handler functions to use in the routes
-module.exports = { createSoil, deleteSoilById, fetchAllSoils, fetchSoilById, updateSoilDetailsById };
+module.exports = { createSoil, deleteSoilById, exportAllSoils, fetchAllSoils, fetchSoilById, fetchSoilPlants, importAllSoils,
+    purgeSoilById, restoreSoilById, updateSoilDetailsById };
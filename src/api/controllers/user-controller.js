@@ -0,0 +1,112 @@
+// src/api/controllers/user-controller.js
+
+/**
+ * @module user-controller
+ * Ecospace User Controller
+ *
+ * @description This module defines the controller for handling user related requests in the Ecospace backend.
+ * It includes functions for creating a user, fetching all users, fetching a user by its ID and updating a user.
+ *
+ * @requires ../../utils/common
+ * @requires ../services/user-service
+ * @requires ../../utils/errors
+ * @exports { createUser, fetchAllUsers, fetchUserById, updateUserDetailsById }
+ */
+
+// Custom module imports
+const { toSnakeCaseKeys } = require("../../utils/common");
+const { NotFoundError, ValidationError } = require("../../utils/errors");
+const { getAllUsers, getUserById, saveUser, updateUserDetails } = require("../services/user-service");
+
+/**
+ * @function createUser
+ * @post /users
+ *
+ * @description Handles the creation of a new user, with the viewer role unless another role is given.
+ *
+ * @param {Object} req - The request object containing the user details in the body.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the saved user object and a success message.
+ */
+const createUser = async (req, res) => {
+    if (!req.body) throw new ValidationError("Required body");
+    const { email, name, password, role } = req.body;
+    const userDetails = { email, name, password };
+    if (role) userDetails.role = role;
+
+    const user = await saveUser(userDetails);
+    return res.status(201).json({ data: toSnakeCaseKeys(user), message: "User created successfully" });
+};
+
+/**
+ * @function fetchAllUsers
+ * @get /users
+ *
+ * @description Handles fetching all users sorted by email, with pagination and an optional role filter.
+ *
+ * @param {Object} req - The request object containing the query parameters.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the users, the pagination metadata and a success message.
+ */
+const fetchAllUsers = async (req, res) => {
+    let { limit, page, role } = req.sanitizedQuery ?? req.query;
+    const DEFAULT_LIMIT = 10, MAX_LIMIT = 50, DEFAULT_PAGE = 1; // Default pagination values
+
+    // Validations: Pagination, incase express validations are missed in routes
+    limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+    page = Math.max(DEFAULT_PAGE, parseInt(page, 10) || DEFAULT_PAGE);
+
+    const result = await getAllUsers({ limit, page }, role ? { role } : {});
+    return res.status(200).json({ ...toSnakeCaseKeys(result), message: "Retrieved all users successfully" });
+};
+
+/**
+ * @function fetchUserById
+ * @get /users/:user_id
+ *
+ * @description Handles fetching a user by its ID.
+ *
+ * @param {Object} req - The request object containing the user ID in the path.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the user object and a success message.
+ * @throws {NotFoundError} - Throws a not found error if the user is not found.
+ */
+const fetchUserById = async (req, res) => {
+    const user = await getUserById(req.params["user_id"]);
+    if (!user) throw new NotFoundError("User not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(user), message: "Retrieved user successfully" });
+};
+
+/**
+ * @function updateUserDetailsById
+ * @patch /users/:user_id
+ *
+ * @description Handles updating the name, password or role of a user. A new password logs the user out
+ * of all its sessions.
+ *
+ * @param {Object} req - The request object containing the user ID in the path and the details in the body.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @returns {Object} - Returns a JSON response with the updated user object and a success message.
+ * @throws {NotFoundError} - Throws a not found error if the user is not found.
+ */
+const updateUserDetailsById = async (req, res) => {
+    // User detail params that can be allowed to update
+    const updateUserDetailParams = ["name", "password", "role"];
+    const userId = req.params["user_id"];
+
+    const body = req.body;
+    if (!body) throw new ValidationError("Required body");
+    if (!Object.keys(body).some(param => updateUserDetailParams.includes(param))) throw new ValidationError("No details to update");
+
+    const { name, password, role } = body;
+    const userDetails = {};
+    if (name) userDetails.name = name;
+    if (password) userDetails.password = password;
+    if (role) userDetails.role = role;
+
+    const user = await updateUserDetails(userId, userDetails);
+    if (!user) throw new NotFoundError("User not found");
+    return res.status(200).json({ data: toSnakeCaseKeys(user), message: "Update successful" });
+};
+
+module.exports = { createUser, fetchAllUsers, fetchUserById, updateUserDetailsById };
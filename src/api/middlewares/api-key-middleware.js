@@ -0,0 +1,157 @@
+// src/api/middlewares/api-key-middleware.js
+
+/**
+ * @module api-key-middleware
+ * Ecospace API Key Middleware
+ *
+ * @description This module defines middleware for validating and sanitizing requests related to API key endpoints in the Ecospace backend.
+ * It includes validation for creating an API key, fetching API keys and validating the ID of an API key.
+ *
+ * @requires express-validator
+ * @exports { apiKeyValidator }
+ */
+
+// Core module imports
+const { body, param, query } = require("express-validator");
+// Custom module imports
+const { API_KEY_SCOPE } = require("../../constants/api-key-constant");
+const { toArrayOfVals } = require("../../utils/common");
+
+/**
+ * @constant createApiKeyValidator
+ *
+ * @description Validation rules for creating an API key.
+ * It checks for the required fields name and scopes, and the optional expiry.
+ *
+ * @type {ValidationChain[]}
+ */
+const createApiKeyValidator = [
+    /**
+     * Validations: Required fields
+     * name: string
+     * scopes: array of API_KEY_SCOPE (non-empty, repeated scopes are removed)
+     *
+     * Validations: Optional fields
+     * expires_at: string (ISO 8601 date time in the future, default: never)
+     */
+    body("name")
+      .exists().withMessage("name is required").bail()
+      .isString().withMessage("name must be a string").bail()
+      .trim()
+      .notEmpty().withMessage("name cannot be empty")
+      .isLength({ max: 50 }).withMessage("name must be at most 50 characters long"),
+
+    body("scopes")
+      .exists().withMessage("scopes is required").bail()
+      .isArray({ min: 1 }).withMessage("scopes must be a non-empty array").bail()
+      .customSanitizer(arr => [...new Set(arr.map(item => typeof item === "string" ? item.trim().toLowerCase() : item))])
+      .custom(arr => arr.every(item => toArrayOfVals(API_KEY_SCOPE).includes(item)))
+      .withMessage(`scopes must contain only values from ${toArrayOfVals(API_KEY_SCOPE, true)}`),
+
+    body("expires_at")
+      .optional()
+      .isISO8601().withMessage("expires_at must be a valid ISO 8601 date time").bail()
+      .custom(value => {
+          if (new Date(value) <= new Date()) {
+              throw new Error("expires_at must be in the future");
+          }
+          return true;
+          })
+      .toDate(),
+];
+
+/**
+ * @constant getApiKeysValidator
+ *
+ * @description Validation rules for fetching all API keys.
+ * It checks for optional query parameters like page, limit and whether to include the revoked API keys.
+ *
+ * @type {ValidationChain[]}
+ */
+const getApiKeysValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * Pagination:
+     * page: integer (default: 1)
+     * limit: integer (default: 10, max: 50)
+     *
+     * Revoked API keys:
+     * include_revoked: boolean (default: false)
+     */
+    query("page")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("page must be a positive integer").bail()
+      .toInt(),
+
+    query("limit")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("limit must be a positive integer").bail()
+      .toInt(),
+
+    query("include_revoked")
+      .optional()
+      .isBoolean().withMessage("include_revoked must be a boolean").bail()
+      .toBoolean(true), // strict: only 'true' or '1' is true
+];
+
+/**
+ * @constant idValidator
+ *
+ * @description Validation rules for API key ID.
+ * It checks that the api_key_id is a required path parameter and is a valid UUID v4.
+ *
+ * @type {ValidationChain[]}
+ */
+const idValidator = [
+    /**
+     * Validations: Required path parameter
+     *
+     * api_key_id: string (UUID)
+     */
+    param("api_key_id")
+      .exists().withMessage("api_key_id is required").bail()
+      .isUUID(4).withMessage("api_key_id must be a valid UUID v4")
+      .trim()
+];
+
+/**
+ * @function apiKeyValidator
+ *
+ * @description Factory function that returns an object containing validation methods for creating an API key,
+ * fetching all API keys and validating the API key ID.
+ *
+ * @returns {Object} - An object containing the validation methods.
+ */
+const apiKeyValidator = () => {
+    return {
+        /**
+         * @function create
+         *
+         * @description Method to validate the request body for creating an API key.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for creating an API key.
+         */
+        create: () => createApiKeyValidator,
+
+        /**
+         * @function get
+         *
+         * @description Method to validate the request query parameters for fetching all API keys.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for fetching all API keys.
+         */
+        get: () => getApiKeysValidator,
+
+        /**
+         * @function id
+         *
+         * @description Method to validate the API key ID from the request parameters.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for the API key ID.
+         */
+        id: () => idValidator,
+    };
+};
+
+module.exports = { apiKeyValidator };
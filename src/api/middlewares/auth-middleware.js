@@ -0,0 +1,231 @@
+// src/api/middlewares/auth-middleware.js
+
+/**
+ * @module auth-middleware
+ * Ecospace Authentication Middleware
+ *
+ * @description This module defines the middleware for authenticating and authorizing requests in the Ecospace backend,
+ * and for validating the requests of the authentication endpoints.
+ * A request of a user is authenticated by the access token in its Authorization header ('Bearer <token>'),
+ * and authorized if the role of the user ranks at least as high as the role the route requires (USER_ROLE_RANK).
+ * A request of a machine client is authenticated by its API key instead ('ApiKey <key>'),
+ * and authorized if the key has the scope the route requires (API_KEY_SCOPE).
+ *
+ * @requires express-validator
+ * @requires ../../constants/user-constant
+ * @requires ../../utils/errors
+ * @requires ../../utils/jwt
+ * @requires ../services/api-key-service
+ * @requires ../services/auth-service
+ * @exports { authenticate, authorize, authorizeReads, authValidator }
+ */
+
+// Core module imports
+const { body } = require("express-validator");
+// Custom module imports
+const { USER_ROLE_RANK } = require("../../constants/user-constant");
+const { ForbiddenError, UnauthorizedError } = require("../../utils/errors");
+const { verifyToken } = require("../../utils/jwt");
+const { verifyApiKey } = require("../services/api-key-service");
+const { ACCESS_TOKEN } = require("../services/auth-service");
+
+// Schemes of the Authorization header, with the credential each is followed by
+const AUTH_SCHEME = Object.freeze({
+    API_KEY: { name: "ApiKey", credential: "API key" },
+    BEARER: { name: "Bearer", credential: "access token" },
+});
+
+/**
+ * @function readAuthorization
+ *
+ * @description Reads the scheme and the credential of the Authorization header of a request.
+ *
+ * @param {Object} req - The request object.
+ * @param {Array<Object>} schemes - The schemes allowed (AUTH_SCHEME values).
+ * @returns {Object} - The scheme and the credential.
+ * @throws {UnauthorizedError} - Throws an unauthorized error if the header is missing or malformed, or has another scheme.
+ */
+const readAuthorization = (req, schemes) => {
+    const [name, credential, ...rest] = (req.get("Authorization") ?? "").trim().split(/\s+/);
+    const scheme = schemes.find(scheme => scheme.name.toLowerCase() === name?.toLowerCase());
+    if (!scheme || !credential || rest.length) {
+        const expected = schemes.map(scheme => `${scheme.name} <${scheme.credential}>`).join(" or ");
+        throw new UnauthorizedError(`Required Authorization header: ${expected}`);
+    }
+    return { credential, scheme };
+};
+
+/**
+ * @function toRequestUser
+ *
+ * @description Reads the user of a request from its access token.
+ *
+ * @param {string} token - The access token of the request.
+ * @returns {Object} - The user of the request, with its ID and role.
+ * @throws {UnauthorizedError} - Throws an unauthorized error if the token is not a valid access token.
+ */
+const toRequestUser = (token) => {
+    const { role, sub: id, type } = verifyToken(token);
+    if (type !== ACCESS_TOKEN) throw new UnauthorizedError("Invalid token");
+    return { id, role };
+};
+
+/**
+ * @function checkScope
+ *
+ * @description Checks that the API key of a request has a scope.
+ *
+ * @param {Object} apiKey - The API key of the request, with its scopes.
+ * @param {string} scope - The scope required (API_KEY_SCOPE), or none if the route is not open to API keys.
+ * @returns {void}
+ * @throws {ForbiddenError} - Throws a forbidden error if the API key does not have the scope.
+ */
+const checkScope = (apiKey, scope) => {
+    if (!scope) throw new ForbiddenError("Not allowed with an API key");
+    if (!apiKey.scopes.includes(scope)) throw new ForbiddenError(`Requires the ${scope} scope`);
+};
+
+/**
+ * @function authenticate
+ *
+ * @description Middleware function which sets req.user to the user of the access token of the request.
+ * API keys are not accepted, as they have no user.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} _res - The response object (unused).
+ * @param {Function} next - The next middleware function.
+ * @returns {void}
+ * @throws {UnauthorizedError} - Throws an unauthorized error if the request has no valid access token.
+ */
+const authenticate = (req, _res, next) => {
+    req.user = toRequestUser(readAuthorization(req, [AUTH_SCHEME.BEARER]).credential);
+    next();
+};
+
+/**
+ * @function authorize
+ *
+ * @description Returns the middleware which authenticates the request and allows it only for the given role
+ * and the roles ranking above it, e.g. authorize(USER_ROLE.EDITOR) allows editors and admins,
+ * or for the API keys with the given scope. Without a scope, the route is not open to API keys.
+ *
+ * @param {string} role - The lowest role allowed (USER_ROLE).
+ * @param {string} [scope] - The scope an API key needs (API_KEY_SCOPE).
+ * @returns {Function} - The middleware function, which sets req.user or req.apiKey.
+ * @throws {UnauthorizedError} - The middleware throws an unauthorized error if the request has no valid access token
+ * or API key.
+ * @throws {ForbiddenError} - The middleware throws a forbidden error if the role of the user ranks lower,
+ * or the API key does not have the scope.
+ */
+const authorize = (role, scope) => async (req, _res, next) => {
+    if (!req.user && !req.apiKey) {
+        const { credential, scheme } = readAuthorization(req, [AUTH_SCHEME.BEARER, AUTH_SCHEME.API_KEY]);
+        if (scheme === AUTH_SCHEME.API_KEY) req.apiKey = await verifyApiKey(credential);
+        else req.user = toRequestUser(credential);
+    }
+
+    if (req.apiKey) {
+        checkScope(req.apiKey, scope);
+    } else if ((USER_ROLE_RANK[req.user.role] ?? 0) < USER_ROLE_RANK[role]) {
+        // A role which is no longer known ranks below all roles
+        throw new ForbiddenError(`Requires the ${role} role or higher`);
+    }
+    next();
+};
+
+/**
+ * @function authorizeReads
+ *
+ * @description Returns the middleware which checks the API key sent with a read (GET or HEAD) for the given scope.
+ * Reads stay open to all, so a read without an API key is let through, but a machine client learns at once that
+ * its key is revoked or lacks the scope, and the use of the key is tracked.
+ *
+ * @param {string} scope - The scope an API key needs to read (API_KEY_SCOPE).
+ * @returns {Function} - The middleware function, which sets req.apiKey for a read with an API key.
+ * @throws {UnauthorizedError} - The middleware throws an unauthorized error if the API key is not valid.
+ * @throws {ForbiddenError} - The middleware throws a forbidden error if the API key does not have the scope.
+ */
+const authorizeReads = (scope) => async (req, _res, next) => {
+    const isRead = req.method === "GET" || req.method === "HEAD";
+    const hasApiKey = /^apikey(\s|$)/i.test((req.get("Authorization") ?? "").trim());
+    if (isRead && hasApiKey) {
+        req.apiKey ??= await verifyApiKey(readAuthorization(req, [AUTH_SCHEME.API_KEY]).credential);
+        checkScope(req.apiKey, scope);
+    }
+    next();
+};
+
+/**
+ * @constant loginValidator
+ *
+ * @description Validation rules for logging in.
+ *
+ * @type {ValidationChain[]}
+ */
+const loginValidator = [
+    /**
+     * Validations: Required fields
+     * email: string (email, compared in lowercase)
+     * password: string
+     */
+    body("email")
+      .exists().withMessage("email is required").bail()
+      .isString().withMessage("email must be a string").bail()
+      .trim().toLowerCase()
+      .isEmail().withMessage("email must be a valid email address"),
+
+    body("password")
+      .exists().withMessage("password is required").bail()
+      .isString().withMessage("password must be a string").bail()
+      .notEmpty().withMessage("password cannot be empty"),
+];
+
+/**
+ * @constant refreshValidator
+ *
+ * @description Validation rules for refreshing the tokens.
+ *
+ * @type {ValidationChain[]}
+ */
+const refreshValidator = [
+    /**
+     * Validations: Required fields
+     * refresh_token: string
+     */
+    body("refresh_token")
+      .exists().withMessage("refresh_token is required").bail()
+      .isString().withMessage("refresh_token must be a string").bail()
+      .trim()
+      .notEmpty().withMessage("refresh_token cannot be empty"),
+];
+
+/**
+ * @function authValidator
+ *
+ * @description Factory function that returns an object containing validation methods for the authentication endpoints.
+ *
+ * @returns {Object} - An object containing the validation methods.
+ */
+const authValidator = () => {
+    return {
+        /**
+         * @function login
+         *
+         * @description Method to validate the request body for logging in.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for logging in.
+         */
+        login: () => loginValidator,
+
+        /**
+         * @function refresh
+         *
+         * @description Method to validate the request body for refreshing the tokens.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for refreshing the tokens.
+         */
+        refresh: () => refreshValidator,
+    };
+};
+
+module.exports = { authenticate, authorize, authorizeReads, authValidator };
@@ -0,0 +1,158 @@
+// src/api/middlewares/calendar-middleware.js
+
+/**
+ * @module calendar-middleware
+ * Ecospace Calendar Middleware
+ *
+ * @description This module defines middleware for validating and sanitizing requests related to the planting calendar
+ * endpoints in the Ecospace backend.
+ * It includes validation for fetching the planting calendar of a region and managing the months of the seasons of a region.
+ *
+ * @requires express-validator
+ * @exports { calendarValidator }
+ */
+
+// Core module imports
+const { body, param, query } = require("express-validator");
+// Custom module imports
+const { SEASON } = require("../../constants/season-constant");
+const { toArrayOfVals } = require("../../utils/common");
+
+/**
+ * @constant getCalendarValidator
+ *
+ * @description Validation rules for fetching the planting calendar of a region.
+ * It checks for the required region_id and the optional month query parameters.
+ *
+ * @type {ValidationChain[]}
+ */
+const getCalendarValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * region_id: string (UUID, required)
+     * month: integer (1 to 12, default: current month)
+     */
+    query("region_id")
+      .exists().withMessage("region_id is required").bail()
+      .isUUID(4).withMessage("region_id must be a valid UUID v4"),
+
+    query("month")
+      .optional()
+      .isInt({ min: 1, max: 12 }).withMessage("month must be an integer from 1 to 12").bail()
+      .toInt(),
+];
+
+/**
+ * @constant getSeasonsValidator
+ *
+ * @description Validation rules for fetching the months of the seasons.
+ * It checks for the optional region_id query parameter.
+ *
+ * @type {ValidationChain[]}
+ */
+const getSeasonsValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * region_id: string (UUID, optional)
+     */
+    query("region_id")
+      .optional()
+      .isUUID(4).withMessage("region_id must be a valid UUID v4"),
+];
+
+/**
+ * @constant seasonParamsValidator
+ *
+ * @description Validation rules for the region_id and season path parameters.
+ *
+ * @type {ValidationChain[]}
+ */
+const seasonParamsValidator = [
+    /**
+     * Validations: Required path parameters
+     *
+     * region_id: string (UUID)
+     * season: string (SEASON)
+     */
+    param("region_id")
+      .exists().withMessage("region_id is required").bail()
+      .isUUID(4).withMessage("region_id must be a valid UUID v4"),
+
+    param("season")
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(SEASON)).withMessage(`season must be one of ${toArrayOfVals(SEASON, true)}`),
+];
+
+/**
+ * @constant upsertSeasonValidator
+ *
+ * @description Validation rules for saving the months of a season of a region.
+ * It checks for the required months, and removes repeated months.
+ *
+ * @type {ValidationChain[]}
+ */
+const upsertSeasonValidator = [
+    /**
+     * Validations: Required fields
+     * months: array of integers (1 to 12)
+     */
+    body("months")
+      .exists().withMessage("months is required").bail()
+      .isArray({ min: 1, max: 12 }).withMessage("months must be an array of 1 to 12 months").bail()
+      .custom(arr => arr.every(month => Number.isInteger(month) && month >= 1 && month <= 12))
+      .withMessage("months must contain only integers from 1 to 12").bail()
+      // Custom sanitizer to remove repeated months and sort them
+      .customSanitizer(arr => [...new Set(arr)].sort((a, b) => a - b)),
+];
+
+/**
+ * @function calendarValidator
+ *
+ * @description Factory function that returns an object containing validation methods for fetching the planting calendar,
+ * fetching the months of the seasons, validating the region and season path parameters, and saving the months of a season.
+ *
+ * @returns {Object} - An object containing the validation methods.
+ */
+const calendarValidator = () => {
+    return {
+        /**
+         * @function get
+         *
+         * @description Method to validate the request query parameters for fetching the planting calendar of a region.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for fetching the planting calendar.
+         */
+        get: () => getCalendarValidator,
+
+        /**
+         * @function getSeasons
+         *
+         * @description Method to validate the request query parameters for fetching the months of the seasons.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for fetching the months of the seasons.
+         */
+        getSeasons: () => getSeasonsValidator,
+
+        /**
+         * @function season
+         *
+         * @description Method to validate the region ID and season from the request parameters.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for the region ID and season.
+         */
+        season: () => seasonParamsValidator,
+
+        /**
+         * @function upsertSeason
+         *
+         * @description Method to validate the request body for saving the months of a season of a region.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for saving the months of a season.
+         */
+        upsertSeason: () => upsertSeasonValidator,
+    };
+};
+
+module.exports = { calendarValidator };
@@ -7,30 +7,79 @@
  * @description This module defines middleware functions for handling errors in the Ecospace backend.
  * It provides a centralized error handling mechanism that captures errors thrown in the application,
  * logs them, and sends appropriate responses to the client.
+ * Every error response has the same body: { code, message } along with errors for the invalid fields if any.
  * 
- * @requires express
- * @exports errorHandler
+ * @requires express-validator
+ * @requires sequelize
+ * @requires ../../utils/errors
+ * @exports { errorHandler, notFoundHandler, validationErrorHandler }
  */
 
 // Core module imports
 const { matchedData, validationResult } = require("express-validator");
+const { ForeignKeyConstraintError, UniqueConstraintError, ValidationError: SequelizeValidationError } = require("sequelize");
+// Custom module imports
+const { AppError, ConflictError, NotFoundError, ValidationError } = require("../../utils/errors");
+
+/**
+ * @function toAppError
+ *
+ * @description Maps an error thrown in the application to a typed error.
+ * - A unique constraint error is a conflict with the fields which are already taken.
+ * - A foreign key constraint error is a conflict if a row is still referenced (on delete or update of the referenced row),
+ *   else a validation error for a reference to a row which does not exist.
+ * - A Sequelize validation error is a validation error with the fields which failed the validations of the model.
+ * - A malformed JSON body is a validation error, and a body over the size limit is a payload too large error.
+ * - Any other error which is not a typed error is an internal error, without its message to not leak internal details.
+ *
+ * @param {Error} error - The error thrown in the application.
+ * @returns {AppError} - The typed error.
+ */
+const toAppError = (error) => {
+    if (error instanceof AppError) return error;
+    // UniqueConstraintError extends the Sequelize ValidationError, so it is checked first
+    if (error instanceof UniqueConstraintError) {
+        const fields = Object.keys(error.fields ?? {});
+        const errors = fields.map(field => ({ field, message: `${field} already exists` }));
+        const message = fields.length ? `Already exists with the same ${fields.join(", ")}` : "Already exists";
+        const conflictError = new ConflictError(message, "ALREADY_EXISTS");
+        if (errors.length) conflictError.errors = errors;
+        return conflictError;
+    }
+    if (error instanceof ForeignKeyConstraintError) {
+        // PostgreSQL reports a row which is still referenced as a violation on the referencing table, and its detail says so
+        const isReferenced = /is still referenced/i.test(error.parent?.detail ?? "");
+        if (isReferenced) return new ConflictError("Still referenced by other records", "STILL_REFERENCED");
+        const fields = [].concat(error.fields ?? []);
+        return new ValidationError("Referenced record not found", fields.map(field => ({ field, message: `${field} not found` })));
+    }
+    if (error instanceof SequelizeValidationError) {
+        return new ValidationError("Validation error", error.errors.map(({ message, path }) => ({ field: path, message })));
+    }
+    // express.json() marks a body which is not valid JSON with the type entity.parse.failed
+    if (error?.type === "entity.parse.failed") return new ValidationError("Malformed JSON body");
+    if (error?.type === "entity.too.large") {
+        return new AppError(`Request body exceeds the limit of ${error.limit} bytes`, { statusCode: 413, code: "PAYLOAD_TOO_LARGE" });
+    }
+    return new AppError("Internal server error", { cause: error });
+};
 
 /**
  * @function validationErrorHandler
  * 
  * @description Middleware function to handle validation errors in the request.
  * It checks for validation errors and sanitizes the request query parameters.
- * If there are validation errors, it returns a 400 status with an error message.
+ * If there are validation errors, it passes a ValidationError with the errors of the fields to the error handler.
  * 
  * @param {Object} req - The request object containing the query parameters.
- * @param {Object} res - The response object used to send the response back to the client.
- * @param {Function} next - The next middleware function to call if validation passes.
- * @return {void} - Calls next() if validation passes, or returns a 400 status with an error message if validation fails.
+ * @param {Object} _res - The response object (unused).
+ * @param {Function} next - The next middleware function to call if validation passes, or with the validation error.
+ * @return {void} - Calls next() if validation passes, or next() with a ValidationError if validation fails.
  */
-const validationErrorHandler = (req, res, next) => {
+const validationErrorHandler = (req, _res, next) => {
     const result = validationResult(req)
     const errors = result.array().map(({ msg, path }) => ({ field: path, message: msg }));
-    if (!result.isEmpty()) return res.status(400).json({ message: "Validation error", errors });
+    if (!result.isEmpty()) return next(new ValidationError("Validation error", errors));
     // Add sanitized query parameters to request object
     // NOTE: From express 5, req.query is immutable
     req.sanitizedQuery = matchedData(req, { locations: ["query"] });
@@ -38,4 +87,41 @@ const validationErrorHandler = (req, res, next) => {
     next();
 }
 
-module.exports = { validationErrorHandler };
+/**
+ * @function notFoundHandler
+ *
+ * @description Middleware function for the requests which do not match any route.
+ * It passes a NotFoundError to the error handler.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} _res - The response object (unused).
+ * @param {Function} next - The next middleware function to call with the error.
+ * @return {void}
+ */
+const notFoundHandler = (req, _res, next) => next(new NotFoundError(`Route ${req.method} ${req.path} not found`));
+
+/**
+ * @function errorHandler
+ *
+ * @description Error handling middleware of the application, registered after all the routes.
+ * Express 5 passes errors thrown or rejected in the route handlers to it. It maps the error to a typed error,
+ * logs the internal errors, and sends the status code and error body of the typed error.
+ *
+ * @param {Error} error - The error thrown in the application.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object used to send the response back to the client.
+ * @param {Function} next - The next middleware function, called if the response has already started.
+ * @return {void}
+ */
+const errorHandler = (error, req, res, next) => {
+    // Let express close the connection if the response is already being sent
+    if (res.headersSent) return next(error);
+    const appError = toAppError(error);
+    if (appError.statusCode >= 500) console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+    const { code, errors, message, statusCode } = appError;
+    // Tell the client how to authenticate, as HTTP requires for a 401
+    if (statusCode === 401) res.set("WWW-Authenticate", "Bearer, ApiKey");
+    return res.status(statusCode).json({ code, message, ...(errors && { errors }) });
+};
+
+module.exports = { errorHandler, notFoundHandler, validationErrorHandler };
@@ -0,0 +1,54 @@
+// src/api/middlewares/export-middleware.js
+
+/**
+ * @module export-middleware
+ * Ecospace Export Middleware
+ *
+ * @description This module defines the middleware for the export endpoints in the Ecospace backend.
+ * An export takes the format of the file along with the sorting and filtering query parameters of the list endpoint
+ * it exports, and returns all the matching records instead of a page of them.
+ *
+ * @requires express-validator
+ * @requires ../../utils/common
+ * @requires ../../utils/export
+ * @exports { exportValidator }
+ */
+
+// Core module imports
+const { query } = require("express-validator");
+// Custom module imports
+const { toArrayOfVals } = require("../../utils/common");
+const { EXPORT_FORMAT } = require("../../utils/export");
+
+/**
+ * @constant exportQueryValidator
+ *
+ * @description Validation rules for the query parameters of an export.
+ *
+ * @type {ValidationChain[]}
+ */
+const exportQueryValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * format: string ('csv', 'json' or 'ndjson', default: 'json')
+     */
+    query("format")
+      .optional()
+      .isString().withMessage("format must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(EXPORT_FORMAT)).withMessage(`format must be one of ${toArrayOfVals(EXPORT_FORMAT, true)}`),
+];
+
+/**
+ * @function exportValidator
+ *
+ * @description Returns the validation chains of an export endpoint: the format, and the query parameters
+ * of the list endpoint it exports. The pagination parameters of the list endpoint are validated but not used.
+ *
+ * @param {ValidationChain[]} listValidator - The validation chains of the list endpoint, e.g. those for fetching all plants.
+ * @returns {ValidationChain[]} - The validation chains of the export endpoint.
+ */
+const exportValidator = (listValidator) => [...exportQueryValidator, ...listValidator];
+
+module.exports = { exportValidator };
@@ -0,0 +1,290 @@
+// src/api/middlewares/fertilizer-middleware.js
+
+/**
+ * @module fertilizer-middleware
+ * Ecospace Fertilizer Middleware
+ *
+ * @description This module defines middleware for validating and sanitizing requests related to fertilizer endpoints in the Ecospace backend.
+ * It includes validation for creating a fertilizer, fetching fertilizers, fetching a fertilizer by its ID and updating a fertilizer.
+ *
+ * @requires express-validator
+ * @exports { fertilizerValidator }
+ */
+
+// Core module imports
+const { body, param, query } = require("express-validator");
+// Custom module imports
+const { FERTILIZER_TYPE } = require("../../constants/fertilizer-constant");
+const { PLANT_GROWTH_STAGE } = require("../../constants/plant-constant");
+const { toArrayOfVals } = require("../../utils/common");
+
+/**
+ * @function validateEnumArray
+ *
+ * @description Validates that a field is an array of values from a constant, and removes repeated values.
+ *
+ * @param {string} field - The name of the field to validate.
+ * @param {Object} constant - The constant with the allowed values.
+ * @returns {ValidationChain} - The validation chain for the field.
+ */
+const validateEnumArray = (field, constant) =>
+  body(field)
+    .optional()
+    .isArray().withMessage(`${field} must be an array`).bail()
+    .customSanitizer(arr => [...new Set(arr.map(item => typeof item === "string" ? item.trim().toLowerCase() : item))])
+    .custom(arr => arr.every(item => toArrayOfVals(constant).includes(item)))
+    .withMessage(`${field} must contain only values from ${toArrayOfVals(constant, true)}`);
+
+/**
+ * @function validatePercentage
+ *
+ * @description Validates that a field is a number from 0 to 100, like the percentage of a nutrient by weight.
+ *
+ * @param {string} field - The name of the field to validate.
+ * @returns {ValidationChain} - The validation chain for the field.
+ */
+const validatePercentage = field =>
+  body(field)
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage(`${field} must be a number from 0 to 100`).bail()
+    .toFloat();
+
+/**
+ * @function validateNpkTotal
+ *
+ * @description Validates that nitrogen, phosphorus and potassium together add up to at most 100 percent.
+ * Missing values are taken as 0.
+ *
+ * @returns {ValidationChain} - The validation chain for the N-P-K composition.
+ */
+const validateNpkTotal = () =>
+  body("potassium")
+    .custom((potassium, { req }) => {
+      const values = [req.body.nitrogen, req.body.phosphorus, potassium].map(value => value ?? 0);
+      // Invalid values are reported by their own validations
+      if (values.some(value => typeof value !== "number")) return true;
+      return values.reduce((total, value) => total + value, 0) <= 100;
+    })
+    .withMessage("nitrogen, phosphorus and potassium must add up to at most 100");
+
+/**
+ * @constant createFertilizerValidator
+ *
+ * @description Validation rules for creating a fertilizer.
+ * It checks for the required name, type and application_rate and optional fields like nitrogen, phosphorus,
+ * potassium, description and suitable_growth_stages.
+ *
+ * @type {ValidationChain[]}
+ */
+const createFertilizerValidator = [
+    /**
+     * Validations: Required fields
+     * name: string
+     * type: string (FERTILIZER_TYPE)
+     * application_rate: number (grams per square metre)
+     *
+     * Validations: Optional fields
+     * description: string
+     * nitrogen: number (0 to 100)
+     * phosphorus: number (0 to 100)
+     * potassium: number (0 to 100)
+     * suitable_growth_stages: Array of PLANT_GROWTH_STAGE
+     */
+    body("name")
+      .trim()
+      .notEmpty().withMessage("name is required").bail()
+      .isString().withMessage("name must be a string")
+      .isLength({ max: 50 }).withMessage("name must be at most 50 characters long"),
+
+    body("type")
+      .exists().withMessage("type is required").bail()
+      .isString().withMessage("type must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(FERTILIZER_TYPE)).withMessage(`type must be one of ${toArrayOfVals(FERTILIZER_TYPE, true)}`),
+
+    body("application_rate")
+      .exists().withMessage("application_rate is required").bail()
+      .isFloat({ gt: 0 }).withMessage("application_rate must be a positive number").bail()
+      .toFloat(),
+
+    body("description")
+      .optional()
+      .isString().withMessage("description must be a string").bail()
+      .trim(),
+
+    validatePercentage("nitrogen"),
+    validatePercentage("phosphorus"),
+    validatePercentage("potassium"),
+    validateNpkTotal(),
+
+    validateEnumArray("suitable_growth_stages", PLANT_GROWTH_STAGE),
+];
+
+/**
+ * @constant getFertilizersValidator
+ *
+ * @description Validation rules for fetching all fertilizers.
+ * It checks for optional query parameters like page, limit, sort_by, sort_order,
+ * and type and suitable_growth_stage filters.
+ *
+ * @type {ValidationChain[]}
+ */
+const getFertilizersValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * Pagination:
+     * page: integer (default: 1)
+     * limit: integer (default: 10, max: 50)
+     *
+     * Sorting:
+     * sort_by: string (default: 'name')
+     * sort_order: string (default: 'asc')
+     *
+     * Filtering:
+     * suitable_growth_stage: string (PLANT_GROWTH_STAGE, optional)
+     * type: string (FERTILIZER_TYPE, optional)
+     */
+    query("page")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("page must be a positive integer").bail()
+      .toInt(),
+
+    query("limit")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("limit must be a positive integer").bail()
+      .toInt(),
+
+    query("sort_by")
+      .optional()
+      .isString().withMessage("sort_by must be a string").bail()
+      .trim()
+      .isIn(["name", "created_at"]).withMessage("sort_by must be either 'name' or 'created_at'"),
+
+    query("sort_order")
+      .optional()
+      .isString().withMessage("sort_order must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(["asc", "desc"]).withMessage("sort_order must be either 'asc' or 'desc'"),
+
+    query("suitable_growth_stage")
+      .optional()
+      .isString().withMessage("suitable_growth_stage must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(PLANT_GROWTH_STAGE)).withMessage(`suitable_growth_stage must be one of ${toArrayOfVals(PLANT_GROWTH_STAGE, true)}`),
+
+    query("type")
+      .optional()
+      .isString().withMessage("type must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(FERTILIZER_TYPE)).withMessage(`type must be one of ${toArrayOfVals(FERTILIZER_TYPE, true)}`),
+];
+
+/**
+ * @constant idValidator
+ *
+ * @description Validation rules for fertilizer ID.
+ * It checks that the fertilizer_id is a required path parameter and is a valid UUID v4.
+ *
+ * @type {ValidationChain[]}
+ */
+const idValidator = [
+    /**
+     * Validations: Required path parameter
+     *
+     * fertilizer_id: string (UUID)
+     */
+    param("fertilizer_id")
+      .exists().withMessage("fertilizer_id is required").bail()
+      .isUUID(4).withMessage("fertilizer_id must be a valid UUID v4")
+      .trim()
+];
+
+/**
+ * @constant patchUpdateFertilizerValidator
+ *
+ * @description Validation rules for updating a fertilizer.
+ * It checks for optional fields like name, type, application_rate, nitrogen, phosphorus, potassium,
+ * description and suitable_growth_stages.
+ * The N-P-K total is checked again against the saved values before the update.
+ *
+ * @type {ValidationChain[]}
+ */
+const patchUpdateFertilizerValidator = [
+    /**
+     * Validations: Optional fields
+     * name: string
+     * type: string (FERTILIZER_TYPE)
+     * application_rate: number (grams per square metre)
+     * and the optional fields of createFertilizerValidator
+     */
+    body("name")
+      .optional()
+      .trim()
+      .notEmpty().withMessage("name cannot be empty").bail()
+      .isString().withMessage("name must be a string")
+      .isLength({ max: 50 }).withMessage("name must be at most 50 characters long"),
+
+    body("type")
+      .optional()
+      .isString().withMessage("type must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(FERTILIZER_TYPE)).withMessage(`type must be one of ${toArrayOfVals(FERTILIZER_TYPE, true)}`),
+
+    body("application_rate")
+      .optional()
+      .isFloat({ gt: 0 }).withMessage("application_rate must be a positive number").bail()
+      .toFloat(),
+
+    ...createFertilizerValidator.slice(3),
+];
+
+/**
+ * @function fertilizerValidator
+ *
+ * @description Factory function that returns an object containing validation methods for creating a fertilizer,
+ * fetching all fertilizers, validating fertilizer ID, and updating a fertilizer.
+ *
+ * @returns {Object} - An object containing the validation methods.
+ */
+const fertilizerValidator = () => {
+    return {
+        /**
+         * @function create
+         *
+         * @description Method to validate the request body for creating a fertilizer.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for creating a fertilizer.
+         */
+        create: () => createFertilizerValidator,
+
+        /**
+         * @function get
+         *
+         * @description Method to validate the request query parameters for fetching all fertilizers.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for fetching all fertilizers.
+         */
+        get: () => getFertilizersValidator,
+
+        /**
+         * @function id
+         *
+         * @description Method to validate the fertilizer ID from the request parameters.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for the fertilizer ID.
+         */
+        id: () => idValidator,
+
+        /**
+         * @function patchOne
+         *
+         * @description Method to validate the request body for updating a fertilizer.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for updating a fertilizer.
+         */
+        patchOne: () => patchUpdateFertilizerValidator,
+    };
+};
+
+module.exports = { fertilizerValidator };
@@ -0,0 +1,196 @@
+// src/api/middlewares/garden-middleware.js
+
+/**
+ * @module garden-middleware
+ * Ecospace Garden Middleware
+ *
+ * @description This module defines middleware for validating and sanitizing requests related to garden endpoints in the Ecospace backend.
+ * It includes validation for creating a garden, fetching gardens, fetching a garden by its ID and updating a garden.
+ *
+ * @requires express-validator
+ * @exports { gardenValidator }
+ */
+
+// Core module imports
+const { body, param, query } = require("express-validator");
+
+/**
+ * @constant createGardenValidator
+ *
+ * @description Validation rules for creating a garden.
+ * It checks for the required name and optional fields like area, location and soil_id.
+ *
+ * @type {ValidationChain[]}
+ */
+const createGardenValidator = [
+    /**
+     * Validations: Required fields
+     * name: string
+     *
+     * Validations: Optional fields
+     * area: number (square metres)
+     * location: string
+     * soil_id: string (UUID)
+     */
+    body("name")
+      .trim()
+      .notEmpty().withMessage("name is required").bail()
+      .isString().withMessage("name must be a string")
+      .isLength({ max: 50 }).withMessage("name must be at most 50 characters long"),
+
+    body("area")
+      .optional()
+      .trim()
+      .isFloat({ gt: 0 }).withMessage("area must be a positive number").bail()
+      .toFloat(),
+
+    body("location")
+      .optional()
+      .trim()
+      .isString().withMessage("location must be a string")
+      .isLength({ max: 100 }).withMessage("location must be at most 100 characters long"),
+
+    body("soil_id")
+      .optional()
+      .isUUID(4).withMessage("soil_id must be a valid UUID v4")
+      .trim(),
+];
+
+/**
+ * @constant getGardensValidator
+ *
+ * @description Validation rules for fetching all gardens.
+ * It checks for optional query parameters like page, limit, sort_by and sort_order.
+ *
+ * @type {ValidationChain[]}
+ */
+const getGardensValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * Pagination:
+     * page: integer (default: 1)
+     * limit: integer (default: 10, max: 50)
+     *
+     * Sorting:
+     * sort_by: string (default: 'created_at')
+     * sort_order: string (default: 'asc')
+     */
+    query("page")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("page must be a positive integer").bail()
+      .toInt(),
+
+    query("limit")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("limit must be a positive integer").bail()
+      .toInt(),
+
+    query("sort_by")
+      .optional()
+      .isString().withMessage("sort_by must be a string").bail()
+      .trim()
+      .isIn(["name", "created_at"]).withMessage("sort_by must be either 'name' or 'created_at'"),
+
+    query("sort_order")
+      .optional()
+      .isString().withMessage("sort_order must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(["asc", "desc"]).withMessage("sort_order must be either 'asc' or 'desc'"),
+];
+
+/**
+ * @constant idValidator
+ *
+ * @description Validation rules for garden ID.
+ * It checks that the garden_id is a required path parameter and is a valid UUID v4.
+ *
+ * @type {ValidationChain[]}
+ */
+const idValidator = [
+    /**
+     * Validations: Required path parameter
+     *
+     * garden_id: string (UUID)
+     */
+    param("garden_id")
+      .exists().withMessage("garden_id is required").bail()
+      .isUUID(4).withMessage("garden_id must be a valid UUID v4")
+      .trim()
+];
+
+/**
+ * @constant patchUpdateGardenValidator
+ *
+ * @description Validation rules for updating a garden.
+ * It checks for optional fields like area, location, name and soil_id.
+ *
+ * @type {ValidationChain[]}
+ */
+const patchUpdateGardenValidator = [
+    /**
+     * Validations: Optional fields
+     * area: number (square metres)
+     * location: string
+     * name: string
+     * soil_id: string (UUID)
+     */
+    body("name")
+      .optional()
+      .trim()
+      .notEmpty().withMessage("name cannot be empty").bail()
+      .isString().withMessage("name must be a string")
+      .isLength({ max: 50 }).withMessage("name must be at most 50 characters long"),
+
+    ...createGardenValidator.slice(1), // area, location and soil_id are optional on create as well
+];
+
+/**
+ * @function gardenValidator
+ *
+ * @description Factory function that returns an object containing validation methods for creating a garden,
+ * fetching all gardens, validating garden ID, and updating a garden.
+ *
+ * @returns {Object} - An object containing the validation methods.
+ */
+const gardenValidator = () => {
+    return {
+        /**
+         * @function create
+         *
+         * @description Method to validate the request body for creating a garden.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for creating a garden.
+         */
+        create: () => createGardenValidator,
+
+        /**
+         * @function get
+         *
+         * @description Method to validate the request query parameters for fetching all gardens.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for fetching all gardens.
+         */
+        get: () => getGardensValidator,
+
+        /**
+         * @function id
+         *
+         * @description Method to validate the garden ID from the request parameters.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for the garden ID.
+         */
+        id: () => idValidator,
+
+        /**
+         * @function patchOne
+         *
+         * @description Method to validate the request body for updating a garden.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for updating a garden.
+         */
+        patchOne: () => patchUpdateGardenValidator,
+    };
+};
+
+module.exports = { gardenValidator };
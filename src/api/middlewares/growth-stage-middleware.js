@@ -5,7 +5,8 @@
  * Ecospace Growth Stage Middleware
  * 
  * @description This module defines middleware for handling growth-stage-related requests in the Ecospace backend.
- * It includes validation for growth stage creation requests and checks for required fields.
+ * It includes validation for growth stage creation requests and checks for required fields,
+ * for the pagination, sorting and filtering query parameters of fetching growth stages, and for reordering growth stages.
  * This middleware is used to ensure that the requests to growth stage-related endpoints are properly formatted
  * and contain all necessary information before processing.
  * 
@@ -14,7 +15,7 @@
  */
 
 // Core module imports
-const { body, param  } = require("express-validator");
+const { body, param, query } = require("express-validator");
 const { PLANT_GROWTH_STAGE } = require("../../constants/plant-constant");
 const { toArrayOfVals } = require("../../utils/common");
 
@@ -54,6 +55,71 @@ let createGrowthStageValidator = [
         .toInt(),
 ];
 
+/**
+ * @constant getGrowthStagesValidator
+ *
+ * @description Validation rules for fetching all growth stages.
+ * It checks for optional query parameters like page, limit, sort_by, sort_order,
+ * and name, min_days_gte and max_days_lte filters.
+ *
+ * @type {ValidationChain[]}
+ */
+const getGrowthStagesValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * Pagination:
+     * page: integer (default: 1)
+     * limit: integer (default: 10, max: 50)
+     *
+     * Sorting:
+     * sort_by: string (default: 'order')
+     * sort_order: string (default: 'asc')
+     *
+     * Filtering:
+     * name: string (PLANT_GROWTH_STAGE, optional)
+     * max_days_lte: integer (optional)
+     * min_days_gte: integer (optional)
+     */
+    query("page")
+        .optional()
+        .isInt({ gt: 0 }).withMessage("page must be a positive integer").bail()
+        .toInt(),
+
+    query("limit")
+        .optional()
+        .isInt({ gt: 0 }).withMessage("limit must be a positive integer").bail()
+        .toInt(),
+
+    query("sort_by")
+        .optional()
+        .isString().withMessage("sort_by must be a string").bail()
+        .trim()
+        .isIn(["order", "name", "created_at"]).withMessage("sort_by must be one of 'order', 'name' or 'created_at'"),
+
+    query("sort_order")
+        .optional()
+        .isString().withMessage("sort_order must be a string").bail()
+        .trim().toLowerCase()
+        .isIn(["asc", "desc"]).withMessage("sort_order must be either 'asc' or 'desc'"),
+
+    query("name")
+        .optional()
+        .isString().withMessage("name must be a string").bail()
+        .trim().toLowerCase()
+        .isIn(toArrayOfVals(PLANT_GROWTH_STAGE)).withMessage(`name must be one of ${toArrayOfVals(PLANT_GROWTH_STAGE, true)}`),
+
+    query("max_days_lte")
+        .optional()
+        .isInt({ min: 1 }).withMessage("max_days_lte must be a natural number").bail()
+        .toInt(),
+
+    query("min_days_gte")
+        .optional()
+        .isInt({ min: 0 }).withMessage("min_days_gte must be a whole number").bail()
+        .toInt(),
+];
+
 /**
  * @constant idValidator
  * 
@@ -74,6 +140,29 @@ const idValidator = [
         .trim()
 ];
 
+/**
+ * @constant reorderGrowthStagesValidator
+ *
+ * @description Validation rules for reordering the growth stages.
+ * It checks that growth_stage_ids is a list of growth stage IDs without repetition.
+ *
+ * @type {ValidationChain[]}
+ */
+const reorderGrowthStagesValidator = [
+    /**
+     * Validations: Required fields
+     * growth_stage_ids: Array of UUIDs, in the new order of the growth stages
+     */
+    body("growth_stage_ids")
+        .exists().withMessage("growth_stage_ids is required").bail()
+        .isArray({ min: 1 }).withMessage("growth_stage_ids must be a non-empty array").bail()
+        .custom(arr => new Set(arr.map(id => String(id).toLowerCase())).size === arr.length)
+        .withMessage("growth_stage_ids must not repeat a growth stage"),
+
+    body("growth_stage_ids.*")
+        .isUUID(4).withMessage("growth_stage_ids must contain only valid UUID v4"),
+];
+
 const updateGrowthStageValidator = [
     /**
      * Validations: fields
@@ -128,6 +217,16 @@ const growthStageValidator = () => {
          * @returns {ValidationChain[]} - An array of validation chains for creating growth stage.
          */
         create: () => createGrowthStageValidator,
+
+        /**
+         * @function get
+         *
+         * @description Method to validate the request query parameters for fetching all growth stages.
+         * It uses the getGrowthStagesValidator defined above to ensure pagination, sorting and filtering parameters are valid.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for fetching all growth stages.
+         */
+        get: () => getGrowthStagesValidator,
     
          /**
          * @function id
@@ -139,6 +238,16 @@ const growthStageValidator = () => {
          */
         id: () => idValidator,
 
+        /**
+         * @function reorder
+         *
+         * @description Method to validate the request body for reordering the growth stages.
+         * It uses the reorderGrowthStagesValidator defined above to ensure the list of growth stage IDs is valid.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for reordering the growth stages.
+         */
+        reorder: () => reorderGrowthStagesValidator,
+
         update: () => updateGrowthStageValidator,
     }
 };
@@ -0,0 +1,132 @@
+// src/api/middlewares/import-middleware.js
+
+/**
+ * @module import-middleware
+ * Ecospace Import Middleware
+ *
+ * @description This module defines the middleware for the bulk import endpoints in the Ecospace backend.
+ * An import takes the rows either as a JSON array of objects, or as CSV text with a header row (Content-Type: text/csv).
+ * Each row is validated with the same validation chains as the endpoint creating a single record, and the rows are
+ * passed on along with their validation errors, so that the import can report on each row instead of failing
+ * on the first invalid row.
+ *
+ * @requires express
+ * @requires express-validator
+ * @requires lodash
+ * @requires ../../utils/csv
+ * @requires ../../utils/errors
+ * @exports { importValidator }
+ */
+
+// Core module imports
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const _ = require("lodash");
+// Custom module imports
+const { CSV_LIST_SEPARATOR, parseCsv } = require("../../utils/csv");
+const { ValidationError } = require("../../utils/errors");
+
+// Maximum number of rows of an import
+const MAX_IMPORT_ROWS = 500;
+
+/**
+ * @constant importQueryValidator
+ *
+ * @description Validation rules for the query parameters of an import.
+ *
+ * @type {ValidationChain[]}
+ */
+const importQueryValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * dry_run: boolean (default: false)
+     */
+    query("dry_run")
+      .optional()
+      .isBoolean().withMessage("dry_run must be a boolean").bail()
+      .toBoolean(true), // strict: only 'true' or '1' is true
+];
+
+/**
+ * @function toCsvRecord
+ *
+ * @description Converts the string cells of a CSV row to the types the validation chains expect,
+ * so that a CSV row is validated the same way as a JSON row. Cells of list fields are split into arrays,
+ * and cells of number fields which are numbers are converted to numbers.
+ *
+ * @param {Object} record - The CSV row, with a string for each cell.
+ * @param {Object} fieldTypes - The names of the fields which are not strings.
+ * @param {Array<string>} fieldTypes.listFields - The fields holding a list of values.
+ * @param {Array<string>} fieldTypes.numberFields - The fields holding a number.
+ * @returns {Object} - The row with the cells converted.
+ */
+const toCsvRecord = (record, { listFields = [], numberFields = [] }) => _.mapValues(record, (value, field) => {
+    if (listFields.includes(field)) return value.split(CSV_LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+    if (numberFields.includes(field) && value !== "" && Number.isFinite(Number(value))) return Number(value);
+    return value;
+});
+
+/**
+ * @function validateImportRows
+ *
+ * @description Returns the middleware reading the rows of an import from the body and validating each of them.
+ * It sets req.importRows to the rows in the order of the body, each with its number starting from 1,
+ * its sanitized body and the errors of its fields. A row repeating the name of an earlier row is invalid,
+ * as rows are saved by their name.
+ *
+ * @param {ValidationChain[]} rowValidator - The validation chains of a single row.
+ * @param {Object} fieldTypes - The names of the fields which are not strings in a CSV row.
+ * @returns {Function} - The middleware function.
+ * @throws {ValidationError} - The middleware throws a validation error if the body is not a JSON array or CSV text,
+ * or has no rows or too many rows.
+ */
+const validateImportRows = (rowValidator, fieldTypes) => async (req, _res, next) => {
+    const isCsv = Boolean(req.is("text/csv"));
+    if (!isCsv && !Array.isArray(req.body)) {
+        throw new ValidationError("Required body: a JSON array of rows, or CSV text with a header row and Content-Type text/csv");
+    }
+    const records = isCsv ? parseCsv(req.body ?? "").map(record => toCsvRecord(record, fieldTypes)) : req.body;
+    if (records.length === 0 || records.length > MAX_IMPORT_ROWS) {
+        throw new ValidationError(`An import must have 1 to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    const rowsByName = new Map();
+    req.importRows = [];
+    for (const [index, record] of records.entries()) {
+        const row = index + 1;
+        if (!_.isPlainObject(record)) {
+            req.importRows.push({ row, body: {}, errors: [{ field: "row", message: "row must be an object" }] });
+            continue;
+        }
+        // Run the validation chains of a single record on the row as if it were the body of a request
+        const rowRequest = { body: { ...record } };
+        for (const chain of rowValidator) await chain.run(rowRequest);
+        const errors = validationResult(rowRequest).array().map(({ msg, path }) => ({ field: path, message: msg }));
+        const { name } = rowRequest.body;
+        if (rowsByName.has(name)) errors.push({ field: "name", message: `name is repeated from row ${rowsByName.get(name)}` });
+        else if (typeof name === "string") rowsByName.set(name, row);
+        req.importRows.push({ row, body: rowRequest.body, errors });
+    }
+    next();
+};
+
+/**
+ * @function importValidator
+ *
+ * @description Returns the middleware of an import endpoint: the CSV body parser, the validation of the query
+ * parameters and the validation of the rows. The JSON body is parsed by the application.
+ *
+ * @param {ValidationChain[]} rowValidator - The validation chains of a single row, e.g. those for creating a plant.
+ * @param {Object} fieldTypes - The names of the fields which are not strings in a CSV row.
+ * @param {Array<string>} fieldTypes.listFields - The fields holding a list of values, separated by '|' in CSV.
+ * @param {Array<string>} fieldTypes.numberFields - The fields holding a number.
+ * @returns {Array<Function|ValidationChain>} - The middleware of the import endpoint.
+ */
+const importValidator = (rowValidator, fieldTypes = {}) => [
+    express.text({ type: "text/csv", limit: "1mb" }),
+    ...importQueryValidator,
+    validateImportRows(rowValidator, fieldTypes),
+];
+
+module.exports = { importValidator };
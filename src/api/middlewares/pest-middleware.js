@@ -0,0 +1,252 @@
+// src/api/middlewares/pest-middleware.js
+
+/**
+ * @module pest-middleware
+ * Ecospace Pest Middleware
+ *
+ * @description This module defines middleware for validating and sanitizing requests related to pest endpoints in the Ecospace backend.
+ * It includes validation for creating a pest, fetching pests, fetching a pest by its ID and updating a pest.
+ *
+ * @requires express-validator
+ * @exports { pestValidator }
+ */
+
+// Core module imports
+const { body, param, query } = require("express-validator");
+// Custom module imports
+const { PLANT_GROWTH_STAGE } = require("../../constants/plant-constant");
+const { SEASON } = require("../../constants/season-constant");
+const { toArrayOfVals } = require("../../utils/common");
+
+/**
+ * @function validateEnumArray
+ *
+ * @description Validates that a field is an array of values from a constant, and removes repeated values.
+ *
+ * @param {string} field - The name of the field to validate.
+ * @param {Object} constant - The constant with the allowed values.
+ * @returns {ValidationChain} - The validation chain for the field.
+ */
+const validateEnumArray = (field, constant) =>
+  body(field)
+    .optional()
+    .isArray().withMessage(`${field} must be an array`).bail()
+    .customSanitizer(arr => [...new Set(arr.map(item => typeof item === "string" ? item.trim().toLowerCase() : item))])
+    .custom(arr => arr.every(item => toArrayOfVals(constant).includes(item)))
+    .withMessage(`${field} must contain only values from ${toArrayOfVals(constant, true)}`);
+
+/**
+ * @function validateNonEmptyStringArray
+ *
+ * @description Validates that a field is an array of non-empty strings, and removes repeated strings.
+ *
+ * @param {string} field - The name of the field to validate.
+ * @returns {ValidationChain} - The validation chain for the field.
+ */
+const validateNonEmptyStringArray = field =>
+  body(field)
+    .optional()
+    .isArray().withMessage(`${field} must be an array`).bail()
+    .custom(arr => arr.every(item => typeof item === "string" && item.trim() !== ""))
+    .withMessage(`${field} must contain only non-empty strings`).bail()
+    .customSanitizer(arr => [...new Set(arr.map(item => item.trim()))]);
+
+/**
+ * @constant createPestValidator
+ *
+ * @description Validation rules for creating a pest.
+ * It checks for the required name and optional fields like scientific_name, description, symptoms,
+ * affected_growth_stages and active_seasons.
+ *
+ * @type {ValidationChain[]}
+ */
+const createPestValidator = [
+    /**
+     * Validations: Required fields
+     * name: string
+     *
+     * Validations: Optional fields
+     * active_seasons: Array of SEASON
+     * affected_growth_stages: Array of PLANT_GROWTH_STAGE
+     * description: string
+     * scientific_name: string
+     * symptoms: Array of strings
+     */
+    body("name")
+      .trim()
+      .notEmpty().withMessage("name is required").bail()
+      .isString().withMessage("name must be a string")
+      .isLength({ max: 50 }).withMessage("name must be at most 50 characters long"),
+
+    validateEnumArray("active_seasons", SEASON),
+    validateEnumArray("affected_growth_stages", PLANT_GROWTH_STAGE),
+
+    body("description")
+      .optional()
+      .isString().withMessage("description must be a string").bail()
+      .trim(),
+
+    body("scientific_name")
+      .optional()
+      .isString().withMessage("scientific_name must be a string").bail()
+      .trim()
+      .notEmpty().withMessage("scientific_name cannot be empty")
+      .isLength({ max: 100 }).withMessage("scientific_name must be at most 100 characters long"),
+
+    validateNonEmptyStringArray("symptoms"),
+];
+
+/**
+ * @constant getPestsValidator
+ *
+ * @description Validation rules for fetching all pests.
+ * It checks for optional query parameters like page, limit, sort_by, sort_order,
+ * and active_season and affected_growth_stage filters.
+ *
+ * @type {ValidationChain[]}
+ */
+const getPestsValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * Pagination:
+     * page: integer (default: 1)
+     * limit: integer (default: 10, max: 50)
+     *
+     * Sorting:
+     * sort_by: string (default: 'name')
+     * sort_order: string (default: 'asc')
+     *
+     * Filtering:
+     * active_season: string (SEASON, optional)
+     * affected_growth_stage: string (PLANT_GROWTH_STAGE, optional)
+     */
+    query("page")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("page must be a positive integer").bail()
+      .toInt(),
+
+    query("limit")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("limit must be a positive integer").bail()
+      .toInt(),
+
+    query("sort_by")
+      .optional()
+      .isString().withMessage("sort_by must be a string").bail()
+      .trim()
+      .isIn(["name", "created_at"]).withMessage("sort_by must be either 'name' or 'created_at'"),
+
+    query("sort_order")
+      .optional()
+      .isString().withMessage("sort_order must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(["asc", "desc"]).withMessage("sort_order must be either 'asc' or 'desc'"),
+
+    query("active_season")
+      .optional()
+      .isString().withMessage("active_season must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(SEASON)).withMessage(`active_season must be one of ${toArrayOfVals(SEASON, true)}`),
+
+    query("affected_growth_stage")
+      .optional()
+      .isString().withMessage("affected_growth_stage must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(PLANT_GROWTH_STAGE)).withMessage(`affected_growth_stage must be one of ${toArrayOfVals(PLANT_GROWTH_STAGE, true)}`),
+];
+
+/**
+ * @constant idValidator
+ *
+ * @description Validation rules for pest ID.
+ * It checks that the pest_id is a required path parameter and is a valid UUID v4.
+ *
+ * @type {ValidationChain[]}
+ */
+const idValidator = [
+    /**
+     * Validations: Required path parameter
+     *
+     * pest_id: string (UUID)
+     */
+    param("pest_id")
+      .exists().withMessage("pest_id is required").bail()
+      .isUUID(4).withMessage("pest_id must be a valid UUID v4")
+      .trim()
+];
+
+/**
+ * @constant patchUpdatePestValidator
+ *
+ * @description Validation rules for updating a pest.
+ * It checks for optional fields like name, scientific_name, description, symptoms,
+ * affected_growth_stages and active_seasons.
+ *
+ * @type {ValidationChain[]}
+ */
+const patchUpdatePestValidator = [
+    /**
+     * Validations: Optional fields
+     * name: string
+     * and the optional fields of createPestValidator
+     */
+    body("name")
+      .optional()
+      .trim()
+      .notEmpty().withMessage("name cannot be empty").bail()
+      .isString().withMessage("name must be a string")
+      .isLength({ max: 50 }).withMessage("name must be at most 50 characters long"),
+
+    ...createPestValidator.slice(1),
+];
+
+/**
+ * @function pestValidator
+ *
+ * @description Factory function that returns an object containing validation methods for creating a pest,
+ * fetching all pests, validating pest ID, and updating a pest.
+ *
+ * @returns {Object} - An object containing the validation methods.
+ */
+const pestValidator = () => {
+    return {
+        /**
+         * @function create
+         *
+         * @description Method to validate the request body for creating a pest.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for creating a pest.
+         */
+        create: () => createPestValidator,
+
+        /**
+         * @function get
+         *
+         * @description Method to validate the request query parameters for fetching all pests.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for fetching all pests.
+         */
+        get: () => getPestsValidator,
+
+        /**
+         * @function id
+         *
+         * @description Method to validate the pest ID from the request parameters.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for the pest ID.
+         */
+        id: () => idValidator,
+
+        /**
+         * @function patchOne
+         *
+         * @description Method to validate the request body for updating a pest.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for updating a pest.
+         */
+        patchOne: () => patchUpdatePestValidator,
+    };
+};
+
+module.exports = { pestValidator };
@@ -5,18 +5,26 @@
  * Ecospace Plant Middleware
  *
  * @description This module defines middleware for validating and sanitizing requests related to plant endpoints in the Ecospace backend.
- * It includes validation for creating a plant and fetching a plant by its ID.
+ * It includes validation for creating a plant, fetching and searching plants, updating a plant, linking soils, pests and fertilizers to a plant,
+ * relating plants as companions or antagonists, projecting the growth stage timeline of a plant, and exporting and importing plants in bulk.
  *
  * @requires express-validator
+ * @requires ./export-middleware
+ * @requires ./import-middleware
  * @exports plantValidator
  */
 
 // Core module imports
 const { body, param, query } = require("express-validator");
 // Custom module imports
-const { PLANT_CATEGORY, PLANT_GROWTH_CYCLE, PLANT_GROWTH_HABIT, PLANT_PURPOSE, PLANT_GROWTH_STAGE } = require('../../constants/plant-constant');
+const { PLANT_CATEGORY, PLANT_GROWTH_CYCLE, PLANT_GROWTH_HABIT, PLANT_PURPOSE, PLANT_GROWTH_STAGE,
+    PLANT_RELATIONSHIP } = require('../../constants/plant-constant');
 const { SEASON } = require('../../constants/season-constant');
+const { SOIL_DRAINAGE, SOIL_SUITABILITY, SOIL_WATER_RETENTION_LEVEL } = require('../../constants/soil-constant');
 const { toArrayOfVals } = require("../../utils/common");
+const { decodeCursor } = require("../../utils/cursor");
+const { exportValidator } = require("./export-middleware");
+const { importValidator } = require("./import-middleware");
 
 /**
  * @function validateNonEmptyStringArray
@@ -40,13 +48,193 @@ const validateNonEmptyStringArray = field =>
     .custom(arr => arr.length > 0)
     .withMessage(`${field} must have at least one non-empty string`);
 
+/**
+ * @function validateQueryList
+ *
+ * @description Validates that a query parameter is a comma separated list of values, or the parameter repeated,
+ * and sanitizes it to an array of trimmed values without repetition. When the allowed values are given,
+ * the values are lowercased and must be among them.
+ *
+ * @param {string} field - The name of the query parameter to validate.
+ * @param {Object} [allowedValues] - The constant object of the allowed values (optional).
+ * @returns {ValidationChain} - The validation chain for the query parameter.
+ */
+const validateQueryList = (field, allowedValues) => {
+  const chain = query(field)
+    .optional()
+    // Custom sanitizer to split the values by comma and remove empty and repeated values
+    .customSanitizer(value =>
+      [...new Set([].concat(value)
+        .flatMap(item => String(item).split(","))
+        .map(item => allowedValues ? item.trim().toLowerCase() : item.trim())
+        .filter(item => item !== "")
+      )]
+    )
+    .custom(arr => arr.length > 0 && arr.length <= 20).withMessage(`${field} must have 1 to 20 values`).bail();
+  if (!allowedValues) return chain;
+  return chain
+    .custom(arr => arr.every(item => toArrayOfVals(allowedValues).includes(item)))
+    .withMessage(`${field} must contain only values from ${toArrayOfVals(allowedValues, true)}`);
+};
+
+/**
+ * @function validateRegionIds
+ *
+ * @description Validates that region_ids is an array of IDs of the regions a plant grows in,
+ * and removes repeated region IDs. An empty array unlinks the plant from all regions.
+ *
+ * @returns {ValidationChain[]} - The validation chains for region_ids and its items.
+ */
+const validateRegionIds = () => [
+  body("region_ids")
+    .optional()
+    .isArray({ max: 100 }).withMessage("region_ids must be an array of at most 100 region IDs").bail()
+    // Custom sanitizer to remove repeated region IDs
+    .customSanitizer(arr => [...new Set(arr.map(item => typeof item === "string" ? item.trim().toLowerCase() : item))]),
+
+  body("region_ids.*")
+    .isUUID(4).withMessage("region_ids must contain only valid UUID v4"),
+];
+
+/**
+ * @function validateGrowthStages
+ *
+ * @description Validates that growth_stages is an array of growth stages of the plant.
+ * Each growth stage can be a name from PLANT_GROWTH_STAGE, or an object with the name and
+ * plant specific min_days and max_days overriding the growth stage catalog.
+ * Growth stage names are sanitized to objects, so that both forms are handled the same way.
+ *
+ * @returns {ValidationChain} - The validation chain for growth_stages.
+ */
+const validateGrowthStages = () =>
+  body("growth_stages")
+    .optional()
+    .isArray({ min: 1 }).withMessage("growth_stages must be a non-empty array").bail()
+    // Custom sanitizer to convert growth stage names to objects
+    .customSanitizer(arr => arr.map(stage => typeof stage === "string" ? { name: stage } : stage))
+    .custom(arr => arr.every(stage => typeof stage?.name === "string"
+      // Check if stage is a valid PLANT_GROWTH_STAGE
+      && toArrayOfVals(PLANT_GROWTH_STAGE).includes(stage.name.trim().toLowerCase())))
+    .withMessage(`growth_stages must contain only values from ${toArrayOfVals(PLANT_GROWTH_STAGE, true)}`).bail()
+    .custom(arr => arr.every(({ max_days: maxDays, min_days: minDays }) =>
+      (minDays == null || (Number.isInteger(minDays) && minDays >= 0))
+      && (maxDays == null || (Number.isInteger(maxDays) && maxDays >= 1))
+      && (minDays == null || maxDays == null || minDays < maxDays)))
+    .withMessage("growth_stages min_days must be a whole number and max_days a natural number greater than min_days").bail()
+    // Custom sanitizer to trim names and remove repeated growth stages
+    .customSanitizer(arr => arr
+      .map(stage => ({ ...stage, name: stage.name.trim().toLowerCase() }))
+      .filter((stage, index, stages) => stages.findIndex(({ name }) => name === stage.name) === index)
+    );
+
+/**
+ * @constant soilPreferenceValidator
+ *
+ * @description Validation rules for the optional soil preferences of a plant.
+ * It checks ph_min, ph_max, preferred_drainage and preferred_water_retention_level.
+ *
+ * @type {ValidationChain[]}
+ */
+const soilPreferenceValidator = [
+    /**
+     * Validations: Optional values
+     *
+     * ph_min: number (0 - 14)
+     * ph_max: number (0 - 14)
+     * preferred_drainage: string
+     * preferred_water_retention_level: string
+     *
+     * Allowed values:
+     * preferred_drainage: SOIL_DRAINAGE
+     * preferred_water_retention_level: SOIL_WATER_RETENTION_LEVEL
+     */
+    body("ph_min")
+      .optional()
+      .trim()
+      .isFloat({ min: 0, max: 14 }).withMessage("ph_min must be between 0 and 14").bail()
+      .custom((value, { req }) => {
+        if (req.body.ph_max && value > req.body.ph_max) {
+          throw new Error("ph_min must be less than or equal to ph_max");
+        }
+        return true;
+      })
+      .toFloat(),
+
+    body("ph_max")
+      .optional()
+      .trim()
+      .isFloat({ min: 0, max: 14 }).withMessage("ph_max must be between 0 and 14").bail()
+      .custom((value, { req }) => {
+        if (req.body.ph_min && value < req.body.ph_min) {
+          throw new Error("ph_max must be greater than or equal to ph_min");
+        }
+        return true;
+      })
+      .toFloat(),
+
+    body("preferred_drainage")
+      .optional()
+      .isString().withMessage("preferred_drainage must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(SOIL_DRAINAGE)).withMessage(`preferred_drainage must be one of ${toArrayOfVals(SOIL_DRAINAGE, true)}`),
+
+    body("preferred_water_retention_level")
+      .optional()
+      .isString().withMessage("preferred_water_retention_level must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(SOIL_WATER_RETENTION_LEVEL)).withMessage(`preferred_water_retention_level must be one of ${toArrayOfVals(SOIL_WATER_RETENTION_LEVEL, true)}`),
+];
+
+/**
+ * @constant checkCompanionsValidator
+ *
+ * @description Validation rules for checking a list of plants for antagonistic pairs.
+ * It checks for the required plant_ids, and removes repeated plant IDs.
+ *
+ * @type {ValidationChain[]}
+ */
+const checkCompanionsValidator = [
+    /**
+     * Validations: Required values
+     * plant_ids: Array of UUIDs (2 to 100 plants)
+     */
+    body("plant_ids")
+      .exists().withMessage("plant_ids is required").bail()
+      .isArray({ min: 2, max: 100 }).withMessage("plant_ids must be an array of 2 to 100 plant IDs").bail()
+      // Custom sanitizer to remove repeated plant IDs
+      .customSanitizer(arr => [...new Set(arr)]),
+
+    body("plant_ids.*")
+      .isUUID(4).withMessage("plant_ids must contain only valid UUID v4"),
+];
+
+/**
+ * @constant companionIdValidator
+ *
+ * @description Validation rules for the ID of the related plant of a plant.
+ * It checks that the companion_id is a required path parameter, is a valid UUID v4 and is not the plant itself.
+ *
+ * @type {ValidationChain[]}
+ */
+const companionIdValidator = [
+    /**
+     * Validations: Required path parameter
+     *
+     * companion_id: string (UUID)
+     */
+    param("companion_id")
+      .exists().withMessage("companion_id is required").bail()
+      .isUUID(4).withMessage("companion_id must be a valid UUID v4").bail()
+      .custom((value, { req }) => value !== req.params.plant_id).withMessage("companion_id must be a different plant"),
+];
+
 /**
  * @constant createPlantValidator
  *
  * @description Validation rules for creating a plant.
  * It checks for required fields like category, growth_cycle, growth_habit, ideal_season, name, and purpose.
- * It also validates optional fields like common_names, common_pests, compatible_plants, recommended_fertilizers,
- * region_compatibility, scientific_name, and tags.
+ * It also validates optional fields like common_names, growth_stages,
+ * region_ids, scientific_name, and tags.
  *
  * @type {ValidationChain[]}
  */
@@ -114,29 +302,15 @@ const createPlantValidator = [
      * validations: Optional values
      *
      * common_names: Array of strings
-     * common_pests: Array of strings
-     * compatible_plants: Array of strings
-     * growth_stages: Array of PLANT_GROWTH_STAGE
-     * recommended_fertilizers: Array of strings
-     * region_compatibility: Array of strings
+     * growth_stages: Array of PLANT_GROWTH_STAGE or { name, min_days, max_days }
+     * region_ids: Array of UUIDs
      * scientific_name: string
      * tags: Array of strings
+     * ph_min, ph_max, preferred_drainage, preferred_water_retention_level: soil preferences
      */
     validateNonEmptyStringArray("common_names"),
-    validateNonEmptyStringArray("common_pests"),
-    validateNonEmptyStringArray("compatible_plants"),
-    body("growth_stages")
-      .optional()
-      .isArray({ min: 1 }).withMessage("growth_stages must be a non-empty array").bail()
-      .custom(arr => arr.every(stage => {
-        stage = stage.trim().toLowerCase();
-        // Check if stage is a valid PLANT_GROWTH_STAGE
-        return toArrayOfVals(PLANT_GROWTH_STAGE).includes(stage);
-      }))
-      .withMessage(`growth_stages must contain only values from ${toArrayOfVals(PLANT_GROWTH_STAGE, true)}`).bail()
-      .customSanitizer(arr => [...new Set(arr)]),
-    validateNonEmptyStringArray("recommended_fertilizers"),
-    validateNonEmptyStringArray("region_compatibility"),
+    validateGrowthStages(),
+    ...validateRegionIds(),
     validateNonEmptyStringArray("tags"),
 
     body("scientific_name")
@@ -144,7 +318,9 @@ const createPlantValidator = [
       .notEmpty().withMessage("scientific_name cannot be empty").bail()
       .isString().withMessage("scientific_name must be a string")
       .trim().toLowerCase() // scientific_name should be sanitized to lowercase
-      .isLength({ max: 50 }).withMessage("scientific_name must be at most 50 characters long")
+      .isLength({ max: 50 }).withMessage("scientific_name must be at most 50 characters long"),
+
+    ...soilPreferenceValidator,
 ];
 
 /**
@@ -183,26 +359,35 @@ const getPlantsValidator = [
      * Pagination:
      * page: integer (default: 1)
      * limit: integer (default: 10, max: 100)
+     * pagination_mode: string ('cursor' or 'page', default: 'page')
+     * cursor: string (optional, next_cursor or prev_cursor of a page, switches to cursor pagination)
      *
      * Sorting:
      * sortBy: string (default: 'name')
      * sortOrder: string (default: 'asc')
      *
-     * Filtering:
-     * category: string (optional)
-     * growth_cycle: string (optional)
-     * growth_habit: string (optional)
-     * growth_stages: string (optional)
-     * ideal_season: string (optional)
-     * purpose: string (optional)
+     * Filtering (lists are comma separated values or the parameter repeated):
+     * category: list of strings (optional, matches any)
+     * growth_cycle: list of strings (optional, matches any)
+     * growth_habit: list of strings (optional, matches any)
+     * ideal_season: list of strings (optional, matches any)
+     * purpose: list of strings (optional, matches any)
+     * common_names: list of strings (optional, matched exactly)
+     * common_names_mode: string ('all' or 'any', default: 'all')
+     * common_pest: list of pest names (optional, matches any regardless of case)
+     * region_id: list of UUIDs (optional, matches any, includes the regions within them)
+     * tags: list of strings (optional, matched exactly)
+     * tags_mode: string ('all' or 'any', default: 'all')
      *
      * Allowed values for filtering:
      * category: PLANT_CATEGORY
      * growth_cycle: PLANT_GROWTH_CYCLE
      * growth_habit: PLANT_GROWTH_HABIT
-     * growth_stages: Array of PLANT_GROWTH_STAGE
      * ideal_season: SEASON
      * purpose: PLANT_PURPOSE
+     *
+     * Soft delete:
+     * include_deleted: boolean (default: false)
      */
     query("page")
       .optional()
@@ -213,6 +398,18 @@ const getPlantsValidator = [
       .optional()
       .isInt({ gt: 0 }).withMessage("limit must be a positive integer").bail()
       .toInt(),
+
+    query("pagination_mode")
+      .optional()
+      .isString().withMessage("pagination_mode must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(["cursor", "page"]).withMessage("pagination_mode must be either 'cursor' or 'page'"),
+
+    query("cursor")
+      .optional()
+      .isString().withMessage("cursor must be a string").bail()
+      .trim()
+      .custom(value => ["name", "created_at"].includes(decodeCursor(value)?.sortBy)).withMessage("cursor is invalid"),
   
     query("sort_by")
       .optional()
@@ -226,43 +423,63 @@ const getPlantsValidator = [
       .trim().toLowerCase()
       .isIn(["asc", "desc"]).withMessage("sort_order must be either 'asc' or 'desc'"),  
 
-    query("category")
-      .optional()
-      .isString().withMessage("category must be a string").bail()
-      .trim().toLowerCase()
-      .isIn(toArrayOfVals(PLANT_CATEGORY)).withMessage(`category must be one of ${toArrayOfVals(PLANT_CATEGORY, true)}`),
-    
-    query("growth_cycle")
+    validateQueryList("category", PLANT_CATEGORY),
+    validateQueryList("growth_cycle", PLANT_GROWTH_CYCLE),
+    validateQueryList("growth_habit", PLANT_GROWTH_HABIT),
+    validateQueryList("ideal_season", SEASON),
+    validateQueryList("purpose", PLANT_PURPOSE),
+    validateQueryList("common_names"),
+
+    query("common_names_mode")
       .optional()
-      .isString().withMessage("growth_cycle must be a string").bail()
+      .isString().withMessage("common_names_mode must be a string").bail()
       .trim().toLowerCase()
-      .isIn(toArrayOfVals(PLANT_GROWTH_CYCLE)).withMessage(`growth_cycle must be one of ${toArrayOfVals(PLANT_GROWTH_CYCLE, true)}`),
+      .isIn(["all", "any"]).withMessage("common_names_mode must be either 'all' or 'any'"),
+
+    validateQueryList("common_pest"),
+    validateQueryList("region_id")
+      .isUUID(4).withMessage("region_id must contain only valid UUID v4"),
+
+    validateQueryList("tags"),
 
-    query("growth_habit")
+    query("tags_mode")
       .optional()
-      .isString().withMessage("growth_habit must be a string").bail()
+      .isString().withMessage("tags_mode must be a string").bail()
       .trim().toLowerCase()
-      .isIn(toArrayOfVals(PLANT_GROWTH_HABIT)).withMessage(`growth_habit must be one of ${toArrayOfVals(PLANT_GROWTH_HABIT, true)}`),
-    
-    query("ideal_season")
+      .isIn(["all", "any"]).withMessage("tags_mode must be either 'all' or 'any'"),
+
+    query("include_deleted")
       .optional()
-      .isString().withMessage("ideal_season must be a string").bail()
-      .trim().toLowerCase()
-      .isIn(toArrayOfVals(SEASON)).withMessage(`ideal_season must be one of ${toArrayOfVals(SEASON, true)}`),
+      .isBoolean().withMessage("include_deleted must be a boolean").bail()
+      .toBoolean(true), // strict: only 'true' or '1' is true
+];
 
-    query("purpose")
+/**
+ * @constant getPlantValidator
+ *
+ * @description Validation rules for fetching a plant by its ID.
+ * It checks for optional query parameter include_deleted to look up soft deleted plants.
+ *
+ * @type {ValidationChain[]}
+ */
+const getPlantValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * include_deleted: boolean (default: false)
+     */
+    query("include_deleted")
       .optional()
-      .isString().withMessage("purpose must be a string").bail()
-      .trim().toLowerCase()
-      .isIn(toArrayOfVals(PLANT_PURPOSE)).withMessage(`purpose must be one of ${toArrayOfVals(PLANT_PURPOSE, true)}`),
+      .isBoolean().withMessage("include_deleted must be a boolean").bail()
+      .toBoolean(true), // strict: only 'true' or '1' is true
 ];
 
 /**
  * @constant patchUpdatePlantValidator
  *
  * @description Validation rules for updating a plant.
- * It checks for optional fields like common_names, common_pests, compatible_plants, recommended_fertilizers,
- * region_compatibility, scientific_name, and tags.
+ * It checks for optional fields like common_names, growth_stages,
+ * region_ids, scientific_name, and tags.
  *
  * It ensures that these fields, if provided, are valid and formatted correctly.
  *
@@ -273,18 +490,15 @@ const patchUpdatePlantValidator = [
      * validations: Optional values
      *
      * common_names: Array of strings
-     * common_pests: Array of strings
-     * compatible_plants: Array of strings
-     * recommended_fertilizers: Array of strings
-     * region_compatibility: Array of strings
+     * growth_stages: Array of PLANT_GROWTH_STAGE or { name, min_days, max_days }
+     * region_ids: Array of UUIDs
      * scientific_name: string
      * tags: Array of strings
+     * ph_min, ph_max, preferred_drainage, preferred_water_retention_level: soil preferences
      */
     validateNonEmptyStringArray("common_names"),
-    validateNonEmptyStringArray("common_pests"),
-    validateNonEmptyStringArray("compatible_plants"),
-    validateNonEmptyStringArray("recommended_fertilizers"),
-    validateNonEmptyStringArray("region_compatibility"),
+    validateGrowthStages(),
+    ...validateRegionIds(),
     validateNonEmptyStringArray("tags"),
 
     body("scientific_name")
@@ -293,6 +507,223 @@ const patchUpdatePlantValidator = [
       .isString().withMessage("scientific_name must be a string")
       .trim().toLowerCase() // scientific_name should be sanitized to lowercase
       .isLength({ max: 50 }).withMessage("scientific_name must be at most 50 characters long"),
+
+    ...soilPreferenceValidator,
+];
+
+/**
+ * @constant searchPlantsValidator
+ *
+ * @description Validation rules for searching plants by text.
+ * It checks for the required q query parameter, and optional page, limit and include_deleted query parameters.
+ *
+ * @type {ValidationChain[]}
+ */
+const searchPlantsValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * q: string (required, 2 to 100 characters)
+     *
+     * Pagination:
+     * page: integer (default: 1)
+     * limit: integer (default: 10, max: 100)
+     *
+     * Soft delete:
+     * include_deleted: boolean (default: false)
+     */
+    query("q")
+      .exists().withMessage("q is required").bail()
+      .isString().withMessage("q must be a string").bail()
+      .trim()
+      .isLength({ min: 2, max: 100 }).withMessage("q must be between 2 and 100 characters long"),
+
+    query("page")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("page must be a positive integer").bail()
+      .toInt(),
+
+    query("limit")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("limit must be a positive integer").bail()
+      .toInt(),
+
+    query("include_deleted")
+      .optional()
+      .isBoolean().withMessage("include_deleted must be a boolean").bail()
+      .toBoolean(true), // strict: only 'true' or '1' is true
+];
+
+/**
+ * @constant suitableSoilsValidator
+ *
+ * @description Validation rules for fetching the soils ranked by the soil preferences of a plant.
+ * It checks for optional pagination query parameters page and limit.
+ *
+ * @type {ValidationChain[]}
+ */
+const suitableSoilsValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * Pagination:
+     * page: integer (default: 1)
+     * limit: integer (default: 10, max: 100)
+     */
+    query("page")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("page must be a positive integer").bail()
+      .toInt(),
+
+    query("limit")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("limit must be a positive integer").bail()
+      .toInt(),
+];
+
+/**
+ * @constant fertilizerPlanValidator
+ *
+ * @description Validation rules for building the fertilizer plan of a plant.
+ * It checks for the optional soil_id query parameter of the soil to adjust the plan to.
+ *
+ * @type {ValidationChain[]}
+ */
+const fertilizerPlanValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * soil_id: string (UUID, optional)
+     */
+    query("soil_id")
+      .optional()
+      .isUUID(4).withMessage("soil_id must be a valid UUID v4")
+      .trim(),
+];
+
+/**
+ * @constant upsertCompanionValidator
+ *
+ * @description Validation rules for relating a plant to another plant.
+ * It checks for the required relationship and optional reason of the relationship.
+ *
+ * @type {ValidationChain[]}
+ */
+const upsertCompanionValidator = [
+    /**
+     * Validations: Required values
+     * relationship: string
+     *
+     * Validations: Optional values
+     * reason: string
+     *
+     * Allowed values:
+     * relationship: PLANT_RELATIONSHIP
+     */
+    body("relationship")
+      .trim()
+      .notEmpty().withMessage("relationship is required").bail()
+      .isString().withMessage("relationship must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(PLANT_RELATIONSHIP)).withMessage(`relationship must be one of ${toArrayOfVals(PLANT_RELATIONSHIP, true)}`),
+
+    body("reason")
+      .optional()
+      .isString().withMessage("reason must be a string").bail()
+      .trim()
+      .isLength({ max: 255 }).withMessage("reason must be at most 255 characters long"),
+];
+
+/**
+ * @constant timelineValidator
+ *
+ * @description Validation rules for projecting the growth stage timeline of a plant.
+ * It checks for the optional sow_date query parameter.
+ *
+ * @type {ValidationChain[]}
+ */
+const timelineValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * sow_date: string (YYYY-MM-DD, default: today)
+     */
+    query("sow_date")
+      .optional()
+      .isDate({ format: "YYYY-MM-DD", strictMode: true }).withMessage("sow_date must be a valid date in YYYY-MM-DD format"),
+];
+
+/**
+ * @constant upsertPlantFertilizerValidator
+ *
+ * @description Validation rules for linking a fertilizer to a plant.
+ * It checks for the optional notes of the plant-fertilizer link.
+ *
+ * @type {ValidationChain[]}
+ */
+const upsertPlantFertilizerValidator = [
+    /**
+     * Validations: Optional values
+     * notes: string
+     */
+    body("notes")
+      .optional()
+      .isString().withMessage("notes must be a string").bail()
+      .trim()
+      .isLength({ max: 255 }).withMessage("notes must be at most 255 characters long"),
+];
+
+/**
+ * @constant upsertPlantPestValidator
+ *
+ * @description Validation rules for linking a pest to a plant.
+ * It checks for the optional notes of the plant-pest link.
+ *
+ * @type {ValidationChain[]}
+ */
+const upsertPlantPestValidator = [
+    /**
+     * Validations: Optional values
+     * notes: string
+     */
+    body("notes")
+      .optional()
+      .isString().withMessage("notes must be a string").bail()
+      .trim()
+      .isLength({ max: 255 }).withMessage("notes must be at most 255 characters long"),
+];
+
+/**
+ * @constant upsertPlantSoilValidator
+ *
+ * @description Validation rules for linking a soil to a plant.
+ * It checks for the required suitability rating and optional notes of the plant-soil link.
+ *
+ * @type {ValidationChain[]}
+ */
+const upsertPlantSoilValidator = [
+    /**
+     * Validations: Required values
+     * suitability: string
+     *
+     * Validations: Optional values
+     * notes: string
+     *
+     * Allowed values:
+     * suitability: SOIL_SUITABILITY
+     */
+    body("suitability")
+      .trim()
+      .notEmpty().withMessage("suitability is required").bail()
+      .isString().withMessage("suitability must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(SOIL_SUITABILITY)).withMessage(`suitability must be one of ${toArrayOfVals(SOIL_SUITABILITY, true)}`),
+
+    body("notes")
+      .optional()
+      .isString().withMessage("notes must be a string").bail()
+      .trim()
+      .isLength({ max: 255 }).withMessage("notes must be at most 255 characters long"),
 ];
 
 /**
@@ -307,6 +738,24 @@ const patchUpdatePlantValidator = [
  */
 const plantValidator = () => {
     return {
+        /**
+         * @function checkCompanions
+         *
+         * @description Method to validate the request body for checking a list of plants for antagonistic pairs.
+         * It uses the checkCompanionsValidator defined above to ensure the plant IDs are valid.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for checking plant companions.
+         */
+        checkCompanions: () => checkCompanionsValidator,
+        /**
+         * @function companionId
+         *
+         * @description Method to validate the ID of the related plant from the request parameters.
+         * It uses the companionIdValidator defined above to ensure the companion ID is valid.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for the companion ID.
+         */
+        companionId: () => companionIdValidator,
         /**
          * @function create
          *
@@ -316,6 +765,36 @@ const plantValidator = () => {
          * @returns {ValidationChain[]} - An array of validation chains for creating a plant.
          */
         create: () => createPlantValidator,
+        /**
+         * @function export
+         *
+         * @description Method to validate the request query parameters for exporting plants.
+         * It uses the getPlantsValidator defined above for the sorting and filtering parameters, along with the format.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for exporting plants.
+         */
+        export: () => exportValidator(getPlantsValidator),
+        /**
+         * @function fertilizerPlan
+         *
+         * @description Method to validate the request query parameters for building the fertilizer plan of a plant.
+         * It uses the fertilizerPlanValidator defined above to ensure the soil ID is valid.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for building the fertilizer plan of a plant.
+         */
+        fertilizerPlan: () => fertilizerPlanValidator,
+        /**
+         * @function import
+         *
+         * @description Method to validate the request for importing plants in bulk.
+         * Each row is validated with the createPlantValidator defined above. In CSV, the lists common_names, tags,
+         * region_ids and growth_stages (names only) separate their values by '|'.
+         *
+         * @returns {Array<Function|ValidationChain>} - The middleware for importing plants.
+         */
+        import: () => importValidator(createPlantValidator, {
+          listFields: ["common_names", "growth_stages", "region_ids", "tags"], numberFields: ["ph_max", "ph_min"],
+        }),
         /**
          * @function get
          * 
@@ -325,6 +804,15 @@ const plantValidator = () => {
          * @returns {ValidationChain[]} - An array of validation chains for fetching all plants.
          */
         get: () => getPlantsValidator,
+        /**
+         * @function getOne
+         *
+         * @description Method to validate the request query parameters for fetching a plant by its ID.
+         * It uses the getPlantValidator defined above to ensure include_deleted is valid.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for fetching a plant.
+         */
+        getOne: () => getPlantValidator,
         /**
          * @function id
          * 
@@ -343,6 +831,70 @@ const plantValidator = () => {
          * @returns {ValidationChain[]} - An array of validation chains for updating a plant.
          */
         patchOne: () => patchUpdatePlantValidator,
+        /**
+         * @function search
+         *
+         * @description Method to validate the request query parameters for searching plants by text.
+         * It uses the searchPlantsValidator defined above to ensure the search text and pagination parameters are valid.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for searching plants.
+         */
+        search: () => searchPlantsValidator,
+        /**
+         * @function suitableSoils
+         *
+         * @description Method to validate the request query parameters for fetching the soils ranked by
+         * the soil preferences of a plant.
+         * It uses the suitableSoilsValidator defined above to ensure pagination parameters are valid.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for fetching suitable soils.
+         */
+        suitableSoils: () => suitableSoilsValidator,
+        /**
+         * @function timeline
+         *
+         * @description Method to validate the request query parameters for projecting the growth stage timeline of a plant.
+         * It uses the timelineValidator defined above to ensure the sow date is valid.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for projecting the timeline of a plant.
+         */
+        timeline: () => timelineValidator,
+        /**
+         * @function upsertCompanion
+         *
+         * @description Method to validate the request body for relating a plant to another plant.
+         * It uses the upsertCompanionValidator defined above to ensure relationship and reason are valid.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for relating a plant to another plant.
+         */
+        upsertCompanion: () => upsertCompanionValidator,
+        /**
+         * @function upsertFertilizer
+         *
+         * @description Method to validate the request body for linking a fertilizer to a plant.
+         * It uses the upsertPlantFertilizerValidator defined above to ensure notes are valid.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for linking a fertilizer to a plant.
+         */
+        upsertFertilizer: () => upsertPlantFertilizerValidator,
+        /**
+         * @function upsertPest
+         *
+         * @description Method to validate the request body for linking a pest to a plant.
+         * It uses the upsertPlantPestValidator defined above to ensure notes are valid.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for linking a pest to a plant.
+         */
+        upsertPest: () => upsertPlantPestValidator,
+        /**
+         * @function upsertSoil
+         *
+         * @description Method to validate the request body for linking a soil to a plant.
+         * It uses the upsertPlantSoilValidator defined above to ensure suitability and notes are valid.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for linking a soil to a plant.
+         */
+        upsertSoil: () => upsertPlantSoilValidator,
     };
 };
 
@@ -0,0 +1,212 @@
+// src/api/middlewares/planting-middleware.js
+
+/**
+ * @module planting-middleware
+ * Ecospace Planting Middleware
+ *
+ * @description This module defines middleware for validating and sanitizing requests related to planting endpoints in the Ecospace backend.
+ * It includes validation for creating a planting, fetching plantings, fetching a planting by its ID
+ * and advancing a planting to its next growth stage.
+ *
+ * @requires express-validator
+ * @exports { plantingValidator }
+ */
+
+// Core module imports
+const { body, param, query } = require("express-validator");
+
+/**
+ * @constant advancePlantingValidator
+ *
+ * @description Validation rules for advancing a planting to its next growth stage.
+ * It checks for the optional transitioned_at timestamp, which can not be in the future.
+ *
+ * @type {ValidationChain[]}
+ */
+const advancePlantingValidator = [
+    /**
+     * Validations: Optional fields
+     * transitioned_at: string (ISO 8601 date time, default: now)
+     */
+    body("transitioned_at")
+      .optional()
+      .isISO8601().withMessage("transitioned_at must be a valid ISO 8601 date time").bail()
+      .custom(value => {
+          if (new Date(value) > new Date()) {
+              throw new Error("transitioned_at can not be in the future");
+          }
+          return true;
+          })
+      .toDate(),
+];
+
+/**
+ * @constant createPlantingValidator
+ *
+ * @description Validation rules for creating a planting.
+ * It checks for the required plot_id, plant_id and sow_date, and the optional quantity.
+ *
+ * @type {ValidationChain[]}
+ */
+const createPlantingValidator = [
+    /**
+     * Validations: Required fields
+     * plant_id: string (UUID)
+     * plot_id: string (UUID)
+     * sow_date: string (YYYY-MM-DD, not in the future)
+     *
+     * Validations: Optional fields
+     * quantity: integer (default: 1)
+     */
+    body("plant_id")
+      .exists().withMessage("plant_id is required").bail()
+      .isUUID(4).withMessage("plant_id must be a valid UUID v4")
+      .trim(),
+
+    body("plot_id")
+      .exists().withMessage("plot_id is required").bail()
+      .isUUID(4).withMessage("plot_id must be a valid UUID v4")
+      .trim(),
+
+    body("sow_date")
+      .exists().withMessage("sow_date is required").bail()
+      .isDate({ format: "YYYY-MM-DD", strictMode: true }).withMessage("sow_date must be a valid date in YYYY-MM-DD format").bail()
+      .custom(value => {
+          if (new Date(value) > new Date()) {
+              throw new Error("sow_date can not be in the future");
+          }
+          return true;
+          }),
+
+    body("quantity")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("quantity must be a positive integer").bail()
+      .toInt(),
+];
+
+/**
+ * @constant getPlantingsValidator
+ *
+ * @description Validation rules for fetching all plantings.
+ * It checks for optional query parameters like page, limit, sort_by, sort_order, and plant_id and plot_id filters.
+ *
+ * @type {ValidationChain[]}
+ */
+const getPlantingsValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * Pagination:
+     * page: integer (default: 1)
+     * limit: integer (default: 10, max: 50)
+     *
+     * Sorting:
+     * sort_by: string (default: 'sow_date')
+     * sort_order: string (default: 'desc')
+     *
+     * Filtering:
+     * plant_id: string (UUID, optional)
+     * plot_id: string (UUID, optional)
+     */
+    query("page")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("page must be a positive integer").bail()
+      .toInt(),
+
+    query("limit")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("limit must be a positive integer").bail()
+      .toInt(),
+
+    query("sort_by")
+      .optional()
+      .isString().withMessage("sort_by must be a string").bail()
+      .trim()
+      .isIn(["sow_date", "created_at"]).withMessage("sort_by must be either 'sow_date' or 'created_at'"),
+
+    query("sort_order")
+      .optional()
+      .isString().withMessage("sort_order must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(["asc", "desc"]).withMessage("sort_order must be either 'asc' or 'desc'"),
+
+    query("plant_id")
+      .optional()
+      .isUUID(4).withMessage("plant_id must be a valid UUID v4")
+      .trim(),
+
+    query("plot_id")
+      .optional()
+      .isUUID(4).withMessage("plot_id must be a valid UUID v4")
+      .trim(),
+];
+
+/**
+ * @constant idValidator
+ *
+ * @description Validation rules for planting ID.
+ * It checks that the planting_id is a required path parameter and is a valid UUID v4.
+ *
+ * @type {ValidationChain[]}
+ */
+const idValidator = [
+    /**
+     * Validations: Required path parameter
+     *
+     * planting_id: string (UUID)
+     */
+    param("planting_id")
+      .exists().withMessage("planting_id is required").bail()
+      .isUUID(4).withMessage("planting_id must be a valid UUID v4")
+      .trim()
+];
+
+/**
+ * @function plantingValidator
+ *
+ * @description Factory function that returns an object containing validation methods for creating a planting,
+ * fetching all plantings, validating planting ID, and advancing a planting.
+ *
+ * @returns {Object} - An object containing the validation methods.
+ */
+const plantingValidator = () => {
+    return {
+        /**
+         * @function advance
+         *
+         * @description Method to validate the request body for advancing a planting to its next growth stage.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for advancing a planting.
+         */
+        advance: () => advancePlantingValidator,
+
+        /**
+         * @function create
+         *
+         * @description Method to validate the request body for creating a planting.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for creating a planting.
+         */
+        create: () => createPlantingValidator,
+
+        /**
+         * @function get
+         *
+         * @description Method to validate the request query parameters for fetching all plantings.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for fetching all plantings.
+         */
+        get: () => getPlantingsValidator,
+
+        /**
+         * @function id
+         *
+         * @description Method to validate the planting ID from the request parameters.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for the planting ID.
+         */
+        id: () => idValidator,
+    };
+};
+
+module.exports = { plantingValidator };
@@ -0,0 +1,205 @@
+// src/api/middlewares/plot-middleware.js
+
+/**
+ * @module plot-middleware
+ * Ecospace Plot Middleware
+ *
+ * @description This module defines middleware for validating and sanitizing requests related to plot endpoints in the Ecospace backend.
+ * It includes validation for creating a plot, fetching plots of a garden, fetching a plot by its ID and updating a plot.
+ *
+ * @requires express-validator
+ * @exports { plotValidator }
+ */
+
+// Core module imports
+const { body, param, query } = require("express-validator");
+
+/**
+ * @constant createPlotValidator
+ *
+ * @description Validation rules for creating a plot.
+ * It checks for the required name and soil_id, and the optional area.
+ *
+ * @type {ValidationChain[]}
+ */
+const createPlotValidator = [
+    /**
+     * Validations: Required fields
+     * name: string
+     * soil_id: string (UUID)
+     *
+     * Validations: Optional fields
+     * area: number (square metres)
+     */
+    body("name")
+      .trim()
+      .notEmpty().withMessage("name is required").bail()
+      .isString().withMessage("name must be a string")
+      .isLength({ max: 50 }).withMessage("name must be at most 50 characters long"),
+
+    body("soil_id")
+      .exists().withMessage("soil_id is required").bail()
+      .isUUID(4).withMessage("soil_id must be a valid UUID v4")
+      .trim(),
+
+    body("area")
+      .optional()
+      .trim()
+      .isFloat({ gt: 0 }).withMessage("area must be a positive number").bail()
+      .toFloat(),
+];
+
+/**
+ * @constant getPlotsValidator
+ *
+ * @description Validation rules for fetching all plots of a garden.
+ * It checks for optional query parameters like page, limit, sort_by, sort_order and soil_id filter.
+ *
+ * @type {ValidationChain[]}
+ */
+const getPlotsValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * Pagination:
+     * page: integer (default: 1)
+     * limit: integer (default: 10, max: 50)
+     *
+     * Sorting:
+     * sort_by: string (default: 'created_at')
+     * sort_order: string (default: 'asc')
+     *
+     * Filtering:
+     * soil_id: string (UUID, optional)
+     */
+    query("page")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("page must be a positive integer").bail()
+      .toInt(),
+
+    query("limit")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("limit must be a positive integer").bail()
+      .toInt(),
+
+    query("sort_by")
+      .optional()
+      .isString().withMessage("sort_by must be a string").bail()
+      .trim()
+      .isIn(["name", "created_at"]).withMessage("sort_by must be either 'name' or 'created_at'"),
+
+    query("sort_order")
+      .optional()
+      .isString().withMessage("sort_order must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(["asc", "desc"]).withMessage("sort_order must be either 'asc' or 'desc'"),
+
+    query("soil_id")
+      .optional()
+      .isUUID(4).withMessage("soil_id must be a valid UUID v4")
+      .trim(),
+];
+
+/**
+ * @constant idValidator
+ *
+ * @description Validation rules for plot ID.
+ * It checks that the plot_id is a required path parameter and is a valid UUID v4.
+ *
+ * @type {ValidationChain[]}
+ */
+const idValidator = [
+    /**
+     * Validations: Required path parameter
+     *
+     * plot_id: string (UUID)
+     */
+    param("plot_id")
+      .exists().withMessage("plot_id is required").bail()
+      .isUUID(4).withMessage("plot_id must be a valid UUID v4")
+      .trim()
+];
+
+/**
+ * @constant patchUpdatePlotValidator
+ *
+ * @description Validation rules for updating a plot.
+ * It checks for optional fields like area, name and soil_id.
+ *
+ * @type {ValidationChain[]}
+ */
+const patchUpdatePlotValidator = [
+    /**
+     * Validations: Optional fields
+     * area: number (square metres)
+     * name: string
+     * soil_id: string (UUID)
+     */
+    body("area")
+      .optional()
+      .trim()
+      .isFloat({ gt: 0 }).withMessage("area must be a positive number").bail()
+      .toFloat(),
+
+    body("name")
+      .optional()
+      .trim()
+      .notEmpty().withMessage("name cannot be empty").bail()
+      .isString().withMessage("name must be a string")
+      .isLength({ max: 50 }).withMessage("name must be at most 50 characters long"),
+
+    body("soil_id")
+      .optional()
+      .isUUID(4).withMessage("soil_id must be a valid UUID v4")
+      .trim(),
+];
+
+/**
+ * @function plotValidator
+ *
+ * @description Factory function that returns an object containing validation methods for creating a plot,
+ * fetching all plots of a garden, validating plot ID, and updating a plot.
+ *
+ * @returns {Object} - An object containing the validation methods.
+ */
+const plotValidator = () => {
+    return {
+        /**
+         * @function create
+         *
+         * @description Method to validate the request body for creating a plot.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for creating a plot.
+         */
+        create: () => createPlotValidator,
+
+        /**
+         * @function get
+         *
+         * @description Method to validate the request query parameters for fetching all plots of a garden.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for fetching all plots.
+         */
+        get: () => getPlotsValidator,
+
+        /**
+         * @function id
+         *
+         * @description Method to validate the plot ID from the request parameters.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for the plot ID.
+         */
+        id: () => idValidator,
+
+        /**
+         * @function patchOne
+         *
+         * @description Method to validate the request body for updating a plot.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for updating a plot.
+         */
+        patchOne: () => patchUpdatePlotValidator,
+    };
+};
+
+module.exports = { plotValidator };
@@ -0,0 +1,266 @@
+// src/api/middlewares/region-middleware.js
+
+/**
+ * @module region-middleware
+ * Ecospace Region Middleware
+ *
+ * @description This module defines middleware for validating and sanitizing requests related to region endpoints in the Ecospace backend.
+ * It includes validation for creating a region, fetching regions, fetching a region by its ID and updating a region.
+ *
+ * @requires express-validator
+ * @exports { regionValidator }
+ */
+
+// Core module imports
+const { body, param, query } = require("express-validator");
+// Custom module imports
+const { CLIMATE_ZONE, REGION_LEVEL } = require("../../constants/region-constant");
+const { SOIL_TYPE } = require("../../constants/soil-constant");
+const { toArrayOfVals } = require("../../utils/common");
+
+/**
+ * @constant optionalRegionFieldsValidator
+ *
+ * @description Validation rules for the optional fields of a region, shared by creating and updating a region.
+ * It checks code, climate_zone and default_soil_types.
+ *
+ * @type {ValidationChain[]}
+ */
+const optionalRegionFieldsValidator = [
+    /**
+     * Validations: Optional fields
+     * climate_zone: string (CLIMATE_ZONE)
+     * code: string (max 10 characters)
+     * default_soil_types: Array of SOIL_TYPE
+     */
+    body("climate_zone")
+      .optional()
+      .isString().withMessage("climate_zone must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(CLIMATE_ZONE)).withMessage(`climate_zone must be one of ${toArrayOfVals(CLIMATE_ZONE, true)}`),
+
+    body("code")
+      .optional()
+      .isString().withMessage("code must be a string").bail()
+      .trim()
+      .notEmpty().withMessage("code cannot be empty")
+      .isLength({ max: 10 }).withMessage("code must be at most 10 characters long"),
+
+    body("default_soil_types")
+      .optional()
+      .isArray().withMessage("default_soil_types must be an array").bail()
+      // Custom sanitizer to remove repeated soil types
+      .customSanitizer(arr => [...new Set(arr.map(item => typeof item === "string" ? item.trim().toLowerCase() : item))])
+      .custom(arr => arr.every(item => toArrayOfVals(SOIL_TYPE).includes(item)))
+      .withMessage(`default_soil_types must contain only values from ${toArrayOfVals(SOIL_TYPE, true)}`),
+];
+
+/**
+ * @constant createRegionValidator
+ *
+ * @description Validation rules for creating a region.
+ * It checks for the required name and level, the parent_id of the region, and optional fields like
+ * code, climate_zone and default_soil_types.
+ *
+ * @type {ValidationChain[]}
+ */
+const createRegionValidator = [
+    /**
+     * Validations: Required fields
+     * name: string
+     * level: string (REGION_LEVEL)
+     * parent_id: string (UUID, required for states and districts)
+     *
+     * Validations: Optional fields
+     * and the fields of optionalRegionFieldsValidator
+     */
+    body("name")
+      .trim()
+      .notEmpty().withMessage("name is required").bail()
+      .isString().withMessage("name must be a string")
+      .isLength({ max: 50 }).withMessage("name must be at most 50 characters long"),
+
+    body("level")
+      .exists().withMessage("level is required").bail()
+      .isString().withMessage("level must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(REGION_LEVEL)).withMessage(`level must be one of ${toArrayOfVals(REGION_LEVEL, true)}`),
+
+    body("parent_id")
+      .optional({ values: "null" })
+      .isUUID(4).withMessage("parent_id must be a valid UUID v4"),
+
+    ...optionalRegionFieldsValidator,
+];
+
+/**
+ * @constant getRegionsValidator
+ *
+ * @description Validation rules for fetching all regions.
+ * It checks for optional query parameters like page, limit, sort_by, sort_order,
+ * and level, parent_id, climate_zone and name filters.
+ *
+ * @type {ValidationChain[]}
+ */
+const getRegionsValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * Pagination:
+     * page: integer (default: 1)
+     * limit: integer (default: 10, max: 50)
+     *
+     * Sorting:
+     * sort_by: string (default: 'name')
+     * sort_order: string (default: 'asc')
+     *
+     * Filtering:
+     * climate_zone: string (CLIMATE_ZONE, optional)
+     * level: string (REGION_LEVEL, optional)
+     * name: string (part of the name, optional)
+     * parent_id: string (UUID, optional)
+     */
+    query("page")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("page must be a positive integer").bail()
+      .toInt(),
+
+    query("limit")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("limit must be a positive integer").bail()
+      .toInt(),
+
+    query("sort_by")
+      .optional()
+      .isString().withMessage("sort_by must be a string").bail()
+      .trim()
+      .isIn(["name", "created_at"]).withMessage("sort_by must be either 'name' or 'created_at'"),
+
+    query("sort_order")
+      .optional()
+      .isString().withMessage("sort_order must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(["asc", "desc"]).withMessage("sort_order must be either 'asc' or 'desc'"),
+
+    query("climate_zone")
+      .optional()
+      .isString().withMessage("climate_zone must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(CLIMATE_ZONE)).withMessage(`climate_zone must be one of ${toArrayOfVals(CLIMATE_ZONE, true)}`),
+
+    query("level")
+      .optional()
+      .isString().withMessage("level must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(REGION_LEVEL)).withMessage(`level must be one of ${toArrayOfVals(REGION_LEVEL, true)}`),
+
+    query("name")
+      .optional()
+      .isString().withMessage("name must be a string").bail()
+      .trim()
+      .isLength({ max: 50 }).withMessage("name must be at most 50 characters long"),
+
+    query("parent_id")
+      .optional()
+      .isUUID(4).withMessage("parent_id must be a valid UUID v4"),
+];
+
+/**
+ * @constant idValidator
+ *
+ * @description Validation rules for region ID.
+ * It checks that the region_id is a required path parameter and is a valid UUID v4.
+ *
+ * @type {ValidationChain[]}
+ */
+const idValidator = [
+    /**
+     * Validations: Required path parameter
+     *
+     * region_id: string (UUID)
+     */
+    param("region_id")
+      .exists().withMessage("region_id is required").bail()
+      .isUUID(4).withMessage("region_id must be a valid UUID v4")
+      .trim()
+];
+
+/**
+ * @constant patchUpdateRegionValidator
+ *
+ * @description Validation rules for updating a region.
+ * It checks for optional fields like name, parent_id, code, climate_zone and default_soil_types.
+ * The level of a region cannot be updated.
+ *
+ * @type {ValidationChain[]}
+ */
+const patchUpdateRegionValidator = [
+    /**
+     * Validations: Optional fields
+     * name: string
+     * parent_id: string (UUID)
+     * and the fields of optionalRegionFieldsValidator
+     */
+    body("name")
+      .optional()
+      .trim()
+      .notEmpty().withMessage("name cannot be empty").bail()
+      .isString().withMessage("name must be a string")
+      .isLength({ max: 50 }).withMessage("name must be at most 50 characters long"),
+
+    body("parent_id")
+      .optional()
+      .isUUID(4).withMessage("parent_id must be a valid UUID v4"),
+
+    ...optionalRegionFieldsValidator,
+];
+
+/**
+ * @function regionValidator
+ *
+ * @description Factory function that returns an object containing validation methods for creating a region,
+ * fetching all regions, validating region ID, and updating a region.
+ *
+ * @returns {Object} - An object containing the validation methods.
+ */
+const regionValidator = () => {
+    return {
+        /**
+         * @function create
+         *
+         * @description Method to validate the request body for creating a region.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for creating a region.
+         */
+        create: () => createRegionValidator,
+
+        /**
+         * @function get
+         *
+         * @description Method to validate the request query parameters for fetching all regions.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for fetching all regions.
+         */
+        get: () => getRegionsValidator,
+
+        /**
+         * @function id
+         *
+         * @description Method to validate the region ID from the request parameters.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for the region ID.
+         */
+        id: () => idValidator,
+
+        /**
+         * @function patchOne
+         *
+         * @description Method to validate the request body for updating a region.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for updating a region.
+         */
+        patchOne: () => patchUpdateRegionValidator,
+    };
+};
+
+module.exports = { regionValidator };
@@ -4,17 +4,23 @@ const { body, param, query } = require("express-validator");
 const { SOIL_DRAINAGE, SOIL_NUTRIENT_LEVEL, SOIL_ORGANIC_MATTER_LEVEL, SOIL_TEXTURE,
   SOIL_TYPE, SOIL_WATER_RETENTION_LEVEL} = require("../../constants/soil-constant");
 const { toArrayOfVals } = require("../../utils/common");
+const { decodeCursor } = require("../../utils/cursor");
+const { exportValidator } = require("./export-middleware");
+const { importValidator } = require("./import-middleware");
 
 /**
  * @module soil-middleware
  * Ecospace Soil Middleware
  * 
  * @description This module defines middleware for handling soil-related requests in the Ecospace backend.
- * It includes validation for soil creation requests and checks for required fields.
+ * It includes validation for soil creation requests and checks for required fields, and for exporting and importing
+ * soils in bulk.
  * This middleware is used to ensure that the requests to soil-related endpoints are properly formatted
  * and contain all necessary information before processing.
  * 
  * @requires express-validator
+ * @requires ./export-middleware
+ * @requires ./import-middleware
  * @exports {soilValidator}
  */
 
@@ -156,6 +162,8 @@ const getSoilsValidator = [
      * Pagination:
      * page: integer (default: 1)
      * limit: integer (default: 10, max: 50)
+     * pagination_mode: string ('cursor' or 'page', default: 'page')
+     * cursor: string (optional, next_cursor or prev_cursor of a page, switches to cursor pagination)
      *
      * Sorting:
      * sortBy: string (default: 'name')
@@ -176,6 +184,9 @@ const getSoilsValidator = [
      * texture: SOIL_TEXTURE
      * type: SOIL_TYPE
      * water_retention_level: SOIL_WATER_RETENTION_LEVEL
+     *
+     * Soft delete:
+     * include_deleted: boolean (default: false)
      */
     query("page")
       .optional()
@@ -186,6 +197,18 @@ const getSoilsValidator = [
       .optional()
       .isInt({ gt: 0 }).withMessage("limit must be a positive integer").bail()
       .toInt(),
+
+    query("pagination_mode")
+      .optional()
+      .isString().withMessage("pagination_mode must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(["cursor", "page"]).withMessage("pagination_mode must be either 'cursor' or 'page'"),
+
+    query("cursor")
+      .optional()
+      .isString().withMessage("cursor must be a string").bail()
+      .trim()
+      .custom(value => ["name", "created_at"].includes(decodeCursor(value)?.sortBy)).withMessage("cursor is invalid"),
   
     query("sort_by")
       .optional()
@@ -234,6 +257,31 @@ const getSoilsValidator = [
       .isString().withMessage("water_retention_level must be a string").bail()
       .trim().toLowerCase()
       .isIn(toArrayOfVals(SOIL_WATER_RETENTION_LEVEL)).withMessage(`water_retention_level must be one of ${toArrayOfVals(SOIL_WATER_RETENTION_LEVEL, true)}`),
+
+    query("include_deleted")
+      .optional()
+      .isBoolean().withMessage("include_deleted must be a boolean").bail()
+      .toBoolean(true), // strict: only 'true' or '1' is true
+];
+
+/**
+ * @constant getSoilValidator
+ *
+ * @description Validation rules for fetching a soil by its ID.
+ * It checks for optional query parameter include_deleted to look up soft deleted soils.
+ *
+ * @type {ValidationChain[]}
+ */
+const getSoilValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * include_deleted: boolean (default: false)
+     */
+    query("include_deleted")
+      .optional()
+      .isBoolean().withMessage("include_deleted must be a boolean").bail()
+      .toBoolean(true), // strict: only 'true' or '1' is true
 ];
 
 /**
@@ -354,6 +402,36 @@ const soilValidator = () => {
      */
     get: () => getSoilsValidator,
 
+    /**
+     * @function export
+     *
+     * @description Method to validate the request query parameters for exporting soils.
+     * It uses the getSoilsValidator defined above for the sorting and filtering parameters, along with the format.
+     *
+     * @returns {ValidationChain[]} - An array of validation chains for exporting soils.
+     */
+    export: () => exportValidator(getSoilsValidator),
+
+    /**
+     * @function import
+     *
+     * @description Method to validate the request for importing soils in bulk.
+     * Each row is validated with the createSoilValidator defined above.
+     *
+     * @returns {Array<Function|ValidationChain>} - The middleware for importing soils.
+     */
+    import: () => importValidator(createSoilValidator, { numberFields: ["ph_max", "ph_min"] }),
+
+    /**
+     * @function getOne
+     *
+     * @description Method to validate the request query parameters for fetching a soil by its ID.
+     * It uses the getSoilValidator defined above to ensure include_deleted is valid.
+     *
+     * @returns {ValidationChain[]} - An array of validation chains for fetching a soil.
+     */
+    getOne: () => getSoilValidator,
+
     /**
      * @function patchOne
      *
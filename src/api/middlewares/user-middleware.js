@@ -0,0 +1,198 @@
+// src/api/middlewares/user-middleware.js
+
+/**
+ * @module user-middleware
+ * Ecospace User Middleware
+ *
+ * @description This module defines middleware for validating and sanitizing requests related to user endpoints in the Ecospace backend.
+ * It includes validation for creating a user, fetching users, fetching a user by its ID and updating a user.
+ *
+ * @requires express-validator
+ * @exports { userValidator }
+ */
+
+// Core module imports
+const { body, param, query } = require("express-validator");
+// Custom module imports
+const { USER_ROLE } = require("../../constants/user-constant");
+const { toArrayOfVals } = require("../../utils/common");
+
+/**
+ * @constant createUserValidator
+ *
+ * @description Validation rules for creating a user.
+ * It checks for the required fields email, name and password, and the optional role.
+ *
+ * @type {ValidationChain[]}
+ */
+const createUserValidator = [
+    /**
+     * Validations: Required fields
+     * email: string (email, saved in lowercase)
+     * name: string
+     * password: string (8 to 128 characters)
+     *
+     * Validations: Optional fields
+     * role: USER_ROLE (default: viewer)
+     */
+    body("email")
+      .exists().withMessage("email is required").bail()
+      .isString().withMessage("email must be a string").bail()
+      .trim().toLowerCase()
+      .isEmail().withMessage("email must be a valid email address")
+      .isLength({ max: 254 }).withMessage("email must be at most 254 characters long"),
+
+    body("name")
+      .exists().withMessage("name is required").bail()
+      .isString().withMessage("name must be a string").bail()
+      .trim()
+      .notEmpty().withMessage("name cannot be empty")
+      .isLength({ max: 50 }).withMessage("name must be at most 50 characters long"),
+
+    body("password")
+      .exists().withMessage("password is required").bail()
+      .isString().withMessage("password must be a string").bail()
+      .isLength({ min: 8, max: 128 }).withMessage("password must be 8 to 128 characters long"),
+
+    body("role")
+      .optional()
+      .isString().withMessage("role must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(USER_ROLE)).withMessage(`role must be one of ${toArrayOfVals(USER_ROLE, true)}`),
+];
+
+/**
+ * @constant getUsersValidator
+ *
+ * @description Validation rules for fetching all users.
+ * It checks for optional query parameters like page, limit and the role filter.
+ *
+ * @type {ValidationChain[]}
+ */
+const getUsersValidator = [
+    /**
+     * Validations: query parameters
+     *
+     * Pagination:
+     * page: integer (default: 1)
+     * limit: integer (default: 10, max: 50)
+     *
+     * Filtering:
+     * role: string (USER_ROLE, optional)
+     */
+    query("page")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("page must be a positive integer").bail()
+      .toInt(),
+
+    query("limit")
+      .optional()
+      .isInt({ gt: 0 }).withMessage("limit must be a positive integer").bail()
+      .toInt(),
+
+    query("role")
+      .optional()
+      .isString().withMessage("role must be a string").bail()
+      .trim().toLowerCase()
+      .isIn(toArrayOfVals(USER_ROLE)).withMessage(`role must be one of ${toArrayOfVals(USER_ROLE, true)}`),
+];
+
+/**
+ * @constant idValidator
+ *
+ * @description Validation rules for user ID.
+ * It checks that the user_id is a required path parameter and is a valid UUID v4.
+ *
+ * @type {ValidationChain[]}
+ */
+const idValidator = [
+    /**
+     * Validations: Required path parameter
+     *
+     * user_id: string (UUID)
+     */
+    param("user_id")
+      .exists().withMessage("user_id is required").bail()
+      .isUUID(4).withMessage("user_id must be a valid UUID v4")
+      .trim()
+];
+
+/**
+ * @constant patchUpdateUserValidator
+ *
+ * @description Validation rules for updating a user.
+ * It checks for the optional fields name, password and role. The email of a user is not updated.
+ *
+ * @type {ValidationChain[]}
+ */
+const patchUpdateUserValidator = [
+    /**
+     * Validations: Optional fields
+     * name: string
+     * password: string (8 to 128 characters)
+     * and the optional role of createUserValidator
+     */
+    body("name")
+      .optional()
+      .isString().withMessage("name must be a string").bail()
+      .trim()
+      .notEmpty().withMessage("name cannot be empty")
+      .isLength({ max: 50 }).withMessage("name must be at most 50 characters long"),
+
+    body("password")
+      .optional()
+      .isString().withMessage("password must be a string").bail()
+      .isLength({ min: 8, max: 128 }).withMessage("password must be 8 to 128 characters long"),
+
+    ...createUserValidator.slice(3),
+];
+
+/**
+ * @function userValidator
+ *
+ * @description Factory function that returns an object containing validation methods for creating a user,
+ * fetching all users, validating user ID, and updating a user.
+ *
+ * @returns {Object} - An object containing the validation methods.
+ */
+const userValidator = () => {
+    return {
+        /**
+         * @function create
+         *
+         * @description Method to validate the request body for creating a user.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for creating a user.
+         */
+        create: () => createUserValidator,
+
+        /**
+         * @function get
+         *
+         * @description Method to validate the request query parameters for fetching all users.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for fetching all users.
+         */
+        get: () => getUsersValidator,
+
+        /**
+         * @function id
+         *
+         * @description Method to validate the user ID from the request parameters.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for the user ID.
+         */
+        id: () => idValidator,
+
+        /**
+         * @function patchOne
+         *
+         * @description Method to validate the request body for updating a user.
+         *
+         * @returns {ValidationChain[]} - An array of validation chains for updating a user.
+         */
+        patchOne: () => patchUpdateUserValidator,
+    };
+};
+
+module.exports = { userValidator };
@@ -0,0 +1,39 @@
+// src/api/routes/api-key-route.js
+
+/**
+ * @module api-key-route
+ * Ecospace API Key Routes
+ *
+ * @description This module defines the routes for API key endpoints in the Ecospace backend.
+ * It includes routes for creating an API key, fetching all API keys, fetching an API key by its ID
+ * and revoking an API key, all of which require the admin role and are not open to API keys.
+ * It uses the Express Router and applies validation middleware to ensure that the requests are properly formatted.
+ *
+ * @requires express
+ * @exports routes
+ */
+
+// Core module imports
+const { Router } = require("express");
+// Custom module imports
+const { USER_ROLE } = require("../../constants/user-constant");
+const { apiKeyValidator } = require("../middlewares/api-key-middleware");
+const { authorize } = require("../middlewares/auth-middleware");
+const { validationErrorHandler } = require("../middlewares/error-middleware");
+const { createApiKey, fetchAllApiKeys, fetchApiKeyById, revokeApiKeyById } = require("../controllers/api-key-controller");
+
+// Initialize the router and validator
+const routes = Router();
+const validator = apiKeyValidator();
+
+// Only admins manage the API keys
+routes.use(authorize(USER_ROLE.ADMIN));
+
+// Define the API key routes
+routes.post("/", validator.create(), validationErrorHandler, createApiKey);
+routes.get("/", validator.get(), validationErrorHandler, fetchAllApiKeys);
+routes.get("/:api_key_id", validator.id(), validationErrorHandler, fetchApiKeyById);
+routes.delete("/:api_key_id", validator.id(), validationErrorHandler, revokeApiKeyById);
+
+// Export the routes for use in the main application
+module.exports = routes;
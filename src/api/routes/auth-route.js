@@ -0,0 +1,33 @@
+// src/api/routes/auth-route.js
+
+/**
+ * @module auth-route
+ * Ecospace Authentication Routes
+ *
+ * @description This module defines the routes for the authentication endpoints in the Ecospace backend.
+ * It includes routes for logging in, refreshing the tokens, logging out and fetching the logged in user.
+ * It uses the Express Router and applies validation middleware to ensure that the requests are properly formatted.
+ *
+ * @requires express
+ * @exports routes
+ */
+
+// Core module imports
+const { Router } = require("express");
+// Custom module imports
+const { authenticate, authValidator } = require("../middlewares/auth-middleware");
+const { validationErrorHandler } = require("../middlewares/error-middleware");
+const { fetchCurrentUser, loginUser, logoutUser, refreshUserTokens } = require("../controllers/auth-controller");
+
+// Initialize the router and validator
+const routes = Router();
+const validator = authValidator();
+
+// Define the authentication routes
+routes.post("/login", validator.login(), validationErrorHandler, loginUser);
+routes.post("/refresh", validator.refresh(), validationErrorHandler, refreshUserTokens);
+routes.post("/logout", authenticate, logoutUser);
+routes.get("/me", authenticate, fetchCurrentUser);
+
+// Export the routes for use in the main application
+module.exports = routes;
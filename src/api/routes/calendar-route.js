@@ -0,0 +1,47 @@
+// src/api/routes/calendar-route.js
+
+/**
+ * @module calendar-route
+ * Ecospace Calendar Routes
+ * 
+ * @description This module defines the routes for the planting calendar endpoints in the Ecospace backend.
+ * It includes routes for fetching the plants to plant in a region in a month, and for managing the months
+ * of the seasons of a region.
+ * It uses the Express Router and applies validation middleware to ensure that the requests are properly formatted.
+ * Reading the calendar is open to all, and managing the seasons requires the editor role.
+ * The calendar belongs to the regions, so an API key needs the regions:read scope to read, and the regions:write scope
+ * to manage the seasons.
+ * 
+ * @requires express
+ * @exports routes
+ */
+
+// Core module imports
+const { Router } = require("express");
+const { calendarValidator } = require("../middlewares/calendar-middleware");
+const { API_KEY_SCOPE } = require("../../constants/api-key-constant");
+const { USER_ROLE } = require("../../constants/user-constant");
+const { authorize, authorizeReads } = require("../middlewares/auth-middleware");
+const { validationErrorHandler } = require("../middlewares/error-middleware");
+const { deleteSeasonMonths, fetchCalendar, fetchSeasonMonths,
+    upsertSeasonMonths } = require("../controllers/calendar-controller");
+
+// Initialize the router
+const routes = Router();
+const validator = calendarValidator();
+
+// Season writes require the editor role or the regions:write scope
+const requireEditor = authorize(USER_ROLE.EDITOR, API_KEY_SCOPE.REGIONS_WRITE);
+
+// Reads are open to all, but an API key sent with a read needs the regions:read scope
+routes.use(authorizeReads(API_KEY_SCOPE.REGIONS_READ));
+
+// Define the calendar routes
+routes.get("/", validator.get(), validationErrorHandler, fetchCalendar);
+routes.get("/seasons", validator.getSeasons(), validationErrorHandler, fetchSeasonMonths);
+routes.put("/seasons/:region_id/:season", requireEditor, validator.season(), validator.upsertSeason(), validationErrorHandler,
+    upsertSeasonMonths);
+routes.delete("/seasons/:region_id/:season", requireEditor, validator.season(), validationErrorHandler, deleteSeasonMonths);
+
+// Export the routes for use in the main application
+module.exports = routes;
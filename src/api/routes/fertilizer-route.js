@@ -0,0 +1,55 @@
+// src/api/routes/fertilizer-route.js
+
+/**
+ * @module fertilizer-route
+ * Ecospace Fertilizer Routes
+ * 
+ * @description This module defines the routes for fertilizer-related endpoints in the Ecospace backend.
+ * It includes routes for creating a fertilizer, fetching all fertilizers, fetching a fertilizer by its ID, updating a fertilizer,
+ * deleting a fertilizer and fetching the plants a fertilizer is recommended for.
+ * It uses the Express Router and applies validation middleware to ensure that the requests are properly formatted.
+ * Reading fertilizers is open to all, and writing requires the editor role.
+ * An API key needs the fertilizers:read scope to read, and the fertilizers:write scope to write.
+ * 
+ * @requires express
+ * @exports routes
+ */
+
+// Core module imports
+const { Router } = require("express");
+const { fertilizerValidator } = require("../middlewares/fertilizer-middleware");
+const { API_KEY_SCOPE } = require("../../constants/api-key-constant");
+const { USER_ROLE } = require("../../constants/user-constant");
+const { authorize, authorizeReads } = require("../middlewares/auth-middleware");
+const { validationErrorHandler } = require("../middlewares/error-middleware");
+const { createFertilizer, deleteFertilizerById, fetchAllFertilizers, fetchFertilizerById, fetchFertilizerPlants,
+    updateFertilizerDetailsById } = require("../controllers/fertilizer-controller");
+
+// Initialize the router
+const routes = Router();
+const validator = fertilizerValidator();
+
+// Catalog writes require the editor role or the fertilizers:write scope
+const requireEditor = authorize(USER_ROLE.EDITOR, API_KEY_SCOPE.FERTILIZERS_WRITE);
+
+// Reads are open to all, but an API key sent with a read needs the fertilizers:read scope
+routes.use(authorizeReads(API_KEY_SCOPE.FERTILIZERS_READ));
+
+// Define the fertilizer routes
+routes.all("/", (req, res, next) => {
+    if (!["POST", "GET"].includes(req.method)) {
+        console.warn(`Method ${req.method} not allowed on /fertilizers`);
+        // Handle unsupported methods
+        return res.status(405).json({ message: "Method Not Allowed" });
+    }
+    next();
+});
+routes.post("/", requireEditor, validator.create(), validationErrorHandler, createFertilizer);
+routes.get("/", validator.get(), validationErrorHandler, fetchAllFertilizers);
+routes.get("/:fertilizer_id", validator.id(), validationErrorHandler, fetchFertilizerById);
+routes.patch("/:fertilizer_id", requireEditor, validator.id(), validator.patchOne(), validationErrorHandler, updateFertilizerDetailsById);
+routes.delete("/:fertilizer_id", requireEditor, validator.id(), validationErrorHandler, deleteFertilizerById);
+routes.get("/:fertilizer_id/plants", validator.id(), validationErrorHandler, fetchFertilizerPlants);
+
+// Export the routes for use in the main application
+module.exports = routes;
@@ -0,0 +1,51 @@
+// src/api/routes/garden-route.js
+
+/**
+ * @module garden-route
+ * Ecospace Garden Routes
+ * 
+ * @description This module defines the routes for garden-related endpoints in the Ecospace backend.
+ * It includes routes for creating a garden, fetching all gardens, fetching a garden by its ID, updating a garden
+ * and deleting a garden. The plots of a garden are mounted under /gardens/:garden_id/plots.
+ * It uses the Express Router and applies validation middleware to ensure that the requests are properly formatted.
+ * Reading gardens is open to all, and writing requires the editor role. Gardens are not open to API keys.
+ * 
+ * @requires express
+ * @exports routes
+ */
+
+// Core module imports
+const { Router } = require("express");
+const { gardenValidator } = require("../middlewares/garden-middleware");
+const { USER_ROLE } = require("../../constants/user-constant");
+const { authorize } = require("../middlewares/auth-middleware");
+const { validationErrorHandler } = require("../middlewares/error-middleware");
+const { createGarden, deleteGardenById, fetchAllGardens, fetchGardenById,
+    updateGardenDetailsById } = require("../controllers/garden-controller");
+const plotRoutes = require("./plot-route");
+
+// Initialize the router
+const routes = Router();
+const validator = gardenValidator();
+
+// Garden writes require the editor role
+const requireEditor = authorize(USER_ROLE.EDITOR);
+
+// Define the garden routes
+routes.all("/", (req, res, next) => {
+    if (!["POST", "GET"].includes(req.method)) {
+        console.warn(`Method ${req.method} not allowed on /gardens`);
+        // Handle unsupported methods
+        return res.status(405).json({ message: "Method Not Allowed" });
+    }
+    next();
+});
+routes.post("/", requireEditor, validator.create(), validationErrorHandler, createGarden);
+routes.get("/", validator.get(), validationErrorHandler, fetchAllGardens);
+routes.get("/:garden_id", validator.id(), validationErrorHandler, fetchGardenById);
+routes.patch("/:garden_id", requireEditor, validator.id(), validator.patchOne(), validationErrorHandler, updateGardenDetailsById);
+routes.delete("/:garden_id", requireEditor, validator.id(), validationErrorHandler, deleteGardenById);
+routes.use("/:garden_id/plots", validator.id(), validationErrorHandler, plotRoutes);
+
+// Export the routes for use in the main application
+module.exports = routes;
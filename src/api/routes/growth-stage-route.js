@@ -5,8 +5,11 @@
  * Ecospace GrowthStage Routes
  * 
  * @description This module defines the routes for growth stage-related endpoints in the Ecospace backend.
- * It includes routes for creating growth stage, fetching all growth stages, and fetching a growth stage by its ID.
+ * It includes routes for creating growth stage, fetching all growth stages, fetching a growth stage by its ID,
+ * updating and deleting a growth stage, and reordering the growth stages.
  * It uses the Express Router and applies validation middleware to ensure that the requests are properly formatted.
+ * Reading growth stages is open to all, writing requires the editor role and reordering them the admin role.
+ * An API key needs the growth-stages:read scope to read, the growth-stages:write scope to write, and cannot reorder.
  * 
  * @requires express
  * @exports routes
@@ -14,7 +17,11 @@
 
 // Core module imports
 const { Router } = require("express");
-const { createGrowthStage, fetchAllGrowthStages, fetchGrowthStageById, updateGrowthStageDetailsById } = require("../controllers/growth-stage-controller");
+const { createGrowthStage, deleteGrowthStageById, fetchAllGrowthStages, fetchGrowthStageById, reorderAllGrowthStages,
+    updateGrowthStageDetailsById } = require("../controllers/growth-stage-controller");
+const { API_KEY_SCOPE } = require("../../constants/api-key-constant");
+const { USER_ROLE } = require("../../constants/user-constant");
+const { authorize, authorizeReads } = require("../middlewares/auth-middleware");
 const { validationErrorHandler } = require("../middlewares/error-middleware");
 const { growthStageValidator } = require("../middlewares/growth-stage-middleware");
 
@@ -22,11 +29,20 @@ const { growthStageValidator } = require("../middlewares/growth-stage-middleware
 const routes = Router();
 const validator = growthStageValidator();
 
+// Catalog writes require the editor role or the growth-stages:write scope, and reordering the admin role
+const requireEditor = authorize(USER_ROLE.EDITOR, API_KEY_SCOPE.GROWTH_STAGES_WRITE);
+const requireAdmin = authorize(USER_ROLE.ADMIN);
+
+// Reads are open to all, but an API key sent with a read needs the growth-stages:read scope
+routes.use(authorizeReads(API_KEY_SCOPE.GROWTH_STAGES_READ));
+
 // Define the growth stage routes
-routes.post("/", validator.create(), validationErrorHandler, createGrowthStage);
-routes.get("/", fetchAllGrowthStages);
+routes.post("/", requireEditor, validator.create(), validationErrorHandler, createGrowthStage);
+routes.get("/", validator.get(), validationErrorHandler, fetchAllGrowthStages);
+routes.post("/reorder", requireAdmin, validator.reorder(), validationErrorHandler, reorderAllGrowthStages);
 routes.get("/:growth_stage_id", validator.id(), validationErrorHandler, fetchGrowthStageById);
-routes.patch("/:growth_stage_id", validator.id(), validator.update(), validationErrorHandler, updateGrowthStageDetailsById);
+routes.patch("/:growth_stage_id", requireEditor, validator.id(), validator.update(), validationErrorHandler, updateGrowthStageDetailsById);
+routes.delete("/:growth_stage_id", requireEditor, validator.id(), validationErrorHandler, deleteGrowthStageById);
 
 // Export the routes for use in the main application
 module.exports = routes;
@@ -0,0 +1,55 @@
+// src/api/routes/pest-route.js
+
+/**
+ * @module pest-route
+ * Ecospace Pest Routes
+ * 
+ * @description This module defines the routes for pest-related endpoints in the Ecospace backend.
+ * It includes routes for creating a pest, fetching all pests, fetching a pest by its ID, updating a pest,
+ * deleting a pest and fetching the plants affected by a pest.
+ * It uses the Express Router and applies validation middleware to ensure that the requests are properly formatted.
+ * Reading pests is open to all, and writing requires the editor role.
+ * An API key needs the pests:read scope to read, and the pests:write scope to write.
+ * 
+ * @requires express
+ * @exports routes
+ */
+
+// Core module imports
+const { Router } = require("express");
+const { pestValidator } = require("../middlewares/pest-middleware");
+const { API_KEY_SCOPE } = require("../../constants/api-key-constant");
+const { USER_ROLE } = require("../../constants/user-constant");
+const { authorize, authorizeReads } = require("../middlewares/auth-middleware");
+const { validationErrorHandler } = require("../middlewares/error-middleware");
+const { createPest, deletePestById, fetchAllPests, fetchPestById, fetchPestPlants,
+    updatePestDetailsById } = require("../controllers/pest-controller");
+
+// Initialize the router
+const routes = Router();
+const validator = pestValidator();
+
+// Catalog writes require the editor role or the pests:write scope
+const requireEditor = authorize(USER_ROLE.EDITOR, API_KEY_SCOPE.PESTS_WRITE);
+
+// Reads are open to all, but an API key sent with a read needs the pests:read scope
+routes.use(authorizeReads(API_KEY_SCOPE.PESTS_READ));
+
+// Define the pest routes
+routes.all("/", (req, res, next) => {
+    if (!["POST", "GET"].includes(req.method)) {
+        console.warn(`Method ${req.method} not allowed on /pests`);
+        // Handle unsupported methods
+        return res.status(405).json({ message: "Method Not Allowed" });
+    }
+    next();
+});
+routes.post("/", requireEditor, validator.create(), validationErrorHandler, createPest);
+routes.get("/", validator.get(), validationErrorHandler, fetchAllPests);
+routes.get("/:pest_id", validator.id(), validationErrorHandler, fetchPestById);
+routes.patch("/:pest_id", requireEditor, validator.id(), validator.patchOne(), validationErrorHandler, updatePestDetailsById);
+routes.delete("/:pest_id", requireEditor, validator.id(), validationErrorHandler, deletePestById);
+routes.get("/:pest_id/plants", validator.id(), validationErrorHandler, fetchPestPlants);
+
+// Export the routes for use in the main application
+module.exports = routes;
@@ -5,12 +5,20 @@
  * Ecospace Plant Routes
  * 
  * @description This module defines the routes for plant-related endpoints in the Ecospace backend.
- * It includes routes for creating a plant, fetching all plants, and fetching a plant by its ID.
+ * It includes routes for creating a plant, fetching all plants, searching plants, fetching a plant by its ID, updating a plant,
+ * soft deleting, restoring or purging a plant, linking soils, pests and fertilizers to a plant, fetching the growth stages of a plant,
+ * relating plants as companions or antagonists, checking plants for antagonistic pairs, building the fertilizer plan of a plant,
+ * projecting the growth stage timeline of a plant, ranking soils by the soil preferences of a plant,
+ * and exporting and importing plants in bulk.
  * It uses the Express Router and applies validation middleware to ensure that the requests are properly formatted.
+ * Reading plants is open to all, the other routes require the editor role and purging a plant the admin role,
+ * except checking plants for antagonistic pairs. An API key needs the plants:read scope to read, the plants:write scope
+ * to write, and cannot purge a plant.
  * 
  * @requires express
  * @requires plant-middleware
  * @requires plant-controller
+ * @requires auth-middleware
  * @requires express-validator
  * @exports routes
  */
@@ -19,14 +27,35 @@
 const { Router } = require("express");
 // Custom module imports
 const { plantValidator } = require("../middlewares/plant-middleware");
+const { fertilizerValidator } = require("../middlewares/fertilizer-middleware");
+const { pestValidator } = require("../middlewares/pest-middleware");
+const { soilValidator } = require("../middlewares/soil-middleware");
+const { API_KEY_SCOPE } = require("../../constants/api-key-constant");
+const { USER_ROLE } = require("../../constants/user-constant");
+const { authorize, authorizeReads } = require("../middlewares/auth-middleware");
 const { validationErrorHandler } = require("../middlewares/error-middleware");
-const { createPlant, deletePlantById, fetchAllPlants, fetchPlantById,
-    updatePlantDetailsById } = require("../controllers/plant-controller");
+const { checkCompanions, createPlant, deletePlantById, deletePlantCompanionById, deletePlantFertilizerById,
+    deletePlantPestById, deletePlantSoilById, exportAllPlants, fetchAllPlants, fetchPlantById, fetchPlantCompanions,
+    fetchPlantFertilizerPlan, fetchPlantFertilizers, fetchPlantGrowthStages, fetchPlantPests, fetchPlantSoils,
+    fetchPlantTimeline, fetchSuitableSoils, importAllPlants, purgePlantById, restorePlantById, searchAllPlants,
+    updatePlantDetailsById, upsertPlantCompanionById, upsertPlantFertilizerById, upsertPlantPestById,
+    upsertPlantSoilById } = require("../controllers/plant-controller");
 
 // Initialize the router and validator
 const routes = Router();
 const validator = plantValidator();
 
+const fertilizerIdValidator = fertilizerValidator().id;
+const pestIdValidator = pestValidator().id;
+const soilIdValidator = soilValidator().id;
+
+// Catalog writes require the editor role or the plants:write scope, and purging the admin role
+const requireEditor = authorize(USER_ROLE.EDITOR, API_KEY_SCOPE.PLANTS_WRITE);
+const requireAdmin = authorize(USER_ROLE.ADMIN);
+
+// Reads are open to all, but an API key sent with a read needs the plants:read scope
+routes.use(authorizeReads(API_KEY_SCOPE.PLANTS_READ));
+
 // Define the plant routes
 routes.all("/", (req, res, next) => {
     if (!["POST", "GET"].includes(req.method)) {
@@ -36,8 +65,12 @@ routes.all("/", (req, res, next) => {
     }
     next();
 });
-routes.post("/", validator.create(), validationErrorHandler, createPlant);
+routes.post("/", requireEditor, validator.create(), validationErrorHandler, createPlant);
 routes.get("/", validator.get(), validationErrorHandler, fetchAllPlants);
+routes.get("/search", validator.search(), validationErrorHandler, searchAllPlants);
+routes.get("/export", validator.export(), validationErrorHandler, exportAllPlants);
+routes.post("/companions/check", validator.checkCompanions(), validationErrorHandler, checkCompanions);
+routes.post("/import", requireEditor, validator.import(), validationErrorHandler, importAllPlants);
 routes.all("/:plant_id", (req, res, next) => {
     if (!["GET", "DELETE", "PATCH"].includes(req.method)) {
         console.warn(`Method ${req.method} not allowed on /plants`);
@@ -46,9 +79,33 @@ routes.all("/:plant_id", (req, res, next) => {
     }
     next();
 });
-routes.get("/:plant_id", validator.id(), validationErrorHandler, fetchPlantById);
-routes.patch("/:plant_id", validator.id(), validator.patchOne(), validationErrorHandler, updatePlantDetailsById);
-routes.delete("/:plant_id", validator.id(), validationErrorHandler, deletePlantById);
+routes.get("/:plant_id", validator.id(), validator.getOne(), validationErrorHandler, fetchPlantById);
+routes.patch("/:plant_id", requireEditor, validator.id(), validator.patchOne(), validationErrorHandler, updatePlantDetailsById);
+routes.delete("/:plant_id", requireEditor, validator.id(), validationErrorHandler, deletePlantById);
+routes.post("/:plant_id/restore", requireEditor, validator.id(), validationErrorHandler, restorePlantById);
+routes.delete("/:plant_id/purge", requireAdmin, validator.id(), validationErrorHandler, purgePlantById);
+routes.get("/:plant_id/growth-stages", validator.id(), validationErrorHandler, fetchPlantGrowthStages);
+routes.get("/:plant_id/soils", validator.id(), validationErrorHandler, fetchPlantSoils);
+routes.get("/:plant_id/companions", validator.id(), validationErrorHandler, fetchPlantCompanions);
+routes.get("/:plant_id/pests", validator.id(), validationErrorHandler, fetchPlantPests);
+routes.get("/:plant_id/fertilizers", validator.id(), validationErrorHandler, fetchPlantFertilizers);
+routes.get("/:plant_id/fertilizer-plan", validator.id(), validator.fertilizerPlan(), validationErrorHandler, fetchPlantFertilizerPlan);
+routes.get("/:plant_id/timeline", validator.id(), validator.timeline(), validationErrorHandler, fetchPlantTimeline);
+routes.get("/:plant_id/suitable-soils", validator.id(), validator.suitableSoils(), validationErrorHandler, fetchSuitableSoils);
+routes.put("/:plant_id/soils/:soil_id", requireEditor, validator.id(), soilIdValidator(), validator.upsertSoil(), validationErrorHandler,
+    upsertPlantSoilById);
+routes.delete("/:plant_id/soils/:soil_id", requireEditor, validator.id(), soilIdValidator(), validationErrorHandler, deletePlantSoilById);
+routes.put("/:plant_id/pests/:pest_id", requireEditor, validator.id(), pestIdValidator(), validator.upsertPest(), validationErrorHandler,
+    upsertPlantPestById);
+routes.delete("/:plant_id/pests/:pest_id", requireEditor, validator.id(), pestIdValidator(), validationErrorHandler, deletePlantPestById);
+routes.put("/:plant_id/fertilizers/:fertilizer_id", requireEditor, validator.id(), fertilizerIdValidator(), validator.upsertFertilizer(),
+    validationErrorHandler, upsertPlantFertilizerById);
+routes.delete("/:plant_id/fertilizers/:fertilizer_id", requireEditor, validator.id(), fertilizerIdValidator(), validationErrorHandler,
+    deletePlantFertilizerById);
+routes.put("/:plant_id/companions/:companion_id", requireEditor, validator.id(), validator.companionId(), validator.upsertCompanion(),
+    validationErrorHandler, upsertPlantCompanionById);
+routes.delete("/:plant_id/companions/:companion_id", requireEditor, validator.id(), validator.companionId(), validationErrorHandler,
+    deletePlantCompanionById);
 
 
 // Export the routes for use in the main application
@@ -0,0 +1,52 @@
+// src/api/routes/planting-route.js
+
+/**
+ * @module planting-route
+ * Ecospace Planting Routes
+ * 
+ * @description This module defines the routes for planting-related endpoints in the Ecospace backend.
+ * It includes routes for creating a planting, fetching all plantings, fetching a planting by its ID,
+ * deleting a planting, advancing a planting to its next growth stage, fetching its growth stage history
+ * and projecting its growth stage timeline.
+ * It uses the Express Router and applies validation middleware to ensure that the requests are properly formatted.
+ * Reading plantings is open to all, and writing requires the editor role. Plantings are not open to API keys.
+ * 
+ * @requires express
+ * @exports routes
+ */
+
+// Core module imports
+const { Router } = require("express");
+const { plantingValidator } = require("../middlewares/planting-middleware");
+const { USER_ROLE } = require("../../constants/user-constant");
+const { authorize } = require("../middlewares/auth-middleware");
+const { validationErrorHandler } = require("../middlewares/error-middleware");
+const { advancePlantingById, createPlanting, deletePlantingById, fetchAllPlantings, fetchPlantingById,
+    fetchPlantingStages, fetchPlantingTimeline } = require("../controllers/planting-controller");
+
+// Initialize the router
+const routes = Router();
+const validator = plantingValidator();
+
+// Planting writes require the editor role
+const requireEditor = authorize(USER_ROLE.EDITOR);
+
+// Define the planting routes
+routes.all("/", (req, res, next) => {
+    if (!["POST", "GET"].includes(req.method)) {
+        console.warn(`Method ${req.method} not allowed on /plantings`);
+        // Handle unsupported methods
+        return res.status(405).json({ message: "Method Not Allowed" });
+    }
+    next();
+});
+routes.post("/", requireEditor, validator.create(), validationErrorHandler, createPlanting);
+routes.get("/", validator.get(), validationErrorHandler, fetchAllPlantings);
+routes.get("/:planting_id", validator.id(), validationErrorHandler, fetchPlantingById);
+routes.delete("/:planting_id", requireEditor, validator.id(), validationErrorHandler, deletePlantingById);
+routes.post("/:planting_id/advance", requireEditor, validator.id(), validator.advance(), validationErrorHandler, advancePlantingById);
+routes.get("/:planting_id/stages", validator.id(), validationErrorHandler, fetchPlantingStages);
+routes.get("/:planting_id/timeline", validator.id(), validationErrorHandler, fetchPlantingTimeline);
+
+// Export the routes for use in the main application
+module.exports = routes;
@@ -0,0 +1,49 @@
+// src/api/routes/plot-route.js
+
+/**
+ * @module plot-route
+ * Ecospace Plot Routes
+ * 
+ * @description This module defines the routes for plot-related endpoints in the Ecospace backend.
+ * The routes are mounted under /gardens/:garden_id/plots, so the router merges the parent params
+ * to read the garden ID. It includes routes for creating a plot, fetching all plots of a garden,
+ * fetching a plot by its ID, updating a plot and deleting a plot.
+ * Reading plots is open to all, and writing requires the editor role. Plots are not open to API keys.
+ * 
+ * @requires express
+ * @exports routes
+ */
+
+// Core module imports
+const { Router } = require("express");
+const { plotValidator } = require("../middlewares/plot-middleware");
+const { USER_ROLE } = require("../../constants/user-constant");
+const { authorize } = require("../middlewares/auth-middleware");
+const { validationErrorHandler } = require("../middlewares/error-middleware");
+const { createPlot, deletePlotById, fetchAllPlots, fetchPlotById,
+    updatePlotDetailsById } = require("../controllers/plot-controller");
+
+// Initialize the router with the parent garden params
+const routes = Router({ mergeParams: true });
+const validator = plotValidator();
+
+// Plot writes require the editor role
+const requireEditor = authorize(USER_ROLE.EDITOR);
+
+// Define the plot routes
+routes.all("/", (req, res, next) => {
+    if (!["POST", "GET"].includes(req.method)) {
+        console.warn(`Method ${req.method} not allowed on /gardens/:garden_id/plots`);
+        // Handle unsupported methods
+        return res.status(405).json({ message: "Method Not Allowed" });
+    }
+    next();
+});
+routes.post("/", requireEditor, validator.create(), validationErrorHandler, createPlot);
+routes.get("/", validator.get(), validationErrorHandler, fetchAllPlots);
+routes.get("/:plot_id", validator.id(), validationErrorHandler, fetchPlotById);
+routes.patch("/:plot_id", requireEditor, validator.id(), validator.patchOne(), validationErrorHandler, updatePlotDetailsById);
+routes.delete("/:plot_id", requireEditor, validator.id(), validationErrorHandler, deletePlotById);
+
+// Export the routes for use in the main application
+module.exports = routes;
@@ -0,0 +1,54 @@
+// src/api/routes/region-route.js
+
+/**
+ * @module region-route
+ * Ecospace Region Routes
+ * 
+ * @description This module defines the routes for region-related endpoints in the Ecospace backend.
+ * It includes routes for creating a region, fetching all regions, fetching a region by its ID, updating a region,
+ * and deleting a region.
+ * It uses the Express Router and applies validation middleware to ensure that the requests are properly formatted.
+ * Reading regions is open to all, and writing requires the editor role.
+ * An API key needs the regions:read scope to read, and the regions:write scope to write.
+ * 
+ * @requires express
+ * @exports routes
+ */
+
+// Core module imports
+const { Router } = require("express");
+const { regionValidator } = require("../middlewares/region-middleware");
+const { API_KEY_SCOPE } = require("../../constants/api-key-constant");
+const { USER_ROLE } = require("../../constants/user-constant");
+const { authorize, authorizeReads } = require("../middlewares/auth-middleware");
+const { validationErrorHandler } = require("../middlewares/error-middleware");
+const { createRegion, deleteRegionById, fetchAllRegions, fetchRegionById,
+    updateRegionDetailsById } = require("../controllers/region-controller");
+
+// Initialize the router
+const routes = Router();
+const validator = regionValidator();
+
+// Catalog writes require the editor role or the regions:write scope
+const requireEditor = authorize(USER_ROLE.EDITOR, API_KEY_SCOPE.REGIONS_WRITE);
+
+// Reads are open to all, but an API key sent with a read needs the regions:read scope
+routes.use(authorizeReads(API_KEY_SCOPE.REGIONS_READ));
+
+// Define the region routes
+routes.all("/", (req, res, next) => {
+    if (!["POST", "GET"].includes(req.method)) {
+        console.warn(`Method ${req.method} not allowed on /regions`);
+        // Handle unsupported methods
+        return res.status(405).json({ message: "Method Not Allowed" });
+    }
+    next();
+});
+routes.post("/", requireEditor, validator.create(), validationErrorHandler, createRegion);
+routes.get("/", validator.get(), validationErrorHandler, fetchAllRegions);
+routes.get("/:region_id", validator.id(), validationErrorHandler, fetchRegionById);
+routes.patch("/:region_id", requireEditor, validator.id(), validator.patchOne(), validationErrorHandler, updateRegionDetailsById);
+routes.delete("/:region_id", requireEditor, validator.id(), validationErrorHandler, deleteRegionById);
+
+// Export the routes for use in the main application
+module.exports = routes;
@@ -5,8 +5,11 @@
  * Ecospace Soil Routes
  * 
  * @description This module defines the routes for soil-related endpoints in the Ecospace backend.
- * It includes routes for creating soil, fetching all soils, and fetching a soil by its ID.
+ * It includes routes for creating soil, fetching all soils, fetching a soil by its ID, updating a soil,
+ * soft deleting, restoring or purging a soil, fetching the plants compatible with a soil, and exporting and importing soils in bulk.
  * It uses the Express Router and applies validation middleware to ensure that the requests are properly formatted.
+ * Reading soils is open to all, writing requires the editor role and purging a soil the admin role.
+ * An API key needs the soils:read scope to read, the soils:write scope to write, and cannot purge a soil.
  * 
  * @requires express
  * @exports routes
@@ -15,13 +18,24 @@
 // Core module imports
 const { Router } = require("express");
 const { soilValidator } = require("../middlewares/soil-middleware");
+const { API_KEY_SCOPE } = require("../../constants/api-key-constant");
+const { USER_ROLE } = require("../../constants/user-constant");
+const { authorize, authorizeReads } = require("../middlewares/auth-middleware");
 const { validationErrorHandler } = require("../middlewares/error-middleware");
-const { createSoil, deleteSoilById, fetchSoilById, fetchAllSoils, updateSoilDetailsById } = require("../controllers/soil-controller");
+const { createSoil, deleteSoilById, exportAllSoils, fetchSoilById, fetchAllSoils, fetchSoilPlants, importAllSoils,
+    purgeSoilById, restoreSoilById, updateSoilDetailsById } = require("../controllers/soil-controller");
 
 // Initialize the router
 const routes = Router();
 const validator = soilValidator();
 
+// Catalog writes require the editor role or the soils:write scope, and purging the admin role
+const requireEditor = authorize(USER_ROLE.EDITOR, API_KEY_SCOPE.SOILS_WRITE);
+const requireAdmin = authorize(USER_ROLE.ADMIN);
+
+// Reads are open to all, but an API key sent with a read needs the soils:read scope
+routes.use(authorizeReads(API_KEY_SCOPE.SOILS_READ));
+
 // Define the soil routes
 routes.all("/", (req, res, next) => {
     if (!["POST", "GET"].includes(req.method)) {
@@ -31,11 +45,16 @@ routes.all("/", (req, res, next) => {
     }
     next();
 });
-routes.post("/", validator.create(), validationErrorHandler, createSoil);
+routes.post("/", requireEditor, validator.create(), validationErrorHandler, createSoil);
 routes.get("/", validator.get(), validationErrorHandler, fetchAllSoils);
-routes.get("/:soil_id", validator.id(), validationErrorHandler, fetchSoilById);
-routes.patch("/:soil_id", validator.id(), validator.patchOne(), validationErrorHandler, updateSoilDetailsById);
-routes.delete("/:soil_id", validator.id(), validationErrorHandler, deleteSoilById);
+routes.get("/export", validator.export(), validationErrorHandler, exportAllSoils);
+routes.post("/import", requireEditor, validator.import(), validationErrorHandler, importAllSoils);
+routes.get("/:soil_id", validator.id(), validator.getOne(), validationErrorHandler, fetchSoilById);
+routes.patch("/:soil_id", requireEditor, validator.id(), validator.patchOne(), validationErrorHandler, updateSoilDetailsById);
+routes.delete("/:soil_id", requireEditor, validator.id(), validationErrorHandler, deleteSoilById);
+routes.post("/:soil_id/restore", requireEditor, validator.id(), validationErrorHandler, restoreSoilById);
+routes.delete("/:soil_id/purge", requireAdmin, validator.id(), validationErrorHandler, purgeSoilById);
+routes.get("/:soil_id/plants", validator.id(), validationErrorHandler, fetchSoilPlants);
 
 // Export the routes for use in the main application
 module.exports = routes;
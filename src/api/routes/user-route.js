@@ -0,0 +1,39 @@
+// src/api/routes/user-route.js
+
+/**
+ * @module user-route
+ * Ecospace User Routes
+ *
+ * @description This module defines the routes for user-related endpoints in the Ecospace backend.
+ * It includes routes for creating a user, fetching all users, fetching a user by its ID and updating a user,
+ * all of which require the admin role.
+ * It uses the Express Router and applies validation middleware to ensure that the requests are properly formatted.
+ *
+ * @requires express
+ * @exports routes
+ */
+
+// Core module imports
+const { Router } = require("express");
+// Custom module imports
+const { USER_ROLE } = require("../../constants/user-constant");
+const { authorize } = require("../middlewares/auth-middleware");
+const { validationErrorHandler } = require("../middlewares/error-middleware");
+const { userValidator } = require("../middlewares/user-middleware");
+const { createUser, fetchAllUsers, fetchUserById, updateUserDetailsById } = require("../controllers/user-controller");
+
+// Initialize the router and validator
+const routes = Router();
+const validator = userValidator();
+
+// Only admins manage the users
+routes.use(authorize(USER_ROLE.ADMIN));
+
+// Define the user routes
+routes.post("/", validator.create(), validationErrorHandler, createUser);
+routes.get("/", validator.get(), validationErrorHandler, fetchAllUsers);
+routes.get("/:user_id", validator.id(), validationErrorHandler, fetchUserById);
+routes.patch("/:user_id", validator.id(), validator.patchOne(), validationErrorHandler, updateUserDetailsById);
+
+// Export the routes for use in the main application
+module.exports = routes;
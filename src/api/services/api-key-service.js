@@ -0,0 +1,157 @@
+// src/api/services/api-key-service.js
+
+/**
+ * @module api-key-service
+ * Ecospace API Key Service
+ *
+ * @description This module provides services related to the API keys of the machine clients in the Ecospace backend.
+ * It includes functions for creating an API key, fetching all API keys, fetching an API key by its ID, revoking
+ * an API key, and verifying the API key of a request. A key is returned only when it is created, as only its hash
+ * is saved, and a revoked key is kept but no longer accepted.
+ *
+ * @requires ../../db/models/ApiKey
+ * @requires ../../utils/api-key
+ * @requires ../../utils/common
+ * @requires ../../utils/errors
+ * @exports { getAllApiKeys, getApiKeyById, revokeApiKey, saveApiKey, verifyApiKey }
+ */
+
+// Custom module imports
+const ApiKey = require("../../db/models/ApiKey");
+const { generateApiKey, toApiKeyPrefix, verifyApiKeyHash } = require("../../utils/api-key");
+const { toPaginationMetadata } = require("../../utils/common");
+const { toServiceError, UnauthorizedError } = require("../../utils/errors");
+
+// The last use of a key is saved at most once a minute, so that a busy job does not write on each request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+/**
+ * @function toApiKey
+ *
+ * @description Converts an ApiKey instance to a plain object without its key hash.
+ *
+ * @param {Model} apiKey - The ApiKey instance.
+ * @returns {Object} - The API key object.
+ */
+const toApiKey = (apiKey) => {
+    const { keyHash, ...details } = apiKey.toJSON();
+    return details;
+};
+
+/**
+ * @function getAllApiKeys
+ *
+ * @description Fetches all API keys from the PostgreSQL database using Sequelize, the newest first.
+ *
+ * @param {Object} pagination - An object containing pagination parameters: limit and page.
+ * @param {number} pagination.limit - The maximum number of API keys to return.
+ * @param {number} pagination.page - The current page number for pagination.
+ * @param {boolean} includeRevoked - Whether to include the revoked API keys.
+ * @returns {Promise<Object>} - An object containing an array of API key objects and pagination metadata.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getAllApiKeys = async (pagination, includeRevoked) => {
+    try {
+        const { limit, page } = pagination;
+        const offset = (page - 1) * limit;
+        const where = includeRevoked ? {} : { revokedAt: null };
+        const { count, rows } = await ApiKey.findAndCountAll({ where, limit, offset, order: [["createdAt", "desc"], ["id", "asc"]] });
+        return { data: rows.map(toApiKey), pagination: toPaginationMetadata(page, limit, count, 50) };
+    } catch (error) {
+        console.error("Error fetching API keys: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch API keys");
+    }
+};
+
+/**
+ * @function getApiKeyById
+ *
+ * @description Fetches an API key by its ID from the PostgreSQL database using Sequelize.
+ *
+ * @param {string} apiKeyId - The ID of the API key.
+ * @returns {Promise<Object|null>} - The API key object if found, or null if not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getApiKeyById = async (apiKeyId) => {
+    try {
+        const apiKey = await ApiKey.findByPk(apiKeyId);
+        return apiKey ? toApiKey(apiKey) : null;
+    } catch (error) {
+        console.error("Error fetching API key by ID: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch API key by ID");
+    }
+};
+
+/**
+ * @function saveApiKey
+ *
+ * @description Generates a new API key and saves its hash to the PostgreSQL database using Sequelize.
+ *
+ * @param {Object} apiKeyDetails - The details of the API key: name, scopes and expiresAt (optional).
+ * @param {string} createdBy - The ID of the admin creating the API key.
+ * @returns {Promise<Object>} - The saved API key object, along with the key itself, which cannot be fetched again.
+ * @throws {Error} - Throws an error if the save operation fails.
+ */
+const saveApiKey = async (apiKeyDetails, createdBy) => {
+    try {
+        const { key, keyHash, prefix } = generateApiKey();
+        const apiKey = await ApiKey.create({ ...apiKeyDetails, createdBy, keyHash, prefix });
+        return { ...toApiKey(apiKey), key };
+    } catch (error) {
+        console.error("Error saving API key: ", error?.message || error);
+        throw toServiceError(error, "Failed to save API key");
+    }
+};
+
+/**
+ * @function revokeApiKey
+ *
+ * @description Revokes an API key, which is kept but no longer accepted. Revoking a revoked key changes nothing.
+ *
+ * @param {string} apiKeyId - The ID of the API key.
+ * @returns {Promise<Object|null>} - The revoked API key object, or null if the API key is not found.
+ * @throws {Error} - Throws an error if the revoke operation fails.
+ */
+const revokeApiKey = async (apiKeyId) => {
+    try {
+        await ApiKey.update({ revokedAt: new Date() }, { where: { id: apiKeyId, revokedAt: null } });
+        return await getApiKeyById(apiKeyId);
+    } catch (error) {
+        console.error("Error revoking API key: ", error?.message || error);
+        throw toServiceError(error, "Failed to revoke API key");
+    }
+};
+
+/**
+ * @function verifyApiKey
+ *
+ * @description Checks the API key of a request, and saves when it was last used.
+ *
+ * @param {string} key - The API key.
+ * @returns {Promise<Object>} - The API key of the request, with its ID, name and scopes.
+ * @throws {UnauthorizedError} - Throws an unauthorized error if the key is malformed, unknown, revoked or expired.
+ * @throws {Error} - Throws an error if the verify operation fails.
+ */
+const verifyApiKey = async (key) => {
+    try {
+        const prefix = toApiKeyPrefix(key);
+        const apiKey = prefix ? await ApiKey.scope("withHash").findOne({ where: { prefix } }) : null;
+        if (!apiKey || !verifyApiKeyHash(key, apiKey.keyHash)) throw new UnauthorizedError("Invalid API key");
+        if (apiKey.revokedAt) throw new UnauthorizedError("API key has been revoked");
+
+        const now = new Date();
+        if (apiKey.expiresAt && apiKey.expiresAt <= now) throw new UnauthorizedError("API key has expired");
+        if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= LAST_USED_INTERVAL_MS) {
+            await ApiKey.update({ lastUsedAt: now }, { where: { id: apiKey.id, revokedAt: null }, silent: true });
+        }
+
+        const { id, name, scopes } = apiKey;
+        return { id, name, scopes };
+    } catch (error) {
+        console.error("Error verifying API key: ", error?.message || error);
+        throw toServiceError(error, "Failed to verify API key");
+    }
+};
+
+// Export the service functions to use in the controllers and the authentication middleware
+module.exports = { getAllApiKeys, getApiKeyById, revokeApiKey, saveApiKey, verifyApiKey };
@@ -0,0 +1,122 @@
+// src/api/services/auth-service.js
+
+/**
+ * @module auth-service
+ * Ecospace Authentication Service
+ *
+ * @description This module provides the authentication services of the Ecospace backend.
+ * A user logs in with email and password and gets a short lived access token, sent as a Bearer token with each request,
+ * and a long lived refresh token, exchanged for new tokens when the access token expires.
+ * The access token carries the role of the user, so requests are authorized without a database query.
+ * The refresh token carries the token version of the user, and logging out raises the version to revoke all the
+ * refresh tokens of the user. A new role applies from the next refresh.
+ *
+ * @requires ../../config
+ * @requires ../../db/models/User
+ * @requires ../../utils/errors
+ * @requires ../../utils/jwt
+ * @requires ../../utils/password
+ * @exports { ACCESS_TOKEN, login, logout, refreshTokens, REFRESH_TOKEN }
+ */
+
+// Custom module imports
+const config = require("../../config");
+const User = require("../../db/models/User");
+const { toServiceError, UnauthorizedError } = require("../../utils/errors");
+const { signToken, verifyToken } = require("../../utils/jwt");
+const { hashPassword, verifyPassword } = require("../../utils/password");
+
+// Types of the tokens, so that a refresh token is not accepted as an access token and the other way around
+const ACCESS_TOKEN = "access";
+const REFRESH_TOKEN = "refresh";
+
+// Hash checked for an unknown email, so that the response time does not tell whether the email has a user
+const unknownUserHash = hashPassword("unknown user");
+
+/**
+ * @function issueTokens
+ *
+ * @description Signs an access token and a refresh token for a user.
+ *
+ * @param {Object} user - The user, with its ID, role and token version.
+ * @returns {Object} - The access token, the refresh token, the token type and the lifetime of the access token in seconds.
+ */
+const issueTokens = ({ id, role, tokenVersion }) => ({
+    accessToken: signToken({ sub: id, role, type: ACCESS_TOKEN }, config.auth.accessTokenTtl),
+    refreshToken: signToken({ sub: id, type: REFRESH_TOKEN, ver: tokenVersion }, config.auth.refreshTokenTtl),
+    tokenType: "Bearer",
+    expiresIn: config.auth.accessTokenTtl,
+});
+
+/**
+ * @function login
+ *
+ * @description Checks the email and password of a user and issues its tokens.
+ *
+ * @param {string} email - The email of the user, in lowercase.
+ * @param {string} password - The password of the user.
+ * @returns {Promise<Object>} - The tokens, along with the user (id, email, name and role).
+ * @throws {UnauthorizedError} - Throws an unauthorized error if the email has no user or the password is wrong,
+ * without telling which.
+ * @throws {Error} - Throws an error if the login fails.
+ */
+const login = async (email, password) => {
+    try {
+        const user = await User.scope("withPassword").findOne({ where: { email } });
+        const isValid = await verifyPassword(password, user ? user.passwordHash : await unknownUserHash);
+        if (!user || !isValid) throw new UnauthorizedError("Invalid email or password");
+
+        const { id, name, role } = user;
+        return { ...issueTokens(user), user: { id, email, name, role } };
+    } catch (error) {
+        console.error("Error logging in: ", error?.message || error);
+        throw toServiceError(error, "Failed to log in");
+    }
+};
+
+/**
+ * @function logout
+ *
+ * @description Revokes all the refresh tokens of a user by raising its token version.
+ * The access tokens already issued stay valid until they expire.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an error if the logout fails.
+ */
+const logout = async (userId) => {
+    try {
+        await User.increment("tokenVersion", { where: { id: userId } });
+    } catch (error) {
+        console.error("Error logging out: ", error?.message || error);
+        throw toServiceError(error, "Failed to log out");
+    }
+};
+
+/**
+ * @function refreshTokens
+ *
+ * @description Exchanges a refresh token for new tokens, with the current role of the user.
+ *
+ * @param {string} refreshToken - The refresh token.
+ * @returns {Promise<Object>} - The new tokens.
+ * @throws {UnauthorizedError} - Throws an unauthorized error if the refresh token is invalid, expired or revoked,
+ * or its user no longer exists.
+ * @throws {Error} - Throws an error if the refresh fails.
+ */
+const refreshTokens = async (refreshToken) => {
+    try {
+        const { sub: userId, type, ver: tokenVersion } = verifyToken(refreshToken);
+        if (type !== REFRESH_TOKEN) throw new UnauthorizedError("Invalid token");
+
+        const user = await User.findByPk(userId);
+        if (!user || user.tokenVersion !== tokenVersion) throw new UnauthorizedError("Refresh token has been revoked");
+        return issueTokens(user);
+    } catch (error) {
+        console.error("Error refreshing tokens: ", error?.message || error);
+        throw toServiceError(error, "Failed to refresh tokens");
+    }
+};
+
+// Export the service functions to use in the controllers and the authentication middleware
+module.exports = { ACCESS_TOKEN, login, logout, refreshTokens, REFRESH_TOKEN };
@@ -0,0 +1,152 @@
+// src/api/services/calendar-service.js
+
+/**
+ * @module calendar-service
+ * Ecospace Calendar Service
+ *
+ * @description This module provides services related to the seasonal planting calendar in the Ecospace backend.
+ * It includes functions for managing the months of the seasons of a region, and fetching the plants to plant
+ * in a region in a month grouped by their purpose. A region without seasons of its own follows the seasons
+ * of the nearest region it is within, e.g. a district follows its state.
+ *
+ * @requires ../../db/models/Plant
+ * @requires ../../db/models/PlantRegion
+ * @requires ../../db/models/Region
+ * @requires ../../db/models/SeasonCalendar
+ * @requires ./region-service
+ * @requires ../../utils/errors
+ * @exports { getCalendarPlants, getSeasonCalendars, removeSeasonCalendar, saveSeasonCalendar }
+ */
+
+// Custom module imports
+const Plant = require("../../db/models/Plant");
+const PlantRegion = require("../../db/models/PlantRegion");
+const Region = require("../../db/models/Region");
+const SeasonCalendar = require("../../db/models/SeasonCalendar");
+const { toServiceError } = require("../../utils/errors");
+const { getRegionAncestorIds } = require("./region-service");
+
+/**
+ * @function getCalendarPlants
+ *
+ * @description Fetches the plants to plant in a region in a month. The seasons of the region in the month are
+ * looked up in the season calendar of the region, or of the nearest region it is within which has seasons saved.
+ * The plants whose ideal season is one of those seasons and which are linked to the region or a region it is within
+ * are returned grouped by their purpose.
+ *
+ * @param {string} regionId - The ID of the region.
+ * @param {number} month - The month of the year from 1 to 12.
+ * @returns {Promise<Object>} - An object with the seasons of the region in the month, and the plants grouped by purpose.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getCalendarPlants = async (regionId, month) => {
+    try {
+        const regionIds = await getRegionAncestorIds(regionId);
+        const seasonCalendars = await SeasonCalendar.findAll({
+            attributes: ["regionId", "season", "months"],
+            where: { regionId: regionIds },
+            raw: true,
+        });
+        // Use the seasons of the nearest region which has seasons saved
+        const seasonRegionId = regionIds.find(id => seasonCalendars.some(calendar => calendar.regionId === id));
+        const seasons = seasonCalendars
+            .filter(calendar => calendar.regionId === seasonRegionId && calendar.months.includes(month))
+            .map(({ season }) => season).sort();
+        if (seasons.length === 0) return { seasons, purposes: [] };
+
+        // Plants linked to a region grow in the regions within it as well
+        const plantRegions = await PlantRegion.findAll({ attributes: ["plantId"], where: { regionId: regionIds }, raw: true });
+        const plants = await Plant.findAll({
+            attributes: ["id", "name", "scientificName", "category", "growthCycle", "idealSeason", "purpose"],
+            where: { id: plantRegions.map(({ plantId }) => plantId), idealSeason: seasons },
+            order: [["purpose", "asc"], ["name", "asc"]],
+            raw: true,
+        });
+
+        // Group the plants by purpose, keeping the order by purpose and name
+        const purposes = [];
+        for (const plant of plants) {
+            const group = purposes[purposes.length - 1];
+            if (group?.purpose === plant.purpose) group.plants.push(plant);
+            else purposes.push({ purpose: plant.purpose, plants: [plant] });
+        }
+        return { seasons, purposes };
+    } catch (error) {
+        console.error("Error fetching calendar plants for region: %s, month: %d", regionId, month, error?.message || error);
+        throw toServiceError(error, "Failed to fetch calendar plants");
+    }
+};
+
+/**
+ * @function getSeasonCalendars
+ *
+ * @description Fetches the months of the seasons of all regions, or of a region, along with the ID, name and level
+ * of the region, sorted by region name and season.
+ *
+ * @param {string} [regionId] - The ID of the region to fetch the season months of (optional).
+ * @returns {Promise<Array<Object>>} - An array of season calendar objects.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getSeasonCalendars = async (regionId) => {
+    try {
+        const where = regionId ? { regionId } : {};
+        const seasonCalendars = await SeasonCalendar.findAll({
+            where,
+            include: [{ model: Region, as: "region", attributes: ["id", "name", "level"] }],
+            order: [[{ model: Region, as: "region" }, "name", "asc"], ["regionId", "asc"], ["season", "asc"]],
+        });
+        return seasonCalendars.map(seasonCalendar => seasonCalendar.toJSON()); // Convert Sequelize instances to plain objects
+    } catch (error) {
+        console.error("Error fetching season calendars: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch season calendars");
+    }
+};
+
+/**
+ * @function removeSeasonCalendar
+ *
+ * @description Removes the months of a season of a region from the season calendar.
+ *
+ * @param {string} regionId - The ID of the region.
+ * @param {string} season - The season.
+ * @returns {Promise<boolean>} - True if the season months were removed, false if they were not found.
+ * @throws {Error} - Throws an error if the remove operation fails.
+ */
+const removeSeasonCalendar = async (regionId, season) => {
+    try {
+        const removedCount = await SeasonCalendar.destroy({ where: { regionId, season } });
+        return removedCount > 0;
+    } catch (error) {
+        console.error("Error removing season calendar: ", error?.message || error);
+        throw toServiceError(error, "Failed to remove season calendar");
+    }
+};
+
+/**
+ * @function saveSeasonCalendar
+ *
+ * @description Saves the months of a season of a region in the season calendar.
+ * The months are replaced if the season of the region is already in the season calendar.
+ *
+ * @param {string} regionId - The ID of the region.
+ * @param {string} season - The season.
+ * @param {Array<number>} months - The months of the season from 1 to 12.
+ * @returns {Promise<Object>} - An object with the saved season calendar and whether it was created.
+ * @throws {Error} - Throws an error if the save operation fails.
+ */
+const saveSeasonCalendar = async (regionId, season, months) => {
+    try {
+        const [seasonCalendar, created] = await SeasonCalendar.findOrCreate({
+            where: { regionId, season },
+            defaults: { regionId, season, months },
+        });
+        if (!created) await seasonCalendar.update({ months });
+        return { seasonCalendar: seasonCalendar.toJSON(), created };
+    } catch (error) {
+        console.error("Error saving season calendar: ", error?.message || error);
+        throw toServiceError(error, "Failed to save season calendar");
+    }
+};
+
+// Export the service functions to use in the controllers
+module.exports = { getCalendarPlants, getSeasonCalendars, removeSeasonCalendar, saveSeasonCalendar };
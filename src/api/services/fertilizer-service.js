@@ -0,0 +1,180 @@
+// src/api/services/fertilizer-service.js
+
+/**
+ * @module fertilizer-service
+ * Ecospace Fertilizer Service
+ *
+ * @description This module provides services related to fertilizer management in the Ecospace backend.
+ * It includes functions for saving fertilizer details, fetching all fertilizers, fetching a fertilizer by its ID,
+ * fetching the plants a fertilizer is recommended for, updating fertilizer details, and deleting a fertilizer.
+ *
+ * @requires sequelize
+ * @requires ../../db/index
+ * @requires ../../db/models/Fertilizer
+ * @requires ../../utils/errors
+ * @exports { getAllFertilizers, getFertilizerById, getFertilizerPlants, removeFertilizer, saveFertilizer, updateFertilizerDetails }
+ */
+
+// Core module imports
+const { Op } = require("sequelize");
+// Custom module imports
+const sequelize = require("../../db/index");
+const Fertilizer = require("../../db/models/Fertilizer");
+const Plant = require("../../db/models/Plant");
+require("../../db/models/PlantFertilizer"); // Sets up the plant-fertilizer association
+const { toPaginationMetadata } = require("../../utils/common");
+const { toServiceError } = require("../../utils/errors");
+
+/**
+ * @function getAllFertilizers
+ *
+ * @description Fetches all fertilizers from the PostgreSQL database using Sequelize.
+ * It returns an array of fertilizer objects along with pagination metadata.
+ *
+ * @param {Object} pagination - An object containing pagination parameters: limit and page.
+ * @param {number} pagination.limit - The maximum number of fertilizers to return.
+ * @param {number} pagination.page - The current page number for pagination.
+ * @param {Object} sorting - An object containing sorting parameters: sortBy and sortOrder.
+ * @param {string} sorting.sortBy - The field to sort by (e.g., 'name').
+ * @param {string} sorting.sortOrder - The order of sorting (e.g., 'asc' or 'desc').
+ * @param {Object} filters - An object containing filtering parameters.
+ * @param {string} filters.suitableGrowthStage - The growth stage the fertilizers suit (optional).
+ * @param {string} filters.type - The type of the fertilizers (optional).
+ * @returns {Promise<Object>} - An object containing an array of fertilizer objects and pagination metadata.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getAllFertilizers = async (pagination, sorting, filters) => {
+    try {
+        const { limit, page } = pagination;
+        const { sortBy, sortOrder } = sorting;
+        const { suitableGrowthStage, type } = filters;
+        // Calculate offset for pagination
+        const offset = (page - 1) * limit;
+        // Match fertilizers of the type, having the growth stage in their list or suiting all stages
+        const where = {};
+        if (type) where.type = type;
+        if (suitableGrowthStage) where[Op.or] = [
+            { suitableGrowthStages: { [Op.contains]: [suitableGrowthStage] } },
+            sequelize.where(sequelize.fn("cardinality", sequelize.col("suitable_growth_stages")), 0),
+        ];
+
+        const { count, rows } = await Fertilizer.findAndCountAll({ where, limit, offset, order: [[sortBy, sortOrder]] });
+
+        // Pagination metadata
+        const paginationMetadata = toPaginationMetadata(page, limit, count, 50);
+
+        // Prepare the response data
+        const data = rows.map(row => row.toJSON()); // Convert Sequelize instances to plain objects
+
+        return { data, pagination: paginationMetadata };
+    } catch (error) {
+        console.error("Error fetching fertilizers: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch fertilizers");
+    }
+};
+
+/**
+ * @function getFertilizerById
+ *
+ * @description Fetches a fertilizer by its ID from the PostgreSQL database using Sequelize.
+ *
+ * @param {string} fertilizerId - The ID of the fertilizer.
+ * @returns {Promise<Object|null>} - The fertilizer object if found, or null if not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getFertilizerById = async (fertilizerId) => {
+    try {
+        const fertilizer = await Fertilizer.findByPk(fertilizerId);
+        // If fertilizer exists, return it as a plain object or null if it doesn't exist
+        return fertilizer ? fertilizer.toJSON() : null;
+    } catch (error) {
+        console.error("Error fetching fertilizer by ID: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch fertilizer by ID");
+    }
+};
+
+/**
+ * @function getFertilizerPlants
+ *
+ * @description Fetches the plants a fertilizer is recommended for along with the notes on the fertilizer for each plant.
+ * Soft deleted plants are left out.
+ *
+ * @param {string} fertilizerId - The ID of the fertilizer.
+ * @returns {Promise<Array<Object>|null>} - An array of plant objects, each with its PlantFertilizer link details,
+ * or null if the fertilizer is not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getFertilizerPlants = async (fertilizerId) => {
+    try {
+        const fertilizer = await Fertilizer.findByPk(fertilizerId, {
+            include: [{ model: Plant, as: "plants", through: { attributes: ["notes"] } }],
+            order: [[{ model: Plant, as: "plants" }, "name", "asc"]],
+        });
+        // Return plants of the fertilizer as plain objects if fertilizer found, else return null
+        return fertilizer ? fertilizer.toJSON().plants : null;
+    } catch (error) {
+        console.error("Error fetching plants of fertilizer by ID: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch plants of fertilizer by ID");
+    }
+};
+
+/**
+ * @function removeFertilizer
+ *
+ * @description Removes a fertilizer along with its links to plants from the PostgreSQL database using Sequelize.
+ *
+ * @param {string} fertilizerId - The ID of the fertilizer.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an error if the remove operation fails.
+ */
+const removeFertilizer = async (fertilizerId) => {
+    try {
+        await Fertilizer.destroy({ where: { id: fertilizerId } }); // Links to plants are removed on cascade
+    } catch (error) {
+        console.error("Error removing fertilizer: ", error?.message || error);
+        throw toServiceError(error, "Failed to remove fertilizer");
+    }
+};
+
+/**
+ * @function saveFertilizer
+ *
+ * @description Saves a fertilizer to the PostgreSQL database using Sequelize.
+ *
+ * @param {Object} fertilizerDetails - The details of the fertilizer to be saved.
+ * @returns {Promise<Object>} - The saved fertilizer object.
+ * @throws {Error} - Throws an error if the save operation fails.
+ */
+const saveFertilizer = async (fertilizerDetails) => {
+    try {
+        const fertilizer = await Fertilizer.create(fertilizerDetails);
+        return fertilizer.toJSON(); // Convert the Sequelize instance to a plain object
+    } catch (error) {
+        console.error("Error saving fertilizer: ", error?.message || error);
+        throw toServiceError(error, "Failed to save fertilizer");
+    }
+};
+
+/**
+ * @function updateFertilizerDetails
+ *
+ * @description Updates a fertilizer by its ID from the PostgreSQL database using Sequelize.
+ *
+ * @param {string} fertilizerId - The ID of the fertilizer.
+ * @param {Object} fertilizerDetails - The details of the fertilizer which needs to be updated.
+ * @returns {Promise<Object|null>} - The updated fertilizer object if fertilizer found and update successful,
+ * else if fertilizer not found, returns null.
+ * @throws {Error} - Throws an error if the update operation fails.
+ */
+const updateFertilizerDetails = async (fertilizerId, fertilizerDetails) => {
+    try {
+        const [updatedCount, updatedRows] = await Fertilizer.update(fertilizerDetails, { where: { id: fertilizerId }, returning: true });
+        return updatedCount ? updatedRows[0].toJSON() : null; // toJSON converts the Sequelize instance to a plain object
+    } catch (error) {
+        console.error("Error updating fertilizer: ", error?.message || error);
+        throw toServiceError(error, "Failed to update fertilizer");
+    }
+};
+
+// Export the service functions to use in the controllers
+module.exports = { getAllFertilizers, getFertilizerById, getFertilizerPlants, removeFertilizer, saveFertilizer, updateFertilizerDetails };
@@ -0,0 +1,138 @@
+// src/api/services/garden-service.js
+
+/**
+ * @module garden-service
+ * Ecospace Garden Service
+ *
+ * @description This module provides services related to garden management in the Ecospace backend.
+ * It includes functions for saving garden details, fetching all gardens, fetching a garden by its ID,
+ * updating garden details, and deleting a garden.
+ *
+ * @requires ../../db/models/Garden
+ * @requires ../../utils/errors
+ * @exports { getAllGardens, getGardenById, removeGarden, saveGarden, updateGardenDetails }
+ */
+
+// Custom module imports
+const Garden = require("../../db/models/Garden");
+const Soil = require("../../db/models/Soil");
+const { toPaginationMetadata } = require("../../utils/common");
+const { toServiceError } = require("../../utils/errors");
+
+/**
+ * @function getAllGardens
+ *
+ * @description Fetches all gardens from the PostgreSQL database using Sequelize.
+ * It returns an array of garden objects along with pagination metadata.
+ *
+ * @param {Object} pagination - An object containing pagination parameters: limit and page.
+ * @param {number} pagination.limit - The maximum number of gardens to return.
+ * @param {number} pagination.page - The current page number for pagination.
+ * @param {Object} sorting - An object containing sorting parameters: sortBy and sortOrder.
+ * @param {string} sorting.sortBy - The field to sort by (e.g., 'name').
+ * @param {string} sorting.sortOrder - The order of sorting (e.g., 'asc' or 'desc').
+ * @returns {Promise<Object>} - An object containing an array of garden objects and pagination metadata.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getAllGardens = async (pagination, sorting) => {
+    try {
+        const { limit, page } = pagination;
+        const { sortBy, sortOrder } = sorting;
+
+        const offset = (page - 1) * limit;
+        // Fetch all gardens with pagination and sorting
+        const { count, rows } = await Garden.findAndCountAll({ limit, offset, order: [[sortBy, sortOrder]] });
+
+        // Set pagination metadata (maximum allowed limit is 50)
+        const paginationMetadata = toPaginationMetadata(page, limit, count, 50);
+        console.debug("Fetched %d gardens with pagination: %j", rows.length, paginationMetadata);
+
+        const data = rows.map(row => row.toJSON()); // Convert Sequelize instances to plain objects
+        // Return the gardens and pagination metadata
+        return { data, pagination: paginationMetadata };
+    } catch (error) {
+        console.error("Error fetching all gardens: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch gardens");
+    }
+};
+
+/**
+ * @function getGardenById
+ *
+ * @description Fetches a garden by its ID along with its assigned soil from the PostgreSQL database using Sequelize.
+ *
+ * @param {string} gardenId - The ID of the garden.
+ * @returns {Promise<Object|null>} - The garden object if found, or null if not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getGardenById = async (gardenId) => {
+    try {
+        const garden = await Garden.findByPk(gardenId, { include: [{ model: Soil, as: "soil" }] });
+        // If garden exists, return it as a plain object or null if it doesn't exist
+        return garden ? garden.toJSON() : null;
+    } catch (error) {
+        console.error("Error fetching garden by ID: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch garden by ID");
+    }
+};
+
+/**
+ * @function removeGarden
+ *
+ * @description Removes a garden along with its plots from the PostgreSQL database using Sequelize.
+ *
+ * @param {string} gardenId - The ID of the garden.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an error if the remove operation fails.
+ */
+const removeGarden = async (gardenId) => {
+    try {
+        await Garden.destroy({ where: { id: gardenId } }); // Plots are removed on cascade
+    } catch (error) {
+        console.error("Error removing garden: ", error?.message || error);
+        throw toServiceError(error, "Failed to remove garden");
+    }
+};
+
+/**
+ * @function saveGarden
+ *
+ * @description Saves a garden to the PostgreSQL database using Sequelize.
+ *
+ * @param {Object} gardenDetails - The details of the garden to be saved.
+ * @returns {Promise<Object>} - The saved garden object.
+ * @throws {Error} - Throws an error if the save operation fails.
+ */
+const saveGarden = async (gardenDetails) => {
+    try {
+        const garden = await Garden.create(gardenDetails);
+        return garden.toJSON(); // Convert the Sequelize instance to a plain object
+    } catch (error) {
+        console.error("Error saving garden: ", error?.message || error);
+        throw toServiceError(error, "Failed to save garden");
+    }
+};
+
+/**
+ * @function updateGardenDetails
+ *
+ * @description Updates a garden by its ID from the PostgreSQL database using Sequelize.
+ *
+ * @param {string} gardenId - The ID of the garden.
+ * @param {Object} gardenDetails - The details of the garden which needs to be updated.
+ * @returns {Promise<Object|null>} - The updated garden object if garden found and update successful,
+ * else if garden not found, returns null.
+ * @throws {Error} - Throws an error if the update operation fails.
+ */
+const updateGardenDetails = async (gardenId, gardenDetails) => {
+    try {
+        const [updatedCount, updatedRows] = await Garden.update(gardenDetails, { where: { id: gardenId }, returning: true });
+        return updatedCount ? updatedRows[0].toJSON() : null; // toJSON converts the Sequelize instance to a plain object
+    } catch (error) {
+        console.error("Error updating garden: ", error?.message || error);
+        throw toServiceError(error, "Failed to update garden");
+    }
+};
+
+// Export the service functions to use in the controllers
+module.exports = { getAllGardens, getGardenById, removeGarden, saveGarden, updateGardenDetails };
@@ -6,30 +6,118 @@
  * 
  * @description This module provides services related to growth stage management in the Ecospace backend.
  * It includes functions for saving growth stage details, fetching all growth stages, fetching a growth stage by its ID,
- * updating growth stage details, and deleting a growth stage.
+ * updating growth stage details, reordering growth stages, and deleting a growth stage.
  * This service is used to interact with the growth stage data in the database and perform operations related to growth stage management.
+ * Saving, reordering and deleting growth stages keep the order of the growth stages a contiguous 1..N sequence.
  *
  * @requires ../../db/models/GrowthStage
- * @exports { getAllGrowthStages, getGrowthStageById, saveGrowthStage, updateGrowthStageDetails }
+ * @requires ../../utils/errors
+ * @exports { countGrowthStageReferences, getAllGrowthStages, getGrowthStageById, removeGrowthStage, reorderGrowthStages,
+ * saveGrowthStage, updateGrowthStageDetails }
  */
 
+// Core module imports
+const { Op } = require("sequelize");
 // Custom module imports
+const sequelize = require("../../db/index");
 const GrowthStage = require("../../db/models/GrowthStage");
+const PlantGrowthStage = require("../../db/models/PlantGrowthStage");
+const Planting = require("../../db/models/Planting");
+const PlantingStageTransition = require("../../db/models/PlantingStageTransition");
+const { toPaginationMetadata } = require("../../utils/common");
+const { toServiceError } = require("../../utils/errors");
+
+/**
+ * @function lockGrowthStageOrder
+ *
+ * @description Locks the growth_stages table against concurrent writes until the transaction ends,
+ * so that concurrent changes to the order of the growth stages do not interleave.
+ *
+ * @param {Transaction} transaction - The transaction to hold the lock in.
+ * @returns {Promise<void>}
+ */
+const lockGrowthStageOrder = async (transaction) => {
+    await sequelize.query("LOCK TABLE growth_stages IN SHARE ROW EXCLUSIVE MODE", { transaction });
+};
+
+/**
+ * @function shiftGrowthStageOrders
+ *
+ * @description Shifts the order of the growth stages from an order onwards by an offset.
+ * The unique order is checked for each row as it is updated, so the orders are first moved to negative values
+ * and then flipped back, else shifting a stage onto the order of its neighbour would fail.
+ *
+ * @param {number} fromOrder - The order from which the growth stages are shifted.
+ * @param {number} offset - The offset to shift the orders by (1 to make room, -1 to close a gap).
+ * @param {Transaction} transaction - The transaction to run the updates in.
+ * @returns {Promise<void>}
+ */
+const shiftGrowthStageOrders = async (fromOrder, offset, transaction) => {
+    await sequelize.query(`UPDATE growth_stages SET "order" = -("order" + :offset) WHERE "order" >= :fromOrder`,
+        { replacements: { fromOrder, offset }, transaction });
+    await sequelize.query(`UPDATE growth_stages SET "order" = -"order" WHERE "order" < 0`, { transaction });
+};
+
+/**
+ * @function countGrowthStageReferences
+ *
+ * @description Counts the plants and the plantings which still reference a growth stage,
+ * through the growth stages of the plants, the current growth stage of the plantings or their stage history.
+ *
+ * @param {string} growthStageId - The ID of the growth stage.
+ * @returns {Promise<Object>} - An object with the number of plants and plantings referencing the growth stage.
+ * @throws {Error} - Throws an error if the count operation fails.
+ */
+const countGrowthStageReferences = async (growthStageId) => {
+    try {
+        const plants = await PlantGrowthStage.count({ where: { growthStageId } });
+        const currentPlantings = await Planting.count({ where: { currentGrowthStageId: growthStageId } });
+        const transitions = await PlantingStageTransition.count({ where: { growthStageId } });
+        return { plants, plantings: currentPlantings + transitions };
+    } catch (error) {
+        console.error("Error counting growth stage references: ", error?.message || error);
+        throw toServiceError(error, "Failed to count growth stage references");
+    }
+};
 
 /**
  * @function getAllGrowthStages
  * 
  * @description Fetches all growth stages from the PostgreSQL database using Sequelize.
- * @returns {Promise<Object>} - An object containing an array of growth stages.
+ * It returns an array of growth stages along with pagination metadata.
+ *
+ * @param {Object} pagination - An object containing pagination parameters: limit and page.
+ * @param {number} pagination.limit - The maximum number of growth stages to return.
+ * @param {number} pagination.page - The current page number for pagination.
+ * @param {Object} sorting - An object containing sorting parameters: sortBy and sortOrder.
+ * @param {string} sorting.sortBy - The field to sort by (e.g., 'order').
+ * @param {string} sorting.sortOrder - The order of sorting (e.g., 'asc' or 'desc').
+ * @param {Object} filters - An object containing filtering parameters.
+ * @param {string} filters.name - The name of the growth stage (optional).
+ * @param {number} filters.maxDaysLte - The greatest maximum number of days of the growth stages (optional).
+ * @param {number} filters.minDaysGte - The least minimum number of days of the growth stages (optional).
+ * @returns {Promise<Object>} - An object containing an array of growth stages and pagination metadata.
  * @throws {Error} - Throws an error if the fetch operation fails.
  */
-const getAllGrowthStages = async () => {
+const getAllGrowthStages = async (pagination, sorting, filters) => {
     // Try to fetch all growth stages from DB
     try {
-        return await GrowthStage.findAll({ raw: true });// Fetches plain objects directly
+        const { limit, page } = pagination;
+        const { sortBy, sortOrder } = sorting;
+        const { maxDaysLte, minDaysGte, ...where } = filters;
+        // Day range filters, growth stages without the days are left out
+        if (maxDaysLte != null) where.maxDays = { [Op.lte]: maxDaysLte };
+        if (minDaysGte != null) where.minDays = { [Op.gte]: minDaysGte };
+
+        const offset = (page - 1) * limit;
+        const { count, rows } = await GrowthStage.findAndCountAll({ where, limit, offset, order: [[sortBy, sortOrder]], raw: true });
+
+        // Set pagination metadata (maximum allowed limit is 50)
+        const paginationMetadata = toPaginationMetadata(page, limit, count, 50);
+        return { data: rows, pagination: paginationMetadata };
     } catch (error) {
         console.error("Error fetching all growth stages: ", error?.message || error);
-        throw new Error("Failed to fetch growth stages"); 
+        throw toServiceError(error, "Failed to fetch growth stages"); 
     }
 };
 
@@ -51,7 +139,7 @@ const getGrowthStageById = async (growthStageId) => {
         return growthStage ? growthStage.toJSON() : null;
     } catch (error) {
         console.error("Error fetching growth stage by ID: ", error?.message || error);
-        throw new Error("Failed to fetch growth stage by ID");
+        throw toServiceError(error, "Failed to fetch growth stage by ID");
     }
 };
 
@@ -60,6 +148,8 @@ const getGrowthStageById = async (growthStageId) => {
  * 
  * @description Saves a growth stage to the PostgreSQL database using Sequelize.
  * This function takes growth stage details as input and creates a new growth stage entry in the database.
+ * The growth stage is inserted at its order and the growth stages from that order onwards move one order down.
+ * An order past the last growth stage is saved as the order after the last growth stage, to keep the orders contiguous.
  * It returns the saved growth stage object or throws an error if the save operation fails.
  * 
  * @param {Object} growthStageDetails - The details of the growth stage to be saved.
@@ -68,12 +158,77 @@ const getGrowthStageById = async (growthStageId) => {
  */
 const saveGrowthStage = async (growthStageDetails) => {
     try {
-        // Save the details for the growth stage
-        const growthStage = await GrowthStage.create(growthStageDetails);
+        const growthStage = await sequelize.transaction(async (transaction) => {
+            await lockGrowthStageOrder(transaction);
+            const count = await GrowthStage.count({ transaction });
+            const order = Math.min(growthStageDetails.order, count + 1);
+            // Make room for the growth stage at its order
+            if (order <= count) await shiftGrowthStageOrders(order, 1, transaction);
+            // Save the details for the growth stage
+            return GrowthStage.create({ ...growthStageDetails, order }, { transaction });
+        });
         return growthStage.toJSON(); // Convert the Sequelize instance to a plain object
     } catch (error) {
         console.error("Error saving growth stage: ", error?.message || error);
-        throw new Error("Failed to save growth stage");
+        throw toServiceError(error, "Failed to save growth stage");
+    }
+};
+
+/**
+ * @function removeGrowthStage
+ *
+ * @description Removes a growth stage from the PostgreSQL database using Sequelize, and moves the growth stages
+ * after it one order up to close the gap. The growth stage must not be referenced by plants or plantings.
+ *
+ * @param {string} growthStageId - The ID of the growth stage.
+ * @returns {Promise<boolean>} - True if the growth stage was removed, false if it was not found.
+ * @throws {Error} - Throws an error if the remove operation fails.
+ */
+const removeGrowthStage = async (growthStageId) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            await lockGrowthStageOrder(transaction);
+            const growthStage = await GrowthStage.findByPk(growthStageId, { transaction });
+            if (!growthStage) return false;
+            await growthStage.destroy({ transaction });
+            // Close the gap left at the order of the growth stage
+            await shiftGrowthStageOrders(growthStage.order + 1, -1, transaction);
+            return true;
+        });
+    } catch (error) {
+        console.error("Error removing growth stage: ", error?.message || error);
+        throw toServiceError(error, "Failed to remove growth stage");
+    }
+};
+
+/**
+ * @function reorderGrowthStages
+ *
+ * @description Reorders all the growth stages in a single transaction, giving each growth stage the position
+ * of its ID in the list as its order, from 1 to N. The list must have the ID of every growth stage exactly once.
+ *
+ * @param {Array<string>} growthStageIds - The IDs of all the growth stages in their new order.
+ * @returns {Promise<Array<Object>|null>} - The reordered growth stages sorted by order,
+ * or null if the IDs are not the IDs of all the growth stages.
+ * @throws {Error} - Throws an error if the reorder operation fails.
+ */
+const reorderGrowthStages = async (growthStageIds) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            await lockGrowthStageOrder(transaction);
+            const growthStages = await GrowthStage.findAll({ attributes: ["id"], transaction, raw: true });
+            const ids = growthStageIds.map(id => id.toLowerCase());
+            if (ids.length !== growthStages.length || !growthStages.every(({ id }) => ids.includes(id))) return null;
+
+            // Move the orders to negative values first, as the unique order is checked for each row as it is updated
+            await sequelize.query(`UPDATE growth_stages SET "order" = -"order"`, { transaction });
+            await sequelize.query(`UPDATE growth_stages SET "order" = array_position(ARRAY[:ids]::uuid[], id)`,
+                { replacements: { ids }, transaction });
+            return GrowthStage.findAll({ order: [["order", "asc"]], transaction, raw: true });
+        });
+    } catch (error) {
+        console.error("Error reordering growth stages: ", error?.message || error);
+        throw toServiceError(error, "Failed to reorder growth stages");
     }
 };
 
@@ -98,9 +253,10 @@ const updateGrowthStageDetails = async (growthStageId, growthStageDetails) => {
         return updatedCount ? updatedRows[0].toJSON() : null; // // toJSON converts the Sequelize instance to a plain object
     } catch (error) {
         console.error("Error updating growth stage: ", error?.message || error);
-        throw new Error("Failed to update growth stage");  
+        throw toServiceError(error, "Failed to update growth stage");  
     }
 };
 
 // Export the service functions to use in the controllers
-module.exports = { getAllGrowthStages, getGrowthStageById, saveGrowthStage, updateGrowthStageDetails };
+module.exports = { countGrowthStageReferences, getAllGrowthStages, getGrowthStageById, removeGrowthStage, reorderGrowthStages,
+    saveGrowthStage, updateGrowthStageDetails };
@@ -0,0 +1,128 @@
+// src/api/services/import-service.js
+
+/**
+ * @module import-service
+ * Ecospace Import Service
+ *
+ * @description This module provides the services shared by the bulk imports in the Ecospace backend.
+ * An import saves its rows in a single transaction, each row in a savepoint so that a row failing a constraint
+ * of the database is reported along with the other rows. The transaction is committed only if every row is saved
+ * and it is not a dry run, so an import is either saved as a whole or not at all, and a dry run reports exactly
+ * what applying the import would do.
+ *
+ * @requires lodash
+ * @requires sequelize
+ * @requires ../../db/index
+ * @requires ../../utils/errors
+ * @exports { IMPORT_STATUS, runImport, toImportErrors }
+ */
+
+// Core module imports
+const _ = require("lodash");
+const { ForeignKeyConstraintError, UniqueConstraintError, ValidationError: SequelizeValidationError } = require("sequelize");
+// Custom module imports
+const sequelize = require("../../db/index");
+const { toServiceError, ValidationError } = require("../../utils/errors");
+
+/**
+ * @constant IMPORT_STATUS
+ *
+ * @description Defines the statuses of the rows of an import.
+ *
+ * @type {Object}
+ * @property {string} CREATED - The row is saved as a new record.
+ * @property {string} ERROR - The row is invalid, and nothing is saved for it.
+ * @property {string} SKIPPED - The record of the row already has the same details.
+ * @property {string} UPDATED - The record of the row is updated with its details.
+ */
+const IMPORT_STATUS = Object.freeze({
+    CREATED: "created",
+    ERROR: "error",
+    SKIPPED: "skipped",
+    UPDATED: "updated",
+});
+
+/**
+ * @function toRowErrors
+ *
+ * @description Maps an error thrown while saving a row to the errors of the fields of the row.
+ *
+ * @param {Error} error - The error thrown while saving the row.
+ * @returns {Array<Object>|null} - The errors of the fields, or null if the error is not caused by the row.
+ */
+const toRowErrors = (error) => {
+    // UniqueConstraintError extends the Sequelize ValidationError, so it is checked first
+    if (error instanceof UniqueConstraintError) {
+        return Object.keys(error.fields ?? {}).map(field => ({ field, message: `${field} already exists` }));
+    }
+    if (error instanceof ForeignKeyConstraintError) {
+        return [].concat(error.fields ?? []).map(field => ({ field, message: `${field} not found` }));
+    }
+    if (error instanceof SequelizeValidationError) {
+        return error.errors.map(({ message, path }) => ({ field: _.snakeCase(path), message }));
+    }
+    if (error instanceof ValidationError) return error.errors ?? [{ message: error.message }];
+    return null;
+};
+
+/**
+ * @function runImport
+ *
+ * @description Saves the valid rows of an import in a single transaction, and reports the status of each row.
+ * Rows with errors are reported as they are. The transaction is rolled back for a dry run or if any row has errors.
+ *
+ * @param {Array<Object>} rows - The rows of the import, each with its number as row, its name and its errors.
+ * @param {boolean} dryRun - Whether to only report on the rows without saving them.
+ * @param {Function} importRow - The function saving a valid row in a transaction, returning its IMPORT_STATUS.
+ * @param {string} label - The name of the records in the error message, e.g. 'plants'.
+ * @returns {Promise<Object>} - An object with whether the rows were saved, the number of rows by status,
+ * and the rows each with its number, name, status and errors if any.
+ * @throws {Error} - Throws an error if saving a row fails for a reason other than the row itself.
+ */
+const runImport = async (rows, dryRun, importRow, label) => {
+    let transaction;
+    try {
+        transaction = await sequelize.transaction();
+        const results = [];
+        for (const row of rows) {
+            const { errors, name, row: rowNumber } = row;
+            if (errors.length) {
+                results.push({ row: rowNumber, name, status: IMPORT_STATUS.ERROR, errors });
+                continue;
+            }
+            try {
+                // Save the row in a savepoint, so that a failing row does not abort the transaction
+                const status = await sequelize.transaction({ transaction }, savepoint => importRow(row, savepoint));
+                results.push({ row: rowNumber, name, status });
+            } catch (error) {
+                const rowErrors = toRowErrors(error);
+                if (!rowErrors) throw error;
+                results.push({ row: rowNumber, name, status: IMPORT_STATUS.ERROR, errors: rowErrors });
+            }
+        }
+
+        const summary = Object.fromEntries(Object.values(IMPORT_STATUS)
+            .map(status => [status, results.filter(row => row.status === status).length]));
+        const applied = !dryRun && summary[IMPORT_STATUS.ERROR] === 0;
+        await (applied ? transaction.commit() : transaction.rollback());
+        return { applied, summary, rows: results };
+    } catch (error) {
+        if (transaction && !transaction.finished) await transaction.rollback();
+        console.error(`Error importing ${label}: `, error?.message || error);
+        throw toServiceError(error, `Failed to import ${label}`);
+    }
+};
+
+/**
+ * @function toImportErrors
+ *
+ * @description Lists the errors of the rows of an import report, each with the number of its row.
+ *
+ * @param {Object} report - The import report returned by runImport.
+ * @returns {Array<Object>} - The errors, each with the row, the field and the message.
+ */
+const toImportErrors = (report) => report.rows
+    .filter(({ status }) => status === IMPORT_STATUS.ERROR)
+    .flatMap(({ errors, row }) => errors.map(error => ({ row, ...error })));
+
+module.exports = { IMPORT_STATUS, runImport, toImportErrors };
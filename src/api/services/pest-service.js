@@ -0,0 +1,175 @@
+// src/api/services/pest-service.js
+
+/**
+ * @module pest-service
+ * Ecospace Pest Service
+ *
+ * @description This module provides services related to pest management in the Ecospace backend.
+ * It includes functions for saving pest details, fetching all pests, fetching a pest by its ID,
+ * fetching the plants affected by a pest, updating pest details, and deleting a pest.
+ *
+ * @requires sequelize
+ * @requires ../../db/models/Pest
+ * @requires ../../utils/errors
+ * @exports { getAllPests, getPestById, getPestPlants, removePest, savePest, updatePestDetails }
+ */
+
+// Core module imports
+const { Op } = require("sequelize");
+// Custom module imports
+const Pest = require("../../db/models/Pest");
+const Plant = require("../../db/models/Plant");
+require("../../db/models/PlantPest"); // Sets up the plant-pest association
+const { toPaginationMetadata } = require("../../utils/common");
+const { toServiceError } = require("../../utils/errors");
+
+/**
+ * @function getAllPests
+ *
+ * @description Fetches all pests from the PostgreSQL database using Sequelize.
+ * It returns an array of pest objects along with pagination metadata.
+ *
+ * @param {Object} pagination - An object containing pagination parameters: limit and page.
+ * @param {number} pagination.limit - The maximum number of pests to return.
+ * @param {number} pagination.page - The current page number for pagination.
+ * @param {Object} sorting - An object containing sorting parameters: sortBy and sortOrder.
+ * @param {string} sorting.sortBy - The field to sort by (e.g., 'name').
+ * @param {string} sorting.sortOrder - The order of sorting (e.g., 'asc' or 'desc').
+ * @param {Object} filters - An object containing filtering parameters.
+ * @param {string} filters.activeSeason - The season the pests are active in (optional).
+ * @param {string} filters.affectedGrowthStage - The growth stage the pests affect (optional).
+ * @returns {Promise<Object>} - An object containing an array of pest objects and pagination metadata.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getAllPests = async (pagination, sorting, filters) => {
+    try {
+        const { limit, page } = pagination;
+        const { sortBy, sortOrder } = sorting;
+        const { activeSeason, affectedGrowthStage } = filters;
+        // Calculate offset for pagination
+        const offset = (page - 1) * limit;
+        // Match pests having the season or growth stage in their lists
+        const where = {};
+        if (activeSeason) where.activeSeasons = { [Op.contains]: [activeSeason] };
+        if (affectedGrowthStage) where.affectedGrowthStages = { [Op.contains]: [affectedGrowthStage] };
+
+        const { count, rows } = await Pest.findAndCountAll({ where, limit, offset, order: [[sortBy, sortOrder]] });
+
+        // Pagination metadata
+        const paginationMetadata = toPaginationMetadata(page, limit, count, 50);
+
+        // Prepare the response data
+        const data = rows.map(row => row.toJSON()); // Convert Sequelize instances to plain objects
+
+        return { data, pagination: paginationMetadata };
+    } catch (error) {
+        console.error("Error fetching pests: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch pests");
+    }
+};
+
+/**
+ * @function getPestById
+ *
+ * @description Fetches a pest by its ID from the PostgreSQL database using Sequelize.
+ *
+ * @param {string} pestId - The ID of the pest.
+ * @returns {Promise<Object|null>} - The pest object if found, or null if not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getPestById = async (pestId) => {
+    try {
+        const pest = await Pest.findByPk(pestId);
+        // If pest exists, return it as a plain object or null if it doesn't exist
+        return pest ? pest.toJSON() : null;
+    } catch (error) {
+        console.error("Error fetching pest by ID: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch pest by ID");
+    }
+};
+
+/**
+ * @function getPestPlants
+ *
+ * @description Fetches the plants affected by a pest along with the notes on the pest for each plant.
+ * Soft deleted plants are left out.
+ *
+ * @param {string} pestId - The ID of the pest.
+ * @returns {Promise<Array<Object>|null>} - An array of plant objects, each with its PlantPest link details,
+ * or null if the pest is not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getPestPlants = async (pestId) => {
+    try {
+        const pest = await Pest.findByPk(pestId, {
+            include: [{ model: Plant, as: "plants", through: { attributes: ["notes"] } }],
+            order: [[{ model: Plant, as: "plants" }, "name", "asc"]],
+        });
+        // Return plants of the pest as plain objects if pest found, else return null
+        return pest ? pest.toJSON().plants : null;
+    } catch (error) {
+        console.error("Error fetching plants of pest by ID: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch plants of pest by ID");
+    }
+};
+
+/**
+ * @function removePest
+ *
+ * @description Removes a pest along with its links to plants from the PostgreSQL database using Sequelize.
+ *
+ * @param {string} pestId - The ID of the pest.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an error if the remove operation fails.
+ */
+const removePest = async (pestId) => {
+    try {
+        await Pest.destroy({ where: { id: pestId } }); // Links to plants are removed on cascade
+    } catch (error) {
+        console.error("Error removing pest: ", error?.message || error);
+        throw toServiceError(error, "Failed to remove pest");
+    }
+};
+
+/**
+ * @function savePest
+ *
+ * @description Saves a pest to the PostgreSQL database using Sequelize.
+ *
+ * @param {Object} pestDetails - The details of the pest to be saved.
+ * @returns {Promise<Object>} - The saved pest object.
+ * @throws {Error} - Throws an error if the save operation fails.
+ */
+const savePest = async (pestDetails) => {
+    try {
+        const pest = await Pest.create(pestDetails);
+        return pest.toJSON(); // Convert the Sequelize instance to a plain object
+    } catch (error) {
+        console.error("Error saving pest: ", error?.message || error);
+        throw toServiceError(error, "Failed to save pest");
+    }
+};
+
+/**
+ * @function updatePestDetails
+ *
+ * @description Updates a pest by its ID from the PostgreSQL database using Sequelize.
+ *
+ * @param {string} pestId - The ID of the pest.
+ * @param {Object} pestDetails - The details of the pest which needs to be updated.
+ * @returns {Promise<Object|null>} - The updated pest object if pest found and update successful,
+ * else if pest not found, returns null.
+ * @throws {Error} - Throws an error if the update operation fails.
+ */
+const updatePestDetails = async (pestId, pestDetails) => {
+    try {
+        const [updatedCount, updatedRows] = await Pest.update(pestDetails, { where: { id: pestId }, returning: true });
+        return updatedCount ? updatedRows[0].toJSON() : null; // toJSON converts the Sequelize instance to a plain object
+    } catch (error) {
+        console.error("Error updating pest: ", error?.message || error);
+        throw toServiceError(error, "Failed to update pest");
+    }
+};
+
+// Export the service functions to use in the controllers
+module.exports = { getAllPests, getPestById, getPestPlants, removePest, savePest, updatePestDetails };
@@ -5,30 +5,426 @@
  * Ecospace Plant Service
  *
  * @description This module defines the service layer for plant-related operations in the Ecospace backend.
- * It includes functions to save a plant, fetch all plants, and fetch a plant by its ID.
+ * It includes functions to save a plant, fetch all plants, fetch a plant by its ID, update a plant,
+ * soft delete, restore or purge a plant, manage the soils compatible with a plant, the growth stages of a plant
+ * and the regions a plant grows in, filter plants by region including the regions within it,
+ * manage the companion and antagonist plants of a plant, the pests affecting a plant and the fertilizers recommended for it,
+ * build the fertilizer plan of a plant for a soil, project the growth stage timeline of a plant,
+ * rank soils by the soil preferences of a plant, search plants by text ranked by relevance, and export and import plants in bulk.
  * @requires express-validator
- * @exports {getAllPlants, getPlantById, savePlant, updatePlantDetails} 
+ * @requires ../../utils/errors
+ * @requires ../../utils/export
+ * @requires ./import-service
+ * @exports {checkPlantCompanions, exportPlants, getAllPlants, getPlantById, getPlantCompanions, getPlantFertilizerPlan,
+ * getPlantFertilizers, getPlantGrowthStages, getPlantPests, getPlantSoils, getPlantTimeline, getSuitableSoils, importPlants,
+ * purgePlant, removePlant, removePlantCompanion, removePlantFertilizer, removePlantPest, removePlantSoil, resolveGrowthStages,
+ * restorePlant, savePlant, savePlantCompanion, savePlantFertilizer, savePlantPest, savePlantSoil, searchPlants,
+ * setPlantGrowthStages, updatePlantDetails} 
  */
 
+// Core module imports
+const { Op } = require('sequelize');
 // Custom module imports
+const { FERTILIZER_TYPE } = require('../../constants/fertilizer-constant');
+const { PLANT_GROWTH_STAGE, PLANT_RELATIONSHIP } = require('../../constants/plant-constant');
+const { SOIL_DRAINAGE, SOIL_NUTRIENT_LEVEL, SOIL_ORGANIC_MATTER_LEVEL,
+    SOIL_WATER_RETENTION_LEVEL } = require('../../constants/soil-constant');
+const sequelize = require('../../db/index');
+const Fertilizer = require('../../db/models/Fertilizer');
+const GrowthStage = require('../../db/models/GrowthStage');
+const Pest = require('../../db/models/Pest');
 const Plant = require('../../db/models/Plant');
+const PlantCompanion = require('../../db/models/PlantCompanion');
+const PlantFertilizer = require('../../db/models/PlantFertilizer');
+const PlantGrowthStage = require('../../db/models/PlantGrowthStage');
+const PlantPest = require('../../db/models/PlantPest');
+const PlantRegion = require('../../db/models/PlantRegion');
+const PlantSoil = require('../../db/models/PlantSoil');
+const Region = require('../../db/models/Region');
+const Soil = require('../../db/models/Soil');
+const { toPaginationMetadata } = require('../../utils/common');
+const { findAllByCursor, forEachBatchByCursor } = require('../../utils/cursor');
+const { toServiceError, ValidationError } = require('../../utils/errors');
+const { EXPORT_BATCH_SIZE } = require('../../utils/export');
+const { IMPORT_STATUS, runImport } = require('./import-service');
+
+// Minimum trigram word similarity for a plant to match a search with typos, e.g. 'tomatoe' matches 'tomato'
+const SEARCH_SIMILARITY_THRESHOLD = 0.4;
+// Soil drainage and water retention levels ranked from lowest to highest, to score how close two levels are
+const DRAINAGE_RANKS = [SOIL_DRAINAGE.POORLY_DRAINED, SOIL_DRAINAGE.MODERATELY_DRAINED, SOIL_DRAINAGE.WELL_DRAINED];
+const WATER_RETENTION_RANKS = [SOIL_WATER_RETENTION_LEVEL.LOW, SOIL_WATER_RETENTION_LEVEL.MODERATE, SOIL_WATER_RETENTION_LEVEL.HIGH];
+// Factors for the application rate of fertilizers by the nutrient level of the soil,
+// and of organic fertilizers by the organic matter level of the soil as well
+const NUTRIENT_LEVEL_RATE_FACTORS = Object.freeze({
+    [SOIL_NUTRIENT_LEVEL.POOR]: 1.25, [SOIL_NUTRIENT_LEVEL.MODERATE]: 1, [SOIL_NUTRIENT_LEVEL.RICH]: 0.5,
+});
+const ORGANIC_MATTER_RATE_FACTORS = Object.freeze({
+    [SOIL_ORGANIC_MATTER_LEVEL.LOW]: 1.25, [SOIL_ORGANIC_MATTER_LEVEL.MEDIUM]: 1, [SOIL_ORGANIC_MATTER_LEVEL.HIGH]: 0.75,
+});
+
+/**
+ * @function withGrowthStageNames
+ * 
+ * @description Adds growthStages to each of the given plain plant objects as the list of
+ * growth stage names linked to the plant, sorted by the growth stage order.
+ * This keeps the plant response shape same as when growth stages were saved as strings on the plant.
+ * 
+ * @param {Array<Object>} plants - The plain plant objects.
+ * @returns {Promise<Array<Object>>} - The plant objects with growthStages added.
+ */
+const withGrowthStageNames = async (plants) => {
+    if (plants.length === 0) return plants;
+    const growthStages = await GrowthStage.findAll({
+        attributes: ["name", "order"],
+        include: [{ model: Plant, as: "plants", attributes: ["id"], where: { id: plants.map(plant => plant.id) },
+            through: { attributes: [] }, paranoid: false }],
+        order: [["order", "asc"]],
+    });
+    return plants.map(plant => ({
+        ...plant,
+        growthStages: growthStages
+            .filter(growthStage => growthStage.plants.some(({ id }) => id === plant.id))
+            .map(growthStage => growthStage.name),
+    }));
+};
+
+/**
+ * @function withRegions
+ * 
+ * @description Adds regions to each of the given plain plant objects as the list of
+ * regions (ID, name and level) linked to the plant, sorted by the region name.
+ * 
+ * @param {Array<Object>} plants - The plain plant objects.
+ * @returns {Promise<Array<Object>>} - The plant objects with regions added.
+ */
+const withRegions = async (plants) => {
+    if (plants.length === 0) return plants;
+    const regions = await Region.findAll({
+        attributes: ["id", "name", "level"],
+        include: [{ model: Plant, as: "plants", attributes: ["id"], where: { id: plants.map(plant => plant.id) },
+            through: { attributes: [] }, paranoid: false }],
+        order: [["name", "asc"]],
+    });
+    return plants.map(plant => ({
+        ...plant,
+        regions: regions
+            .filter(region => region.plants.some(({ id }) => id === plant.id))
+            .map(({ id, level, name }) => ({ id, level, name })),
+    }));
+};
+
+/**
+ * @function scoreLevel
+ * 
+ * @description Scores how close a soil level is to the preferred level of a plant.
+ * Same level scores 1, adjacent levels score 0.5 and levels farther apart score 0.
+ * 
+ * @param {Array<string>} ranks - The levels ranked from lowest to highest.
+ * @param {string} preferredLevel - The level preferred by the plant.
+ * @param {string} level - The level of the soil.
+ * @returns {number|null} - The score, or null if either level is not known.
+ */
+const scoreLevel = (ranks, preferredLevel, level) => {
+    if (!preferredLevel || !level) return null;
+    const distance = Math.abs(ranks.indexOf(preferredLevel) - ranks.indexOf(level));
+    return distance === 0 ? 1 : distance === 1 ? 0.5 : 0;
+};
+
+/**
+ * @function toLevelScoreSql
+ * 
+ * @description Builds the SQL expression scoring how close the level in a soil column is to the preferred level
+ * of a plant, as scoreLevel does. It is NULL for a soil without the level.
+ * 
+ * @param {string} column - The quoted soil column, e.g. '"Soil"."drainage"'.
+ * @param {Array<string>} ranks - The levels ranked from lowest to highest.
+ * @param {string} preferredLevel - The level preferred by the plant.
+ * @returns {string} - The SQL expression of the score.
+ */
+const toLevelScoreSql = (column, ranks, preferredLevel) => {
+    const cases = ranks.map(level => `WHEN ${sequelize.escape(level)} THEN ${scoreLevel(ranks, preferredLevel, level)}`);
+    return `(CASE ${column} ${cases.join(" ")} ELSE NULL END)`;
+};
+
+/**
+ * @function toPhScoreSql
+ * 
+ * @description Builds the SQL expression scoring how much of the preferred pH range of a plant is covered by
+ * the pH range of a soil. When the plant prefers a single pH value, it scores 1 if the soil range has it, else 0.
+ * It is NULL for a soil without a pH range.
+ * 
+ * @param {Object} plant - The plant with phMin and phMax.
+ * @returns {string} - The SQL expression of the score.
+ */
+const toPhScoreSql = (plant) => {
+    const phMin = sequelize.escape(Number(plant.phMin)), phMax = sequelize.escape(Number(plant.phMax));
+    // The overlap of the pH ranges, as LEAST of the maximums minus GREATEST of the minimums
+    const overlap = `(CASE WHEN "Soil"."ph_max" < ${phMax} THEN "Soil"."ph_max" ELSE ${phMax} END
+        - CASE WHEN "Soil"."ph_min" > ${phMin} THEN "Soil"."ph_min" ELSE ${phMin} END)`;
+    const preferredRange = plant.phMax - plant.phMin;
+    return `(CASE WHEN "Soil"."ph_min" IS NULL OR "Soil"."ph_max" IS NULL THEN NULL WHEN ${overlap} < 0 THEN 0
+        ELSE ${preferredRange === 0 ? "1" : `${overlap} / ${sequelize.escape(preferredRange)}`} END)`;
+};
+
+/**
+ * @function addDaysToDate
+ * 
+ * @description Adds a number of days to a date and returns it in YYYY-MM-DD format.
+ * 
+ * @param {string} date - The date in YYYY-MM-DD format.
+ * @param {number|null} days - The number of days to add.
+ * @returns {string|null} - The resulting date, or null if the date or the days are unknown.
+ */
+const addDaysToDate = (date, days) => {
+    if (date == null || days == null) return null;
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().slice(0, 10);
+};
+
+/**
+ * @function toPlantWhere
+ *
+ * @description Builds the where clause of the plants matching the filters of the plant list.
+ * The pest and region filters are subqueries, so the IDs of the matching plants are not loaded first.
+ *
+ * @param {Object} filters - The filters, as built by the controller from the query parameters.
+ * @returns {Object} - The where clause for the Plant model.
+ */
+const toPlantWhere = (filters) => {
+    // NOTE: Adding the remaining filters directly as they are enums, an array of values matches any of them
+    const { commonNames, commonNamesMode, commonPests, regionIds, tags, tagsMode, ...where } = filters;
+    // Array columns: contains matches all the values, overlap matches any of them
+    if (commonNames) where.commonNames = { [commonNamesMode === "any" ? Op.overlap : Op.contains]: commonNames };
+    if (tags) where.tags = { [tagsMode === "any" ? Op.overlap : Op.contains]: tags };
+
+    // Linked pests and regions narrow down the plants by their IDs
+    const plantIdFilters = [];
+    if (commonPests) {
+        // Escape the LIKE wildcards so that the pest names are matched as they are, only regardless of case
+        const pestNames = commonPests.map(name => sequelize.escape(name.replace(/[\\%_]/g, "\\$&"))).join(", ");
+        plantIdFilters.push({ id: { [Op.in]: sequelize.literal(`(SELECT plant_pests.plant_id FROM plant_pests
+            JOIN pests ON pests.id = plant_pests.pest_id WHERE pests.name ILIKE ANY (ARRAY[${pestNames}]))`) } });
+    }
+    if (regionIds) {
+        // Match plants linked to the regions or any region within them
+        const ids = regionIds.map(regionId => sequelize.escape(regionId)).join(", ");
+        plantIdFilters.push({ id: { [Op.in]: sequelize.literal(`(WITH RECURSIVE descendants AS (
+                SELECT id FROM regions WHERE id IN (${ids})
+                UNION
+                SELECT region.id FROM regions region JOIN descendants ON region.parent_id = descendants.id
+            ) SELECT plant_regions.plant_id FROM plant_regions JOIN descendants ON descendants.id = plant_regions.region_id)`) } });
+    }
+    if (plantIdFilters.length) where[Op.and] = plantIdFilters;
+
+    return where;
+};
+
+/**
+ * @function toCompanionPair
+ * 
+ * @description Orders the IDs of two plants the way a pair is saved in plant companions,
+ * with the lower ID as plantId and the higher ID as companionId.
+ * 
+ * @param {string} plantId - The ID of a plant.
+ * @param {string} otherPlantId - The ID of the other plant.
+ * @returns {Object} - An object with plantId and companionId.
+ */
+const toCompanionPair = (plantId, otherPlantId) => {
+    // Compare the IDs in the lowercase form saved in the database
+    const [lowerId, higherId] = [plantId.toLowerCase(), otherPlantId.toLowerCase()].sort();
+    return { plantId: lowerId, companionId: higherId };
+};
+
+/**
+ * @function setPlantGrowthStages
+ * 
+ * @description Replaces the growth stages linked to a plant with the given growth stages.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @param {Array<Object>} growthStages - The growth stages resolved by resolveGrowthStages.
+ * @param {Transaction} transaction - The transaction to run the queries in.
+ * @returns {Promise<void>}
+ */
+const setPlantGrowthStages = async (plantId, growthStages, transaction) => {
+    await PlantGrowthStage.destroy({ where: { plantId }, transaction });
+    await PlantGrowthStage.bulkCreate(growthStages.map(growthStage => ({ ...growthStage, plantId })),
+        { transaction, validate: true });
+};
+
+/**
+ * @function setPlantRegions
+ * 
+ * @description Replaces the regions linked to a plant with the given regions.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @param {Array<string>} regionIds - The IDs of the regions the plant grows in.
+ * @param {Transaction} transaction - The transaction to run the queries in.
+ * @returns {Promise<void>}
+ */
+const setPlantRegions = async (plantId, regionIds, transaction) => {
+    await PlantRegion.destroy({ where: { plantId }, transaction });
+    await PlantRegion.bulkCreate(regionIds.map(regionId => ({ plantId, regionId })), { transaction });
+};
+
+/**
+ * @function isSameList
+ * 
+ * @description Checks whether two lists of strings have the same items, regardless of their order.
+ * 
+ * @param {Array<string>} list - A list of strings.
+ * @param {Array<string>} otherList - The other list of strings.
+ * @returns {boolean} - True if the lists have the same items, else false.
+ */
+const isSameList = (list, otherList) => {
+    const sortedOtherList = [...otherList].sort();
+    return list.length === otherList.length && [...list].sort().every((item, index) => item === sortedOtherList[index]);
+};
+
+/**
+ * @function importPlantRow
+ * 
+ * @description Saves a row of a plant import in a transaction. A plant with the same name is updated with the details
+ * of the row, and restored if it is soft deleted. Its growth stages and regions are replaced only if the row has them.
+ * 
+ * @param {Object} row - The row with plantDetails, and the growthStages (by name) and regionIds if any.
+ * @param {Object} catalog - The known growth stages and regions.
+ * @param {Map<string, string>} catalog.growthStageIds - The IDs of the growth stages by their name.
+ * @param {Set<string>} catalog.regionIds - The IDs of the regions.
+ * @param {Transaction} transaction - The transaction to run the queries in.
+ * @returns {Promise<string>} - The IMPORT_STATUS of the row: created, updated or skipped if nothing changed.
+ * @throws {ValidationError} - Throws a validation error if a growth stage or a region of the row is not found.
+ */
+const importPlantRow = async ({ growthStages, plantDetails, regionIds }, catalog, transaction) => {
+    const missingNames = (growthStages ?? []).map(({ name }) => name).filter(name => !catalog.growthStageIds.has(name));
+    const missingRegionIds = (regionIds ?? []).filter(regionId => !catalog.regionIds.has(regionId));
+    const errors = [];
+    if (missingNames.length) errors.push({ field: "growth_stages", message: `Growth stage(s) not found: ${missingNames.join(", ")}` });
+    if (missingRegionIds.length) errors.push({ field: "region_ids", message: `Region(s) not found: ${missingRegionIds.join(", ")}` });
+    if (errors.length) throw new ValidationError("Validation error", errors);
+    const plantGrowthStages = growthStages?.map(({ maxDays, minDays, name }) =>
+        ({ growthStageId: catalog.growthStageIds.get(name), maxDays, minDays }));
+
+    const plant = await Plant.findOne({ where: { name: plantDetails.name }, paranoid: false, transaction });
+    if (!plant) {
+        const createdPlant = await Plant.create(plantDetails, { transaction });
+        if (plantGrowthStages) await setPlantGrowthStages(createdPlant.id, plantGrowthStages, transaction);
+        if (regionIds) await setPlantRegions(createdPlant.id, regionIds, transaction);
+        return IMPORT_STATUS.CREATED;
+    }
+
+    let isUpdated = plant.isSoftDeleted();
+    plant.set(plantDetails);
+    if (plant.changed()) {
+        await plant.save({ transaction });
+        isUpdated = true;
+    }
+    if (plant.isSoftDeleted()) await plant.restore({ transaction });
+    if (plantGrowthStages) {
+        const toKey = ({ growthStageId, maxDays, minDays }) => `${growthStageId}:${minDays ?? ""}:${maxDays ?? ""}`;
+        const links = await PlantGrowthStage.findAll({ where: { plantId: plant.id }, raw: true, transaction });
+        if (!isSameList(links.map(toKey), plantGrowthStages.map(toKey))) {
+            await setPlantGrowthStages(plant.id, plantGrowthStages, transaction);
+            isUpdated = true;
+        }
+    }
+    if (regionIds) {
+        const links = await PlantRegion.findAll({ attributes: ["regionId"], where: { plantId: plant.id }, raw: true, transaction });
+        if (!isSameList(links.map(({ regionId }) => regionId), regionIds)) {
+            await setPlantRegions(plant.id, regionIds, transaction);
+            isUpdated = true;
+        }
+    }
+    return isUpdated ? IMPORT_STATUS.UPDATED : IMPORT_STATUS.SKIPPED;
+};
 
 /**
  * @function savePlant
  * 
- * @description Saves a plant to the PostgreSQL database using Sequelize.
+ * @description Saves a plant along with its growth stages and regions to the PostgreSQL database using Sequelize.
  * 
  * @param {Object} plantDetails - The details of the plant to be saved.
+ * @param {Array<Object>} growthStages - The growth stages resolved by resolveGrowthStages (optional).
+ * @param {Array<string>} regionIds - The IDs of the regions the plant grows in (optional).
  * @return {Promise<Object>} - The saved plant object.
  * @throws {Error} - Throws an error if the save operation fails.
  */
-const savePlant = async (plantDetails) => {
+const savePlant = async (plantDetails, growthStages, regionIds) => {
     try {
-        const plant = await Plant.create(plantDetails);
-        return plant.toJSON(); // Convert the Sequelize instance to a plain object
+        const plant = await sequelize.transaction(async (transaction) => {
+            const createdPlant = await Plant.create(plantDetails, { transaction });
+            if (growthStages) await setPlantGrowthStages(createdPlant.id, growthStages, transaction);
+            if (regionIds) await setPlantRegions(createdPlant.id, regionIds, transaction);
+            return createdPlant;
+        });
+        const [savedPlant] = await withRegions(await withGrowthStageNames([plant.toJSON()])); // toJSON converts the Sequelize instance to a plain object
+        return savedPlant;
     } catch (error) {
         console.error("Error saving plant: ", error?.message || error);
-        throw new Error("Failed to save plant");        
+        throw toServiceError(error, "Failed to save plant");        
+    }
+};
+
+/**
+ * @function checkPlantCompanions
+ * 
+ * @description Checks a list of plants for pairs of plants which are antagonists of each other.
+ * Soft deleted plants are treated as not found.
+ * 
+ * @param {Array<string>} plantIds - The IDs of the plants.
+ * @returns {Promise<Object>} - An object with antagonisticPairs, each having the two plants and the reason,
+ * and missingPlantIds which are the IDs not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const checkPlantCompanions = async (plantIds) => {
+    try {
+        const plants = await Plant.findAll({ attributes: ["id"], where: { id: plantIds }, raw: true });
+        const missingPlantIds = plantIds.filter(plantId => !plants.some(({ id }) => id === plantId.toLowerCase()));
+        const antagonists = await PlantCompanion.findAll({
+            where: { plantId: plantIds, companionId: plantIds, relationship: PLANT_RELATIONSHIP.ANTAGONIST },
+            include: [
+                { model: Plant, as: "plant", attributes: ["id", "name"], required: true },
+                { model: Plant, as: "companion", attributes: ["id", "name"], required: true },
+            ],
+        });
+        const antagonisticPairs = antagonists.map(antagonist => {
+            const { companion, plant, reason } = antagonist.toJSON();
+            return { plants: [plant, companion], reason };
+        });
+        return { antagonisticPairs, missingPlantIds };
+    } catch (error) {
+        console.error("Error checking plant companions: ", error?.message || error);
+        throw toServiceError(error, "Failed to check plant companions");
+    }
+};
+
+/**
+ * @function exportPlants
+ *
+ * @description Fetches all the plants matching the filters of the plant list in batches, each with its growth stage
+ * names and regions, and hands each batch to writeBatch as soon as it is fetched, so that the whole catalog
+ * is never held in memory. Batches are fetched with keyset pagination in the order of the sorting.
+ *
+ * @param {Object} filters - An object containing filtering parameters, as for getAllPlants.
+ * @param {Object} sorting - An object containing sorting parameters: sortBy and sortOrder.
+ * @param {boolean} includeDeleted - Whether to include soft deleted plants.
+ * @param {Function} writeBatch - The async function writing a batch of plants, returning false to stop the export.
+ * @returns {Promise<number>} - The number of plants exported.
+ * @throws {Error} - Throws an error if fetching the plants fails.
+ */
+const exportPlants = async (filters, sorting, includeDeleted, writeBatch) => {
+    try {
+        console.debug("Exporting plants with filters: %j", filters);
+        const where = toPlantWhere(filters);
+        const count = await forEachBatchByCursor(Plant, { where, paranoid: !includeDeleted },
+            { limit: EXPORT_BATCH_SIZE, ...sorting },
+            async rows => writeBatch(await withRegions(await withGrowthStageNames(rows.map(row => row.toJSON()))))
+        );
+        console.debug("Exported %d plants", count);
+        return count;
+    } catch (error) {
+        console.error("Error exporting plants: ", error?.message || error);
+        throw toServiceError(error, "Failed to export plants");
     }
 };
 
@@ -36,56 +432,69 @@ const savePlant = async (plantDetails) => {
  * @function getAllPlants
  * 
  * @description Fetches all plants from the PostgreSQL database using Sequelize.
+ * Plants are paginated by page number with the total count, or by cursor (keyset pagination) when the mode is 'cursor'.
  * 
- * @param {Object} pagination - An object containing pagination parameters: limit and offset.
+ * @param {Object} pagination - An object containing pagination parameters: mode, limit, and page or cursor.
+ * @param {string} pagination.mode - The pagination mode, 'cursor' for cursor pagination (default: page pagination).
  * @param {number} pagination.limit - The maximum number of plants to return.
- * @param {number} pagination.page - The current page number for pagination.
+ * @param {number} pagination.page - The current page number for page pagination.
+ * @param {Object|null} pagination.cursor - The decoded cursor for cursor pagination, null for the first page.
  * @param {Object} sorting - An object containing sorting parameters: sortBy and sortOrder.
  * @param {string} sorting.sortBy - The field to sort by (e.g., 'name').
  * @param {string} sorting.sortOrder - The order of sorting (e.g., 'asc' or 'desc').
  * @param {Object} filters - An object containing filtering parameters.
- * @param {string} filters.category - The category to filter plants by (optional).
- * @param {string} filters.growthCycle - The growth cycle to filter plants by (optional).
- * @param {string} filters.growthHabit - The growth habit to filter plants by (optional).
- * @param {string} filters.idealSeason - The ideal season to filter plants by (optional).
- * @param {string} filters.purpose - The purpose to filter plants by (optional).
- * @returns {Promise<Object>} - An object containing an array of plant objects and pagination metadata.
+ * Enum filters match plants with any of the given values.
+ * @param {Array<string>} filters.category - The categories to filter plants by (optional).
+ * @param {Array<string>} filters.growthCycle - The growth cycles to filter plants by (optional).
+ * @param {Array<string>} filters.growthHabit - The growth habits to filter plants by (optional).
+ * @param {Array<string>} filters.idealSeason - The ideal seasons to filter plants by (optional).
+ * @param {Array<string>} filters.purpose - The purposes to filter plants by (optional).
+ * @param {Array<string>} filters.commonNames - The common names to filter plants by, matched exactly (optional).
+ * @param {string} filters.commonNamesMode - 'all' to match plants with all the common names, 'any' with any of them (default: 'all').
+ * @param {Array<string>} filters.commonPests - The names of the pests to filter plants by, matching plants affected by
+ * any of them regardless of case (optional).
+ * @param {Array<string>} filters.regionIds - The regions to filter plants by, matching plants linked to any of them
+ * or the regions within them (optional).
+ * @param {Array<string>} filters.tags - The tags to filter plants by, matched exactly (optional).
+ * @param {string} filters.tagsMode - 'all' to match plants with all the tags, 'any' with any of them (default: 'all').
+ * @param {boolean} includeDeleted - Whether to include soft deleted plants (default: false).
+ * @returns {Promise<Object>} - An object containing an array of plant objects and pagination metadata,
+ * with next and previous cursors instead of page counts for cursor pagination.
  * @throws {Error} - Throws an error if the fetch operation fails.
  */
-const getAllPlants = async (pagination, sorting, filters) => {
+const getAllPlants = async (pagination, sorting, filters, includeDeleted = false) => {
     try {
         const { limit, page } = pagination;
         const { sortBy, sortOrder } = sorting;
-        // NOTE: Adding filters directly as exact match as they are enums
         console.debug("Fetching all plants with filters: %j", filters);
+        const where = toPlantWhere(filters);
+
+        if (pagination.mode === "cursor") {
+            const result = await findAllByCursor(Plant, { where, paranoid: !includeDeleted },
+                { cursor: pagination.cursor, limit, sortBy, sortOrder });
+            console.debug("Fetched %d plants with cursor pagination: %j", result.rows.length, result.pagination);
+            const data = await withRegions(await withGrowthStageNames(result.rows.map(row => row.toJSON())));
+            return { data, pagination: result.pagination };
+        }
         
         const offset = (page - 1) * limit;
         // Fetch all plants with pagination and sorting
         const { count, rows } = await Plant.findAndCountAll({
-            limit, offset, order: [[sortBy, sortOrder]], where: filters,
-        });
-
-        // Set pagination metadata
-        const pageSize = limit;
-        const totalPages = Math.ceil(count / pageSize);
-        const hasPreviousPage = page > 1;
-        const hasNextPage = page < totalPages;
-        let paginationMetadata = { currentPage: page, hasNextPage, hasPreviousPage, pageSize,
-            totalItems: count, totalPages };
-
-        // Set extra metadata for pagination on special cases
-        const hasExceededPage = page > totalPages; // if the requested page exceeds total pages
-        const maxLimitApplied = limit === 100; // if the limit is set to maximum allowed (100)
-        if (count && hasExceededPage) paginationMetadata = { ...paginationMetadata, hasExceededPage};
-        if (maxLimitApplied) paginationMetadata = { ...paginationMetadata, maxLimitApplied };
+            limit, offset, order: [[sortBy, sortOrder]], where,
+            paranoid: !includeDeleted, // paranoid false includes soft deleted rows
+        });
+
+        // Set pagination metadata (maximum allowed limit is 100)
+        const paginationMetadata = toPaginationMetadata(page, limit, count, 100);
         console.debug("Fetched %d plants with pagination: %j", rows.length, paginationMetadata);
         
-        const data = rows.map(row => row.toJSON()); // Convert Sequelize instances to plain objects
+        // Convert Sequelize instances to plain objects along with their growth stage names
+        const data = await withRegions(await withGrowthStageNames(rows.map(row => row.toJSON())));
         // Return plants and pagination metadata
         return { data, pagination: paginationMetadata };
     } catch (error) {
         console.error("Error fetching all plants: ", error?.message || error);
-        throw new Error("Failed to fetch plants");        
+        throw toServiceError(error, "Failed to fetch plants");        
     }
 };
 
@@ -95,17 +504,668 @@ const getAllPlants = async (pagination, sorting, filters) => {
  * @description Fetches a plant by its ID from the PostgreSQL database using Sequelize.
  * 
  * @param {number} plantId - The ID of the plant to retrieve.
+ * @param {boolean} includeDeleted - Whether to look up soft deleted plants as well (default: false).
  * @returns {Promise<Object|null>} - The plant object if found, or null if not found.
  * @throws {Error} - Throws an error if the fetch operation fails.
  */
-const getPlantById = async (plantId) => {
+const getPlantById = async (plantId, includeDeleted = false) => {
     try {
-        const plant = await Plant.findByPk(plantId);
-        // Convert the Sequelize instance to a plain object if found, else return null
-        return plant ? plant.toJSON() : null;
+        const plant = await Plant.findByPk(plantId, { paranoid: !includeDeleted });
+        if (!plant) return null;
+        // Convert the Sequelize instance to a plain object along with its growth stage names
+        const [plantDetails] = await withRegions(await withGrowthStageNames([plant.toJSON()]));
+        return plantDetails;
     } catch (error) {
         console.error("Error fetching plant with ID: %s", plantId, error?.message || error);
-        throw new Error(`Failed to fetch plant with ID ${plantId}`);       
+        throw toServiceError(error, `Failed to fetch plant with ID ${plantId}`);       
+    }
+};
+
+/**
+ * @function getPlantCompanions
+ * 
+ * @description Fetches the plants related to a plant as companions or antagonists, along with the reason.
+ * Soft deleted plants are left out.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @returns {Promise<Array<Object>|null>} - An array of related plants sorted by relationship and name,
+ * or null if the plant is not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getPlantCompanions = async (plantId) => {
+    try {
+        const plant = await Plant.findByPk(plantId, { attributes: ["id"] });
+        if (!plant) return null;
+        const plantCompanions = await PlantCompanion.findAll({
+            where: { [Op.or]: [{ plantId }, { companionId: plantId }] },
+            include: [
+                { model: Plant, as: "plant", attributes: ["id", "name", "scientificName"], required: true },
+                { model: Plant, as: "companion", attributes: ["id", "name", "scientificName"], required: true },
+            ],
+        });
+        // Return the other plant of each pair
+        return plantCompanions
+            .map(plantCompanion => {
+                const { companion, plant: pairPlant, reason, relationship } = plantCompanion.toJSON();
+                return { ...(pairPlant.id === plantId.toLowerCase() ? companion : pairPlant), relationship, reason };
+            })
+            .sort((a, b) => a.relationship.localeCompare(b.relationship) || a.name.localeCompare(b.name));
+    } catch (error) {
+        console.error("Error fetching companions of plant with ID: %s", plantId, error?.message || error);
+        throw toServiceError(error, `Failed to fetch companions of plant with ID ${plantId}`);
+    }
+};
+
+/**
+ * @function getPlantFertilizerPlan
+ * 
+ * @description Builds the fertilizer plan of a plant from the fertilizers recommended for it.
+ * Each fertilizer is applied at the growth stages of the plant it suits (all of them when it lists no suitable
+ * growth stages), at its application rate adjusted to the soil when a soil is given.
+ * The rate is scaled by the nutrient level of the soil (1.25 for low, 1 for moderate and 0.5 for high), and for
+ * organic fertilizers also by the organic matter level of the soil (1.25 for low, 1 for medium and 0.75 for high).
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @param {Object|null} soil - The soil the plant is grown in, with nutrientLevel and organicMatterLevel (optional).
+ * @returns {Promise<Object|null>} - An object with the soil levels, the fertilizers with their recommended rate
+ * and the fertilizers to apply at each growth stage, or null if the plant is not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getPlantFertilizerPlan = async (plantId, soil = null) => {
+    const fertilizers = await getPlantFertilizers(plantId);
+    if (!fertilizers) return null;
+    const growthStages = await getPlantGrowthStages(plantId);
+    const growthStageNames = growthStages.map(({ name }) => name);
+
+    const nutrientLevelFactor = soil ? NUTRIENT_LEVEL_RATE_FACTORS[soil.nutrientLevel] ?? 1 : 1;
+    const plannedFertilizers = fertilizers.map(({ PlantFertilizer: plantFertilizer, ...fertilizer }) => {
+        const organicMatterFactor = soil && fertilizer.type === FERTILIZER_TYPE.ORGANIC
+            ? ORGANIC_MATTER_RATE_FACTORS[soil.organicMatterLevel] ?? 1 : 1;
+        const rateFactor = nutrientLevelFactor * organicMatterFactor;
+        // Growth stages of the plant the fertilizer suits, or the suitable growth stages when the plant has none
+        const { suitableGrowthStages } = fertilizer;
+        let applyAt = growthStageNames.filter(name => suitableGrowthStages.length === 0 || suitableGrowthStages.includes(name));
+        if (growthStageNames.length === 0) applyAt = suitableGrowthStages;
+        return {
+            ...fertilizer,
+            notes: plantFertilizer.notes,
+            growthStages: applyAt,
+            rateFactor,
+            recommendedRate: Math.round(fertilizer.applicationRate * rateFactor * 100) / 100,
+        };
+    });
+
+    const stages = growthStages.map(({ id, name, order }) => ({
+        id, name, order,
+        fertilizers: plannedFertilizers
+            .filter(fertilizer => fertilizer.growthStages.includes(name))
+            .map(({ id, name, recommendedRate }) => ({ id, name, recommendedRate })),
+    }));
+    const soilLevels = soil ? { id: soil.id, name: soil.name, nutrientLevel: soil.nutrientLevel, organicMatterLevel: soil.organicMatterLevel } : null;
+    return { soil: soilLevels, fertilizers: plannedFertilizers, stages };
+};
+
+/**
+ * @function getPlantFertilizers
+ * 
+ * @description Fetches the fertilizers recommended for a plant along with the notes on each fertilizer for the plant.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @returns {Promise<Array<Object>|null>} - An array of fertilizer objects, each with its PlantFertilizer link details,
+ * or null if the plant is not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getPlantFertilizers = async (plantId) => {
+    try {
+        const plant = await Plant.findByPk(plantId, {
+            include: [{ model: Fertilizer, as: "fertilizers", through: { attributes: ["notes"] } }],
+            order: [[{ model: Fertilizer, as: "fertilizers" }, "name", "asc"]],
+        });
+        // Return fertilizers of the plant as plain objects if plant found, else return null
+        return plant ? plant.toJSON().fertilizers : null;
+    } catch (error) {
+        console.error("Error fetching fertilizers of plant with ID: %s", plantId, error?.message || error);
+        throw toServiceError(error, `Failed to fetch fertilizers of plant with ID ${plantId}`);
+    }
+};
+
+/**
+ * @function getPlantGrowthStages
+ * 
+ * @description Fetches the growth stages of a plant sorted by the growth stage order.
+ * minDays and maxDays of each growth stage are the plant specific values when overridden for the plant,
+ * else the values from the growth stage catalog, which are also returned as defaultMinDays and defaultMaxDays.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @param {boolean} includeDeleted - Whether to look up soft deleted plants as well (default is false).
+ * @returns {Promise<Array<Object>|null>} - An array of growth stage objects, or null if the plant is not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getPlantGrowthStages = async (plantId, includeDeleted = false) => {
+    try {
+        const plant = await Plant.findByPk(plantId, {
+            paranoid: !includeDeleted,
+            include: [{ model: GrowthStage, as: "growthStages", through: { attributes: ["minDays", "maxDays"] } }],
+            order: [[{ model: GrowthStage, as: "growthStages" }, "order", "asc"]],
+        });
+        if (!plant) return null;
+        // Apply the plant specific days over the catalog days
+        return plant.toJSON().growthStages.map(({ PlantGrowthStage: plantGrowthStage, ...growthStage }) => ({
+            ...growthStage,
+            defaultMaxDays: growthStage.maxDays,
+            defaultMinDays: growthStage.minDays,
+            maxDays: plantGrowthStage.maxDays ?? growthStage.maxDays,
+            minDays: plantGrowthStage.minDays ?? growthStage.minDays,
+        }));
+    } catch (error) {
+        console.error("Error fetching growth stages of plant with ID: %s", plantId, error?.message || error);
+        throw toServiceError(error, `Failed to fetch growth stages of plant with ID ${plantId}`);
+    }
+};
+
+/**
+ * @function getPlantPests
+ * 
+ * @description Fetches the pests affecting a plant along with the notes on each pest for the plant.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @returns {Promise<Array<Object>|null>} - An array of pest objects, each with its PlantPest link details,
+ * or null if the plant is not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getPlantPests = async (plantId) => {
+    try {
+        const plant = await Plant.findByPk(plantId, {
+            include: [{ model: Pest, as: "pests", through: { attributes: ["notes"] } }],
+            order: [[{ model: Pest, as: "pests" }, "name", "asc"]],
+        });
+        // Return pests of the plant as plain objects if plant found, else return null
+        return plant ? plant.toJSON().pests : null;
+    } catch (error) {
+        console.error("Error fetching pests of plant with ID: %s", plantId, error?.message || error);
+        throw toServiceError(error, `Failed to fetch pests of plant with ID ${plantId}`);
+    }
+};
+
+/**
+ * @function getPlantSoils
+ * 
+ * @description Fetches the soils linked to a plant along with their suitability rating and notes.
+ * Soft deleted soils are left out.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @returns {Promise<Array<Object>|null>} - An array of soil objects, each with its PlantSoil link details,
+ * or null if the plant is not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getPlantSoils = async (plantId) => {
+    try {
+        const plant = await Plant.findByPk(plantId, {
+            include: [{ model: Soil, as: "soils", through: { attributes: ["suitability", "notes"] } }],
+            order: [[{ model: Soil, as: "soils" }, "name", "asc"]],
+        });
+        // Return soils of the plant as plain objects if plant found, else return null
+        return plant ? plant.toJSON().soils : null;
+    } catch (error) {
+        console.error("Error fetching soils of plant with ID: %s", plantId, error?.message || error);
+        throw toServiceError(error, `Failed to fetch soils of plant with ID ${plantId}`);
+    }
+};
+
+/**
+ * @function getPlantTimeline
+ * 
+ * @description Projects the dates of the growth stages of a plant sown on a date by walking its growth stages in order.
+ * A growth stage starts at the earliest when all the previous growth stages take their minDays,
+ * and at the latest when they take their maxDays. A missing minDays counts as 0 days, while a missing maxDays
+ * leaves the latest dates of that growth stage and the ones after it unknown (null).
+ * The expected harvest window is the span of the harvesting growth stage, or the end of the last growth stage
+ * when the plant has no harvesting growth stage.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @param {string} sowDate - The sow date in YYYY-MM-DD format.
+ * @param {boolean} includeDeleted - Whether to look up soft deleted plants as well (default is false).
+ * @returns {Promise<Object|null>} - An object with the sow date, the projected growth stages and the harvest window,
+ * or null if the plant is not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getPlantTimeline = async (plantId, sowDate, includeDeleted = false) => {
+    const growthStages = await getPlantGrowthStages(plantId, includeDeleted);
+    if (!growthStages) return null;
+
+    // Walk the growth stages in order, adding up the days since sowing
+    let minDaysSoFar = 0, maxDaysSoFar = 0;
+    const stages = growthStages.map(({ id, maxDays, minDays, name, order }) => {
+        const stage = {
+            id, name, order, minDays, maxDays,
+            earliestStartDate: addDaysToDate(sowDate, minDaysSoFar),
+            latestStartDate: addDaysToDate(sowDate, maxDaysSoFar),
+        };
+        minDaysSoFar += minDays ?? 0;
+        maxDaysSoFar = maxDaysSoFar == null || maxDays == null ? null : maxDaysSoFar + maxDays;
+        return { ...stage, earliestEndDate: addDaysToDate(sowDate, minDaysSoFar), latestEndDate: addDaysToDate(sowDate, maxDaysSoFar) };
+    });
+
+    // Harvest window from the harvesting growth stage, else from the end of the last growth stage
+    const harvestingStage = stages.find(({ name }) => name === PLANT_GROWTH_STAGE.HARVESTING);
+    const lastStage = stages[stages.length - 1];
+    let harvestWindow = null;
+    if (harvestingStage) harvestWindow = { earliestDate: harvestingStage.earliestStartDate, latestDate: harvestingStage.latestEndDate };
+    else if (lastStage) harvestWindow = { earliestDate: lastStage.earliestEndDate, latestDate: lastStage.latestEndDate };
+
+    return { sowDate, stages, harvestWindow };
+};
+
+/**
+ * @function getSuitableSoils
+ * 
+ * @description Scores the soils against the soil preferences of a plant and returns a page of them ranked by score,
+ * ties by soil name. Each criterion (pH range overlap, drainage and water retention level) scores between 0 and 1,
+ * and the score of a soil is the average of the criteria that can be compared, i.e. both the plant
+ * preference and the soil value are known. Soils with no comparable criterion score 0.
+ * The scores are computed, ranked and paginated in the query. Soft deleted soils are left out.
+ * 
+ * @param {Object} plant - The plant with its soil preferences.
+ * @param {Object} pagination - An object containing pagination parameters: limit and page.
+ * @param {number} pagination.limit - The maximum number of soils to return.
+ * @param {number} pagination.page - The current page number for pagination.
+ * @returns {Promise<Object>} - An object containing an array of scored soils and pagination metadata.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getSuitableSoils = async (plant, pagination) => {
+    try {
+        const { limit, page } = pagination;
+        const offset = (page - 1) * limit;
+        // Score only the criteria the plant has a preference for, the others are null for every soil
+        const criteria = {
+            drainage: plant.preferredDrainage
+                && toLevelScoreSql('"Soil"."drainage"', DRAINAGE_RANKS, plant.preferredDrainage),
+            ph: plant.phMin != null && plant.phMax != null && toPhScoreSql(plant),
+            waterRetentionLevel: plant.preferredWaterRetentionLevel
+                && toLevelScoreSql('"Soil"."water_retention_level"', WATER_RETENTION_RANKS, plant.preferredWaterRetentionLevel),
+        };
+        const scores = Object.values(criteria).filter(Boolean);
+        const scoreSum = scores.map(score => `COALESCE(${score}, 0)`).join(" + ");
+        const scoreCount = scores.map(score => `CAST(${score} IS NOT NULL AS INTEGER)`).join(" + ");
+        const score = scores.length ? `ROUND(CAST(CASE WHEN ${scoreCount} = 0 THEN 0
+            ELSE CAST(${scoreSum} AS DOUBLE PRECISION) / (${scoreCount}) END AS NUMERIC), 2)` : "0";
+
+        const { count, rows } = await Soil.findAndCountAll({
+            attributes: { include: [
+                ...Object.entries(criteria).map(([name, sql]) => [sequelize.literal(sql || "NULL"), `${name}Score`]),
+                [sequelize.literal(score), "score"],
+            ] },
+            limit, offset, order: [[sequelize.literal('"score"'), "desc"], ["name", "asc"]],
+            raw: true,
+        });
+
+        // Set pagination metadata (maximum allowed limit is 100)
+        const paginationMetadata = toPaginationMetadata(page, limit, count, 100);
+        // Numeric scores are read as strings, so they are converted back to numbers
+        const toScore = (value) => value == null ? null : Number(value);
+        const data = rows.map(({ drainageScore, phScore, score, waterRetentionLevelScore, ...soil }) => ({
+            soil, score: toScore(score),
+            breakdown: { drainage: toScore(drainageScore), ph: toScore(phScore), waterRetentionLevel: toScore(waterRetentionLevelScore) },
+        }));
+        return { data, pagination: paginationMetadata };
+    } catch (error) {
+        console.error("Error fetching suitable soils of plant: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch suitable soils of plant");
+    }
+};
+
+/**
+ * @function importPlants
+ * 
+ * @description Imports plants in bulk, upserting each valid row by the plant name in a single transaction.
+ * Nothing is saved for a dry run or if any row is invalid, and the report tells what happened (or would happen)
+ * to each row: created, updated, skipped if the plant already has the same details, or error with the field errors.
+ * 
+ * @param {Array<Object>} rows - The rows, each with its number as row, name, errors, plantDetails, growthStages and regionIds.
+ * @param {boolean} dryRun - Whether to only report on the rows without saving them (default: false).
+ * @returns {Promise<Object>} - The import report with applied, summary and rows.
+ * @throws {Error} - Throws an error if the import fails.
+ */
+const importPlants = async (rows, dryRun = false) => {
+    let catalog;
+    try {
+        const regionIds = [...new Set(rows.flatMap(({ regionIds }) => regionIds ?? []))];
+        const growthStages = await GrowthStage.findAll({ attributes: ["id", "name"], raw: true });
+        const regions = regionIds.length ? await Region.findAll({ attributes: ["id"], where: { id: regionIds }, raw: true }) : [];
+        catalog = { growthStageIds: new Map(growthStages.map(({ id, name }) => [name, id])), regionIds: new Set(regions.map(({ id }) => id)) };
+    } catch (error) {
+        console.error("Error importing plants: ", error?.message || error);
+        throw toServiceError(error, "Failed to import plants");
+    }
+    return runImport(rows, dryRun, (row, transaction) => importPlantRow(row, catalog, transaction), "plants");
+};
+
+/**
+ * @function purgePlant
+ * 
+ * @description Permanently removes a plant (soft deleted or not) from the PostgreSQL database using Sequelize.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an error if the purge operation fails.
+ */
+const purgePlant = async (plantId) => {
+    try {
+        await Plant.destroy({ where: { id: plantId }, force: true }); // force bypasses soft delete
+    } catch (error) {
+        console.error("Error purging plant: ", error?.message || error);
+        throw toServiceError(error, "Failed to purge plant");
+    }
+};
+
+/**
+ * @function removePlant
+ * 
+ * @description Soft deletes a plant from the PostgreSQL database using Sequelize.
+ * The plant row is kept with deletedAt set, so it can be restored later.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an error if the remove operation fails.
+ */
+const removePlant = async (plantId) => {
+    try {
+        await Plant.destroy({ where: { id: plantId } });
+    } catch (error) {
+        console.error("Error removing plant: ", error?.message || error);
+        throw toServiceError(error, "Failed to remove plant");
+    }
+};
+
+/**
+ * @function removePlantCompanion
+ * 
+ * @description Removes the relationship between two plants.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @param {string} otherPlantId - The ID of the related plant.
+ * @returns {Promise<boolean>} - True if a relationship was removed, false if there was no relationship.
+ * @throws {Error} - Throws an error if the remove operation fails.
+ */
+const removePlantCompanion = async (plantId, otherPlantId) => {
+    try {
+        const removedCount = await PlantCompanion.destroy({ where: toCompanionPair(plantId, otherPlantId) });
+        return removedCount > 0;
+    } catch (error) {
+        console.error("Error removing companion of plant: ", error?.message || error);
+        throw toServiceError(error, "Failed to remove companion of plant");
+    }
+};
+
+/**
+ * @function removePlantFertilizer
+ * 
+ * @description Removes the link between a plant and a fertilizer.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @param {string} fertilizerId - The ID of the fertilizer.
+ * @returns {Promise<boolean>} - True if a link was removed, false if there was no link.
+ * @throws {Error} - Throws an error if the remove operation fails.
+ */
+const removePlantFertilizer = async (plantId, fertilizerId) => {
+    try {
+        const removedCount = await PlantFertilizer.destroy({ where: { plantId, fertilizerId } });
+        return removedCount > 0;
+    } catch (error) {
+        console.error("Error removing fertilizer of plant: ", error?.message || error);
+        throw toServiceError(error, "Failed to remove fertilizer of plant");
+    }
+};
+
+/**
+ * @function removePlantPest
+ * 
+ * @description Removes the link between a plant and a pest.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @param {string} pestId - The ID of the pest.
+ * @returns {Promise<boolean>} - True if a link was removed, false if there was no link.
+ * @throws {Error} - Throws an error if the remove operation fails.
+ */
+const removePlantPest = async (plantId, pestId) => {
+    try {
+        const removedCount = await PlantPest.destroy({ where: { plantId, pestId } });
+        return removedCount > 0;
+    } catch (error) {
+        console.error("Error removing pest of plant: ", error?.message || error);
+        throw toServiceError(error, "Failed to remove pest of plant");
+    }
+};
+
+/**
+ * @function removePlantSoil
+ * 
+ * @description Removes the link between a plant and a soil.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @param {string} soilId - The ID of the soil.
+ * @returns {Promise<boolean>} - True if a link was removed, false if there was no link.
+ * @throws {Error} - Throws an error if the remove operation fails.
+ */
+const removePlantSoil = async (plantId, soilId) => {
+    try {
+        const removedCount = await PlantSoil.destroy({ where: { plantId, soilId } });
+        return removedCount > 0;
+    } catch (error) {
+        console.error("Error removing soil of plant: ", error?.message || error);
+        throw toServiceError(error, "Failed to remove soil of plant");
+    }
+};
+
+/**
+ * @function resolveGrowthStages
+ * 
+ * @description Resolves growth stage names to growth stages in the growth stage catalog,
+ * so that they can be linked to a plant. When the catalog has more than one growth stage
+ * with the same name, the one with the lowest order is used.
+ * 
+ * @param {Array<Object>} growthStages - The growth stages of the plant.
+ * @param {string} growthStages[].name - The name of the growth stage (PLANT_GROWTH_STAGE).
+ * @param {number} growthStages[].minDays - The plant specific minimum days (optional).
+ * @param {number} growthStages[].maxDays - The plant specific maximum days (optional).
+ * @returns {Promise<Object>} - An object with the resolved growthStages having growthStageId, minDays and maxDays,
+ * and missingNames which are the names not found in the catalog.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const resolveGrowthStages = async (growthStages) => {
+    try {
+        const catalogGrowthStages = await GrowthStage.findAll({
+            where: { name: growthStages.map(({ name }) => name) }, order: [["order", "asc"]], raw: true,
+        });
+        const missingNames = [];
+        const resolvedGrowthStages = [];
+        growthStages.forEach(({ name, minDays, maxDays }) => {
+            const catalogGrowthStage = catalogGrowthStages.find(growthStage => growthStage.name === name);
+            if (!catalogGrowthStage) return missingNames.push(name);
+            resolvedGrowthStages.push({ growthStageId: catalogGrowthStage.id, minDays, maxDays });
+        });
+        return { growthStages: resolvedGrowthStages, missingNames };
+    } catch (error) {
+        console.error("Error resolving growth stages: ", error?.message || error);
+        throw toServiceError(error, "Failed to resolve growth stages");
+    }
+};
+
+/**
+ * @function restorePlant
+ * 
+ * @description Restores a soft deleted plant in the PostgreSQL database using Sequelize.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @returns {Promise<Object|null>} - The restored plant object if found, or null if not found.
+ * @throws {Error} - Throws an error if the restore operation fails.
+ */
+const restorePlant = async (plantId) => {
+    try {
+        const plant = await Plant.findByPk(plantId, { paranoid: false });
+        if (!plant) return null;
+        await plant.restore();
+        // Convert the Sequelize instance to a plain object along with its growth stage names
+        const [restoredPlant] = await withRegions(await withGrowthStageNames([plant.toJSON()]));
+        return restoredPlant;
+    } catch (error) {
+        console.error("Error restoring plant: ", error?.message || error);
+        throw toServiceError(error, "Failed to restore plant");
+    }
+};
+
+/**
+ * @function savePlantCompanion
+ * 
+ * @description Creates or updates the relationship between two plants. The relationship is symmetric,
+ * so saving it for a plant saves it for the related plant as well.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @param {string} otherPlantId - The ID of the related plant.
+ * @param {Object} plantCompanionDetails - The relationship details to be saved.
+ * @param {string} plantCompanionDetails.relationship - Relationship between the plants (PLANT_RELATIONSHIP).
+ * @param {string} plantCompanionDetails.reason - Why the plants benefit or harm each other (optional).
+ * @returns {Promise<Object>} - An object with the saved relationship as plantCompanion and whether it was newly created.
+ * @throws {Error} - Throws an error if the save operation fails.
+ */
+const savePlantCompanion = async (plantId, otherPlantId, plantCompanionDetails) => {
+    try {
+        const [plantCompanion, created] = await PlantCompanion.findOrCreate({
+            where: toCompanionPair(plantId, otherPlantId), defaults: plantCompanionDetails,
+        });
+        // Update the existing relationship with the given details
+        if (!created) await plantCompanion.update(plantCompanionDetails);
+        return { plantCompanion: plantCompanion.toJSON(), created };
+    } catch (error) {
+        console.error("Error saving companion of plant: ", error?.message || error);
+        throw toServiceError(error, "Failed to save companion of plant");
+    }
+};
+
+/**
+ * @function savePlantFertilizer
+ * 
+ * @description Creates or updates the link between a plant and a fertilizer recommended for it.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @param {string} fertilizerId - The ID of the fertilizer.
+ * @param {Object} plantFertilizerDetails - The link details to be saved.
+ * @param {string} plantFertilizerDetails.notes - Notes on the fertilizer for the plant (optional).
+ * @returns {Promise<Object>} - An object with the saved link as plantFertilizer and whether it was newly created.
+ * @throws {Error} - Throws an error if the save operation fails.
+ */
+const savePlantFertilizer = async (plantId, fertilizerId, plantFertilizerDetails) => {
+    try {
+        const [plantFertilizer, created] = await PlantFertilizer.findOrCreate({
+            where: { plantId, fertilizerId }, defaults: plantFertilizerDetails,
+        });
+        // Update the existing link with the given details
+        if (!created) await plantFertilizer.update(plantFertilizerDetails);
+        return { plantFertilizer: plantFertilizer.toJSON(), created };
+    } catch (error) {
+        console.error("Error saving fertilizer of plant: ", error?.message || error);
+        throw toServiceError(error, "Failed to save fertilizer of plant");
+    }
+};
+
+/**
+ * @function savePlantPest
+ * 
+ * @description Creates or updates the link between a plant and a pest affecting it.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @param {string} pestId - The ID of the pest.
+ * @param {Object} plantPestDetails - The link details to be saved.
+ * @param {string} plantPestDetails.notes - Notes on the pest for the plant (optional).
+ * @returns {Promise<Object>} - An object with the saved link as plantPest and whether it was newly created.
+ * @throws {Error} - Throws an error if the save operation fails.
+ */
+const savePlantPest = async (plantId, pestId, plantPestDetails) => {
+    try {
+        const [plantPest, created] = await PlantPest.findOrCreate({
+            where: { plantId, pestId }, defaults: plantPestDetails,
+        });
+        // Update the existing link with the given details
+        if (!created) await plantPest.update(plantPestDetails);
+        return { plantPest: plantPest.toJSON(), created };
+    } catch (error) {
+        console.error("Error saving pest of plant: ", error?.message || error);
+        throw toServiceError(error, "Failed to save pest of plant");
+    }
+};
+
+/**
+ * @function savePlantSoil
+ * 
+ * @description Creates or updates the link between a plant and a soil.
+ * 
+ * @param {string} plantId - The ID of the plant.
+ * @param {string} soilId - The ID of the soil.
+ * @param {Object} plantSoilDetails - The link details to be saved.
+ * @param {string} plantSoilDetails.suitability - Suitability of the soil for the plant (SOIL_SUITABILITY).
+ * @param {string} plantSoilDetails.notes - Notes on growing the plant in the soil (optional).
+ * @returns {Promise<Object>} - An object with the saved link as plantSoil and whether it was newly created.
+ * @throws {Error} - Throws an error if the save operation fails.
+ */
+const savePlantSoil = async (plantId, soilId, plantSoilDetails) => {
+    try {
+        const [plantSoil, created] = await PlantSoil.findOrCreate({
+            where: { plantId, soilId }, defaults: plantSoilDetails,
+        });
+        // Update the existing link with the given details
+        if (!created) await plantSoil.update(plantSoilDetails);
+        return { plantSoil: plantSoil.toJSON(), created };
+    } catch (error) {
+        console.error("Error saving soil of plant: ", error?.message || error);
+        throw toServiceError(error, "Failed to save soil of plant");
+    }
+};
+
+/**
+ * @function searchPlants
+ *
+ * @description Searches plants by text across the name, scientific name, common names and tags of the plants.
+ * A plant matches when the PostgreSQL full-text search matches the text, or when the trigram word similarity
+ * of the text to those fields is at least SEARCH_SIMILARITY_THRESHOLD, so that typos still match.
+ * Plants are ranked by relevance, the sum of the full-text rank (weighting the name above the other names
+ * and the names above the tags) and the word similarity, ties by name.
+ *
+ * @param {string} searchText - The text to search plants by.
+ * @param {Object} pagination - An object containing pagination parameters: limit and page.
+ * @param {number} pagination.limit - The maximum number of plants to return.
+ * @param {number} pagination.page - The current page number for pagination.
+ * @param {boolean} includeDeleted - Whether to include soft deleted plants (default: false).
+ * @returns {Promise<Object>} - An object containing an array of plant objects with their relevance and pagination metadata.
+ * @throws {Error} - Throws an error if the search operation fails.
+ */
+const searchPlants = async (searchText, pagination, includeDeleted = false) => {
+    try {
+        const { limit, page } = pagination;
+        const offset = (page - 1) * limit;
+        const text = sequelize.escape(searchText);
+        const document = `(setweight(to_tsvector('english', "Plant"."name"), 'A')
+            || setweight(to_tsvector('english', coalesce("Plant"."scientific_name", '')), 'B')
+            || setweight(to_tsvector('english', array_to_string(coalesce("Plant"."common_names", '{}'), ' ')), 'B')
+            || setweight(to_tsvector('english', array_to_string(coalesce("Plant"."tags", '{}'), ' ')), 'C'))`;
+        const tsQuery = `websearch_to_tsquery('english', ${text})`;
+        const similarity = `word_similarity(${text}, concat_ws(' ', "Plant"."name", "Plant"."scientific_name",
+            array_to_string("Plant"."common_names", ' '), array_to_string("Plant"."tags", ' ')))`;
+
+        const { count, rows } = await Plant.findAndCountAll({
+            attributes: { include: [[sequelize.literal(`ts_rank(${document}, ${tsQuery}) + ${similarity}`), "relevance"]] },
+            where: { [Op.and]: sequelize.literal(`(${document} @@ ${tsQuery} OR ${similarity} >= ${SEARCH_SIMILARITY_THRESHOLD})`) },
+            limit, offset, order: [[sequelize.literal('"relevance"'), "desc"], ["name", "asc"]],
+            paranoid: !includeDeleted, // paranoid false includes soft deleted rows
+        });
+
+        // Set pagination metadata (maximum allowed limit is 100)
+        const paginationMetadata = toPaginationMetadata(page, limit, count, 100);
+        // Convert Sequelize instances to plain objects along with their growth stage names
+        const data = await withRegions(await withGrowthStageNames(rows.map(row => row.toJSON())));
+        return { data, pagination: paginationMetadata };
+    } catch (error) {
+        console.error("Error searching plants: ", error?.message || error);
+        throw toServiceError(error, "Failed to search plants");
     }
 };
 
@@ -116,6 +1176,9 @@ const getPlantById = async (plantId) => {
  * 
  * @param {number} plantId - The ID of the plant to retrieve.
  * @param {Object} plantDetails - The details of the plant which needs to be updated.
+ * @param {Array<Object>} growthStages - The growth stages resolved by resolveGrowthStages to replace
+ * the growth stages of the plant (optional).
+ * @param {Array<string>} regionIds - The IDs of the regions to replace the regions of the plant (optional).
  * @returns {Promise<Object|null>} - The updated plant object if plant found and update successful,
  * else if plant not found, returns null
  * @throws {Error} - Throws an error if the update operation fails.
@@ -123,14 +1186,27 @@ const getPlantById = async (plantId) => {
  * Note: This function wont guarentee plant presence in DB for update operation, so careful to use this
  * function with proper validations on object to be updated.
  */
-const updatePlantDetails = async (plantId, plantDetails) => {
+const updatePlantDetails = async (plantId, plantDetails, growthStages, regionIds) => {
     try {
-        const [ updatedCount, updatedRows ] = await Plant.update(plantDetails, { where: { id: plantId }, returning: true });
-        return updatedCount ? updatedRows[0].toJSON() : null; // toJSON converts the Sequelize instance to a plain object
+        const updatedPlant = await sequelize.transaction(async (transaction) => {
+            const [ updatedCount, updatedRows ] = await Plant.update(plantDetails, { where: { id: plantId }, returning: true, transaction });
+            if (!updatedCount) return null;
+            if (growthStages) await setPlantGrowthStages(plantId, growthStages, transaction);
+            if (regionIds) await setPlantRegions(plantId, regionIds, transaction);
+            return updatedRows[0];
+        });
+        if (!updatedPlant) return null;
+        // toJSON converts the Sequelize instance to a plain object
+        const [plant] = await withRegions(await withGrowthStageNames([updatedPlant.toJSON()]));
+        return plant;
     } catch (error) {
         console.error("Error updating plant: ", error?.message || error);
-        throw new Error("Failed to update plant");  
+        throw toServiceError(error, "Failed to update plant");  
     }
 };
 
-module.exports = { getAllPlants, getPlantById, savePlant, updatePlantDetails };
+module.exports = { checkPlantCompanions, exportPlants, getAllPlants, getPlantById, getPlantCompanions, getPlantFertilizerPlan,
+    getPlantFertilizers, getPlantGrowthStages, getPlantPests, getPlantSoils, getPlantTimeline, getSuitableSoils, importPlants,
+    purgePlant, removePlant, removePlantCompanion, removePlantFertilizer, removePlantPest, removePlantSoil, resolveGrowthStages,
+    restorePlant, savePlant, savePlantCompanion, savePlantFertilizer, savePlantPest, savePlantSoil, searchPlants,
+    setPlantGrowthStages, updatePlantDetails };
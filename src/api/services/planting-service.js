@@ -0,0 +1,223 @@
+// src/api/services/planting-service.js
+
+/**
+ * @module planting-service
+ * Ecospace Planting Service
+ *
+ * @description This module provides services related to planting management in the Ecospace backend.
+ * It includes functions for saving a planting, fetching all plantings, fetching a planting by its ID,
+ * advancing a planting to a growth stage, fetching the growth stage history of a planting, and deleting a planting.
+ *
+ * @requires ../../db/models/Planting
+ * @requires ../../db/models/PlantingStageTransition
+ * @requires ../../utils/errors
+ * @exports { advancePlanting, getAllPlantings, getPlantingById, getPlantingStageHistory, removePlanting, savePlanting }
+ */
+
+// Custom module imports
+const sequelize = require("../../db/index");
+const GrowthStage = require("../../db/models/GrowthStage");
+const Plant = require("../../db/models/Plant");
+const Planting = require("../../db/models/Planting");
+const PlantingStageTransition = require("../../db/models/PlantingStageTransition");
+const Plot = require("../../db/models/Plot");
+const { toPaginationMetadata } = require("../../utils/common");
+const { ConflictError, toServiceError } = require("../../utils/errors");
+
+// Milliseconds in a day, to count the days spent in a growth stage
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Associations loaded along with a planting. Soft deleted plants are still shown for their plantings
+const PLANTING_INCLUDES = [
+    { model: GrowthStage, as: "currentGrowthStage", attributes: ["id", "name", "order"] },
+    { model: Plant, as: "plant", attributes: ["id", "name"], paranoid: false },
+    { model: Plot, as: "plot", attributes: ["id", "gardenId", "name"] },
+];
+
+/**
+ * @function advancePlanting
+ *
+ * @description Moves a planting from its current growth stage to a growth stage and records the transition
+ * in a single transaction. The planting is moved only if it is still in the growth stage it was read in,
+ * so that two requests advancing the same planting at the same time do not both succeed.
+ *
+ * @param {string} plantingId - The ID of the planting.
+ * @param {string} currentGrowthStageId - The ID of the growth stage the planting is expected to be in.
+ * @param {string} growthStageId - The ID of the growth stage the planting enters.
+ * @param {Date} enteredAt - The timestamp at which the planting entered the growth stage.
+ * @returns {Promise<Object|null>} - The updated planting object, or null if the planting is not found.
+ * @throws {ConflictError} - Throws a conflict error if the planting is no longer in the expected growth stage.
+ * @throws {Error} - Throws an error if the update operation fails.
+ */
+const advancePlanting = async (plantingId, currentGrowthStageId, growthStageId, enteredAt) => {
+    try {
+        const updated = await sequelize.transaction(async (transaction) => {
+            const [updatedCount] = await Planting.update({ currentGrowthStageId: growthStageId },
+                { where: { currentGrowthStageId, id: plantingId }, transaction });
+            if (!updatedCount) {
+                if (!await Planting.findByPk(plantingId, { attributes: ["id"], transaction })) return false;
+                throw new ConflictError("Planting has been moved to another growth stage, try again", "STAGE_CHANGED");
+            }
+            await PlantingStageTransition.create({ enteredAt, growthStageId, plantingId }, { transaction });
+            return true;
+        });
+        return updated ? await getPlantingById(plantingId) : null;
+    } catch (error) {
+        console.error("Error advancing planting with ID: %s", plantingId, error?.message || error);
+        throw toServiceError(error, `Failed to advance planting with ID ${plantingId}`);
+    }
+};
+
+/**
+ * @function getAllPlantings
+ *
+ * @description Fetches all plantings from the PostgreSQL database using Sequelize.
+ * It returns an array of planting objects along with their plant, plot and current growth stage, and pagination metadata.
+ *
+ * @param {Object} pagination - An object containing pagination parameters: limit and page.
+ * @param {number} pagination.limit - The maximum number of plantings to return.
+ * @param {number} pagination.page - The current page number for pagination.
+ * @param {Object} sorting - An object containing sorting parameters: sortBy and sortOrder.
+ * @param {string} sorting.sortBy - The field to sort by (e.g., 'sowDate').
+ * @param {string} sorting.sortOrder - The order of sorting (e.g., 'asc' or 'desc').
+ * @param {Object} filters - An object containing filtering parameters.
+ * @param {string} filters.plantId - The plant to filter plantings by (optional).
+ * @param {string} filters.plotId - The plot to filter plantings by (optional).
+ * @returns {Promise<Object>} - An object containing an array of planting objects and pagination metadata.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getAllPlantings = async (pagination, sorting, filters) => {
+    try {
+        const { limit, page } = pagination;
+        const { sortBy, sortOrder } = sorting;
+        // Calculate offset for pagination
+        const offset = (page - 1) * limit;
+        // Fetch plantings with pagination, sorting and filtering
+        const { count, rows } = await Planting.findAndCountAll({
+            where: filters, include: PLANTING_INCLUDES, limit, offset, order: [[sortBy, sortOrder]]
+        });
+
+        // Pagination metadata
+        const paginationMetadata = toPaginationMetadata(page, limit, count, 50);
+
+        // Prepare the response data
+        const data = rows.map(row => row.toJSON()); // Convert Sequelize instances to plain objects
+
+        return { data, pagination: paginationMetadata };
+    } catch (error) {
+        console.error("Error fetching plantings: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch plantings");
+    }
+};
+
+/**
+ * @function getPlantingById
+ *
+ * @description Fetches a planting by its ID along with its plant, plot and current growth stage.
+ *
+ * @param {string} plantingId - The ID of the planting.
+ * @returns {Promise<Object|null>} - The planting object if found, or null if not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getPlantingById = async (plantingId) => {
+    try {
+        const planting = await Planting.findByPk(plantingId, { include: PLANTING_INCLUDES });
+        // If planting exists, return it as a plain object or null if it doesn't exist
+        return planting ? planting.toJSON() : null;
+    } catch (error) {
+        console.error("Error fetching planting with ID: %s", plantingId, error?.message || error);
+        throw toServiceError(error, `Failed to fetch planting with ID ${plantingId}`);
+    }
+};
+
+/**
+ * @function getPlantingStageHistory
+ *
+ * @description Fetches the growth stage transitions of a planting in the order they happened.
+ * Each entry has the time the planting entered and exited the growth stage, the days spent in it,
+ * and how the days spent compare with the min and max days of the growth stage for the plant:
+ * 'shorter', 'within' or 'longer' once the growth stage is over, 'in_progress' or 'longer' for the current growth stage,
+ * and null when the growth stage has no days catalogued.
+ *
+ * @param {string} plantingId - The ID of the planting.
+ * @param {Array<Object>} plantGrowthStages - The growth stages of the plant with their effective minDays and maxDays.
+ * @returns {Promise<Array<Object>>} - An array of growth stage history objects.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getPlantingStageHistory = async (plantingId, plantGrowthStages) => {
+    try {
+        const transitions = await PlantingStageTransition.findAll({
+            where: { plantingId },
+            include: [{ model: GrowthStage, as: "growthStage", attributes: ["id", "name", "order"] }],
+            order: [["enteredAt", "asc"]],
+        });
+        const now = new Date();
+        return transitions.map((transition, index) => {
+            const { enteredAt, growthStage } = transition.toJSON();
+            const exitedAt = transitions[index + 1]?.enteredAt ?? null;
+            const daysSpent = Math.floor(((exitedAt ?? now) - enteredAt) / DAY_IN_MS);
+            const { maxDays = null, minDays = null } = plantGrowthStages.find(({ id }) => id === growthStage.id) ?? {};
+
+            // Compare the days spent with the catalogued days
+            let status = null;
+            if (maxDays != null && daysSpent > maxDays) status = "longer";
+            else if (!exitedAt) status = "in_progress";
+            else if (minDays != null && daysSpent < minDays) status = "shorter";
+            else if (minDays != null || maxDays != null) status = "within";
+
+            return { growthStage, enteredAt, exitedAt, daysSpent, minDays, maxDays, status };
+        });
+    } catch (error) {
+        console.error("Error fetching growth stage history of planting with ID: %s", plantingId, error?.message || error);
+        throw toServiceError(error, `Failed to fetch growth stage history of planting with ID ${plantingId}`);
+    }
+};
+
+/**
+ * @function removePlanting
+ *
+ * @description Removes a planting along with its growth stage transitions from the PostgreSQL database using Sequelize.
+ *
+ * @param {string} plantingId - The ID of the planting.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an error if the remove operation fails.
+ */
+const removePlanting = async (plantingId) => {
+    try {
+        await Planting.destroy({ where: { id: plantingId } }); // Transitions are removed on cascade
+    } catch (error) {
+        console.error("Error removing planting: ", error?.message || error);
+        throw toServiceError(error, "Failed to remove planting");
+    }
+};
+
+/**
+ * @function savePlanting
+ *
+ * @description Saves a planting in its first growth stage and records it as entered on the sow date,
+ * in a single transaction.
+ *
+ * @param {Object} plantingDetails - The details of the planting to be saved, with currentGrowthStageId as the first growth stage.
+ * @returns {Promise<Object>} - The saved planting object.
+ * @throws {Error} - Throws an error if the save operation fails.
+ */
+const savePlanting = async (plantingDetails) => {
+    try {
+        const planting = await sequelize.transaction(async (transaction) => {
+            const createdPlanting = await Planting.create(plantingDetails, { transaction });
+            await PlantingStageTransition.create({
+                enteredAt: new Date(createdPlanting.sowDate),
+                growthStageId: createdPlanting.currentGrowthStageId,
+                plantingId: createdPlanting.id,
+            }, { transaction });
+            return createdPlanting;
+        });
+        return await getPlantingById(planting.id);
+    } catch (error) {
+        console.error("Error saving planting: ", error?.message || error);
+        throw toServiceError(error, "Failed to save planting");
+    }
+};
+
+// Export the service functions to use in the controllers
+module.exports = { advancePlanting, getAllPlantings, getPlantingById, getPlantingStageHistory, removePlanting, savePlanting };
@@ -0,0 +1,153 @@
+// src/api/services/plot-service.js
+
+/**
+ * @module plot-service
+ * Ecospace Plot Service
+ *
+ * @description This module provides services related to plot management in the Ecospace backend.
+ * It includes functions for saving plot details, fetching all plots of a garden, fetching a plot by its ID,
+ * updating plot details, and deleting a plot.
+ * Every function is scoped to a garden, so a plot is only reachable through the garden it belongs to,
+ * except for looking up a plot by its ID alone when another resource refers to it (e.g. plantings).
+ *
+ * @requires ../../db/models/Plot
+ * @requires ../../utils/errors
+ * @exports { getAllPlots, getPlotById, removePlot, savePlot, updatePlotDetails }
+ */
+
+// Custom module imports
+const Plot = require("../../db/models/Plot");
+const Soil = require("../../db/models/Soil");
+const { toPaginationMetadata } = require("../../utils/common");
+const { toServiceError } = require("../../utils/errors");
+
+/**
+ * @function getAllPlots
+ *
+ * @description Fetches all plots of a garden along with their soils from the PostgreSQL database using Sequelize.
+ * It returns an array of plot objects along with pagination metadata.
+ *
+ * @param {string} gardenId - The ID of the garden.
+ * @param {Object} pagination - An object containing pagination parameters: limit and page.
+ * @param {number} pagination.limit - The maximum number of plots to return.
+ * @param {number} pagination.page - The current page number for pagination.
+ * @param {Object} sorting - An object containing sorting parameters: sortBy and sortOrder.
+ * @param {string} sorting.sortBy - The field to sort by (e.g., 'name').
+ * @param {string} sorting.sortOrder - The order of sorting (e.g., 'asc' or 'desc').
+ * @param {Object} filters - An object containing filtering parameters.
+ * @param {string} filters.soilId - The soil to filter plots by (optional).
+ * @returns {Promise<Object>} - An object containing an array of plot objects and pagination metadata.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getAllPlots = async (gardenId, pagination, sorting, filters) => {
+    try {
+        const { limit, page } = pagination;
+        const { sortBy, sortOrder } = sorting;
+        console.debug("Fetching all plots of garden %s with filters: %j", gardenId, filters);
+
+        const offset = (page - 1) * limit;
+        // Fetch all plots of the garden with pagination, sorting and filtering
+        const { count, rows } = await Plot.findAndCountAll({
+            limit, offset, order: [[sortBy, sortOrder]], where: { ...filters, gardenId },
+            include: [{ model: Soil, as: "soil", attributes: ["id", "name", "type", "texture"] }],
+        });
+
+        // Set pagination metadata (maximum allowed limit is 50)
+        const paginationMetadata = toPaginationMetadata(page, limit, count, 50);
+        console.debug("Fetched %d plots with pagination: %j", rows.length, paginationMetadata);
+
+        const data = rows.map(row => row.toJSON()); // Convert Sequelize instances to plain objects
+        // Return the plots and pagination metadata
+        return { data, pagination: paginationMetadata };
+    } catch (error) {
+        console.error("Error fetching all plots: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch plots");
+    }
+};
+
+/**
+ * @function getPlotById
+ *
+ * @description Fetches a plot of a garden by its ID along with its soil from the PostgreSQL database using Sequelize.
+ * When gardenId is null, the plot is looked up in any garden.
+ *
+ * @param {string|null} gardenId - The ID of the garden, or null to look up the plot in any garden.
+ * @param {string} plotId - The ID of the plot.
+ * @returns {Promise<Object|null>} - The plot object if found in the garden, or null if not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getPlotById = async (gardenId, plotId) => {
+    try {
+        const where = gardenId ? { id: plotId, gardenId } : { id: plotId };
+        const plot = await Plot.findOne({ where, include: [{ model: Soil, as: "soil" }] });
+        // If plot exists, return it as a plain object or null if it doesn't exist
+        return plot ? plot.toJSON() : null;
+    } catch (error) {
+        console.error("Error fetching plot by ID: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch plot by ID");
+    }
+};
+
+/**
+ * @function removePlot
+ *
+ * @description Removes a plot of a garden from the PostgreSQL database using Sequelize.
+ *
+ * @param {string} gardenId - The ID of the garden.
+ * @param {string} plotId - The ID of the plot.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an error if the remove operation fails.
+ */
+const removePlot = async (gardenId, plotId) => {
+    try {
+        await Plot.destroy({ where: { id: plotId, gardenId } });
+    } catch (error) {
+        console.error("Error removing plot: ", error?.message || error);
+        throw toServiceError(error, "Failed to remove plot");
+    }
+};
+
+/**
+ * @function savePlot
+ *
+ * @description Saves a plot of a garden to the PostgreSQL database using Sequelize.
+ *
+ * @param {string} gardenId - The ID of the garden.
+ * @param {Object} plotDetails - The details of the plot to be saved.
+ * @returns {Promise<Object>} - The saved plot object.
+ * @throws {Error} - Throws an error if the save operation fails.
+ */
+const savePlot = async (gardenId, plotDetails) => {
+    try {
+        const plot = await Plot.create({ ...plotDetails, gardenId });
+        return plot.toJSON(); // Convert the Sequelize instance to a plain object
+    } catch (error) {
+        console.error("Error saving plot: ", error?.message || error);
+        throw toServiceError(error, "Failed to save plot");
+    }
+};
+
+/**
+ * @function updatePlotDetails
+ *
+ * @description Updates a plot of a garden by its ID from the PostgreSQL database using Sequelize.
+ *
+ * @param {string} gardenId - The ID of the garden.
+ * @param {string} plotId - The ID of the plot.
+ * @param {Object} plotDetails - The details of the plot which needs to be updated.
+ * @returns {Promise<Object|null>} - The updated plot object if plot found in the garden and update successful,
+ * else returns null.
+ * @throws {Error} - Throws an error if the update operation fails.
+ */
+const updatePlotDetails = async (gardenId, plotId, plotDetails) => {
+    try {
+        const [updatedCount, updatedRows] = await Plot.update(plotDetails, { where: { id: plotId, gardenId }, returning: true });
+        return updatedCount ? updatedRows[0].toJSON() : null; // toJSON converts the Sequelize instance to a plain object
+    } catch (error) {
+        console.error("Error updating plot: ", error?.message || error);
+        throw toServiceError(error, "Failed to update plot");
+    }
+};
+
+// Export the service functions to use in the controllers
+module.exports = { getAllPlots, getPlotById, removePlot, savePlot, updatePlotDetails };
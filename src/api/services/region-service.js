@@ -0,0 +1,246 @@
+// src/api/services/region-service.js
+
+/**
+ * @module region-service
+ * Ecospace Region Service
+ *
+ * @description This module provides services related to region management in the Ecospace backend.
+ * It includes functions for saving region details, fetching all regions, fetching a region by its ID,
+ * updating region details, deleting a region, and walking the region hierarchy up to the ancestors
+ * or down to the descendants of a region.
+ *
+ * @requires sequelize
+ * @requires ../../db/index
+ * @requires ../../db/models/Region
+ * @requires ../../utils/errors
+ * @exports { countRegionChildren, findMissingRegionIds, getAllRegions, getRegionAncestorIds, getRegionById,
+ * getRegionDescendantIds, removeRegion, saveRegion, updateRegionDetails }
+ */
+
+// Core module imports
+const { Op, QueryTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../../db/index");
+const Region = require("../../db/models/Region");
+const { toPaginationMetadata } = require("../../utils/common");
+const { toServiceError } = require("../../utils/errors");
+
+/**
+ * @function countRegionChildren
+ *
+ * @description Counts the regions directly within a region.
+ *
+ * @param {string} regionId - The ID of the region.
+ * @returns {Promise<number>} - The number of child regions.
+ * @throws {Error} - Throws an error if the count operation fails.
+ */
+const countRegionChildren = async (regionId) => {
+    try {
+        return await Region.count({ where: { parentId: regionId } });
+    } catch (error) {
+        console.error("Error counting child regions: ", error?.message || error);
+        throw toServiceError(error, "Failed to count child regions");
+    }
+};
+
+/**
+ * @function findMissingRegionIds
+ *
+ * @description Finds which of the given region IDs have no region.
+ *
+ * @param {Array<string>} regionIds - The IDs of the regions.
+ * @returns {Promise<Array<string>>} - The IDs with no region, empty if all the regions are found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const findMissingRegionIds = async (regionIds) => {
+    try {
+        const regions = await Region.findAll({ attributes: ["id"], where: { id: regionIds }, raw: true });
+        // Compare the IDs in the lowercase form saved in the database
+        return regionIds.filter(regionId => !regions.some(({ id }) => id === regionId.toLowerCase()));
+    } catch (error) {
+        console.error("Error finding missing regions: ", error?.message || error);
+        throw toServiceError(error, "Failed to find regions");
+    }
+};
+
+/**
+ * @function getAllRegions
+ *
+ * @description Fetches all regions from the PostgreSQL database using Sequelize.
+ * It returns an array of region objects along with pagination metadata.
+ *
+ * @param {Object} pagination - An object containing pagination parameters: limit and page.
+ * @param {number} pagination.limit - The maximum number of regions to return.
+ * @param {number} pagination.page - The current page number for pagination.
+ * @param {Object} sorting - An object containing sorting parameters: sortBy and sortOrder.
+ * @param {string} sorting.sortBy - The field to sort by (e.g., 'name').
+ * @param {string} sorting.sortOrder - The order of sorting (e.g., 'asc' or 'desc').
+ * @param {Object} filters - An object containing filtering parameters.
+ * @param {string} filters.climateZone - The climate zone of the regions (optional).
+ * @param {string} filters.level - The level of the regions (optional).
+ * @param {string} filters.name - Part of the name of the regions, matched regardless of case (optional).
+ * @param {string} filters.parentId - The ID of the parent region of the regions (optional).
+ * @returns {Promise<Object>} - An object containing an array of region objects and pagination metadata.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getAllRegions = async (pagination, sorting, filters) => {
+    try {
+        const { limit, page } = pagination;
+        const { sortBy, sortOrder } = sorting;
+        const { name, ...where } = filters;
+        // Calculate offset for pagination
+        const offset = (page - 1) * limit;
+        if (name) where.name = { [Op.iLike]: `%${name}%` };
+
+        const { count, rows } = await Region.findAndCountAll({ where, limit, offset, order: [[sortBy, sortOrder]] });
+
+        // Pagination metadata
+        const paginationMetadata = toPaginationMetadata(page, limit, count, 50);
+
+        // Prepare the response data
+        const data = rows.map(row => row.toJSON()); // Convert Sequelize instances to plain objects
+
+        return { data, pagination: paginationMetadata };
+    } catch (error) {
+        console.error("Error fetching regions: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch regions");
+    }
+};
+
+/**
+ * @function getRegionAncestorIds
+ *
+ * @description Fetches the ID of a region followed by the IDs of the regions it is within, nearest first.
+ * For a district, that is the district, its state and the country of the state.
+ *
+ * @param {string} regionId - The ID of the region.
+ * @returns {Promise<Array<string>>} - The IDs of the region and its ancestors, empty if the region is not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getRegionAncestorIds = async (regionId) => {
+    try {
+        const ancestors = await sequelize.query(`WITH RECURSIVE ancestors AS (
+                SELECT id, parent_id, 0 AS depth FROM regions WHERE id = :regionId
+                UNION ALL
+                SELECT region.id, region.parent_id, ancestors.depth + 1 FROM regions region
+                JOIN ancestors ON region.id = ancestors.parent_id
+            ) SELECT id FROM ancestors ORDER BY depth`,
+            { replacements: { regionId }, type: QueryTypes.SELECT });
+        return ancestors.map(({ id }) => id);
+    } catch (error) {
+        console.error("Error fetching ancestors of region: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch ancestors of region");
+    }
+};
+
+/**
+ * @function getRegionById
+ *
+ * @description Fetches a region by its ID from the PostgreSQL database using Sequelize,
+ * along with the ID, name and level of its parent region.
+ *
+ * @param {string} regionId - The ID of the region.
+ * @returns {Promise<Object|null>} - The region object if found, or null if not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getRegionById = async (regionId) => {
+    try {
+        const region = await Region.findByPk(regionId, {
+            include: [{ model: Region, as: "parent", attributes: ["id", "name", "level"] }],
+        });
+        // If region exists, return it as a plain object or null if it doesn't exist
+        return region ? region.toJSON() : null;
+    } catch (error) {
+        console.error("Error fetching region by ID: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch region by ID");
+    }
+};
+
+/**
+ * @function getRegionDescendantIds
+ *
+ * @description Fetches the ID of a region followed by the IDs of all the regions within it, at any depth.
+ * For a country, that is the country, its states and the districts of those states.
+ *
+ * @param {string} regionId - The ID of the region.
+ * @returns {Promise<Array<string>>} - The IDs of the region and its descendants, empty if the region is not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getRegionDescendantIds = async (regionId) => {
+    try {
+        const descendants = await sequelize.query(`WITH RECURSIVE descendants AS (
+                SELECT id FROM regions WHERE id = :regionId
+                UNION ALL
+                SELECT region.id FROM regions region
+                JOIN descendants ON region.parent_id = descendants.id
+            ) SELECT id FROM descendants`,
+            { replacements: { regionId }, type: QueryTypes.SELECT });
+        return descendants.map(({ id }) => id);
+    } catch (error) {
+        console.error("Error fetching descendants of region: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch descendants of region");
+    }
+};
+
+/**
+ * @function removeRegion
+ *
+ * @description Removes a region along with its links to plants and its season months from the PostgreSQL
+ * database using Sequelize. The region must not have child regions.
+ *
+ * @param {string} regionId - The ID of the region.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an error if the remove operation fails.
+ */
+const removeRegion = async (regionId) => {
+    try {
+        await Region.destroy({ where: { id: regionId } }); // Links to plants and season months are removed on cascade
+    } catch (error) {
+        console.error("Error removing region: ", error?.message || error);
+        throw toServiceError(error, "Failed to remove region");
+    }
+};
+
+/**
+ * @function saveRegion
+ *
+ * @description Saves a region to the PostgreSQL database using Sequelize.
+ *
+ * @param {Object} regionDetails - The details of the region to be saved.
+ * @returns {Promise<Object>} - The saved region object.
+ * @throws {Error} - Throws an error if the save operation fails.
+ */
+const saveRegion = async (regionDetails) => {
+    try {
+        const region = await Region.create(regionDetails);
+        return region.toJSON(); // Convert the Sequelize instance to a plain object
+    } catch (error) {
+        console.error("Error saving region: ", error?.message || error);
+        throw toServiceError(error, "Failed to save region");
+    }
+};
+
+/**
+ * @function updateRegionDetails
+ *
+ * @description Updates a region by its ID from the PostgreSQL database using Sequelize.
+ *
+ * @param {string} regionId - The ID of the region.
+ * @param {Object} regionDetails - The details of the region which needs to be updated.
+ * @returns {Promise<Object|null>} - The updated region object if region found and update successful,
+ * else if region not found, returns null.
+ * @throws {Error} - Throws an error if the update operation fails.
+ */
+const updateRegionDetails = async (regionId, regionDetails) => {
+    try {
+        const [updatedCount, updatedRows] = await Region.update(regionDetails, { where: { id: regionId }, returning: true });
+        return updatedCount ? updatedRows[0].toJSON() : null; // toJSON converts the Sequelize instance to a plain object
+    } catch (error) {
+        console.error("Error updating region: ", error?.message || error);
+        throw toServiceError(error, "Failed to update region");
+    }
+};
+
+// Export the service functions to use in the controllers
+module.exports = { countRegionChildren, findMissingRegionIds, getAllRegions, getRegionAncestorIds, getRegionById,
+    getRegionDescendantIds, removeRegion, saveRegion, updateRegionDetails };
@@ -6,25 +6,94 @@
  * 
  * @description This module provides services related to soil management in the Ecospace backend.
  * It includes functions for saving soil details, fetching all soils, fetching a soil by its ID,
- * updating soil details, and deleting a soil.
+ * updating soil details, deleting (soft delete, restore and purge) a soil, fetching the plants compatible with a soil,
+ * and exporting and importing soils in bulk.
  * This service is used to interact with the soil data in the database and perform operations related to soil management.
  *
  * @requires ../../db/models/Soil
- * @exports { getSoilById, saveSoil }
+ * @requires ../../utils/errors
+ * @requires ../../utils/export
+ * @requires ./import-service
+ * @exports { exportSoils, getAllSoils, getSoilById, getSoilPlants, importSoils, purgeSoil, saveSoil, removeSoil, restoreSoil,
+ * toPhType, updateSoilDetails }
  */
 
 // Custom module imports
 const { SOIL_PH_TYPE } = require("../../constants/soil-constant");
+const Plant = require("../../db/models/Plant");
+require("../../db/models/PlantSoil"); // Sets up the plant-soil association
 const Soil = require("../../db/models/Soil");
+const { findAllByCursor, forEachBatchByCursor } = require("../../utils/cursor");
+const { toServiceError, ValidationError } = require("../../utils/errors");
+const { EXPORT_BATCH_SIZE } = require("../../utils/export");
+const { IMPORT_STATUS, runImport } = require("./import-service");
+
+/**
+ * @function toPhType
+ *
+ * @description Decides the pH type of a soil from its pH range.
+ *
+ * @param {number} phMin - The minimum pH level of the soil.
+ * @param {number} phMax - The maximum pH level of the soil.
+ * @returns {string} - The pH type of the soil (SOIL_PH_TYPE).
+ */
+const toPhType = (phMin, phMax) => phMax > 7 ? SOIL_PH_TYPE.ALKALINE : phMin < 7 ? SOIL_PH_TYPE.ACIDIC : SOIL_PH_TYPE.NEUTRAL;
+
+/**
+ * @function importSoilRow
+ *
+ * @description Saves a row of a soil import in a transaction. A soil with the same name is updated with the details
+ * of the row, and restored if it is soft deleted.
+ *
+ * @param {Object} row - The row with soilDetails.
+ * @param {Transaction} transaction - The transaction to run the queries in.
+ * @returns {Promise<string>} - The IMPORT_STATUS of the row: created, updated or skipped if nothing changed.
+ */
+const importSoilRow = async ({ soilDetails }, transaction) => {
+    const { phMax, phMin } = soilDetails;
+    const details = phMin && phMax ? { ...soilDetails, phType: toPhType(phMin, phMax) } : soilDetails;
+    const soil = await Soil.findOne({ where: { name: details.name }, paranoid: false, transaction });
+    if (!soil) {
+        await Soil.create(details, { transaction });
+        return IMPORT_STATUS.CREATED;
+    }
+
+    let isUpdated = soil.isSoftDeleted();
+    soil.set(details);
+    if (soil.changed()) {
+        await soil.save({ transaction });
+        isUpdated = true;
+    }
+    if (soil.isSoftDeleted()) await soil.restore({ transaction });
+    return isUpdated ? IMPORT_STATUS.UPDATED : IMPORT_STATUS.SKIPPED;
+};
+
+/**
+ * @function purgeSoil
+ * 
+ * @description Permanently removes a soil (soft deleted or not) from the PostgreSQL database using Sequelize.
+ * @param {string} soilId - The ID of the soil.
+ * @returns {Promise<void>}
+ * @throws {Error} - Throws an error if the purge operation fails.
+ */
+const purgeSoil = async (soilId) => {
+    // Try to remove soil permanently from DB
+    try {
+        await Soil.destroy({ where: { id: soilId }, force: true }); // force bypasses soft delete
+    } catch (error) {
+        console.error("Error purging soil: ", error?.message || error);
+        throw toServiceError(error, "Failed to purge soil");
+    }
+};
 
 /**
  * @function removeSoil
  * 
  * @description Removes a soil details from the PostgreSQL database using Sequelize.
- * This function retrieves a soil entry based on the provided soil ID.
- * If the soil exists, removes it (permanent); otherwise, it returns null.
+ * This function soft deletes a soil entry based on the provided soil ID by setting its deletedAt,
+ * so that a mistaken delete can be restored later.
  * @param {string} soilId - The ID of the soil.
- * @returns {Promise<null>}
+ * @returns {Promise<void>}
  * @throws {Error} - Throws an error if the remove operation fails.
  */
 const removeSoil = async (soilId) => {
@@ -33,7 +102,54 @@ const removeSoil = async (soilId) => {
         await Soil.destroy({ where: { id: soilId } })
     } catch (error) {
         console.error("Error removing soil: ", error?.message || error);
-        throw new Error("Failed to remove soil");  
+        throw toServiceError(error, "Failed to remove soil");  
+    }
+};
+
+/**
+ * @function restoreSoil
+ * 
+ * @description Restores a soft deleted soil in the PostgreSQL database using Sequelize.
+ * @param {string} soilId - The ID of the soil.
+ * @returns {Promise<Object|null>} - The restored soil object if found, or null if not found.
+ * @throws {Error} - Throws an error if the restore operation fails.
+ */
+const restoreSoil = async (soilId) => {
+    try {
+        const soil = await Soil.findByPk(soilId, { paranoid: false });
+        if (!soil) return null;
+        await soil.restore();
+        return soil.toJSON(); // Convert the Sequelize instance to a plain object
+    } catch (error) {
+        console.error("Error restoring soil: ", error?.message || error);
+        throw toServiceError(error, "Failed to restore soil");
+    }
+};
+
+/**
+ * @function exportSoils
+ *
+ * @description Fetches all the soils matching the filters of the soil list in batches, and hands each batch
+ * to writeBatch as soon as it is fetched, so that all the soils are never held in memory.
+ * Batches are fetched with keyset pagination in the order of the sorting.
+ *
+ * @param {Object} filters - An object containing filtering parameters, as for getAllSoils.
+ * @param {Object} sorting - An object containing sorting parameters: sortBy and sortOrder.
+ * @param {boolean} includeDeleted - Whether to include soft deleted soils.
+ * @param {Function} writeBatch - The async function writing a batch of soils, returning false to stop the export.
+ * @returns {Promise<number>} - The number of soils exported.
+ * @throws {Error} - Throws an error if fetching the soils fails.
+ */
+const exportSoils = async (filters, sorting, includeDeleted, writeBatch) => {
+    try {
+        console.debug("Exporting soils with filters: %j", filters);
+        const count = await forEachBatchByCursor(Soil, { where: filters, paranoid: !includeDeleted },
+            { limit: EXPORT_BATCH_SIZE, ...sorting }, rows => writeBatch(rows.map(row => row.toJSON())));
+        console.debug("Exported %d soils", count);
+        return count;
+    } catch (error) {
+        console.error("Error exporting soils: ", error?.message || error);
+        throw toServiceError(error, "Failed to export soils");
     }
 };
 
@@ -43,28 +159,41 @@ const removeSoil = async (soilId) => {
  * @description Fetches all soils from the PostgreSQL database using Sequelize.
  * This function retrieves all soil entries with pagination, sorting, and filtering options.
  * It returns an array of soil objects along with pagination metadata.
+ * Soils are paginated by page number with the total count, or by cursor (keyset pagination) when the mode is 'cursor'.
  * 
- * @param {Object} pagination - An object containing pagination parameters: limit and page.
+ * @param {Object} pagination - An object containing pagination parameters: mode, limit, and page or cursor.
+ * @param {string} pagination.mode - The pagination mode, 'cursor' for cursor pagination (default: page pagination).
  * @param {number} pagination.limit - The maximum number of plants to return.
- * @param {number} pagination.page - The current page number for pagination.
+ * @param {number} pagination.page - The current page number for page pagination.
+ * @param {Object|null} pagination.cursor - The decoded cursor for cursor pagination, null for the first page.
  * @param {Object} sorting - An object containing sorting parameters: sortBy and sortOrder.
  * @param {string} sorting.sortBy - The field to sort by (e.g., 'name').
  * @param {string} sorting.sortOrder - The order of sorting (e.g., 'asc' or 'desc').
  * @param {Object} filters - An object containing filtering parameters for soil properties.
- * @returns {Promise<Object>} - An object containing an array of soil objects and pagination metadata.
+ * @param {boolean} includeDeleted - Whether to include soft deleted soils (default: false).
+ * @returns {Promise<Object>} - An object containing an array of soil objects and pagination metadata,
+ * with next and previous cursors instead of page counts for cursor pagination.
  * @throws {Error} - Throws an error if the fetch operation fails.
  */
-const getAllSoils = async (pagination, sorting, filters) => {
+const getAllSoils = async (pagination, sorting, filters, includeDeleted = false) => {
     try {
         const { limit, page } = pagination;
         const { sortBy, sortOrder } = sorting;
         // NOTE: Adding filters directly as exact match as they are enums
         console.debug("Fetching all soils with filters: %j", filters);
 
+        if (pagination.mode === "cursor") {
+            const { rows, pagination: paginationMetadata } = await findAllByCursor(Soil,
+                { where: filters, paranoid: !includeDeleted }, { cursor: pagination.cursor, limit, sortBy, sortOrder });
+            console.debug("Fetched %d soils with cursor pagination: %j", rows.length, paginationMetadata);
+            return { data: rows.map(row => row.toJSON()), pagination: paginationMetadata };
+        }
+
         const offset = (page -1) * limit;
         // Fetch all soils with pagination, sorting, and filtering
         const { count, rows } = await Soil.findAndCountAll({
-            limit, offset, order: [[sortBy, sortOrder]], where: filters
+            limit, offset, order: [[sortBy, sortOrder]], where: filters,
+            paranoid: !includeDeleted, // paranoid false includes soft deleted rows
         });
 
         // Set pagination metadata
@@ -87,7 +216,7 @@ const getAllSoils = async (pagination, sorting, filters) => {
         return { data, pagination: paginationMetadata };
     } catch (error) {
         console.error("Error fetching all soils: ", error?.message || error);
-        throw new Error("Failed to fetch soils");
+        throw toServiceError(error, "Failed to fetch soils");
     }
 };
 
@@ -99,20 +228,60 @@ const getAllSoils = async (pagination, sorting, filters) => {
  * If the soil exists, it returns the soil object; otherwise, it returns null.
  * 
  * @param {string} soilId - The ID of the soil.
+ * @param {boolean} includeDeleted - Whether to look up soft deleted soils as well (default: false).
  * @returns {Promise<Object>} - The soil object if found, or null if not found
  * @throws {Error} - Throws an error if the fetch operation fails.
  */
-const getSoilById = async (soilId) => {
+const getSoilById = async (soilId, includeDeleted = false) => {
     try {
-        const soil = await Soil.findByPk(soilId);
+        const soil = await Soil.findByPk(soilId, { paranoid: !includeDeleted });
         // If soil exists, return it as a plain object or null if it doesn't exist
         return soil ? soil.toJSON() : null
     } catch (error) {
         console.error("Error fetching soil by ID: ", error?.message || error);
-        throw new Error("Failed to fetch soil by ID");
+        throw toServiceError(error, "Failed to fetch soil by ID");
+    }
+};
+
+/**
+ * @function getSoilPlants
+ * 
+ * @description Fetches the plants linked to a soil along with their suitability rating and notes.
+ * Soft deleted plants are left out.
+ * 
+ * @param {string} soilId - The ID of the soil.
+ * @returns {Promise<Array<Object>|null>} - An array of plant objects, each with its PlantSoil link details,
+ * or null if the soil is not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getSoilPlants = async (soilId) => {
+    try {
+        const soil = await Soil.findByPk(soilId, {
+            include: [{ model: Plant, as: "plants", through: { attributes: ["suitability", "notes"] } }],
+            order: [[{ model: Plant, as: "plants" }, "name", "asc"]],
+        });
+        // Return plants of the soil as plain objects if soil found, else return null
+        return soil ? soil.toJSON().plants : null;
+    } catch (error) {
+        console.error("Error fetching plants of soil by ID: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch plants of soil by ID");
     }
 };
 
+/**
+ * @function importSoils
+ *
+ * @description Imports soils in bulk, upserting each valid row by the soil name in a single transaction.
+ * Nothing is saved for a dry run or if any row is invalid, and the report tells what happened (or would happen)
+ * to each row: created, updated, skipped if the soil already has the same details, or error with the field errors.
+ *
+ * @param {Array<Object>} rows - The rows, each with its number as row, name, errors and soilDetails.
+ * @param {boolean} dryRun - Whether to only report on the rows without saving them (default: false).
+ * @returns {Promise<Object>} - The import report with applied, summary and rows.
+ * @throws {Error} - Throws an error if the import fails.
+ */
+const importSoils = async (rows, dryRun = false) => runImport(rows, dryRun, importSoilRow, "soils");
+
 /**
  * @function saveSoil
  * 
@@ -130,13 +299,13 @@ const saveSoil = async (soilDetails) => {
         const { phMin, phMax } = soilDetails;
         if (phMin && phMax) {
             // Decide phType based on phMax
-            soilDetails.phType = phMax > 7 ? SOIL_PH_TYPE.ALKALINE : phMin < 7 ? SOIL_PH_TYPE.ACIDIC : SOIL_PH_TYPE.NEUTRAL;
+            soilDetails.phType = toPhType(phMin, phMax);
         }
         const soil = await Soil.create(soilDetails);
         return soil.toJSON(); // Convert the Sequelize instance to a plain object
     } catch (error) {
         console.error("Error saving soil: ", error?.message || error);
-        throw new Error("Failed to save soil");
+        throw toServiceError(error, "Failed to save soil");
     }
 };
 
@@ -162,7 +331,7 @@ const updateSoilDetails = async (soilId, soilDetails) => {
         // Destructure to get ph specific values (if any) which needs to be updated
         const { phMax, phMin } = soilDetails;
         // Destructure ph values from saved soil details
-        const { ph_max: phMaxDb, ph_min: phMinDb } = soil.toJSON();
+        const { phMax: phMaxDb, phMin: phMinDb } = soil.toJSON();
         /**
          * Validation for ph_min and ph_max
          * Always ph_min < ph_max
@@ -173,24 +342,24 @@ const updateSoilDetails = async (soilId, soilDetails) => {
             if ((phMin && !phMax && (phMin > phMaxDb)) || (phMax && phMin && (phMin > phMax))) {
                 errorMessage = "ph_min is greater than ph_max";
                 console.error(errorMessage)
-                throw new Error(errorMessage);
+                throw new ValidationError(errorMessage);
             }
             if ((phMax && !phMin && (phMax < phMinDb)) || (phMax && phMin && (phMax < phMin))) {
                 errorMessage = "ph_max is lesser than ph_min";
                 console.error(errorMessage)
-                throw new Error(errorMessage);
+                throw new ValidationError(errorMessage);
             }
-            // Here, we need to update ph_type based on newly given ph values
-            soilDetails.phType = phMax > 7 ? SOIL_PH_TYPE.ALKALINE : phMin < 7 ? SOIL_PH_TYPE.ACIDIC : SOIL_PH_TYPE.NEUTRAL;
-            console.log("ph_type based on new ph values: ", soilDetails.phType);
+            // Here, we need to update ph_type based on the new ph range, a bound not given keeps its saved value
+            soilDetails.phType = toPhType(phMin ?? phMinDb, phMax ?? phMaxDb);
         }
         const [ updatedCount, updatedRows ] = await Soil.update(soilDetails, { where: { id: soilId }, returning: true });
         return updatedCount ? updatedRows[0].toJSON() : null; // toJSON converts the Sequelize instance to a plain object
     } catch (error) {
         console.error("Error updating soil: ", error?.message || error);
-        throw new Error("Failed to update soil");  
+        throw toServiceError(error, "Failed to update soil");  
     }
 };
 
 // Export the service functions to use in the controllers
-module.exports = { getAllSoils, getSoilById, saveSoil, removeSoil, updateSoilDetails };
+module.exports = { exportSoils, getAllSoils, getSoilById, getSoilPlants, importSoils, purgeSoil, saveSoil, removeSoil, restoreSoil,
+    toPhType, updateSoilDetails };
@@ -0,0 +1,145 @@
+// src/api/services/user-service.js
+
+/**
+ * @module user-service
+ * Ecospace User Service
+ *
+ * @description This module provides services related to user management in the Ecospace backend.
+ * It includes functions for saving a user, fetching all users, fetching a user by its ID, and updating the details
+ * of a user. Passwords are saved only as their hash, and the hash is never returned.
+ *
+ * @requires ../../constants/user-constant
+ * @requires ../../db/index
+ * @requires ../../db/models/User
+ * @requires ../../utils/common
+ * @requires ../../utils/errors
+ * @requires ../../utils/password
+ * @exports { getAllUsers, getUserById, saveUser, updateUserDetails }
+ */
+
+// Custom module imports
+const { USER_ROLE } = require("../../constants/user-constant");
+const sequelize = require("../../db/index");
+const User = require("../../db/models/User");
+const { toPaginationMetadata } = require("../../utils/common");
+const { ConflictError, toServiceError } = require("../../utils/errors");
+const { hashPassword } = require("../../utils/password");
+
+/**
+ * @function toUser
+ *
+ * @description Converts a User instance to a plain object without its password hash and token version.
+ *
+ * @param {Model} user - The User instance.
+ * @returns {Object} - The user object.
+ */
+const toUser = (user) => {
+    const { passwordHash, tokenVersion, ...details } = user.toJSON();
+    return details;
+};
+
+/**
+ * @function getAllUsers
+ *
+ * @description Fetches all users from the PostgreSQL database using Sequelize, sorted by email.
+ *
+ * @param {Object} pagination - An object containing pagination parameters: limit and page.
+ * @param {number} pagination.limit - The maximum number of users to return.
+ * @param {number} pagination.page - The current page number for pagination.
+ * @param {Object} filters - An object containing filtering parameters.
+ * @param {string} filters.role - The role of the users (optional).
+ * @returns {Promise<Object>} - An object containing an array of user objects and pagination metadata.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getAllUsers = async (pagination, filters) => {
+    try {
+        const { limit, page } = pagination;
+        const offset = (page - 1) * limit;
+        const { count, rows } = await User.findAndCountAll({ where: filters, limit, offset, order: [["email", "asc"]] });
+        return { data: rows.map(toUser), pagination: toPaginationMetadata(page, limit, count, 50) };
+    } catch (error) {
+        console.error("Error fetching users: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch users");
+    }
+};
+
+/**
+ * @function getUserById
+ *
+ * @description Fetches a user by its ID from the PostgreSQL database using Sequelize.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Object|null>} - The user object if found, or null if not found.
+ * @throws {Error} - Throws an error if the fetch operation fails.
+ */
+const getUserById = async (userId) => {
+    try {
+        const user = await User.findByPk(userId);
+        return user ? toUser(user) : null;
+    } catch (error) {
+        console.error("Error fetching user by ID: ", error?.message || error);
+        throw toServiceError(error, "Failed to fetch user by ID");
+    }
+};
+
+/**
+ * @function saveUser
+ *
+ * @description Saves a user with the hash of its password to the PostgreSQL database using Sequelize.
+ *
+ * @param {Object} userDetails - The details of the user: email, name, password and role (optional, default: viewer).
+ * @returns {Promise<Object>} - The saved user object.
+ * @throws {Error} - Throws an error if the save operation fails, e.g. a unique constraint error for a taken email.
+ */
+const saveUser = async ({ password, ...userDetails }) => {
+    try {
+        const user = await User.create({ ...userDetails, passwordHash: await hashPassword(password) });
+        return toUser(user);
+    } catch (error) {
+        console.error("Error saving user: ", error?.message || error);
+        throw toServiceError(error, "Failed to save user");
+    }
+};
+
+/**
+ * @function updateUserDetails
+ *
+ * @description Updates the name, password or role of a user. A new password revokes the refresh tokens of the user.
+ * The role of the last admin cannot be changed, so that the users can still be managed.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} userDetails - The details to update: name, password and role (each optional).
+ * @returns {Promise<Object|null>} - The updated user object, or null if the user is not found.
+ * @throws {ConflictError} - Throws a conflict error if the role of the last admin is changed.
+ * @throws {Error} - Throws an error if the update operation fails.
+ */
+const updateUserDetails = async (userId, { password, ...userDetails }) => {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const user = await User.findByPk(userId, { lock: transaction.LOCK.UPDATE, transaction });
+            if (!user) return null;
+
+            const isDemotingAdmin = user.role === USER_ROLE.ADMIN && userDetails.role && userDetails.role !== USER_ROLE.ADMIN;
+            if (isDemotingAdmin) {
+                // Lock the admins, so that two admins cannot demote each other at the same time
+                const admins = await User.findAll({ attributes: ["id"], where: { role: USER_ROLE.ADMIN },
+                    lock: transaction.LOCK.UPDATE, transaction });
+                if (admins.length <= 1) throw new ConflictError("The role of the last admin cannot be changed", "LAST_ADMIN");
+            }
+
+            user.set(userDetails);
+            if (password) {
+                user.passwordHash = await hashPassword(password);
+                user.tokenVersion += 1; // Log out the sessions started with the old password
+            }
+            await user.save({ transaction });
+            return toUser(user);
+        });
+    } catch (error) {
+        console.error("Error updating user: ", error?.message || error);
+        throw toServiceError(error, "Failed to update user");
+    }
+};
+
+// Export the service functions to use in the controllers
+module.exports = { getAllUsers, getUserById, saveUser, updateUserDetails };
@@ -4,7 +4,7 @@
  * @module app
  * 
  * @description Initializes the Express application and configures middleware and routes.
- * This application serves as the backend for the Ecospace project, handling requests related to plants and soils.
+ * This application serves as the backend for the Ecospace project, handling requests related to plants, soils and gardens.
  * It is the main entry point for the Ecospace backend application.
  *
  * @type {Express.Application}
@@ -17,21 +17,44 @@
 const express = require("express");
 
 // Custom module imports
+const { errorHandler, notFoundHandler } = require("./api/middlewares/error-middleware");
 const plantRoutes = require("./api/routes/plant-route");
 const soilRoutes = require("./api/routes/soil-route");
 const growthStageRoutes = require("./api/routes/growth-stage-route");
+const gardenRoutes = require("./api/routes/garden-route");
+const plantingRoutes = require("./api/routes/planting-route");
+const calendarRoutes = require("./api/routes/calendar-route");
+const pestRoutes = require("./api/routes/pest-route");
+const fertilizerRoutes = require("./api/routes/fertilizer-route");
+const regionRoutes = require("./api/routes/region-route");
+const authRoutes = require("./api/routes/auth-route");
+const userRoutes = require("./api/routes/user-route");
+const apiKeyRoutes = require("./api/routes/api-key-route");
 
 // Initialize the Express application
 const app = express();
 
-// Middleware to parse JSON request bodies
-app.use(express.json());
+// Middleware to parse JSON request bodies, large enough for the bulk imports
+app.use(express.json({ limit: "1mb" }));
 
 // Middleware to parse various ecospace service routes
 app.use("/plants", plantRoutes); // Plant-related routes
 app.use("/soils", soilRoutes); // Soil-related routes
 app.use("/growth-stages", growthStageRoutes); // GrowthStage-related routes
+app.use("/gardens", gardenRoutes); // Garden and plot related routes
+app.use("/plantings", plantingRoutes); // Planting-related routes
+app.use("/calendar", calendarRoutes); // Planting calendar routes
+app.use("/pests", pestRoutes); // Pest-related routes
+app.use("/fertilizers", fertilizerRoutes); // Fertilizer-related routes
+app.use("/regions", regionRoutes); // Region-related routes
+app.use("/auth", authRoutes); // Authentication routes
+app.use("/users", userRoutes); // User-related routes, for admins
+app.use("/api-keys", apiKeyRoutes); // API key routes of the machine clients, for admins
 app.get("/", (_req, res) => res.status(200).send("Welcome to Ecospace backend"));
 
+// Middleware to handle unknown routes and the errors of all routes, registered after all the routes
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // Export the app for use in other modules
 module.exports = app;
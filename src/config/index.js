@@ -0,0 +1,182 @@
+// src/config/index.js
+
+/**
+ * @module config
+ * Ecospace Configuration
+ *
+ * @description This module loads the configuration of the Ecospace backend for the environment set in NODE_ENV
+ * (development, test or production, default: development) and validates it at startup.
+ * The settings are read from the following sources, each overriding the ones after it:
+ * 1. The environment variables of the process.
+ * 2. The .env.<NODE_ENV> file in the project root (optional, e.g. .env.production).
+ * 3. The .env file in the project root (optional).
+ * 4. The src/config/<NODE_ENV>.json file (optional), an object of the same keys as the environment variables.
+ * 5. The defaults of the settings which have one.
+ * If a required setting is missing or a setting is not valid, it throws an error listing all such settings,
+ * so the server and the scripts stop at startup instead of failing on the first request.
+ *
+ * @requires fs
+ * @requires path
+ * @requires util
+ * @exports config
+ */
+
+// Core module imports
+const fs = require("fs");
+const path = require("path");
+const { parseEnv } = require("util");
+
+const ENVIRONMENTS = ["development", "test", "production"];
+const PROJECT_ROOT = path.resolve(__dirname, "../..");
+
+/**
+ * @constant SETTINGS
+ *
+ * @description Defines the settings of the configuration by the name of their environment variable,
+ * with the type they are parsed as, their default value if any, and whether they are required.
+ *
+ * @type {Object}
+ */
+const SETTINGS = Object.freeze({
+    PORT: { type: "port", default: 7000 }, // Port of the HTTP server
+    DB_HOST: { type: "string", default: "localhost" }, // Host of the PostgreSQL server
+    DB_PORT: { type: "port", default: 5432 }, // Port of the PostgreSQL server
+    DB_NAME: { type: "string", required: true }, // Name of the database
+    DB_USER: { type: "string", required: true }, // User to connect to the database as
+    DB_PASSWORD: { type: "string", required: true }, // Password of the database user
+    DB_LOGGING: { type: "boolean", default: false }, // Whether to log the SQL queries
+    JWT_SECRET: { type: "secret", required: true }, // Secret signing the access and refresh tokens
+    JWT_ACCESS_TOKEN_TTL: { type: "seconds", default: 900 }, // Lifetime of an access token
+    JWT_REFRESH_TOKEN_TTL: { type: "seconds", default: 604800 }, // Lifetime of a refresh token
+});
+
+// Minimum length of JWT_SECRET, as long as the SHA-256 key of the token signatures
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * @function readEnvFile
+ *
+ * @description Reads the variables of a .env file in the project root.
+ *
+ * @param {string} fileName - The name of the .env file.
+ * @returns {Object} - The variables of the file, or an empty object if the file does not exist.
+ */
+const readEnvFile = (fileName) => {
+    const filePath = path.join(PROJECT_ROOT, fileName);
+    return fs.existsSync(filePath) ? parseEnv(fs.readFileSync(filePath, "utf8")) : {};
+};
+
+/**
+ * @function readJsonFile
+ *
+ * @description Reads the settings of the JSON configuration file of an environment.
+ *
+ * @param {string} env - The environment.
+ * @returns {Object} - The settings of the file, or an empty object if the file does not exist.
+ * @throws {Error} - Throws an error if the file is not a valid JSON object.
+ */
+const readJsonFile = (env) => {
+    const filePath = path.join(__dirname, `${env}.json`);
+    if (!fs.existsSync(filePath)) return {};
+    try {
+        const settings = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        if (!settings || typeof settings !== "object" || Array.isArray(settings)) throw new Error("not a JSON object");
+        return settings;
+    } catch (error) {
+        throw new Error(`Invalid configuration file ${path.relative(PROJECT_ROOT, filePath)}: ${error.message}`);
+    }
+};
+
+/**
+ * @function parseSetting
+ *
+ * @description Parses the raw value of a setting as its type.
+ *
+ * @param {string} name - The name of the setting.
+ * @param {*} value - The raw value of the setting, a string for environment variables.
+ * @param {string} type - The type of the setting ('string', 'port', 'boolean', 'seconds' or 'secret').
+ * @returns {Object} - An object with the parsed value, or with the error message if the value is not valid.
+ */
+const parseSetting = (name, value, type) => {
+    const text = String(value).trim();
+    if (type === "port") {
+        const port = Number(text);
+        const isValid = /^\d+$/.test(text) && port >= 1 && port <= 65535;
+        return isValid ? { value: port } : { error: `${name} must be a port number between 1 and 65535, got '${text}'` };
+    }
+    if (type === "boolean") {
+        if (["true", "1"].includes(text.toLowerCase())) return { value: true };
+        if (["false", "0"].includes(text.toLowerCase())) return { value: false };
+        return { error: `${name} must be true or false, got '${text}'` };
+    }
+    if (type === "seconds") {
+        const seconds = Number(text);
+        const isValid = /^\d+$/.test(text) && seconds >= 1;
+        return isValid ? { value: seconds } : { error: `${name} must be a positive number of seconds, got '${text}'` };
+    }
+    if (type === "secret") {
+        // The value of a secret is never put in the error message
+        const isValid = text.length >= MIN_SECRET_LENGTH;
+        return isValid ? { value: text } : { error: `${name} must be at least ${MIN_SECRET_LENGTH} characters long` };
+    }
+    return text ? { value: text } : { error: `${name} cannot be empty` };
+};
+
+/**
+ * @function loadConfig
+ *
+ * @description Loads and validates the configuration of the environment set in NODE_ENV.
+ *
+ * @param {Object} env - The environment variables of the process.
+ * @returns {Object} - The configuration, with the environment, the server port, the database settings
+ * and the authentication settings.
+ * @throws {Error} - Throws an error listing the missing and invalid settings, if any.
+ */
+const loadConfig = (env) => {
+    const nodeEnv = env.NODE_ENV || "development";
+    if (!ENVIRONMENTS.includes(nodeEnv)) {
+        throw new Error(`Invalid configuration: NODE_ENV must be one of ${ENVIRONMENTS.join(", ")}, got '${nodeEnv}'`);
+    }
+    const sources = { ...readJsonFile(nodeEnv), ...readEnvFile(".env"), ...readEnvFile(`.env.${nodeEnv}`), ...env };
+
+    const settings = {};
+    const errors = [];
+    Object.entries(SETTINGS).forEach(([name, setting]) => {
+        const rawValue = sources[name];
+        if (rawValue === undefined || rawValue === null || rawValue === "") {
+            if (setting.required) errors.push(`${name} is required`);
+            settings[name] = setting.default;
+            return;
+        }
+        const { error, value } = parseSetting(name, rawValue, setting.type);
+        if (error) errors.push(error);
+        settings[name] = value;
+    });
+    if (errors.length) {
+        throw new Error(`Invalid configuration for the ${nodeEnv} environment:\n - ${errors.join("\n - ")}`);
+    }
+
+    return {
+        env: nodeEnv,
+        port: settings.PORT,
+        db: Object.freeze({
+            host: settings.DB_HOST,
+            logging: settings.DB_LOGGING,
+            name: settings.DB_NAME,
+            password: settings.DB_PASSWORD,
+            port: settings.DB_PORT,
+            user: settings.DB_USER,
+        }),
+        auth: Object.freeze({
+            accessTokenTtl: settings.JWT_ACCESS_TOKEN_TTL,
+            jwtSecret: settings.JWT_SECRET,
+            refreshTokenTtl: settings.JWT_REFRESH_TOKEN_TTL,
+        }),
+    };
+};
+
+// Load the configuration once, when the module is first required
+const config = Object.freeze(loadConfig(process.env));
+
+// Export the configuration for use in other modules
+module.exports = config;
@@ -0,0 +1,50 @@
+// src/constants/api-key-constant.js
+
+/**
+ * @module api-key-constant
+ * Ecospace API Key Constants
+ *
+ * @description This module defines constants related to the API keys of the machine clients in the Ecospace backend.
+ *
+ * @requires none
+ * @exports {API_KEY_SCOPE}
+ */
+
+/**
+ * @constant API_KEY_SCOPE
+ *
+ * @description Defines the scopes an API key can be given, as '<resource>:<action>'.
+ * A read scope is checked when a read is sent with an API key, as reads are open to all,
+ * and a write scope allows what the editor role allows on the resource. No scope allows what only admins do.
+ *
+ * @type {Object}
+ * @property {string} FERTILIZERS_READ - Allows reading the fertilizers.
+ * @property {string} FERTILIZERS_WRITE - Allows creating, updating and deleting fertilizers.
+ * @property {string} GROWTH_STAGES_READ - Allows reading the growth stages.
+ * @property {string} GROWTH_STAGES_WRITE - Allows creating, updating and deleting growth stages.
+ * @property {string} PESTS_READ - Allows reading the pests.
+ * @property {string} PESTS_WRITE - Allows creating, updating and deleting pests.
+ * @property {string} PLANTS_READ - Allows reading and exporting the plants.
+ * @property {string} PLANTS_WRITE - Allows creating, updating, deleting and importing plants, and linking them.
+ * @property {string} REGIONS_READ - Allows reading the regions and the planting calendar.
+ * @property {string} REGIONS_WRITE - Allows creating, updating and deleting regions, and managing their season months.
+ * @property {string} SOILS_READ - Allows reading and exporting the soils.
+ * @property {string} SOILS_WRITE - Allows creating, updating, deleting and importing soils.
+ */
+const API_KEY_SCOPE = Object.freeze({
+    FERTILIZERS_READ: "fertilizers:read",
+    FERTILIZERS_WRITE: "fertilizers:write",
+    GROWTH_STAGES_READ: "growth-stages:read",
+    GROWTH_STAGES_WRITE: "growth-stages:write",
+    PESTS_READ: "pests:read",
+    PESTS_WRITE: "pests:write",
+    PLANTS_READ: "plants:read",
+    PLANTS_WRITE: "plants:write",
+    REGIONS_READ: "regions:read",
+    REGIONS_WRITE: "regions:write",
+    SOILS_READ: "soils:read",
+    SOILS_WRITE: "soils:write",
+});
+
+// This module exports the API key constants, which can be used in other parts of the application to reference the scopes.
+module.exports = { API_KEY_SCOPE };
@@ -0,0 +1,31 @@
+// src/constants/fertilizer-constant.js
+
+/**
+ * @module fertilizer-constant
+ * Ecospace Fertilizer Constants
+ * 
+ * @description This module defines constants related to fertilizers in the Ecospace backend.
+ *
+ * @requires none
+ * @exports {FERTILIZER_TYPE}
+ */
+
+/**
+ * @constant FERTILIZER_TYPE
+ * 
+ * @description Defines the types of fertilizers by their source.
+ * It includes two types: organic and synthetic.
+ * Organic fertilizers release nutrients slowly as the soil breaks them down, while synthetic fertilizers
+ * release nutrients right away. This helps in adjusting how much fertilizer a soil needs.
+ * 
+ * @type {Object}
+ * @property {string} ORGANIC - Represents fertilizers made from plant or animal matter, like compost or manure.
+ * @property {string} SYNTHETIC - Represents fertilizers made from manufactured chemicals, like urea.
+ */
+const FERTILIZER_TYPE = Object.freeze({
+    ORGANIC: "organic",
+    SYNTHETIC: "synthetic",
+});
+
+// This module exports the FERTILIZER_TYPE constant, which can be used in other parts of the application to reference the defined fertilizer types.
+module.exports = { FERTILIZER_TYPE };
@@ -5,12 +5,12 @@
  * Ecospace Plant Constants
  *
  * @description This module defines constants related to plants in the Ecospace backend.
- * It includes categories, purposes, growth habits, growth cycles, and growth stages for plants.
+ * It includes categories, purposes, growth habits, growth cycles, growth stages and relationships for plants.
  * These constants are used to standardize the classification and characteristics of plants
  * within the Ecospace application.
  * 
  * @requires none
- * @exports {PLANT_CATEGORY, PLANT_PURPOSE, PLANT_GROWTH_HABIT, PLANT_GROWTH_CYCLE, PLANT_GROWTH_STAGE}
+ * @exports {PLANT_CATEGORY, PLANT_PURPOSE, PLANT_GROWTH_HABIT, PLANT_GROWTH_CYCLE, PLANT_GROWTH_STAGE, PLANT_RELATIONSHIP}
  */
 
 /**
@@ -135,6 +135,22 @@ const PLANT_GROWTH_STAGE = Object.freeze({
     VEGETATIVE: 'vegetative',
 });
 
+/**
+ * @constant PLANT_RELATIONSHIP
+ *
+ * @description Defines the relationships between two plants grown close to each other.
+ * It includes companion plants, which benefit each other, and antagonist plants, which harm each other.
+ * This constant is used to plan which plants can share a plot.
+ *
+ * @type {Object}
+ * @property {string} ANTAGONIST - Represents plants which harm each other when grown together.
+ * @property {string} COMPANION - Represents plants which benefit each other when grown together.
+ */
+const PLANT_RELATIONSHIP = Object.freeze({
+    ANTAGONIST: "antagonist",
+    COMPANION: "companion",
+});
+
 // Exporting the constants for use in other modules
 module.exports = {
     PLANT_CATEGORY,
@@ -142,4 +158,5 @@ module.exports = {
     PLANT_GROWTH_HABIT,
     PLANT_GROWTH_STAGE,
     PLANT_PURPOSE,
+    PLANT_RELATIONSHIP,
 };
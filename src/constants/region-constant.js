@@ -0,0 +1,66 @@
+// src/constants/region-constant.js
+
+/**
+ * @module region-constant
+ * Ecospace Region Constants
+ * 
+ * @description This module defines constants related to regions in the Ecospace backend.
+ *
+ * @requires none
+ * @exports {CLIMATE_ZONE, REGION_LEVEL, REGION_PARENT_LEVEL}
+ */
+
+/**
+ * @constant CLIMATE_ZONE
+ * 
+ * @description Defines the climate zones of a region, following the main groups of the Köppen climate classification.
+ * It includes five zones: continental, dry, polar, temperate, and tropical.
+ * This categorization helps in understanding which plants a region can grow through the year.
+ * 
+ * @type {Object}
+ * @property {string} CONTINENTAL - Represents regions with warm summers and cold winters.
+ * @property {string} DRY - Represents arid and semi-arid regions with little rainfall.
+ * @property {string} POLAR - Represents regions that are cold all year round.
+ * @property {string} TEMPERATE - Represents regions with mild winters and warm summers.
+ * @property {string} TROPICAL - Represents regions that are hot and humid all year round.
+ */
+const CLIMATE_ZONE = Object.freeze({
+    CONTINENTAL: "continental",
+    DRY: "dry",
+    POLAR: "polar",
+    TEMPERATE: "temperate",
+    TROPICAL: "tropical",
+});
+
+/**
+ * @constant REGION_LEVEL
+ * 
+ * @description Defines the levels of the region hierarchy, from a country down to a district.
+ * 
+ * @type {Object}
+ * @property {string} COUNTRY - Represents a country, the top level region.
+ * @property {string} DISTRICT - Represents a district within a state.
+ * @property {string} STATE - Represents a state within a country.
+ */
+const REGION_LEVEL = Object.freeze({
+    COUNTRY: "country",
+    DISTRICT: "district",
+    STATE: "state",
+});
+
+/**
+ * @constant REGION_PARENT_LEVEL
+ * 
+ * @description Defines the level of the parent region for each region level.
+ * A country has no parent region, a state is within a country and a district is within a state.
+ * 
+ * @type {Object}
+ */
+const REGION_PARENT_LEVEL = Object.freeze({
+    [REGION_LEVEL.COUNTRY]: null,
+    [REGION_LEVEL.DISTRICT]: REGION_LEVEL.STATE,
+    [REGION_LEVEL.STATE]: REGION_LEVEL.COUNTRY,
+});
+
+// This module exports the region constants, which can be used in other parts of the application to reference the region hierarchy.
+module.exports = { CLIMATE_ZONE, REGION_LEVEL, REGION_PARENT_LEVEL };
@@ -8,7 +8,7 @@
  * 
  * @requires none
  * @exports {SOIL_DRAINAGE, SOIL_NUTRIENT_LEVEL, SOIL_ORGANIC_MATTER_LEVEL, SOIL_PH_TYPE,
- * SOIL_TEXTURE, SOIL_TYPE, SOIL_WATER_RETENTION_LEVEL}
+ * SOIL_SUITABILITY, SOIL_TEXTURE, SOIL_TYPE, SOIL_WATER_RETENTION_LEVEL}
  */
 
 /**
@@ -92,6 +92,26 @@ const SOIL_PH_TYPE = Object.freeze({
     NEUTRAL: "neutral", // pH = 7
 });
 
+/**
+ * @constant SOIL_SUITABILITY
+ *
+ * @description Defines how suitable a soil is for growing a particular plant.
+ * It includes various suitability ratings such as high, moderate, low, and unsuitable.
+ * This rating is stored on the plant-soil compatibility link and helps in choosing the right soil for a plant.
+ *
+ * @type {Object}
+ * @property {string} HIGH - Represents soil that is ideal for the plant.
+ * @property {string} LOW - Represents soil in which the plant grows poorly.
+ * @property {string} MODERATE - Represents soil in which the plant grows with some care.
+ * @property {string} UNSUITABLE - Represents soil in which the plant should not be grown.
+ */
+const SOIL_SUITABILITY = Object.freeze({
+    HIGH: "high", // Ideal soil for the plant
+    LOW: "low", // Plant grows poorly
+    MODERATE: "moderate", // Plant grows with some care
+    UNSUITABLE: "unsuitable", // Plant should not be grown
+});
+
 /**
  * @constant SOIL_TEXTURE
  * 
@@ -173,6 +193,7 @@ module.exports = {
     SOIL_NUTRIENT_LEVEL,
     SOIL_ORGANIC_MATTER_LEVEL,
     SOIL_PH_TYPE,
+    SOIL_SUITABILITY,
     SOIL_TEXTURE,
     SOIL_TYPE,
     SOIL_WATER_RETENTION_LEVEL
@@ -0,0 +1,43 @@
+// src/constants/user-constant.js
+
+/**
+ * @module user-constant
+ * Ecospace User Constants
+ *
+ * @description This module defines constants related to users in the Ecospace backend.
+ *
+ * @requires none
+ * @exports {USER_ROLE, USER_ROLE_RANK}
+ */
+
+/**
+ * @constant USER_ROLE
+ *
+ * @description Defines the roles of a user, each allowing everything the roles below it allow.
+ *
+ * @type {Object}
+ * @property {string} ADMIN - Represents a user who also purges records, reorders growth stages and manages users.
+ * @property {string} EDITOR - Represents a user who also creates, updates, deletes and imports catalog records.
+ * @property {string} VIEWER - Represents a user who reads the catalog, the role of a new user.
+ */
+const USER_ROLE = Object.freeze({
+    ADMIN: "admin",
+    EDITOR: "editor",
+    VIEWER: "viewer",
+});
+
+/**
+ * @constant USER_ROLE_RANK
+ *
+ * @description Defines the rank of each role, a role with a higher rank allows everything a role with a lower rank allows.
+ *
+ * @type {Object}
+ */
+const USER_ROLE_RANK = Object.freeze({
+    [USER_ROLE.VIEWER]: 1,
+    [USER_ROLE.EDITOR]: 2,
+    [USER_ROLE.ADMIN]: 3,
+});
+
+// This module exports the user constants, which can be used in other parts of the application to reference the user roles.
+module.exports = { USER_ROLE, USER_ROLE_RANK };
@@ -5,22 +5,26 @@
  * Ecospace Database Connection
  * 
  * @description This module establishes a connection to the PostgreSQL database using Sequelize ORM.
- * It initializes the Sequelize instance with database credentials and configuration,
+ * It initializes the Sequelize instance with the database settings of the configuration module,
  * and exports the Sequelize instance for use in other modules.
  *
  * @requires sequelize
+ * @requires ../config
  * @exports sequelize
  */
 
 // Core module imports
 const { Sequelize } = require('sequelize');
+// Custom module imports
+const config = require('../config');
 
 // Initialize Sequelize instance
-const sequelize = new Sequelize('ecospacedb', 'ecospace', 'ecospace', {
-    host: 'localhost',
+const { host, logging, name, password, port, user } = config.db;
+const sequelize = new Sequelize(name, user, password, {
+    host,
     dialect: 'postgres',
-    port: 7050,
-    logging: false, // Disable logging for cleaner output
+    port,
+    logging: logging ? console.debug : false, // Logging is disabled by default for cleaner output
 });
 
 /**
@@ -0,0 +1,64 @@
+// src/db/migrations/001-create-soils.js
+
+/**
+ * @module 001-create-soils
+ * Ecospace Migration: Create Soils
+ *
+ * @description Creates the soils table along with its ENUM types, as it was before the migrations.
+ * Later changes to the table, such as deleted_at for soft deletes, get a migration of their own.
+ * The ENUM values are written out instead of taken from the constants, so the migration stays the same
+ * when the constants change later; such changes get a migration of their own too.
+ *
+ * @requires sequelize
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+
+/**
+ * @function up
+ *
+ * @description Creates the soils table. The table is skipped if it already exists, e.g. created by sync() before migrations.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    await queryInterface.createTable("soils", {
+        id: { type: DataTypes.UUID, primaryKey: true },
+        color: { type: DataTypes.STRING(15), allowNull: true },
+        description: { type: DataTypes.STRING(255), allowNull: true },
+        drainage: { type: DataTypes.ENUM("moderately-drained", "poorly-drained", "well-drained"), allowNull: false },
+        name: { type: DataTypes.STRING(20), allowNull: false, unique: true },
+        nutrient_level: { type: DataTypes.ENUM("moderate", "low", "high"), allowNull: false },
+        organic_matter_level: { type: DataTypes.ENUM("high", "low", "medium"), allowNull: false },
+        ph_max: { type: DataTypes.FLOAT, allowNull: true },
+        ph_min: { type: DataTypes.FLOAT, allowNull: true },
+        ph_type: { type: DataTypes.ENUM("acidic", "alkaline", "neutral"), allowNull: true },
+        texture: { type: DataTypes.ENUM("chalky", "clayey", "loamy", "peaty", "sandy", "siltly"), allowNull: false },
+        type: { type: DataTypes.ENUM("alluvial", "black", "red", "laterite", "forest", "desert", "mountain"), allowNull: false },
+        water_retention_level: { type: DataTypes.ENUM("high", "low", "moderate"), allowNull: false },
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Drops the soils table and its ENUM types.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    await queryInterface.dropTable("soils", { transaction });
+    for (const column of ["drainage", "nutrient_level", "organic_matter_level", "ph_type", "texture", "type", "water_retention_level"]) {
+        await queryInterface.dropEnum(`enum_soils_${column}`, { transaction });
+    }
+};
+
+module.exports = { down, up };
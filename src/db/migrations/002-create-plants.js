@@ -0,0 +1,73 @@
+// src/db/migrations/002-create-plants.js
+
+/**
+ * @module 002-create-plants
+ * Ecospace Migration: Create Plants
+ *
+ * @description Creates the plants table along with its ENUM types, as it was before the migrations.
+ * The free text arrays of the growth stages, compatible plants, common pests, recommended fertilizers and
+ * compatible regions are part of it, and later migrations move them into links and drop them.
+ *
+ * @requires sequelize
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+
+/**
+ * @function up
+ *
+ * @description Creates the plants table. The table is skipped if it already exists, e.g. created by sync() before migrations.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    const strings = { type: DataTypes.ARRAY(DataTypes.STRING), defaultValue: [] };
+
+    await queryInterface.createTable("plants", {
+        id: { type: DataTypes.UUID, primaryKey: true },
+        name: { type: DataTypes.STRING(20), allowNull: false, unique: true },
+        category: { type: DataTypes.ENUM("crop", "plant"), allowNull: false },
+        growth_cycle: { type: DataTypes.ENUM("annual", "biennial", "perennial"), allowNull: false },
+        growth_habit: {
+            type: DataTypes.ENUM("climber", "creeper", "herb", "herbaceous", "grass", "shrub", "tree"),
+            allowNull: false,
+        },
+        ideal_season: { type: DataTypes.ENUM("autumn", "monsoon", "spring", "summer", "winter"), allowNull: false },
+        purpose: {
+            type: DataTypes.ENUM("flower", "fodder", "fruit", "herb", "medicine", "spice", "vegetable"),
+            allowNull: false,
+        },
+        common_names: strings,
+        common_pests: strings,
+        compatible_plants: strings,
+        growth_stages: strings,
+        recommended_fertilizers: strings,
+        region_compatibility: strings,
+        scientific_name: { type: DataTypes.STRING(50), allowNull: true, unique: true },
+        tags: strings,
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Drops the plants table and its ENUM types.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    await queryInterface.dropTable("plants", { transaction });
+    for (const column of ["category", "growth_cycle", "growth_habit", "ideal_season", "purpose"]) {
+        await queryInterface.dropEnum(`enum_plants_${column}`, { transaction });
+    }
+};
+
+module.exports = { down, up };
@@ -0,0 +1,58 @@
+// src/db/migrations/003-create-growth-stages.js
+
+/**
+ * @module 003-create-growth-stages
+ * Ecospace Migration: Create Growth Stages
+ *
+ * @description Creates the growth_stages table along with the ENUM type of the growth stage names.
+ * The order of the growth stages is unique, and kept a contiguous 1..N sequence by the growth stage service.
+ *
+ * @requires sequelize
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+
+/**
+ * @function up
+ *
+ * @description Creates the growth_stages table. The table is skipped if it already exists,
+ * e.g. created by sync() before migrations.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    await queryInterface.createTable("growth_stages", {
+        id: { type: DataTypes.UUID, primaryKey: true },
+        description: { type: DataTypes.TEXT, allowNull: true },
+        image_url: { type: DataTypes.STRING, allowNull: true },
+        max_days: { type: DataTypes.INTEGER, allowNull: true },
+        min_days: { type: DataTypes.INTEGER, allowNull: true },
+        name: {
+            type: DataTypes.ENUM("budding", "flowering", "fruiting", "germination", "harvesting", "seedling", "vegetative"),
+            allowNull: false,
+        },
+        order: { type: DataTypes.INTEGER, allowNull: false, unique: true },
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Drops the growth_stages table and the ENUM type of its names.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    await queryInterface.dropTable("growth_stages", { transaction });
+    await queryInterface.dropEnum("enum_growth_stages_name", { transaction });
+};
+
+module.exports = { down, up };
@@ -0,0 +1,51 @@
+// src/db/migrations/004-add-deleted-at-to-plants-and-soils.js
+
+/**
+ * @module 004-add-deleted-at-to-plants-and-soils
+ * Ecospace Migration: Add Deleted At to Plants and Soils
+ *
+ * @description Adds the deleted_at column to the plants and soils tables, as plants and soils are soft deleted.
+ *
+ * @requires sequelize
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+
+const TABLE_NAMES = ["plants", "soils"];
+
+/**
+ * @function up
+ *
+ * @description Adds deleted_at to the plants and soils tables. A table which already has the column is skipped,
+ * e.g. created by sync() before migrations.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    for (const tableName of TABLE_NAMES) {
+        const columns = await queryInterface.describeTable(tableName, { transaction });
+        if (columns.deleted_at) continue;
+        await queryInterface.addColumn(tableName, "deleted_at", { type: DataTypes.DATE, allowNull: true }, { transaction });
+    }
+};
+
+/**
+ * @function down
+ *
+ * @description Drops deleted_at from the plants and soils tables. The soft deleted rows are kept as regular rows.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    for (const tableName of TABLE_NAMES) {
+        await queryInterface.removeColumn(tableName, "deleted_at", { transaction });
+    }
+};
+
+module.exports = { down, up };
@@ -0,0 +1,53 @@
+// src/db/migrations/005-create-plant-soils.js
+
+/**
+ * @module 005-create-plant-soils
+ * Ecospace Migration: Create Plant Soils
+ *
+ * @description Creates the table linking plants to soils (plant_soils) along with the ENUM type of the suitability.
+ * The links are removed along with the plant or soil.
+ *
+ * @requires sequelize
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+
+/**
+ * @function up
+ *
+ * @description Creates the plant_soils table. The table is skipped if it already exists, e.g. created by sync() before migrations.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    const reference = (model) => ({ references: { model, key: "id" }, onDelete: "CASCADE", onUpdate: "CASCADE" });
+
+    await queryInterface.createTable("plant_soils", {
+        plant_id: { type: DataTypes.UUID, primaryKey: true, ...reference("plants") },
+        soil_id: { type: DataTypes.UUID, primaryKey: true, ...reference("soils") },
+        suitability: { type: DataTypes.ENUM("high", "low", "moderate", "unsuitable"), allowNull: false },
+        notes: { type: DataTypes.STRING(255), allowNull: true },
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Drops the plant_soils table and its ENUM type.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    await queryInterface.dropTable("plant_soils", { transaction });
+    await queryInterface.dropEnum("enum_plant_soils_suitability", { transaction });
+};
+
+module.exports = { down, up };
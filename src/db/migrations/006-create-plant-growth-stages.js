@@ -0,0 +1,54 @@
+// src/db/migrations/006-create-plant-growth-stages.js
+
+/**
+ * @module 006-create-plant-growth-stages
+ * Ecospace Migration: Create Plant Growth Stages
+ *
+ * @description Creates the table linking plants to the growth stages they go through (plant_growth_stages),
+ * with the days of each stage for the plant. The links are removed along with the plant or growth stage,
+ * until 021-restrict-growth-stage-deletes keeps a growth stage from being deleted while plants go through it.
+ *
+ * @requires sequelize
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+
+/**
+ * @function up
+ *
+ * @description Creates the plant_growth_stages table. The table is skipped if it already exists,
+ * e.g. created by sync() before migrations.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    const reference = (model) => ({ references: { model, key: "id" }, onDelete: "CASCADE", onUpdate: "CASCADE" });
+
+    await queryInterface.createTable("plant_growth_stages", {
+        plant_id: { type: DataTypes.UUID, primaryKey: true, ...reference("plants") },
+        growth_stage_id: { type: DataTypes.UUID, primaryKey: true, ...reference("growth_stages") },
+        max_days: { type: DataTypes.INTEGER, allowNull: true },
+        min_days: { type: DataTypes.INTEGER, allowNull: true },
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Drops the plant_growth_stages table.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    await queryInterface.dropTable("plant_growth_stages", { transaction });
+};
+
+module.exports = { down, up };
@@ -0,0 +1,77 @@
+// src/db/migrations/007-move-plant-growth-stages.js
+
+/**
+ * @module 007-move-plant-growth-stages
+ * Ecospace Migration: Move Plant Growth Stages
+ *
+ * @description Moves the free text growth_stages of the plants into links between plants and growth stages,
+ * and drops the column. Each name is matched regardless of case against the names of the growth stages, the one
+ * with the lowest order being taken when several stages share a name. The links get no days of their own, so the
+ * days of the growth stages apply. Names matching no growth stage are reported and left out.
+ *
+ * @exports { down, up }
+ */
+
+/**
+ * @function up
+ *
+ * @description Saves the growth_stages names as links to the matching growth stages and drops the column.
+ * It does nothing if the column does not exist, e.g. a table created by sync() after the growth stage links.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    const columns = await queryInterface.describeTable("plants", { transaction });
+    if (!columns.growth_stages) return;
+
+    const [growthStages] = await queryInterface.sequelize.query(`SELECT id, name::TEXT AS name FROM growth_stages
+        ORDER BY "order" DESC`, { transaction });
+    // The stages are read from the highest order down, so the lowest order wins a shared name
+    const growthStageIds = new Map(growthStages.map(({ id, name }) => [name, id]));
+
+    const [plants] = await queryInterface.sequelize.query("SELECT id, name, growth_stages FROM plants", { transaction });
+    const links = new Map();
+    const now = new Date();
+    plants.forEach(plant => (plant.growth_stages ?? []).forEach(growthStage => {
+        const growthStageId = growthStageIds.get(growthStage.trim().toLowerCase());
+        if (!growthStageId) {
+            return console.warn("Skipped growth stage '%s' of plant '%s': no growth stage with that name", growthStage, plant.name);
+        }
+        links.set(`${plant.id}:${growthStageId}`, {
+            plant_id: plant.id,
+            growth_stage_id: growthStageId,
+            created_at: now,
+            updated_at: now,
+        });
+    }));
+
+    if (links.size) {
+        await queryInterface.bulkInsert("plant_growth_stages", [...links.values()], { ignoreDuplicates: true, transaction });
+    }
+    await queryInterface.removeColumn("plants", "growth_stages", { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Adds the growth_stages column back, filled with the names of the growth stages of each plant in order.
+ * The links are kept.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    await queryInterface.sequelize.query("ALTER TABLE plants ADD COLUMN growth_stages VARCHAR(255)[] DEFAULT '{}'", { transaction });
+    await queryInterface.sequelize.query(`UPDATE plants SET growth_stages = plant_stage_names.names
+        FROM (
+            SELECT plant_growth_stages.plant_id, ARRAY_AGG(growth_stages.name::TEXT ORDER BY growth_stages."order") AS names
+            FROM plant_growth_stages JOIN growth_stages ON growth_stages.id = plant_growth_stages.growth_stage_id
+            GROUP BY plant_growth_stages.plant_id
+        ) AS plant_stage_names
+        WHERE plants.id = plant_stage_names.plant_id`, { transaction });
+};
+
+module.exports = { down, up };
@@ -0,0 +1,61 @@
+// src/db/migrations/008-add-soil-preferences-to-plants.js
+
+/**
+ * @module 008-add-soil-preferences-to-plants
+ * Ecospace Migration: Add Soil Preferences to Plants
+ *
+ * @description Adds the soil preferences of a plant to the plants table: the pH range (ph_min and ph_max),
+ * the drainage (preferred_drainage) and the water retention level (preferred_water_retention_level),
+ * along with the ENUM types of the last two.
+ *
+ * @requires sequelize
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+
+const COLUMNS = {
+    ph_max: { type: DataTypes.FLOAT, allowNull: true },
+    ph_min: { type: DataTypes.FLOAT, allowNull: true },
+    preferred_drainage: { type: DataTypes.ENUM("moderately-drained", "poorly-drained", "well-drained"), allowNull: true },
+    preferred_water_retention_level: { type: DataTypes.ENUM("high", "low", "moderate"), allowNull: true },
+};
+
+/**
+ * @function up
+ *
+ * @description Adds the soil preference columns to the plants table. A column which already exists is skipped,
+ * e.g. created by sync() before migrations.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    const columns = await queryInterface.describeTable("plants", { transaction });
+    for (const [column, attribute] of Object.entries(COLUMNS)) {
+        if (columns[column]) continue;
+        await queryInterface.addColumn("plants", column, attribute, { transaction });
+    }
+};
+
+/**
+ * @function down
+ *
+ * @description Drops the soil preference columns from the plants table, and their ENUM types.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    for (const column of Object.keys(COLUMNS)) {
+        await queryInterface.removeColumn("plants", column, { transaction });
+    }
+    for (const column of ["preferred_drainage", "preferred_water_retention_level"]) {
+        await queryInterface.dropEnum(`enum_plants_${column}`, { transaction });
+    }
+};
+
+module.exports = { down, up };
@@ -0,0 +1,72 @@
+// src/db/migrations/009-create-gardens-and-plots.js
+
+/**
+ * @module 009-create-gardens-and-plots
+ * Ecospace Migration: Create Gardens and Plots
+ *
+ * @description Creates the gardens and plots tables. Plots are removed along with their garden,
+ * but a soil cannot be deleted while plots still use it, and is unset from the gardens using it.
+ *
+ * @requires sequelize
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+
+/**
+ * @function up
+ *
+ * @description Creates the gardens and plots tables along with their indexes.
+ * A table or index is skipped if it already exists, e.g. created by sync() before migrations.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    const id = { type: DataTypes.UUID, primaryKey: true };
+    const timestamps = {
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false },
+    };
+    const reference = (model, onDelete) => ({ references: { model, key: "id" }, onDelete, onUpdate: "CASCADE" });
+
+    await queryInterface.createTable("gardens", {
+        id,
+        area: { type: DataTypes.FLOAT, allowNull: true },
+        location: { type: DataTypes.STRING(100), allowNull: true },
+        name: { type: DataTypes.STRING(50), allowNull: false, unique: true },
+        soil_id: { type: DataTypes.UUID, allowNull: true, ...reference("soils", "SET NULL") },
+        ...timestamps,
+    }, { transaction });
+
+    await queryInterface.createTable("plots", {
+        id,
+        area: { type: DataTypes.FLOAT, allowNull: true },
+        garden_id: { type: DataTypes.UUID, allowNull: false, ...reference("gardens", "CASCADE") },
+        name: { type: DataTypes.STRING(50), allowNull: false },
+        soil_id: { type: DataTypes.UUID, allowNull: false, ...reference("soils", "RESTRICT") },
+        ...timestamps,
+    }, { transaction });
+    // Plot names are unique in a garden
+    await queryInterface.sequelize.query("CREATE UNIQUE INDEX IF NOT EXISTS plots_garden_id_name ON plots (garden_id, name)",
+        { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Drops the plots and gardens tables along with their indexes.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    for (const tableName of ["plots", "gardens"]) {
+        await queryInterface.dropTable(tableName, { transaction });
+    }
+};
+
+module.exports = { down, up };
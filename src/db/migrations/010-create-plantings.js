@@ -0,0 +1,73 @@
+// src/db/migrations/010-create-plantings.js
+
+/**
+ * @module 010-create-plantings
+ * Ecospace Migration: Create Plantings
+ *
+ * @description Creates the plantings and planting_stage_transitions tables. Plantings are removed along with
+ * their plot or plant, and transitions along with their planting, but a growth stage cannot be deleted
+ * while plantings are or were in it.
+ *
+ * @requires sequelize
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { DataTypes, fn } = require("sequelize");
+
+/**
+ * @function up
+ *
+ * @description Creates the plantings and planting_stage_transitions tables along with their indexes.
+ * A table or index is skipped if it already exists, e.g. created by sync() before migrations.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    const id = { type: DataTypes.UUID, primaryKey: true };
+    const timestamps = {
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false },
+    };
+    const reference = (model, onDelete) => ({ references: { model, key: "id" }, onDelete, onUpdate: "CASCADE" });
+
+    await queryInterface.createTable("plantings", {
+        id,
+        current_growth_stage_id: { type: DataTypes.UUID, allowNull: false, ...reference("growth_stages", "RESTRICT") },
+        plant_id: { type: DataTypes.UUID, allowNull: false, ...reference("plants", "CASCADE") },
+        plot_id: { type: DataTypes.UUID, allowNull: false, ...reference("plots", "CASCADE") },
+        quantity: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+        sow_date: { type: DataTypes.DATEONLY, allowNull: false },
+        ...timestamps,
+    }, { transaction });
+
+    await queryInterface.createTable("planting_stage_transitions", {
+        id,
+        entered_at: { type: DataTypes.DATE, allowNull: false, defaultValue: fn("NOW") },
+        growth_stage_id: { type: DataTypes.UUID, allowNull: false, ...reference("growth_stages", "RESTRICT") },
+        planting_id: { type: DataTypes.UUID, allowNull: false, ...reference("plantings", "CASCADE") },
+        ...timestamps,
+    }, { transaction });
+    // Transitions are read per planting in time order
+    await queryInterface.sequelize.query(`CREATE INDEX IF NOT EXISTS planting_stage_transitions_planting_id_entered_at
+        ON planting_stage_transitions (planting_id, entered_at)`, { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Drops the planting_stage_transitions and plantings tables along with their indexes.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    for (const tableName of ["planting_stage_transitions", "plantings"]) {
+        await queryInterface.dropTable(tableName, { transaction });
+    }
+};
+
+module.exports = { down, up };
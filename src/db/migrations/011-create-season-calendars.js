@@ -0,0 +1,59 @@
+// src/db/migrations/011-create-season-calendars.js
+
+/**
+ * @module 011-create-season-calendars
+ * Ecospace Migration: Create Season Calendars
+ *
+ * @description Creates the season_calendars table, with the months of each season in a region, along with the ENUM type
+ * of the seasons. The regions are lowercase names here, 019-move-region-compatibility replaces them with region IDs.
+ *
+ * @requires sequelize
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+
+/**
+ * @function up
+ *
+ * @description Creates the season_calendars table along with its index.
+ * A table or index is skipped if it already exists, e.g. created by sync() before migrations.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    await queryInterface.createTable("season_calendars", {
+        id: { type: DataTypes.UUID, primaryKey: true },
+        months: { type: DataTypes.ARRAY(DataTypes.INTEGER), allowNull: false },
+        region: { type: DataTypes.STRING(50), allowNull: false },
+        season: { type: DataTypes.ENUM("autumn", "monsoon", "spring", "summer", "winter"), allowNull: false },
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+    // A season has one set of months in a region. A table created by sync() after the region hierarchy
+    // already has region_id instead, along with its index
+    const columns = await queryInterface.describeTable("season_calendars", { transaction });
+    if (columns.region) {
+        await queryInterface.sequelize.query(`CREATE UNIQUE INDEX IF NOT EXISTS season_calendars_region_season
+            ON season_calendars (region, season)`, { transaction });
+    }
+};
+
+/**
+ * @function down
+ *
+ * @description Drops the season_calendars table and its ENUM type.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    await queryInterface.dropTable("season_calendars", { transaction });
+    await queryInterface.dropEnum("enum_season_calendars_season", { transaction });
+};
+
+module.exports = { down, up };
@@ -0,0 +1,61 @@
+// src/db/migrations/012-create-plant-companions.js
+
+/**
+ * @module 012-create-plant-companions
+ * Ecospace Migration: Create Plant Companions
+ *
+ * @description Creates the table linking plants to other plants (plant_companions) along with the ENUM type
+ * of the relationship. The links are removed along with either plant.
+ *
+ * @requires sequelize
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+
+/**
+ * @function up
+ *
+ * @description Creates the plant_companions table. The table is skipped if it already exists,
+ * e.g. created by sync() before migrations.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    const plantId = {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: "plants", key: "id" },
+        onDelete: "CASCADE",
+        onUpdate: "CASCADE",
+    };
+
+    // A pair of plants is saved once, with the lesser ID as plant_id
+    await queryInterface.createTable("plant_companions", {
+        plant_id: plantId,
+        companion_id: { ...plantId },
+        relationship: { type: DataTypes.ENUM("antagonist", "companion"), allowNull: false },
+        reason: { type: DataTypes.STRING(255), allowNull: true },
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Drops the plant_companions table and its ENUM type.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    await queryInterface.dropTable("plant_companions", { transaction });
+    await queryInterface.dropEnum("enum_plant_companions_relationship", { transaction });
+};
+
+module.exports = { down, up };
@@ -0,0 +1,101 @@
+// src/db/migrations/013-move-compatible-plants.js
+
+/**
+ * @module 013-move-compatible-plants
+ * Ecospace Migration: Move Compatible Plants
+ *
+ * @description Moves the free text compatible_plants of the plants into companion relationships between plant rows,
+ * and drops the column. Each string is matched regardless of case against the name of the plants, and then against
+ * their common names. A string matching exactly one other plant is saved as a companion relationship, while strings
+ * matching no plant or more than one plant are reported and left out.
+ *
+ * @exports { down, up }
+ */
+
+/**
+ * @function findPlantIds
+ *
+ * @description Finds the IDs of the plants matching a name regardless of case.
+ * Plants matching by name are preferred over plants matching by one of their common names.
+ *
+ * @param {Array<Object>} plants - The plants with id, name and common_names.
+ * @param {string} name - The name to match.
+ * @returns {Array<string>} - The IDs of the matching plants.
+ */
+const findPlantIds = (plants, name) => {
+    const value = name.trim().toLowerCase();
+    const byName = plants.filter(plant => plant.name.toLowerCase() === value);
+    if (byName.length > 0) return byName.map(({ id }) => id);
+    return plants
+        .filter(plant => (plant.common_names ?? []).some(commonName => commonName.toLowerCase() === value))
+        .map(({ id }) => id);
+};
+
+/**
+ * @function up
+ *
+ * @description Saves the compatible_plants strings as companion relationships and drops the column.
+ * It does nothing if the column does not exist, e.g. a table created by sync() after the companion plant graph.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    const columns = await queryInterface.describeTable("plants", { transaction });
+    if (!columns.compatible_plants) return;
+
+    const [plants] = await queryInterface.sequelize.query("SELECT id, name, common_names, compatible_plants FROM plants",
+        { transaction });
+    const pairs = new Map();
+    const now = new Date();
+    plants.forEach(plant => (plant.compatible_plants ?? []).forEach(compatiblePlant => {
+        const plantIds = findPlantIds(plants, compatiblePlant).filter(id => id !== plant.id);
+        if (plantIds.length !== 1) {
+            return console.warn("Skipped compatible plant '%s' of plant '%s': matched %d plants", compatiblePlant, plant.name,
+                plantIds.length);
+        }
+        // Save each pair once with the lower plant ID first
+        const [plantId, companionId] = [plant.id, plantIds[0]].sort();
+        pairs.set(`${plantId}:${companionId}`, {
+            plant_id: plantId,
+            companion_id: companionId,
+            relationship: "companion",
+            created_at: now,
+            updated_at: now,
+        });
+    }));
+
+    if (pairs.size) {
+        await queryInterface.bulkInsert("plant_companions", [...pairs.values()], { ignoreDuplicates: true, transaction });
+    }
+    await queryInterface.removeColumn("plants", "compatible_plants", { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Adds the compatible_plants column back, filled with the names of the companion plants of each plant.
+ * The companion relationships are kept, antagonists have no place in the column.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    await queryInterface.sequelize.query("ALTER TABLE plants ADD COLUMN compatible_plants VARCHAR(255)[] DEFAULT '{}'",
+        { transaction });
+    await queryInterface.sequelize.query(`UPDATE plants SET compatible_plants = companions.names
+        FROM (
+            SELECT pair.plant_id, ARRAY_AGG(companion.name ORDER BY companion.name) AS names
+            FROM (
+                SELECT plant_id, companion_id FROM plant_companions WHERE relationship = 'companion'
+                UNION SELECT companion_id, plant_id FROM plant_companions WHERE relationship = 'companion'
+            ) AS pair
+            JOIN plants AS companion ON companion.id = pair.companion_id
+            GROUP BY pair.plant_id
+        ) AS companions
+        WHERE plants.id = companions.plant_id`, { transaction });
+};
+
+module.exports = { down, up };
@@ -0,0 +1,77 @@
+// src/db/migrations/014-create-pests.js
+
+/**
+ * @module 014-create-pests
+ * Ecospace Migration: Create Pests
+ *
+ * @description Creates the pests table and the table linking pests to plants (plant_pests), along with their ENUM types.
+ * The links are removed along with the plant or pest.
+ *
+ * @requires sequelize
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { DataTypes, literal } = require("sequelize");
+
+/**
+ * @function up
+ *
+ * @description Creates the pests and plant_pests tables.
+ * A table is skipped if it already exists, e.g. created by sync() before migrations.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    const timestamps = {
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false },
+    };
+    const reference = (model) => ({ references: { model, key: "id" }, onDelete: "CASCADE", onUpdate: "CASCADE" });
+    const growthStages = ["budding", "flowering", "fruiting", "germination", "harvesting", "seedling", "vegetative"];
+    const emptyArray = literal("'{}'"); // An ENUM array default needs the model to be cast, so it is written as SQL
+
+    await queryInterface.createTable("pests", {
+        id: { type: DataTypes.UUID, primaryKey: true },
+        active_seasons: {
+            type: DataTypes.ARRAY(DataTypes.ENUM("autumn", "monsoon", "spring", "summer", "winter")),
+            allowNull: false,
+            defaultValue: emptyArray,
+        },
+        affected_growth_stages: { type: DataTypes.ARRAY(DataTypes.ENUM(growthStages)), allowNull: false, defaultValue: emptyArray },
+        description: { type: DataTypes.TEXT, allowNull: true },
+        name: { type: DataTypes.STRING(50), allowNull: false, unique: true },
+        scientific_name: { type: DataTypes.STRING(100), allowNull: true, unique: true },
+        symptoms: { type: DataTypes.ARRAY(DataTypes.STRING), allowNull: false, defaultValue: [] },
+        ...timestamps,
+    }, { transaction });
+
+    await queryInterface.createTable("plant_pests", {
+        plant_id: { type: DataTypes.UUID, primaryKey: true, ...reference("plants") },
+        pest_id: { type: DataTypes.UUID, primaryKey: true, ...reference("pests") },
+        notes: { type: DataTypes.STRING(255), allowNull: true },
+        ...timestamps,
+    }, { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Drops the plant_pests and pests tables and their ENUM types.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    for (const tableName of ["plant_pests", "pests"]) {
+        await queryInterface.dropTable(tableName, { transaction });
+    }
+    for (const enumName of ["enum_pests_active_seasons", "enum_pests_affected_growth_stages"]) {
+        await queryInterface.dropEnum(enumName, { transaction });
+    }
+};
+
+module.exports = { down, up };
@@ -0,0 +1,90 @@
+// src/db/migrations/015-move-common-pests.js
+
+/**
+ * @module 015-move-common-pests
+ * Ecospace Migration: Move Common Pests
+ *
+ * @description Moves the free text common_pests of the plants into pest rows linked to the plants, and drops the column.
+ * Each string is matched regardless of case against the name of the existing pests, and a new pest is saved
+ * for the strings matching none of them. Strings longer than a pest name allows are reported and left out.
+ *
+ * @requires crypto
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { randomUUID } = require("crypto");
+
+// The maximum length of a pest name, as created by 014-create-pests
+const PEST_NAME_MAX_LENGTH = 50;
+
+/**
+ * @function up
+ *
+ * @description Saves the common_pests strings as pests linked to the plants and drops the column.
+ * It does nothing if the column does not exist, e.g. a table created by sync() after the pest catalog.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    const columns = await queryInterface.describeTable("plants", { transaction });
+    if (!columns.common_pests) return;
+
+    const [plants] = await queryInterface.sequelize.query("SELECT id, name, common_pests FROM plants", { transaction });
+    const links = new Map();
+    plants.forEach(plant => (plant.common_pests ?? []).forEach(commonPest => {
+        const name = commonPest.trim();
+        if (!name || name.length > PEST_NAME_MAX_LENGTH) {
+            return console.warn("Skipped common pest '%s' of plant '%s': not a valid pest name", commonPest, plant.name);
+        }
+        // Save each plant-pest link once, keeping the first spelling of the pest name
+        const key = `${plant.id}:${name.toLowerCase()}`;
+        if (!links.has(key)) links.set(key, { plantId: plant.id, name });
+    }));
+
+    const [pests] = await queryInterface.sequelize.query("SELECT id, name FROM pests", { transaction });
+    const pestIds = new Map(pests.map(({ id, name }) => [name.toLowerCase(), id]));
+    const now = new Date();
+    const newPests = [];
+    for (const { name } of links.values()) {
+        if (pestIds.has(name.toLowerCase())) continue;
+        const id = randomUUID();
+        pestIds.set(name.toLowerCase(), id);
+        newPests.push({ id, name, created_at: now, updated_at: now });
+    }
+
+    const plantPests = [...links.values()].map(({ plantId, name }) => ({
+        plant_id: plantId,
+        pest_id: pestIds.get(name.toLowerCase()),
+        created_at: now,
+        updated_at: now,
+    }));
+    if (newPests.length) await queryInterface.bulkInsert("pests", newPests, { transaction });
+    if (plantPests.length) await queryInterface.bulkInsert("plant_pests", plantPests, { ignoreDuplicates: true, transaction });
+    await queryInterface.removeColumn("plants", "common_pests", { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Adds the common_pests column back, filled with the names of the pests of each plant.
+ * The pests and their links are kept.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    await queryInterface.sequelize.query("ALTER TABLE plants ADD COLUMN common_pests VARCHAR(255)[] DEFAULT '{}'", { transaction });
+    await queryInterface.sequelize.query(`UPDATE plants SET common_pests = plant_pest_names.names
+        FROM (
+            SELECT plant_pests.plant_id, ARRAY_AGG(pests.name ORDER BY pests.name) AS names
+            FROM plant_pests JOIN pests ON pests.id = plant_pests.pest_id
+            GROUP BY plant_pests.plant_id
+        ) AS plant_pest_names
+        WHERE plants.id = plant_pest_names.plant_id`, { transaction });
+};
+
+module.exports = { down, up };
@@ -0,0 +1,78 @@
+// src/db/migrations/016-create-fertilizers.js
+
+/**
+ * @module 016-create-fertilizers
+ * Ecospace Migration: Create Fertilizers
+ *
+ * @description Creates the fertilizers table and the table linking fertilizers to plants (plant_fertilizers),
+ * along with their ENUM types. The links are removed along with the plant or fertilizer.
+ *
+ * @requires sequelize
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { DataTypes, literal } = require("sequelize");
+
+/**
+ * @function up
+ *
+ * @description Creates the fertilizers and plant_fertilizers tables.
+ * A table is skipped if it already exists, e.g. created by sync() before migrations.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    const timestamps = {
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false },
+    };
+    const reference = (model) => ({ references: { model, key: "id" }, onDelete: "CASCADE", onUpdate: "CASCADE" });
+
+    await queryInterface.createTable("fertilizers", {
+        id: { type: DataTypes.UUID, primaryKey: true },
+        application_rate: { type: DataTypes.FLOAT, allowNull: false },
+        description: { type: DataTypes.TEXT, allowNull: true },
+        name: { type: DataTypes.STRING(50), allowNull: false, unique: true },
+        nitrogen: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+        phosphorus: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+        potassium: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+        suitable_growth_stages: {
+            type: DataTypes.ARRAY(DataTypes.ENUM("budding", "flowering", "fruiting", "germination", "harvesting", "seedling",
+                "vegetative")),
+            allowNull: false,
+            defaultValue: literal("'{}'"), // An ENUM array default needs the model to be cast, so it is written as SQL
+        },
+        type: { type: DataTypes.ENUM("organic", "synthetic"), allowNull: false },
+        ...timestamps,
+    }, { transaction });
+
+    await queryInterface.createTable("plant_fertilizers", {
+        plant_id: { type: DataTypes.UUID, primaryKey: true, ...reference("plants") },
+        fertilizer_id: { type: DataTypes.UUID, primaryKey: true, ...reference("fertilizers") },
+        notes: { type: DataTypes.STRING(255), allowNull: true },
+        ...timestamps,
+    }, { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Drops the plant_fertilizers and fertilizers tables and their ENUM types.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    for (const tableName of ["plant_fertilizers", "fertilizers"]) {
+        await queryInterface.dropTable(tableName, { transaction });
+    }
+    for (const enumName of ["enum_fertilizers_suitable_growth_stages", "enum_fertilizers_type"]) {
+        await queryInterface.dropEnum(enumName, { transaction });
+    }
+};
+
+module.exports = { down, up };
@@ -0,0 +1,78 @@
+// src/db/migrations/017-move-recommended-fertilizers.js
+
+/**
+ * @module 017-move-recommended-fertilizers
+ * Ecospace Migration: Move Recommended Fertilizers
+ *
+ * @description Moves the free text recommended_fertilizers of the plants into links between plants and the fertilizer
+ * catalog, and drops the column. Each string is matched regardless of case against the name of the fertilizers.
+ * A fertilizer needs its type, N-P-K composition and application rate, which the strings do not have, so strings
+ * matching no fertilizer are reported and left out; add them under /fertilizers and link them to the plants again.
+ *
+ * @exports { down, up }
+ */
+
+/**
+ * @function up
+ *
+ * @description Saves the recommended_fertilizers strings as links to the matching fertilizers and drops the column.
+ * It does nothing if the column does not exist, e.g. a table created by sync() after the fertilizer catalog.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    const columns = await queryInterface.describeTable("plants", { transaction });
+    if (!columns.recommended_fertilizers) return;
+
+    const [fertilizers] = await queryInterface.sequelize.query("SELECT id, name FROM fertilizers", { transaction });
+    const fertilizerIds = new Map(fertilizers.map(({ id, name }) => [name.toLowerCase(), id]));
+
+    const [plants] = await queryInterface.sequelize.query("SELECT id, name, recommended_fertilizers FROM plants",
+        { transaction });
+    const links = new Map();
+    const now = new Date();
+    plants.forEach(plant => (plant.recommended_fertilizers ?? []).forEach(recommendedFertilizer => {
+        const fertilizerId = fertilizerIds.get(recommendedFertilizer.trim().toLowerCase());
+        if (!fertilizerId) {
+            return console.warn("Skipped recommended fertilizer '%s' of plant '%s': no fertilizer with that name",
+                recommendedFertilizer, plant.name);
+        }
+        links.set(`${plant.id}:${fertilizerId}`, {
+            plant_id: plant.id,
+            fertilizer_id: fertilizerId,
+            created_at: now,
+            updated_at: now,
+        });
+    }));
+
+    if (links.size) {
+        await queryInterface.bulkInsert("plant_fertilizers", [...links.values()], { ignoreDuplicates: true, transaction });
+    }
+    await queryInterface.removeColumn("plants", "recommended_fertilizers", { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Adds the recommended_fertilizers column back, filled with the names of the fertilizers of each plant.
+ * The links are kept.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    await queryInterface.sequelize.query("ALTER TABLE plants ADD COLUMN recommended_fertilizers VARCHAR(255)[] DEFAULT '{}'",
+        { transaction });
+    await queryInterface.sequelize.query(`UPDATE plants SET recommended_fertilizers = plant_fertilizer_names.names
+        FROM (
+            SELECT plant_fertilizers.plant_id, ARRAY_AGG(fertilizers.name ORDER BY fertilizers.name) AS names
+            FROM plant_fertilizers JOIN fertilizers ON fertilizers.id = plant_fertilizers.fertilizer_id
+            GROUP BY plant_fertilizers.plant_id
+        ) AS plant_fertilizer_names
+        WHERE plants.id = plant_fertilizer_names.plant_id`, { transaction });
+};
+
+module.exports = { down, up };
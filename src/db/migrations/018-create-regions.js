@@ -0,0 +1,78 @@
+// src/db/migrations/018-create-regions.js
+
+/**
+ * @module 018-create-regions
+ * Ecospace Migration: Create Regions
+ *
+ * @description Creates the region hierarchy (regions) and the links between plants and regions (plant_regions),
+ * along with their ENUM types. A region cannot be deleted while it has child regions, and its links are removed along with it.
+ * The season calendar is moved to the region IDs by 019-move-region-compatibility.
+ *
+ * @requires sequelize
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { DataTypes, literal } = require("sequelize");
+
+/**
+ * @function up
+ *
+ * @description Creates the regions and plant_regions tables along with their indexes.
+ * A table or index is skipped if it already exists, e.g. created by sync() before migrations.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    const timestamps = {
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false },
+    };
+    const reference = (model, onDelete) => ({ references: { model, key: "id" }, onDelete, onUpdate: "CASCADE" });
+
+    await queryInterface.createTable("regions", {
+        id: { type: DataTypes.UUID, primaryKey: true },
+        climate_zone: { type: DataTypes.ENUM("continental", "dry", "polar", "temperate", "tropical"), allowNull: true },
+        code: { type: DataTypes.STRING(10), allowNull: true },
+        default_soil_types: {
+            type: DataTypes.ARRAY(DataTypes.ENUM("alluvial", "black", "red", "laterite", "forest", "desert", "mountain")),
+            allowNull: false,
+            defaultValue: literal("'{}'"), // An ENUM array default needs the model to be cast, so it is written as SQL
+        },
+        level: { type: DataTypes.ENUM("country", "district", "state"), allowNull: false },
+        name: { type: DataTypes.STRING(50), allowNull: false },
+        parent_id: { type: DataTypes.UUID, allowNull: true, ...reference("regions", "RESTRICT") },
+        ...timestamps,
+    }, { transaction });
+    // A region name is unique within its parent region
+    await queryInterface.sequelize.query("CREATE UNIQUE INDEX IF NOT EXISTS regions_parent_id_name ON regions (parent_id, name)",
+        { transaction });
+
+    await queryInterface.createTable("plant_regions", {
+        plant_id: { type: DataTypes.UUID, primaryKey: true, ...reference("plants", "CASCADE") },
+        region_id: { type: DataTypes.UUID, primaryKey: true, ...reference("regions", "CASCADE") },
+        ...timestamps,
+    }, { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Drops the plant_regions and regions tables and their ENUM types.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    for (const tableName of ["plant_regions", "regions"]) {
+        await queryInterface.dropTable(tableName, { transaction });
+    }
+    for (const enumName of ["enum_regions_climate_zone", "enum_regions_default_soil_types", "enum_regions_level"]) {
+        await queryInterface.dropEnum(enumName, { transaction });
+    }
+};
+
+module.exports = { down, up };
@@ -0,0 +1,144 @@
+// src/db/migrations/019-move-region-compatibility.js
+
+/**
+ * @module 019-move-region-compatibility
+ * Ecospace Migration: Move Region Compatibility
+ *
+ * @description Moves the free text region_compatibility of the plants into links between plants and the region
+ * hierarchy, and the region names of the season calendar into region IDs, and drops the old columns.
+ * Each string is matched regardless of case against the name or the code of the regions. A string matching no region
+ * is saved as a new region at the country level, as the strings have no level or parent region, and is reported so it
+ * can be corrected under /regions. Strings matching more than one region are reported and left out, along with the
+ * season months of such regions.
+ *
+ * @requires crypto
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { randomUUID } = require("crypto");
+
+// The maximum length of a region name, as created by 018-create-regions
+const REGION_NAME_MAX_LENGTH = 50;
+
+/**
+ * @function up
+ *
+ * @description Saves the region_compatibility strings as links to the regions, replaces the region names of the
+ * season calendar with region IDs, and drops the old columns. A column which does not exist is skipped,
+ * e.g. a table created by sync() after the region hierarchy.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    const { sequelize } = queryInterface;
+    const movePlants = Boolean((await queryInterface.describeTable("plants", { transaction })).region_compatibility);
+    const moveSeasons = Boolean((await queryInterface.describeTable("season_calendars", { transaction })).region);
+
+    // Map each name and code to its regions, a string matching more than one region is left out
+    const [regions] = await sequelize.query("SELECT id, name, code FROM regions", { transaction });
+    const regionIds = new Map();
+    regions.forEach(({ id, name, code }) => [name, code].filter(Boolean).forEach(key => {
+        const ids = regionIds.get(key.toLowerCase()) ?? new Set();
+        regionIds.set(key.toLowerCase(), ids.add(id));
+    }));
+    const now = new Date();
+    const newRegions = [];
+    const findRegionId = (region) => {
+        const name = region.trim();
+        const ids = regionIds.get(name.toLowerCase());
+        if (ids) return ids.size === 1 ? [...ids][0] : null;
+        if (!name || name.length > REGION_NAME_MAX_LENGTH) return null;
+
+        const id = randomUUID();
+        regionIds.set(name.toLowerCase(), new Set([id]));
+        newRegions.push({ id, name, level: "country", created_at: now, updated_at: now });
+        console.warn("Created region '%s' at the country level, correct its level and parent under /regions", name);
+        return id;
+    };
+
+    const links = new Map();
+    if (movePlants) {
+        const [plants] = await sequelize.query("SELECT id, name, region_compatibility FROM plants", { transaction });
+        plants.forEach(plant => (plant.region_compatibility ?? []).forEach(region => {
+            const regionId = findRegionId(region);
+            if (!regionId) return console.warn("Skipped region '%s' of plant '%s': not a single region", region, plant.name);
+            links.set(`${plant.id}:${regionId}`, { plant_id: plant.id, region_id: regionId, created_at: now, updated_at: now });
+        }));
+    }
+
+    const seasonIds = new Map();
+    const removedSeasonIds = [];
+    if (moveSeasons) {
+        const [seasonCalendars] = await sequelize.query("SELECT id, region, season FROM season_calendars", { transaction });
+        const regionSeasons = new Set();
+        seasonCalendars.forEach(({ id, region, season }) => {
+            const regionId = findRegionId(region);
+            // A season has one set of months in a region, so a second name of the same region is left out as well
+            if (!regionId || regionSeasons.has(`${regionId}:${season}`)) {
+                removedSeasonIds.push(id);
+                return console.warn("Removed %s months of '%s': not a single region", season, region);
+            }
+            regionSeasons.add(`${regionId}:${season}`);
+            seasonIds.set(regionId, [...(seasonIds.get(regionId) ?? []), id]);
+        });
+    }
+
+    if (newRegions.length) await queryInterface.bulkInsert("regions", newRegions, { transaction });
+    if (movePlants) {
+        if (links.size) await queryInterface.bulkInsert("plant_regions", [...links.values()], { ignoreDuplicates: true, transaction });
+        await queryInterface.removeColumn("plants", "region_compatibility", { transaction });
+    }
+    if (moveSeasons) {
+        await sequelize.query(`ALTER TABLE season_calendars
+            ADD COLUMN region_id UUID REFERENCES regions (id) ON DELETE CASCADE ON UPDATE CASCADE`, { transaction });
+        for (const [regionId, ids] of seasonIds) {
+            await sequelize.query("UPDATE season_calendars SET region_id = :regionId WHERE id IN (:ids)",
+                { replacements: { ids, regionId }, transaction });
+        }
+        if (removedSeasonIds.length) {
+            await sequelize.query("DELETE FROM season_calendars WHERE id IN (:ids)",
+                { replacements: { ids: removedSeasonIds }, transaction });
+        }
+        await sequelize.query("ALTER TABLE season_calendars ALTER COLUMN region_id SET NOT NULL", { transaction });
+        await queryInterface.removeColumn("season_calendars", "region", { transaction });
+    }
+    // A season has one set of months in a region
+    await sequelize.query(`CREATE UNIQUE INDEX IF NOT EXISTS season_calendars_region_id_season
+        ON season_calendars (region_id, season)`, { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Adds the region_compatibility column back, filled with the names of the regions of each plant,
+ * and replaces the region IDs of the season calendar with the lowercase names of the regions.
+ * The regions and their links to the plants are kept.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    const { sequelize } = queryInterface;
+    await sequelize.query("ALTER TABLE plants ADD COLUMN region_compatibility VARCHAR(255)[] DEFAULT '{}'", { transaction });
+    await sequelize.query(`UPDATE plants SET region_compatibility = plant_region_names.names
+        FROM (
+            SELECT plant_regions.plant_id, ARRAY_AGG(regions.name ORDER BY regions.name) AS names
+            FROM plant_regions JOIN regions ON regions.id = plant_regions.region_id
+            GROUP BY plant_regions.plant_id
+        ) AS plant_region_names
+        WHERE plants.id = plant_region_names.plant_id`, { transaction });
+
+    await sequelize.query("ALTER TABLE season_calendars ADD COLUMN region VARCHAR(50)", { transaction });
+    await sequelize.query(`UPDATE season_calendars SET region = LOWER(regions.name)
+        FROM regions WHERE regions.id = season_calendars.region_id`, { transaction });
+    await sequelize.query("ALTER TABLE season_calendars ALTER COLUMN region SET NOT NULL", { transaction });
+    await queryInterface.removeColumn("season_calendars", "region_id", { transaction });
+    await sequelize.query("CREATE UNIQUE INDEX IF NOT EXISTS season_calendars_region_season ON season_calendars (region, season)",
+        { transaction });
+};
+
+module.exports = { down, up };
@@ -0,0 +1,34 @@
+// src/db/migrations/020-enable-pg-trgm.js
+
+/**
+ * @module 020-enable-pg-trgm
+ * Ecospace Migration: Enable pg_trgm
+ *
+ * @description Enables the pg_trgm extension, whose trigram similarity lets the plant search tolerate typos.
+ *
+ * @exports { down, up }
+ */
+
+/**
+ * @function up
+ *
+ * @description Enables the pg_trgm extension, if it is not enabled yet.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    await queryInterface.sequelize.query("CREATE EXTENSION IF NOT EXISTS pg_trgm", { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Does nothing, the pg_trgm extension is left in place as other objects of the database may use it.
+ *
+ * @returns {Promise<void>}
+ */
+const down = async () => {};
+
+module.exports = { down, up };
@@ -0,0 +1,72 @@
+// src/db/migrations/021-restrict-growth-stage-deletes.js
+
+/**
+ * @module 021-restrict-growth-stage-deletes
+ * Ecospace Migration: Restrict Growth Stage Deletes
+ *
+ * @description Keeps a growth stage from being deleted while plants still go through it, by making the foreign key
+ * of plant_growth_stages to growth_stages restrict deletes instead of removing the links.
+ *
+ * @exports { down, up }
+ */
+
+/**
+ * @function setGrowthStageOnDelete
+ *
+ * @description Replaces the foreign keys of plant_growth_stages to growth_stages with one having the given delete action.
+ * Nothing is changed if the foreign key already has it.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @param {string} onDelete - The delete action: 'RESTRICT' or 'CASCADE'.
+ * @returns {Promise<void>}
+ */
+const setGrowthStageOnDelete = async (queryInterface, transaction, onDelete) => {
+    // pg_constraint stores the delete action as a letter: r for RESTRICT, c for CASCADE
+    const [foreignKeys] = await queryInterface.sequelize.query(`SELECT conname AS name, confdeltype AS on_delete
+        FROM pg_constraint WHERE contype = 'f'
+        AND conrelid = 'plant_growth_stages'::regclass AND confrelid = 'growth_stages'::regclass`, { transaction });
+    const action = onDelete === "RESTRICT" ? "r" : "c";
+    if (foreignKeys.length === 1 && foreignKeys[0].on_delete === action) return;
+
+    for (const { name } of foreignKeys) {
+        await queryInterface.removeConstraint("plant_growth_stages", name, { transaction });
+    }
+    await queryInterface.addConstraint("plant_growth_stages", {
+        fields: ["growth_stage_id"],
+        name: "plant_growth_stages_growth_stage_id_fkey",
+        onDelete,
+        onUpdate: "CASCADE",
+        references: { field: "id", table: "growth_stages" },
+        transaction,
+        type: "foreign key",
+    });
+};
+
+/**
+ * @function up
+ *
+ * @description Makes the foreign key of plant_growth_stages to growth_stages restrict deletes.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    await setGrowthStageOnDelete(queryInterface, transaction, "RESTRICT");
+};
+
+/**
+ * @function down
+ *
+ * @description Makes the foreign key of plant_growth_stages to growth_stages remove the links along with the growth stage.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    await setGrowthStageOnDelete(queryInterface, transaction, "CASCADE");
+};
+
+module.exports = { down, up };
@@ -0,0 +1,52 @@
+// src/db/migrations/022-create-users.js
+
+/**
+ * @module 022-create-users
+ * Ecospace Migration: Create Users
+ *
+ * @description Creates the users table along with its ENUM type for the roles.
+ *
+ * @requires sequelize
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+
+/**
+ * @function up
+ *
+ * @description Creates the users table.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    await queryInterface.createTable("users", {
+        id: { type: DataTypes.UUID, primaryKey: true },
+        email: { type: DataTypes.STRING(254), allowNull: false, unique: true },
+        name: { type: DataTypes.STRING(50), allowNull: false },
+        password_hash: { type: DataTypes.STRING, allowNull: false },
+        role: { type: DataTypes.ENUM("admin", "editor", "viewer"), allowNull: false, defaultValue: "viewer" },
+        token_version: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Drops the users table and its ENUM type.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    await queryInterface.dropTable("users", { transaction });
+    await queryInterface.dropEnum("enum_users_role", { transaction });
+};
+
+module.exports = { down, up };
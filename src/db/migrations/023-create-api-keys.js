@@ -0,0 +1,60 @@
+// src/db/migrations/023-create-api-keys.js
+
+/**
+ * @module 023-create-api-keys
+ * Ecospace Migration: Create API Keys
+ *
+ * @description Creates the api_keys table, with a reference to the admin who created each key.
+ *
+ * @requires sequelize
+ * @exports { down, up }
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+
+/**
+ * @function up
+ *
+ * @description Creates the api_keys table.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const up = async (queryInterface, transaction) => {
+    await queryInterface.createTable("api_keys", {
+        id: { type: DataTypes.UUID, primaryKey: true },
+        name: { type: DataTypes.STRING(50), allowNull: false },
+        prefix: { type: DataTypes.STRING(16), allowNull: false, unique: true },
+        key_hash: { type: DataTypes.STRING(64), allowNull: false },
+        scopes: { type: DataTypes.ARRAY(DataTypes.STRING(30)), allowNull: false, defaultValue: [] },
+        expires_at: { type: DataTypes.DATE, allowNull: true },
+        last_used_at: { type: DataTypes.DATE, allowNull: true },
+        revoked_at: { type: DataTypes.DATE, allowNull: true },
+        created_by: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            references: { model: "users", key: "id" },
+            onDelete: "SET NULL",
+            onUpdate: "CASCADE",
+        },
+        created_at: { type: DataTypes.DATE, allowNull: false },
+        updated_at: { type: DataTypes.DATE, allowNull: false },
+    }, { transaction });
+};
+
+/**
+ * @function down
+ *
+ * @description Drops the api_keys table.
+ *
+ * @param {QueryInterface} queryInterface - The Sequelize query interface.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const down = async (queryInterface, transaction) => {
+    await queryInterface.dropTable("api_keys", { transaction });
+};
+
+module.exports = { down, up };
@@ -0,0 +1,102 @@
+// src/db/models/ApiKey.js
+
+/**
+ * @module ApiKey
+ * Ecospace API Key Model
+ *
+ * @description This module defines the ApiKey model for the Ecospace backend.
+ * It includes the schema for the API keys of the machine clients, such as the IoT and ETL jobs: the name, the prefix
+ * and the hash of the key, its scopes, and when it expires, was last used or was revoked.
+ * A revoked key is kept, so that the list of keys tells which key was used until when.
+ *
+ * @requires sequelize
+ * @exports ApiKey
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../index");
+
+/**
+ * @constant ApiKey
+ *
+ * @description Defines the ApiKey model for the Ecospace backend.
+ * The key hash is left out of the queries by default, use the 'withHash' scope to check a key.
+ *
+ * @type {Model}
+ * @property {UUID} id - Unique identifier for the API key (UUID).
+ * @property {string} name - Name of the API key, e.g. the job using it (string, max 50 characters).
+ * @property {string} prefix - Prefix of the key, which identifies it (string, 16 characters, unique).
+ * @property {string} keyHash - SHA-256 hash of the key in hex (string, 64 characters).
+ * @property {Array<string>} scopes - Scopes of the API key (array of API_KEY_SCOPE values).
+ * @property {Date} expiresAt - When the API key expires (date, optional, default: never).
+ * @property {Date} lastUsedAt - When the API key was last used, to the minute (date, optional).
+ * @property {Date} revokedAt - When the API key was revoked (date, optional).
+ * @property {UUID} createdBy - ID of the admin who created the API key (UUID, optional, set to null if the user is deleted).
+ * @property {boolean} timestamps - Indicates whether to add createdAt and updatedAt timestamps (true).
+ * @property {string} tableName - Name of the database table for the model ('api_keys').
+ * @returns {Model} - Returns the ApiKey model instance.
+ *
+ * @example
+ * // Example usage:
+ * const ApiKey = require('./models/ApiKey');
+ * const { key, keyHash, prefix } = generateApiKey();
+ * const newApiKey = await ApiKey.create({
+ *   name: 'soil-sensor-sync',
+ *   prefix,
+ *   keyHash,
+ *   scopes: ['soils:read', 'soils:write'],
+ * });
+ */
+const ApiKey = sequelize.define("ApiKey", {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4, // Automatically generate a UUID for the primary key
+        primaryKey: true,
+    },
+    name: {
+        type: DataTypes.STRING(50), // Limit to 50 characters
+        allowNull: false, // Required field
+    },
+    prefix: {
+        type: DataTypes.STRING(16),
+        allowNull: false, // Required field
+        unique: true, // Ensure a single key for a prefix
+    },
+    keyHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false, // Required field
+    },
+    scopes: {
+        // Not an ENUM, so that adding a scope needs no migration, the scopes are validated by the API
+        type: DataTypes.ARRAY(DataTypes.STRING(30)),
+        allowNull: false,
+        defaultValue: [],
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true, // Optional field, a key without it does not expire
+    },
+    lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+    },
+}, {
+    tableName: "api_keys", // Use a custom table name
+    timestamps: true, // Enable createdAt and updatedAt fields
+    underscored: true, // Use snake_case for database fields
+    defaultScope: { attributes: { exclude: ["keyHash"] } }, // Never send the key hash by mistake
+    scopes: { withHash: { attributes: { include: ["keyHash"] } } },
+});
+
+// Export the ApiKey model
+module.exports = ApiKey;
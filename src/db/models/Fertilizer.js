@@ -0,0 +1,121 @@
+// src/db/models/Fertilizer.js
+
+/**
+ * @module Fertilizer
+ * Ecospace Fertilizer Model
+ *
+ * @description This module defines the Fertilizer model for the Ecospace backend.
+ * It includes the schema for fertilizer properties such as name, type, N-P-K composition, application rate,
+ * description and the growth stages of plants it suits.
+ * The model is used to interact with the database for fertilizer related operations.
+ *
+ * @requires sequelize
+ * @requires ../../constants/fertilizer-constant
+ * @requires ../../constants/plant-constant
+ * @exports Fertilizer
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../index");
+const { FERTILIZER_TYPE } = require("../../constants/fertilizer-constant");
+const { PLANT_GROWTH_STAGE } = require("../../constants/plant-constant");
+
+/**
+ * @constant Fertilizer
+ *
+ * @description Defines the Fertilizer model for the Ecospace backend.
+ * The N-P-K composition is saved as the percentage by weight of nitrogen, phosphorus and potassium,
+ * so a 10-26-26 fertilizer has nitrogen 10, phosphorus 26 and potassium 26.
+ * Plants the fertilizer is recommended for are linked through the PlantFertilizer model.
+ *
+ * @type {Model}
+ * @property {UUID} id - Unique identifier for the fertilizer (UUID).
+ * @property {number} applicationRate - Amount of fertilizer to apply in grams per square metre (float, greater than 0).
+ * @property {string} description - Description of the fertilizer (text, optional).
+ * @property {string} name - Name of the fertilizer (string, max 50 characters, unique).
+ * @property {number} nitrogen - Percentage of nitrogen by weight (float, 0 to 100).
+ * @property {number} phosphorus - Percentage of phosphorus by weight (float, 0 to 100).
+ * @property {number} potassium - Percentage of potassium by weight (float, 0 to 100).
+ * @property {Array<string>} suitableGrowthStages - Growth stages of plants the fertilizer suits, empty for all stages (array of ENUM: PLANT_GROWTH_STAGE).
+ * @property {string} type - Type of the fertilizer (ENUM: FERTILIZER_TYPE).
+ * @property {boolean} timestamps - Indicates whether to add createdAt and updatedAt timestamps (true).
+ * @property {string} tableName - Name of the database table for the model ('fertilizers').
+ * @returns {Model} - Returns the Fertilizer model instance.
+ *
+ * @example
+ * // Example usage:
+ * const Fertilizer = require('./models/Fertilizer');
+ * const newFertilizer = await Fertilizer.create({
+ *   name: 'DAP',
+ *   type: 'synthetic',
+ *   nitrogen: 18,
+ *   phosphorus: 46,
+ *   potassium: 0,
+ *   applicationRate: 10,
+ *   suitableGrowthStages: ['seedling', 'vegetative'],
+ * });
+ */
+const Fertilizer = sequelize.define("Fertilizer", {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4, // Automatically generate a UUID for the primary key
+        primaryKey: true,
+    },
+    applicationRate: {
+        type: DataTypes.FLOAT,
+        allowNull: false, // Required field
+        validate: { min: 0.01 },
+    },
+    description: {
+        type: DataTypes.TEXT, // No limit to characters
+        allowNull: true, // Optional field
+    },
+    name: {
+        type: DataTypes.STRING(50), // Limit to 50 characters
+        allowNull: false, // Required field
+        unique: true, // Ensure fertilizer names are unique
+    },
+    nitrogen: {
+        type: DataTypes.FLOAT,
+        allowNull: false,
+        defaultValue: 0,
+        validate: { min: 0, max: 100 },
+    },
+    phosphorus: {
+        type: DataTypes.FLOAT,
+        allowNull: false,
+        defaultValue: 0,
+        validate: { min: 0, max: 100 },
+    },
+    potassium: {
+        type: DataTypes.FLOAT,
+        allowNull: false,
+        defaultValue: 0,
+        validate: { min: 0, max: 100 },
+    },
+    suitableGrowthStages: {
+        type: DataTypes.ARRAY(DataTypes.ENUM(Object.values(PLANT_GROWTH_STAGE))), // Use constants
+        allowNull: false,
+        defaultValue: [], // Default to an empty array if no value is provided
+    },
+    type: {
+        type: DataTypes.ENUM(Object.values(FERTILIZER_TYPE)), // Use constants
+        allowNull: false, // Required field
+    },
+}, {
+    validate: {
+        npkWithinHundredPercent() {
+            if (this.nitrogen + this.phosphorus + this.potassium > 100) {
+                throw new Error('nitrogen, phosphorus and potassium must add up to at most 100');
+            }
+        }
+    },
+    tableName: "fertilizers", // Use a custom table name
+    timestamps: true, // Enable createdAt and updatedAt fields
+    underscored: true, // Use snake_case for database fields
+});
+
+// Export the Fertilizer model
+module.exports = Fertilizer;
@@ -0,0 +1,85 @@
+// src/db/models/Garden.js
+
+/**
+ * @module Garden
+ * Ecospace Garden Model
+ *
+ * @description This module defines the Garden model for the Ecospace backend.
+ * It includes the schema for garden properties such as name, location, area and the soil assigned to the garden.
+ * The model is used to interact with the database for garden related operations.
+ *
+ * @requires sequelize
+ * @requires ./Soil
+ * @exports Garden
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../index");
+const Soil = require("./Soil");
+
+/**
+ * @constant Garden
+ *
+ * @description Defines the Garden model for the Ecospace backend.
+ * A garden is a piece of land divided into plots, where the plants are grown.
+ *
+ * @type {Model}
+ * @property {UUID} id - Unique identifier for the garden (UUID).
+ * @property {number} area - Area of the garden in square metres (float, optional).
+ * @property {string} location - Location of the garden (string, max 100 characters, optional).
+ * @property {string} name - Name of the garden (string, max 50 characters, unique).
+ * @property {UUID} soilId - ID of the soil assigned to the garden (UUID, references soils, optional).
+ * @property {boolean} timestamps - Indicates whether to add createdAt and updatedAt timestamps (true).
+ * @property {string} tableName - Name of the database table for the model ('gardens').
+ * @returns {Model} - Returns the Garden model instance.
+ *
+ * @example
+ * // Example usage:
+ * const Garden = require('./models/Garden');
+ * const newGarden = await Garden.create({
+ *   name: 'Backyard',
+ *   location: 'Bengaluru, Karnataka',
+ *   area: 120.5,
+ *   soilId: '1b7e4d3c-...'
+ * });
+ */
+const Garden = sequelize.define("Garden", {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4, // Automatically generate a UUID for the primary key
+        primaryKey: true,
+    },
+    area: {
+        type: DataTypes.FLOAT,
+        allowNull: true, // Optional field
+        validate: {
+            min: 0 // Area can not be negative
+        },
+    },
+    location: {
+        type: DataTypes.STRING(100), // Limit to 100 characters
+        allowNull: true, // Optional field
+    },
+    name: {
+        type: DataTypes.STRING(50), // Limit to 50 characters
+        unique: true, // Ensure garden names are unique
+        allowNull: false, // Required field
+    },
+    soilId: {
+        type: DataTypes.UUID,
+        allowNull: true, // Optional field
+        references: { model: Soil, key: "id" },
+    },
+}, {
+    tableName: "gardens", // Use a custom table name
+    timestamps: true, // Enable createdAt and updatedAt fields
+    underscored: true, // Use snake_case for database fields
+});
+
+// Associate the garden with its assigned soil
+Garden.belongsTo(Soil, { foreignKey: "soilId", as: "soil" });
+
+// Export the Garden model
+module.exports = Garden;
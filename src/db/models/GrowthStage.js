@@ -102,10 +102,5 @@ const GrowthStage = sequelize.define('GrowthStage', {
     underscored: true, // Use snake_case for database fields
 });
 
-// Synchronize the model with the database
-sequelize.sync()
-    .then(() => console.log("GrowthStage model synchronized with the database"))
-    .catch(error => console.error("Error synchronizing GrowthStage model:", error?.message || error));
-
 // Export the GrowthStage model
 module.exports = GrowthStage;
@@ -0,0 +1,97 @@
+// src/db/models/Pest.js
+
+/**
+ * @module Pest
+ * Ecospace Pest Model
+ *
+ * @description This module defines the Pest model for the Ecospace backend.
+ * It includes the schema for pest properties such as name, scientific name, description, symptoms,
+ * the growth stages of plants it affects and the seasons it is active in.
+ * The model is used to interact with the database for pest related operations.
+ *
+ * @requires sequelize
+ * @requires ../../constants/plant-constant
+ * @requires ../../constants/season-constant
+ * @exports Pest
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../index");
+const { PLANT_GROWTH_STAGE } = require("../../constants/plant-constant");
+const { SEASON } = require("../../constants/season-constant");
+
+/**
+ * @constant Pest
+ *
+ * @description Defines the Pest model for the Ecospace backend.
+ * Plants affected by a pest are linked through the PlantPest model.
+ *
+ * @type {Model}
+ * @property {UUID} id - Unique identifier for the pest (UUID).
+ * @property {Array<string>} activeSeasons - Seasons in which the pest is active (array of ENUM: SEASON).
+ * @property {Array<string>} affectedGrowthStages - Growth stages of plants the pest affects (array of ENUM: PLANT_GROWTH_STAGE).
+ * @property {string} description - Description of the pest (text, optional).
+ * @property {string} name - Name of the pest (string, max 50 characters, unique).
+ * @property {string} scientificName - Scientific name of the pest (string, max 100 characters, unique, optional).
+ * @property {Array<string>} symptoms - Symptoms seen on plants affected by the pest (array of strings).
+ * @property {boolean} timestamps - Indicates whether to add createdAt and updatedAt timestamps (true).
+ * @property {string} tableName - Name of the database table for the model ('pests').
+ * @returns {Model} - Returns the Pest model instance.
+ *
+ * @example
+ * // Example usage:
+ * const Pest = require('./models/Pest');
+ * const newPest = await Pest.create({
+ *   name: 'Aphid',
+ *   scientificName: 'Aphidoidea',
+ *   description: 'Small sap-sucking insects found in colonies under leaves.',
+ *   symptoms: ['Curled leaves', 'Sticky honeydew'],
+ *   affectedGrowthStages: ['seedling', 'vegetative'],
+ *   activeSeasons: ['spring', 'summer'],
+ * });
+ */
+const Pest = sequelize.define("Pest", {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4, // Automatically generate a UUID for the primary key
+        primaryKey: true,
+    },
+    activeSeasons: {
+        type: DataTypes.ARRAY(DataTypes.ENUM(Object.values(SEASON))), // Use constants
+        allowNull: false,
+        defaultValue: [], // Default to an empty array if no value is provided
+    },
+    affectedGrowthStages: {
+        type: DataTypes.ARRAY(DataTypes.ENUM(Object.values(PLANT_GROWTH_STAGE))), // Use constants
+        allowNull: false,
+        defaultValue: [], // Default to an empty array if no value is provided
+    },
+    description: {
+        type: DataTypes.TEXT, // No limit to characters
+        allowNull: true, // Optional field
+    },
+    name: {
+        type: DataTypes.STRING(50), // Limit to 50 characters
+        allowNull: false, // Required field
+        unique: true, // Ensure pest names are unique
+    },
+    scientificName: {
+        type: DataTypes.STRING(100), // Limit to 100 characters
+        allowNull: true, // Optional field
+        unique: true, // Ensure scientific names are unique
+    },
+    symptoms: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: [], // Default to an empty array if no value is provided
+    },
+}, {
+    tableName: "pests", // Use a custom table name
+    timestamps: true, // Enable createdAt and updatedAt fields
+    underscored: true, // Use snake_case for database fields
+});
+
+// Export the Pest model
+module.exports = Pest;
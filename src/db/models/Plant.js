@@ -6,13 +6,14 @@
  * 
  * @description This module defines the Plant model for the Ecospace backend using Sequelize ORM.
  * It includes fields for plant characteristics such as name, category, growth cycle, growth habit, ideal season,
- * purpose, common names, common pests, compatible plants, growth stages, recommended fertilizers, region compatibility,
+ * purpose, common names,
  * scientific name, and tags.
  * It also includes validation rules for these fields to ensure data integrity.
  * 
  * @requires sequelize
  * @requires ../../constants/plant-constant
  * @requires ../../constants/season-constant
+ * @requires ../../constants/soil-constant
  * @exports Plant
  */
 
@@ -20,16 +21,20 @@
 const { DataTypes } = require('sequelize');
 // Custom module imports
 const sequelize = require('../index');
-const { PLANT_CATEGORY, PLANT_GROWTH_CYCLE, PLANT_GROWTH_HABIT, PLANT_PURPOSE, PLANT_GROWTH_STAGE } = require('../../constants/plant-constant');
+const { PLANT_CATEGORY, PLANT_GROWTH_CYCLE, PLANT_GROWTH_HABIT, PLANT_PURPOSE } = require('../../constants/plant-constant');
 const { SEASON } = require('../../constants/season-constant');
+const { SOIL_DRAINAGE, SOIL_WATER_RETENTION_LEVEL } = require('../../constants/soil-constant');
 
 /**
  * @constant Plant
  * 
  * @description Defines the Plant model for the Ecospace backend.
  * It includes fields for plant characteristics such as name, category, growth cycle,
- * growth habit, ideal season, purpose, common names, common pests, compatible plants,
- * growth stages, recommended fertilizers, region compatibility, scientific name, and tags.
+ * growth habit, ideal season, purpose, common names,
+ * scientific name, tags, and soil preferences
+ * (pH range, drainage and water retention level).
+ * Growth stages of a plant are linked through the PlantGrowthStage model, pests through the PlantPest model,
+ * recommended fertilizers through the PlantFertilizer model and the regions it grows in through the PlantRegion model.
  * * It also includes validation rules for these fields to ensure data integrity.
  * @type {Model}
  * @property {UUID} id - Unique identifier for the plant (UUID).
@@ -40,14 +45,14 @@ const { SEASON } = require('../../constants/season-constant');
  * @property {string} idealSeason - Ideal season for the plant (ENUM: SEASON).
  * @property {string} purpose - Purpose of the plant (ENUM: PLANT_PURPOSE).
  * @property {Array<string>} commonNames - Common names of the plant (array of strings, optional).
- * @property {Array<string>} commonPests - Common pests affecting the plant (array of strings, optional).
- * @property {Array<string>} compatiblePlants - Plants that are compatible with this plant (array of strings, optional).
- * @property {Array<string>} growthStages - Growth stages of the plant (array of strings, custom validation with ENUM: PLANT_GROWTH_STAGE, optional).
- * @property {Array<string>} recommendedFertilizers - Recommended fertilizers for the plant (array of strings, optional).
- * @property {Array<string>} regionCompatibility - Regions where the plant is compatible (array of strings, optional).
  * @property {string} scientificName - Scientific name of the plant (string, max 50 characters, unique, optional).
  * @property {Array<string>} tags - Tags associated with the plant (array of strings, optional).
+ * @property {number} phMax - Maximum preferred soil pH level of the plant (float, field: "ph_max", optional).
+ * @property {number} phMin - Minimum preferred soil pH level of the plant (float, field: "ph_min", optional).
+ * @property {string} preferredDrainage - Preferred soil drainage of the plant (ENUM: SOIL_DRAINAGE, optional).
+ * @property {string} preferredWaterRetentionLevel - Preferred soil water retention level of the plant (ENUM: SOIL_WATER_RETENTION_LEVEL, optional).
  * @property {boolean} timestamps - Indicates whether to add createdAt and updatedAt timestamps (true).
+ * @property {boolean} paranoid - Indicates whether deletes are soft deletes marked by deletedAt timestamp (true).
  * @property {string} tableName - Name of the database table for the model ('plants').
  * @returns {Model} - Returns the Plant model instance.
  * 
@@ -62,13 +67,12 @@ const { SEASON } = require('../../constants/season-constant');
  *  idealSeason: 'summer',
  *  purpose: 'vegetable',
  *  commonNames: ['Tomato', 'Solanum lycopersicum'],
- *  commonPests: ['Aphids', 'Whiteflies'],
- *  compatiblePlants: ['Basil', 'Marigold'],
- *  growthStages: ['seedling', 'vegetative', 'flowering', 'fruiting'],
- *  recommendedFertilizers: ['NPK', 'Compost'],
- *  regionCompatibility: ['North America', 'Europe'],
  *  scientificName: 'Solanum lycopersicum',
- *  tags: ['vegetable', 'fruit', 'crop']
+ *  tags: ['vegetable', 'fruit', 'crop'],
+ *  phMin: 6.0,
+ *  phMax: 6.8,
+ *  preferredDrainage: 'well-drained',
+ *  preferredWaterRetentionLevel: 'moderate'
  *  });
  * 
  */
@@ -107,62 +111,46 @@ const Plant = sequelize.define('Plant', {
         type: DataTypes.ARRAY(DataTypes.STRING),
         defaultValue: [], // Default to an empty array if no value is provided
     },
-    commonPests: {
-        type: DataTypes.ARRAY(DataTypes.STRING),
-        allowNull: true, // Optional field
-        defaultValue: [], // Default to an empty array if no value is provided
-    },
-    compatiblePlants: {
-        type: DataTypes.ARRAY(DataTypes.STRING),
+    scientificName: {
+        type: DataTypes.STRING(50), // Limit to 50 characters
+        unique: true, // Ensure scientific names are unique
         allowNull: true, // Optional field
-        defaultValue: [], // Default to an empty array if no value is provided
     },
-    growthStages: {
+    tags: {
         type: DataTypes.ARRAY(DataTypes.STRING),
-        // Custom validation to ensure growth_stages is an array of allowed growth stages
-        validate: {
-            isValidGrowthStages(value) {
-                if (!value) return; // Skip validation if value is null or undefined
-                if (!Array.isArray(value)) throw new Error('growth_stages must be an array');
-                const growthStages = Object.values(PLANT_GROWTH_STAGE);
-                // Convert to lowercase and trim whitespace for comparison and filter invalid stages
-                const invalid = value
-                                    .map(stage => stage.trim().toLowerCase())
-                                    .filter(stage => !growthStages.includes(stage));
-                if (invalid.length > 0) {
-                    throw new Error(`Invalid growth stage(s): ${invalid.join(', ')}`);
-                }
-            }
-        },
         defaultValue: [], // Default to an empty array if no value is provided
     },
-    recommendedFertilizers: {
-        type: DataTypes.ARRAY(DataTypes.STRING),
-        defaultValue: [], // Default to an empty array if no value is provided
+    phMax: {
+        type: DataTypes.FLOAT,
+        allowNull: true, // Optional field
+        validate: { min: 0, max: 14 },
     },
-    regionCompatibility: {
-        type: DataTypes.ARRAY(DataTypes.STRING),
-        defaultValue: [], // Default to an empty array if no value is provided
+    phMin: {
+        type: DataTypes.FLOAT,
+        allowNull: true, // Optional field
+        validate: { min: 0, max: 14 },
     },
-    scientificName: {
-        type: DataTypes.STRING(50), // Limit to 50 characters
-        unique: true, // Ensure scientific names are unique
+    preferredDrainage: {
+        type: DataTypes.ENUM(Object.values(SOIL_DRAINAGE)), // Use constants
         allowNull: true, // Optional field
     },
-    tags: {
-        type: DataTypes.ARRAY(DataTypes.STRING),
-        defaultValue: [], // Default to an empty array if no value is provided
+    preferredWaterRetentionLevel: {
+        type: DataTypes.ENUM(Object.values(SOIL_WATER_RETENTION_LEVEL)), // Use constants
+        allowNull: true, // Optional field
     },
 }, {    
+    validate: {
+        phMinNotGreaterThanPhMax() {
+            if (this.phMin != null && this.phMax != null && this.phMin > this.phMax) {
+                throw new Error('phMin must be less than or equal to phMax');
+            }
+        }
+    },
     timestamps: true,
+    paranoid: true, // Soft delete by setting deletedAt instead of removing the row
     tableName: 'plants', // Set table name
     underscored: true, // Use snake_case for database fields
 });
 
-// Synchronize the model with the database
-Plant.sync()
-    .then(() => console.log('Plant model synchronized with the database'))
-    .catch(error => console.error('Error synchronizing Plant model:', error));
-    
 // Export the Plant model
 module.exports = Plant;
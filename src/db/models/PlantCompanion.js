@@ -0,0 +1,88 @@
+// src/db/models/PlantCompanion.js
+
+/**
+ * @module PlantCompanion
+ * Ecospace PlantCompanion Model
+ *
+ * @description This module defines the PlantCompanion model for the Ecospace backend.
+ * It links two plants as companions, which benefit each other, or antagonists, which harm each other,
+ * when grown close to each other. The relationship is symmetric, so each pair of plants is saved once.
+ *
+ * @requires sequelize
+ * @requires ./Plant
+ * @requires ../../constants/plant-constant
+ * @exports PlantCompanion
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../index");
+const Plant = require("./Plant");
+const { PLANT_RELATIONSHIP } = require("../../constants/plant-constant");
+
+/**
+ * @constant PlantCompanion
+ *
+ * @description Defines the PlantCompanion model for the Ecospace backend.
+ * Each row states the relationship between two plants. The pair of plants is the primary key,
+ * and is saved with the lower plant ID as plantId, so the same pair can not be saved twice in reverse.
+ *
+ * @type {Model}
+ * @property {UUID} plantId - ID of the plant with the lower ID of the pair (UUID, references plants).
+ * @property {UUID} companionId - ID of the plant with the higher ID of the pair (UUID, references plants).
+ * @property {string} relationship - Relationship between the plants (ENUM: PLANT_RELATIONSHIP).
+ * @property {string} reason - Why the plants benefit or harm each other (string, max 255 characters, optional).
+ * @property {string} tableName - Name of the database table for the model ('plant_companions').
+ * @returns {Model} - Returns the PlantCompanion model instance.
+ *
+ * @example
+ * // Example usage:
+ * const PlantCompanion = require('./models/PlantCompanion');
+ * const plantCompanion = await PlantCompanion.create({
+ *   plantId: '6f1c2a9e-...',
+ *   companionId: '8d4b1f0c-...',
+ *   relationship: 'companion',
+ *   reason: 'Basil repels pests of tomato.'
+ * });
+ */
+const PlantCompanion = sequelize.define("PlantCompanion", {
+    plantId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: Plant, key: "id" },
+        onDelete: "CASCADE", // Remove relationships when the plant is purged
+    },
+    companionId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: Plant, key: "id" },
+        onDelete: "CASCADE", // Remove relationships when the plant is purged
+    },
+    relationship: {
+        type: DataTypes.ENUM(Object.values(PLANT_RELATIONSHIP)),
+        allowNull: false, // Required field
+    },
+    reason: {
+        type: DataTypes.STRING(255), // Limit to 255 characters
+        allowNull: true, // Optional field
+    },
+}, {
+    validate: {
+        plantIdLessThanCompanionId() {
+            if (this.plantId >= this.companionId) {
+                throw new Error('plantId must be less than companionId');
+            }
+        }
+    },
+    tableName: "plant_companions", // Use a custom table name
+    timestamps: true, // Enable createdAt and updatedAt fields
+    underscored: true, // Use snake_case for database fields
+});
+
+// Associate each side of the pair with its plant
+PlantCompanion.belongsTo(Plant, { foreignKey: "plantId", as: "plant" });
+PlantCompanion.belongsTo(Plant, { foreignKey: "companionId", as: "companion" });
+
+// Export the PlantCompanion model
+module.exports = PlantCompanion;
@@ -0,0 +1,75 @@
+// src/db/models/PlantFertilizer.js
+
+/**
+ * @module PlantFertilizer
+ * Ecospace PlantFertilizer Model
+ *
+ * @description This module defines the PlantFertilizer join model for the Ecospace backend.
+ * It links plants with the fertilizers recommended for them, along with notes on the fertilizer for the plant.
+ * It also sets up the many-to-many association between the Plant and Fertilizer models through it.
+ *
+ * @requires sequelize
+ * @requires ./Fertilizer
+ * @requires ./Plant
+ * @exports PlantFertilizer
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../index");
+const Fertilizer = require("./Fertilizer");
+const Plant = require("./Plant");
+
+/**
+ * @constant PlantFertilizer
+ *
+ * @description Defines the PlantFertilizer model for the Ecospace backend.
+ * Each row states that a fertilizer is recommended for a plant. The pair of plant and fertilizer is the primary key,
+ * so a plant can be linked to a fertilizer only once.
+ *
+ * @type {Model}
+ * @property {UUID} plantId - ID of the plant (UUID, references plants).
+ * @property {UUID} fertilizerId - ID of the fertilizer (UUID, references fertilizers).
+ * @property {string} notes - Notes on the fertilizer for the plant, like how to apply it (string, max 255 characters, optional).
+ * @property {string} tableName - Name of the database table for the model ('plant_fertilizers').
+ * @returns {Model} - Returns the PlantFertilizer model instance.
+ *
+ * @example
+ * // Example usage:
+ * const PlantFertilizer = require('./models/PlantFertilizer');
+ * const plantFertilizer = await PlantFertilizer.create({
+ *   plantId: '6f1c2a9e-...',
+ *   fertilizerId: '5c8e2b7d-...',
+ *   notes: 'Mix into the soil before sowing.'
+ * });
+ */
+const PlantFertilizer = sequelize.define("PlantFertilizer", {
+    plantId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: Plant, key: "id" },
+        onDelete: "CASCADE", // Remove links when the plant is purged
+    },
+    fertilizerId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: Fertilizer, key: "id" },
+        onDelete: "CASCADE", // Remove links when the fertilizer is deleted
+    },
+    notes: {
+        type: DataTypes.STRING(255), // Limit to 255 characters
+        allowNull: true, // Optional field
+    },
+}, {
+    tableName: "plant_fertilizers", // Use a custom table name
+    timestamps: true, // Enable createdAt and updatedAt fields
+    underscored: true, // Use snake_case for database fields
+});
+
+// Associate plants and fertilizers through the plant_fertilizers table
+Plant.belongsToMany(Fertilizer, { through: PlantFertilizer, foreignKey: "plantId", otherKey: "fertilizerId", as: "fertilizers" });
+Fertilizer.belongsToMany(Plant, { through: PlantFertilizer, foreignKey: "fertilizerId", otherKey: "plantId", as: "plants" });
+
+// Export the PlantFertilizer model
+module.exports = PlantFertilizer;
@@ -0,0 +1,95 @@
+// src/db/models/PlantGrowthStage.js
+
+/**
+ * @module PlantGrowthStage
+ * Ecospace PlantGrowthStage Model
+ *
+ * @description This module defines the PlantGrowthStage join model for the Ecospace backend.
+ * It links plants with the growth stages they go through, and lets each plant override
+ * the minimum and maximum days of a growth stage from the growth stage catalog.
+ * It also sets up the many-to-many association between the Plant and GrowthStage models through it.
+ *
+ * @requires sequelize
+ * @requires ./GrowthStage
+ * @requires ./Plant
+ * @exports PlantGrowthStage
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../index");
+const GrowthStage = require("./GrowthStage");
+const Plant = require("./Plant");
+
+/**
+ * @constant PlantGrowthStage
+ *
+ * @description Defines the PlantGrowthStage model for the Ecospace backend.
+ * Each row states that a plant goes through a growth stage. The pair of plant and growth stage is the primary key.
+ * When minDays or maxDays is null, the value from the growth stage catalog applies.
+ *
+ * @type {Model}
+ * @property {UUID} plantId - ID of the plant (UUID, references plants).
+ * @property {UUID} growthStageId - ID of the growth stage (UUID, references growth_stages).
+ * @property {number} maxDays - The maximum number of days the plant spends in the growth stage (optional override).
+ * @property {number} minDays - The minimum number of days the plant spends in the growth stage (optional override).
+ * @property {string} tableName - Name of the database table for the model ('plant_growth_stages').
+ * @returns {Model} - Returns the PlantGrowthStage model instance.
+ *
+ * @example
+ * // Example usage:
+ * const PlantGrowthStage = require('./models/PlantGrowthStage');
+ * const plantGrowthStage = await PlantGrowthStage.create({
+ *   plantId: '6f1c2a9e-...',
+ *   growthStageId: '3d9a7b1f-...',
+ *   minDays: 5,
+ *   maxDays: 10,
+ * });
+ */
+const PlantGrowthStage = sequelize.define("PlantGrowthStage", {
+    plantId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: Plant, key: "id" },
+        onDelete: "CASCADE", // Remove links when the plant is purged
+    },
+    growthStageId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: GrowthStage, key: "id" },
+        onDelete: "RESTRICT", // A growth stage cannot be deleted while plants still go through it
+    },
+    maxDays: {
+        type: DataTypes.INTEGER,
+        allowNull: true, // Falls back to GrowthStage maxDays
+        validate: {
+            min: 1 // Max duration days should be min of 1 day
+        },
+    },
+    minDays: {
+        type: DataTypes.INTEGER,
+        allowNull: true, // Falls back to GrowthStage minDays
+        validate: {
+            min: 0 // Min duration days can be 0 as well (ex: germination)
+        },
+    },
+}, {
+    validate: {
+        minLessThanMax() {
+            if (this.minDays != null && this.maxDays != null && this.minDays >= this.maxDays) {
+                throw new Error('minDays must be less than maxDays');
+            }
+        }
+    },
+    tableName: "plant_growth_stages", // Use a custom table name
+    timestamps: true, // Enable createdAt and updatedAt fields
+    underscored: true, // Use snake_case for database fields
+});
+
+// Associate plants and growth stages through the plant_growth_stages table
+Plant.belongsToMany(GrowthStage, { through: PlantGrowthStage, foreignKey: "plantId", otherKey: "growthStageId", as: "growthStages" });
+GrowthStage.belongsToMany(Plant, { through: PlantGrowthStage, foreignKey: "growthStageId", otherKey: "plantId", as: "plants" });
+
+// Export the PlantGrowthStage model
+module.exports = PlantGrowthStage;
@@ -0,0 +1,75 @@
+// src/db/models/PlantPest.js
+
+/**
+ * @module PlantPest
+ * Ecospace PlantPest Model
+ *
+ * @description This module defines the PlantPest join model for the Ecospace backend.
+ * It links plants with the pests affecting them, along with notes on the pest for the plant.
+ * It also sets up the many-to-many association between the Plant and Pest models through it.
+ *
+ * @requires sequelize
+ * @requires ./Pest
+ * @requires ./Plant
+ * @exports PlantPest
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../index");
+const Pest = require("./Pest");
+const Plant = require("./Plant");
+
+/**
+ * @constant PlantPest
+ *
+ * @description Defines the PlantPest model for the Ecospace backend.
+ * Each row states that a pest affects a plant. The pair of plant and pest is the primary key,
+ * so a plant can be linked to a pest only once.
+ *
+ * @type {Model}
+ * @property {UUID} plantId - ID of the plant (UUID, references plants).
+ * @property {UUID} pestId - ID of the pest (UUID, references pests).
+ * @property {string} notes - Notes on the pest for the plant, like control measures (string, max 255 characters, optional).
+ * @property {string} tableName - Name of the database table for the model ('plant_pests').
+ * @returns {Model} - Returns the PlantPest model instance.
+ *
+ * @example
+ * // Example usage:
+ * const PlantPest = require('./models/PlantPest');
+ * const plantPest = await PlantPest.create({
+ *   plantId: '6f1c2a9e-...',
+ *   pestId: '5c8e2b7d-...',
+ *   notes: 'Spray neem oil at first sight.'
+ * });
+ */
+const PlantPest = sequelize.define("PlantPest", {
+    plantId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: Plant, key: "id" },
+        onDelete: "CASCADE", // Remove links when the plant is purged
+    },
+    pestId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: Pest, key: "id" },
+        onDelete: "CASCADE", // Remove links when the pest is deleted
+    },
+    notes: {
+        type: DataTypes.STRING(255), // Limit to 255 characters
+        allowNull: true, // Optional field
+    },
+}, {
+    tableName: "plant_pests", // Use a custom table name
+    timestamps: true, // Enable createdAt and updatedAt fields
+    underscored: true, // Use snake_case for database fields
+});
+
+// Associate plants and pests through the plant_pests table
+Plant.belongsToMany(Pest, { through: PlantPest, foreignKey: "plantId", otherKey: "pestId", as: "pests" });
+Pest.belongsToMany(Plant, { through: PlantPest, foreignKey: "pestId", otherKey: "plantId", as: "plants" });
+
+// Export the PlantPest model
+module.exports = PlantPest;
@@ -0,0 +1,69 @@
+// src/db/models/PlantRegion.js
+
+/**
+ * @module PlantRegion
+ * Ecospace PlantRegion Model
+ *
+ * @description This module defines the PlantRegion join model for the Ecospace backend.
+ * It links plants with the regions they can be grown in.
+ * It also sets up the many-to-many association between the Plant and Region models through it.
+ *
+ * @requires sequelize
+ * @requires ./Plant
+ * @requires ./Region
+ * @exports PlantRegion
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../index");
+const Plant = require("./Plant");
+const Region = require("./Region");
+
+/**
+ * @constant PlantRegion
+ *
+ * @description Defines the PlantRegion model for the Ecospace backend.
+ * Each row states that a plant can be grown in a region, and so in the regions within it.
+ * The pair of plant and region is the primary key, so a plant can be linked to a region only once.
+ *
+ * @type {Model}
+ * @property {UUID} plantId - ID of the plant (UUID, references plants).
+ * @property {UUID} regionId - ID of the region (UUID, references regions).
+ * @property {string} tableName - Name of the database table for the model ('plant_regions').
+ * @returns {Model} - Returns the PlantRegion model instance.
+ *
+ * @example
+ * // Example usage:
+ * const PlantRegion = require('./models/PlantRegion');
+ * const plantRegion = await PlantRegion.create({
+ *   plantId: '6f1c2a9e-...',
+ *   regionId: '5c8e2b7d-...',
+ * });
+ */
+const PlantRegion = sequelize.define("PlantRegion", {
+    plantId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: Plant, key: "id" },
+        onDelete: "CASCADE", // Remove links when the plant is purged
+    },
+    regionId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: Region, key: "id" },
+        onDelete: "CASCADE", // Remove links when the region is deleted
+    },
+}, {
+    tableName: "plant_regions", // Use a custom table name
+    timestamps: true, // Enable createdAt and updatedAt fields
+    underscored: true, // Use snake_case for database fields
+});
+
+// Associate plants and regions through the plant_regions table
+Plant.belongsToMany(Region, { through: PlantRegion, foreignKey: "plantId", otherKey: "regionId", as: "regions" });
+Region.belongsToMany(Plant, { through: PlantRegion, foreignKey: "regionId", otherKey: "plantId", as: "plants" });
+
+// Export the PlantRegion model
+module.exports = PlantRegion;
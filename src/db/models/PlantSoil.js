@@ -0,0 +1,83 @@
+// src/db/models/PlantSoil.js
+
+/**
+ * @module PlantSoil
+ * Ecospace PlantSoil Model
+ *
+ * @description This module defines the PlantSoil join model for the Ecospace backend.
+ * It links plants with the soils they can be grown in along with a suitability rating and notes,
+ * and sets up the many-to-many association between the Plant and Soil models through it.
+ *
+ * @requires sequelize
+ * @requires ./Plant
+ * @requires ./Soil
+ * @requires ../../constants/soil-constant
+ * @exports PlantSoil
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../index");
+const Plant = require("./Plant");
+const Soil = require("./Soil");
+const { SOIL_SUITABILITY } = require("../../constants/soil-constant");
+
+/**
+ * @constant PlantSoil
+ *
+ * @description Defines the PlantSoil model for the Ecospace backend.
+ * Each row states how suitable a soil is for a plant. The pair of plant and soil is the primary key,
+ * so a plant can be linked to a soil only once.
+ *
+ * @type {Model}
+ * @property {UUID} plantId - ID of the plant (UUID, references plants).
+ * @property {UUID} soilId - ID of the soil (UUID, references soils).
+ * @property {string} suitability - Suitability of the soil for the plant (ENUM: SOIL_SUITABILITY).
+ * @property {string} notes - Notes on growing the plant in the soil (string, max 255 characters, optional).
+ * @property {string} tableName - Name of the database table for the model ('plant_soils').
+ * @returns {Model} - Returns the PlantSoil model instance.
+ *
+ * @example
+ * // Example usage:
+ * const PlantSoil = require('./models/PlantSoil');
+ * const plantSoil = await PlantSoil.create({
+ *   plantId: '6f1c2a9e-...',
+ *   soilId: '1b7e4d3c-...',
+ *   suitability: 'high',
+ *   notes: 'Add compost before sowing.'
+ * });
+ */
+const PlantSoil = sequelize.define("PlantSoil", {
+    plantId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: Plant, key: "id" },
+        onDelete: "CASCADE", // Remove links when the plant is purged
+    },
+    soilId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: Soil, key: "id" },
+        onDelete: "CASCADE", // Remove links when the soil is purged
+    },
+    suitability: {
+        type: DataTypes.ENUM(Object.values(SOIL_SUITABILITY)),
+        allowNull: false, // Required field
+    },
+    notes: {
+        type: DataTypes.STRING(255), // Limit to 255 characters
+        allowNull: true, // Optional field
+    },
+}, {
+    tableName: "plant_soils", // Use a custom table name
+    timestamps: true, // Enable createdAt and updatedAt fields
+    underscored: true, // Use snake_case for database fields
+});
+
+// Associate plants and soils through the plant_soils table
+Plant.belongsToMany(Soil, { through: PlantSoil, foreignKey: "plantId", otherKey: "soilId", as: "soils" });
+Soil.belongsToMany(Plant, { through: PlantSoil, foreignKey: "soilId", otherKey: "plantId", as: "plants" });
+
+// Export the PlantSoil model
+module.exports = PlantSoil;
@@ -0,0 +1,104 @@
+// src/db/models/Planting.js
+
+/**
+ * @module Planting
+ * Ecospace Planting Model
+ *
+ * @description This module defines the Planting model for the Ecospace backend.
+ * A planting is a batch of a plant sown in a plot, tracked through the growth stages of the plant.
+ * It includes the schema for planting properties such as the plot, the plant, sow date, quantity
+ * and the current growth stage.
+ *
+ * @requires sequelize
+ * @requires ./GrowthStage
+ * @requires ./Plant
+ * @requires ./Plot
+ * @exports Planting
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../index");
+const GrowthStage = require("./GrowthStage");
+const Plant = require("./Plant");
+const Plot = require("./Plot");
+
+/**
+ * @constant Planting
+ *
+ * @description Defines the Planting model for the Ecospace backend.
+ * The current growth stage is one of the growth stages linked to the plant, and moves forward
+ * by the growth stage order as the planting is advanced.
+ *
+ * @type {Model}
+ * @property {UUID} id - Unique identifier for the planting (UUID).
+ * @property {UUID} currentGrowthStageId - ID of the growth stage the planting is in (UUID, references growth_stages).
+ * @property {UUID} plantId - ID of the plant sown (UUID, references plants).
+ * @property {UUID} plotId - ID of the plot the plant is sown in (UUID, references plots).
+ * @property {number} quantity - Number of plants sown (integer, min 1, default 1).
+ * @property {string} sowDate - Date the plant was sown (YYYY-MM-DD).
+ * @property {boolean} timestamps - Indicates whether to add createdAt and updatedAt timestamps (true).
+ * @property {string} tableName - Name of the database table for the model ('plantings').
+ * @returns {Model} - Returns the Planting model instance.
+ *
+ * @example
+ * // Example usage:
+ * const Planting = require('./models/Planting');
+ * const newPlanting = await Planting.create({
+ *   plotId: '4a7d2c1e-...',
+ *   plantId: '6f1c2a9e-...',
+ *   sowDate: '2024-03-15',
+ *   quantity: 12,
+ *   currentGrowthStageId: '3d9a7b1f-...'
+ * });
+ */
+const Planting = sequelize.define("Planting", {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4, // Automatically generate a UUID for the primary key
+        primaryKey: true,
+    },
+    currentGrowthStageId: {
+        type: DataTypes.UUID,
+        allowNull: false, // Required field
+        references: { model: GrowthStage, key: "id" },
+    },
+    plantId: {
+        type: DataTypes.UUID,
+        allowNull: false, // Required field
+        references: { model: Plant, key: "id" },
+        onDelete: "CASCADE", // Remove plantings when the plant is purged
+    },
+    plotId: {
+        type: DataTypes.UUID,
+        allowNull: false, // Required field
+        references: { model: Plot, key: "id" },
+        onDelete: "CASCADE", // Remove plantings when the plot is deleted
+    },
+    quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        validate: {
+            min: 1 // At least one plant is sown
+        },
+    },
+    sowDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false, // Required field
+    },
+}, {
+    tableName: "plantings", // Use a custom table name
+    timestamps: true, // Enable createdAt and updatedAt fields
+    underscored: true, // Use snake_case for database fields
+});
+
+// Associate plantings with their plot, plant and current growth stage
+Plot.hasMany(Planting, { foreignKey: "plotId", as: "plantings" });
+Planting.belongsTo(Plot, { foreignKey: "plotId", as: "plot" });
+Planting.belongsTo(Plant, { foreignKey: "plantId", as: "plant" });
+Planting.belongsTo(GrowthStage, { foreignKey: "currentGrowthStageId", as: "currentGrowthStage" });
+
+// Export the Planting model
+module.exports = Planting;
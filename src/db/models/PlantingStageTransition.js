@@ -0,0 +1,84 @@
+// src/db/models/PlantingStageTransition.js
+
+/**
+ * @module PlantingStageTransition
+ * Ecospace PlantingStageTransition Model
+ *
+ * @description This module defines the PlantingStageTransition model for the Ecospace backend.
+ * Each row records when a planting entered a growth stage, so the time actually spent in each
+ * growth stage can be compared with the catalogued minimum and maximum days.
+ *
+ * @requires sequelize
+ * @requires ./GrowthStage
+ * @requires ./Planting
+ * @exports PlantingStageTransition
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../index");
+const GrowthStage = require("./GrowthStage");
+const Planting = require("./Planting");
+
+/**
+ * @constant PlantingStageTransition
+ *
+ * @description Defines the PlantingStageTransition model for the Ecospace backend.
+ * A planting stays in a growth stage from its enteredAt until the enteredAt of the next transition of the planting.
+ *
+ * @type {Model}
+ * @property {UUID} id - Unique identifier for the transition (UUID).
+ * @property {Date} enteredAt - Timestamp at which the planting entered the growth stage.
+ * @property {UUID} growthStageId - ID of the growth stage entered (UUID, references growth_stages).
+ * @property {UUID} plantingId - ID of the planting (UUID, references plantings).
+ * @property {string} tableName - Name of the database table for the model ('planting_stage_transitions').
+ * @returns {Model} - Returns the PlantingStageTransition model instance.
+ *
+ * @example
+ * // Example usage:
+ * const PlantingStageTransition = require('./models/PlantingStageTransition');
+ * const transition = await PlantingStageTransition.create({
+ *   plantingId: '9b3e6f2a-...',
+ *   growthStageId: '3d9a7b1f-...',
+ *   enteredAt: new Date(),
+ * });
+ */
+const PlantingStageTransition = sequelize.define("PlantingStageTransition", {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4, // Automatically generate a UUID for the primary key
+        primaryKey: true,
+    },
+    enteredAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+    },
+    growthStageId: {
+        type: DataTypes.UUID,
+        allowNull: false, // Required field
+        references: { model: GrowthStage, key: "id" },
+    },
+    plantingId: {
+        type: DataTypes.UUID,
+        allowNull: false, // Required field
+        references: { model: Planting, key: "id" },
+        onDelete: "CASCADE", // Remove the transitions when the planting is deleted
+    },
+}, {
+    indexes: [
+        { fields: ["planting_id", "entered_at"] }, // Transitions are read per planting in time order
+    ],
+    tableName: "planting_stage_transitions", // Use a custom table name
+    timestamps: true, // Enable createdAt and updatedAt fields
+    underscored: true, // Use snake_case for database fields
+});
+
+// Associate transitions with their planting and growth stage
+Planting.hasMany(PlantingStageTransition, { foreignKey: "plantingId", as: "stageTransitions" });
+PlantingStageTransition.belongsTo(Planting, { foreignKey: "plantingId", as: "planting" });
+PlantingStageTransition.belongsTo(GrowthStage, { foreignKey: "growthStageId", as: "growthStage" });
+
+// Export the PlantingStageTransition model
+module.exports = PlantingStageTransition;
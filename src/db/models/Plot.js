@@ -0,0 +1,95 @@
+// src/db/models/Plot.js
+
+/**
+ * @module Plot
+ * Ecospace Plot Model
+ *
+ * @description This module defines the Plot model for the Ecospace backend.
+ * It includes the schema for plot properties such as name, area, the garden it belongs to and its soil.
+ * The model is used to interact with the database for plot related operations.
+ *
+ * @requires sequelize
+ * @requires ./Garden
+ * @requires ./Soil
+ * @exports Plot
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../index");
+const Garden = require("./Garden");
+const Soil = require("./Soil");
+
+/**
+ * @constant Plot
+ *
+ * @description Defines the Plot model for the Ecospace backend.
+ * A plot is a part of a garden with a soil from the soils catalog, so that the conditions
+ * in which the plants of the plot are grown are known.
+ * Plot names are unique within a garden.
+ *
+ * @type {Model}
+ * @property {UUID} id - Unique identifier for the plot (UUID).
+ * @property {number} area - Area of the plot in square metres (float, optional).
+ * @property {UUID} gardenId - ID of the garden the plot belongs to (UUID, references gardens).
+ * @property {string} name - Name of the plot (string, max 50 characters, unique in the garden).
+ * @property {UUID} soilId - ID of the soil of the plot (UUID, references soils).
+ * @property {boolean} timestamps - Indicates whether to add createdAt and updatedAt timestamps (true).
+ * @property {string} tableName - Name of the database table for the model ('plots').
+ * @returns {Model} - Returns the Plot model instance.
+ *
+ * @example
+ * // Example usage:
+ * const Plot = require('./models/Plot');
+ * const newPlot = await Plot.create({
+ *   gardenId: '8c2f1e7a-...',
+ *   name: 'North bed',
+ *   area: 12,
+ *   soilId: '1b7e4d3c-...'
+ * });
+ */
+const Plot = sequelize.define("Plot", {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4, // Automatically generate a UUID for the primary key
+        primaryKey: true,
+    },
+    area: {
+        type: DataTypes.FLOAT,
+        allowNull: true, // Optional field
+        validate: {
+            min: 0 // Area can not be negative
+        },
+    },
+    gardenId: {
+        type: DataTypes.UUID,
+        allowNull: false, // Required field
+        references: { model: Garden, key: "id" },
+        onDelete: "CASCADE", // Remove plots when the garden is deleted
+    },
+    name: {
+        type: DataTypes.STRING(50), // Limit to 50 characters
+        allowNull: false, // Required field
+    },
+    soilId: {
+        type: DataTypes.UUID,
+        allowNull: false, // Required field
+        references: { model: Soil, key: "id" },
+    },
+}, {
+    indexes: [
+        { unique: true, fields: ["garden_id", "name"] }, // Ensure plot names are unique in a garden
+    ],
+    tableName: "plots", // Use a custom table name
+    timestamps: true, // Enable createdAt and updatedAt fields
+    underscored: true, // Use snake_case for database fields
+});
+
+// Associate plots with their garden and soil
+Garden.hasMany(Plot, { foreignKey: "gardenId", as: "plots" });
+Plot.belongsTo(Garden, { foreignKey: "gardenId", as: "garden" });
+Plot.belongsTo(Soil, { foreignKey: "soilId", as: "soil" });
+
+// Export the Plot model
+module.exports = Plot;
@@ -0,0 +1,103 @@
+// src/db/models/Region.js
+
+/**
+ * @module Region
+ * Ecospace Region Model
+ *
+ * @description This module defines the Region model for the Ecospace backend.
+ * Regions form a hierarchy of countries, states within a country and districts within a state.
+ * It includes the schema for region properties such as name, code, level, parent region, climate zone
+ * and the soil types commonly found in the region.
+ * It also sets up the parent and children associations of a region.
+ *
+ * @requires sequelize
+ * @requires ../../constants/region-constant
+ * @requires ../../constants/soil-constant
+ * @exports Region
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../index");
+const { CLIMATE_ZONE, REGION_LEVEL } = require("../../constants/region-constant");
+const { SOIL_TYPE } = require("../../constants/soil-constant");
+
+/**
+ * @constant Region
+ *
+ * @description Defines the Region model for the Ecospace backend.
+ * A region name is unique within its parent region. A region cannot be deleted while it has child regions.
+ *
+ * @type {Model}
+ * @property {UUID} id - Unique identifier for the region (UUID).
+ * @property {string} climateZone - Climate zone of the region (ENUM: CLIMATE_ZONE, optional).
+ * @property {string} code - Short code of the region, like 'KA' for Karnataka (string, max 10 characters, optional).
+ * @property {Array<string>} defaultSoilTypes - Soil types commonly found in the region (array of ENUM: SOIL_TYPE).
+ * @property {string} level - Level of the region in the hierarchy (ENUM: REGION_LEVEL).
+ * @property {string} name - Name of the region (string, max 50 characters).
+ * @property {UUID} parentId - ID of the parent region, null for a country (UUID, references regions).
+ * @property {boolean} timestamps - Indicates whether to add createdAt and updatedAt timestamps (true).
+ * @property {string} tableName - Name of the database table for the model ('regions').
+ * @returns {Model} - Returns the Region model instance.
+ *
+ * @example
+ * // Example usage:
+ * const Region = require('./models/Region');
+ * const region = await Region.create({
+ *   name: 'Karnataka',
+ *   code: 'KA',
+ *   level: 'state',
+ *   parentId: '3b1f7c2e-...',
+ *   climateZone: 'tropical',
+ *   defaultSoilTypes: ['red', 'laterite'],
+ * });
+ */
+const Region = sequelize.define("Region", {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4, // Automatically generate a UUID for the primary key
+        primaryKey: true,
+    },
+    climateZone: {
+        type: DataTypes.ENUM(Object.values(CLIMATE_ZONE)), // Use constants
+        allowNull: true, // Optional field
+    },
+    code: {
+        type: DataTypes.STRING(10), // Limit to 10 characters
+        allowNull: true, // Optional field
+    },
+    defaultSoilTypes: {
+        type: DataTypes.ARRAY(DataTypes.ENUM(Object.values(SOIL_TYPE))), // Use constants
+        allowNull: false,
+        defaultValue: [], // Default to an empty array if no value is provided
+    },
+    level: {
+        type: DataTypes.ENUM(Object.values(REGION_LEVEL)), // Use constants
+        allowNull: false, // Required field
+    },
+    name: {
+        type: DataTypes.STRING(50), // Limit to 50 characters
+        allowNull: false, // Required field
+    },
+    parentId: {
+        type: DataTypes.UUID,
+        allowNull: true, // Countries have no parent region
+        references: { model: "regions", key: "id" },
+        onDelete: "RESTRICT", // Keep a region while it has child regions
+    },
+}, {
+    indexes: [
+        { unique: true, fields: ["parent_id", "name"] }, // A region name is unique within its parent region
+    ],
+    tableName: "regions", // Use a custom table name
+    timestamps: true, // Enable createdAt and updatedAt fields
+    underscored: true, // Use snake_case for database fields
+});
+
+// Associate regions with their parent and child regions
+Region.belongsTo(Region, { foreignKey: "parentId", as: "parent", onDelete: "RESTRICT" });
+Region.hasMany(Region, { foreignKey: "parentId", as: "children", onDelete: "RESTRICT" });
+
+// Export the Region model
+module.exports = Region;
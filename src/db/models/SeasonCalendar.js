@@ -0,0 +1,90 @@
+// src/db/models/SeasonCalendar.js
+
+/**
+ * @module SeasonCalendar
+ * Ecospace SeasonCalendar Model
+ *
+ * @description This module defines the SeasonCalendar model for the Ecospace backend.
+ * It maps the seasons of a region to the months of the year, as the months of a season
+ * depend on the hemisphere and the region (e.g. monsoon is regional).
+ * The model is used to find the seasons of a region in a month for the planting calendar.
+ *
+ * @requires sequelize
+ * @requires ../../constants/season-constant
+ * @requires ./Region
+ * @exports SeasonCalendar
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../index");
+const { SEASON } = require("../../constants/season-constant");
+const Region = require("./Region");
+
+/**
+ * @constant SeasonCalendar
+ *
+ * @description Defines the SeasonCalendar model for the Ecospace backend.
+ * Each row states the months of a season in a region. The pair of region and season is unique.
+ * The seasons of a region also apply to the regions within it which have no seasons of their own.
+ *
+ * @type {Model}
+ * @property {UUID} id - Unique identifier for the season calendar entry (UUID).
+ * @property {Array<number>} months - Months of the season in the region (array of integers from 1 to 12).
+ * @property {UUID} regionId - ID of the region (UUID, references regions).
+ * @property {string} season - The season (ENUM: SEASON).
+ * @property {boolean} timestamps - Indicates whether to add createdAt and updatedAt timestamps (true).
+ * @property {string} tableName - Name of the database table for the model ('season_calendars').
+ * @returns {Model} - Returns the SeasonCalendar model instance.
+ *
+ * @example
+ * // Example usage:
+ * const SeasonCalendar = require('./models/SeasonCalendar');
+ * const seasonCalendar = await SeasonCalendar.create({
+ *   regionId: '5c8e2b7d-...',
+ *   season: 'monsoon',
+ *   months: [6, 7, 8, 9],
+ * });
+ */
+const SeasonCalendar = sequelize.define("SeasonCalendar", {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4, // Automatically generate a UUID for the primary key
+        primaryKey: true,
+    },
+    months: {
+        type: DataTypes.ARRAY(DataTypes.INTEGER),
+        allowNull: false, // Required field
+        validate: {
+            isMonths(value) {
+                if (!Array.isArray(value) || value.length === 0 || !value.every(month => Number.isInteger(month) && month >= 1 && month <= 12)) {
+                    throw new Error("months must be a non-empty array of months from 1 to 12");
+                }
+            }
+        },
+    },
+    regionId: {
+        type: DataTypes.UUID,
+        allowNull: false, // Required field
+        references: { model: Region, key: "id" },
+        onDelete: "CASCADE", // Remove the season months when the region is deleted
+    },
+    season: {
+        type: DataTypes.ENUM(Object.values(SEASON)), // Use constants
+        allowNull: false, // Required field
+    },
+}, {
+    indexes: [
+        { unique: true, fields: ["region_id", "season"] }, // A season has one set of months in a region
+    ],
+    tableName: "season_calendars", // Use a custom table name
+    timestamps: true, // Enable createdAt and updatedAt fields
+    underscored: true, // Use snake_case for database fields
+});
+
+// Associate each season calendar entry with its region
+SeasonCalendar.belongsTo(Region, { foreignKey: "regionId", as: "region" });
+
+// Export the SeasonCalendar model
+module.exports = SeasonCalendar;
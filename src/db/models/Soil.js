@@ -45,6 +45,7 @@ const { SOIL_DRAINAGE, SOIL_NUTRIENT_LEVEL, SOIL_ORGANIC_MATTER_LEVEL, SOIL_PH_T
  * @property {string} type - Type of the soil (ENUM: SOIL_TYPE).
  * @property {string} waterRetentionLevel - Water retention level of the soil (ENUM: SOIL_WATER_RETENTION_LEVEL, field: "water_retention_level").
  * @property {boolean} timestamps - Indicates whether to add createdAt and updatedAt timestamps (true).
+ * @property {boolean} paranoid - Indicates whether deletes are soft deletes marked by deletedAt timestamp (true).
  * @property {string} tableName - Name of the database table for the model ('soils').
  * @returns {Model} - Returns the Soil model instance.
  *
@@ -124,13 +125,9 @@ const Soil = sequelize.define("Soil", {
 }, {
     tableName: "soils", // Use a custom table name
     timestamps: true, // Enable createdAt and updatedAt fields
+    paranoid: true, // Soft delete by setting deletedAt instead of removing the row
     underscored: true, // Use snake_case for database fields
 });
 
-// Synchronize the model with the database
-Soil.sync()
-    .then(() => console.log("Soil model synchronized with the database"))
-    .catch(error => console.error("Error synchronizing Soil model:", error?.message || error));
-
 // Export the Soil model
 module.exports = Soil;
@@ -0,0 +1,88 @@
+// src/db/models/User.js
+
+/**
+ * @module User
+ * Ecospace User Model
+ *
+ * @description This module defines the User model for the Ecospace backend.
+ * It includes the schema for user properties such as email, name, the hash of the password and the role of the user.
+ * The model is used to interact with the database for user and authentication related operations.
+ *
+ * @requires sequelize
+ * @requires ../../constants/user-constant
+ * @exports User
+ */
+
+// Core module imports
+const { DataTypes } = require("sequelize");
+// Custom module imports
+const sequelize = require("../index");
+const { USER_ROLE } = require("../../constants/user-constant");
+
+/**
+ * @constant User
+ *
+ * @description Defines the User model for the Ecospace backend.
+ * The password hash is left out of the queries by default, use the 'withPassword' scope to check a password.
+ *
+ * @type {Model}
+ * @property {UUID} id - Unique identifier for the user (UUID).
+ * @property {string} email - Email address of the user, used to log in (string, max 254 characters, lowercase, unique).
+ * @property {string} name - Name of the user (string, max 50 characters).
+ * @property {string} passwordHash - Salted scrypt hash of the password of the user (string).
+ * @property {string} role - Role of the user (ENUM: USER_ROLE, default: viewer).
+ * @property {number} tokenVersion - Version of the refresh tokens of the user, raised to revoke them (integer, default: 0).
+ * @property {boolean} timestamps - Indicates whether to add createdAt and updatedAt timestamps (true).
+ * @property {string} tableName - Name of the database table for the model ('users').
+ * @returns {Model} - Returns the User model instance.
+ *
+ * @example
+ * // Example usage:
+ * const User = require('./models/User');
+ * const newUser = await User.create({
+ *   email: 'gardener@example.com',
+ *   name: 'Gardener',
+ *   passwordHash: await hashPassword('a long passphrase'),
+ *   role: 'editor',
+ * });
+ */
+const User = sequelize.define("User", {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4, // Automatically generate a UUID for the primary key
+        primaryKey: true,
+    },
+    email: {
+        type: DataTypes.STRING(254), // Maximum length of an email address
+        allowNull: false, // Required field
+        unique: true, // Ensure a single user for an email address
+        validate: { isEmail: true, isLowercase: true },
+    },
+    name: {
+        type: DataTypes.STRING(50), // Limit to 50 characters
+        allowNull: false, // Required field
+    },
+    passwordHash: {
+        type: DataTypes.STRING,
+        allowNull: false, // Required field
+    },
+    role: {
+        type: DataTypes.ENUM(Object.values(USER_ROLE)), // Use constants
+        allowNull: false,
+        defaultValue: USER_ROLE.VIEWER, // A new user only reads the catalog
+    },
+    tokenVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+}, {
+    tableName: "users", // Use a custom table name
+    timestamps: true, // Enable createdAt and updatedAt fields
+    underscored: true, // Use snake_case for database fields
+    defaultScope: { attributes: { exclude: ["passwordHash"] } }, // Never send the password hash by mistake
+    scopes: { withPassword: { attributes: { include: ["passwordHash"] } } },
+});
+
+// Export the User model
+module.exports = User;
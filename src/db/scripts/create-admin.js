@@ -0,0 +1,79 @@
+// src/db/scripts/create-admin.js
+
+/**
+ * @module create-admin
+ * Ecospace Admin Bootstrap
+ *
+ * @description This script creates an admin user, as the users are managed through the API by admins only.
+ * If a user with the email exists, it is given the admin role and the new password instead, which also logs it out
+ * of all its sessions. The password is read from the ADMIN_PASSWORD environment variable, so that it does not end up
+ * in the shell history. The pending migrations are applied first.
+ *
+ * Run it with:
+ * - ADMIN_PASSWORD=<password> npm run user:create-admin -- <email> [name]
+ *
+ * @requires ../index
+ * @requires ../models/User
+ * @requires ../../constants/user-constant
+ * @requires ../../utils/password
+ * @requires ./migrate
+ * @exports { createAdmin }
+ */
+
+// Custom module imports
+const sequelize = require("../index");
+const User = require("../models/User");
+const { USER_ROLE } = require("../../constants/user-constant");
+const { hashPassword } = require("../../utils/password");
+const { migrateUp } = require("./migrate");
+
+// Bounds of a password, as for the users created through the API
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+/**
+ * @function createAdmin
+ *
+ * @description Applies the pending migrations, then creates an admin user or makes the user with the email an admin.
+ *
+ * @param {Object} adminDetails - The details of the admin.
+ * @param {string} adminDetails.email - The email of the admin.
+ * @param {string} adminDetails.name - The name of the admin, used only for a new user (default: "Admin").
+ * @param {string} adminDetails.password - The password of the admin.
+ * @returns {Promise<Object>} - An object with the ID of the admin and whether it was created.
+ * @throws {Error} - Throws an error if the email or password is missing or invalid, or the save fails.
+ */
+const createAdmin = async ({ email, name = "Admin", password }) => {
+    if (!email) throw new Error("Required email");
+    if (!password || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+        throw new Error(`Required password of ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters in ADMIN_PASSWORD`);
+    }
+    await migrateUp();
+    const adminEmail = email.trim().toLowerCase();
+    const passwordHash = await hashPassword(password);
+
+    return sequelize.transaction(async (transaction) => {
+        const user = await User.findOne({ where: { email: adminEmail }, lock: transaction.LOCK.UPDATE, transaction });
+        if (!user) {
+            const admin = await User.create({ email: adminEmail, name, passwordHash, role: USER_ROLE.ADMIN }, { transaction });
+            return { id: admin.id, created: true };
+        }
+        await user.update({ passwordHash, role: USER_ROLE.ADMIN, tokenVersion: user.tokenVersion + 1 }, { transaction });
+        return { id: user.id, created: false };
+    });
+};
+
+// Create the admin when the script is run directly
+if (require.main === module) {
+    const [email, name] = process.argv.slice(2);
+    createAdmin({ email, name, password: process.env.ADMIN_PASSWORD })
+        .then(({ id, created }) => console.log("%s admin %s", created ? "Created" : "Updated", id))
+        .catch(error => {
+            console.error("Error creating the admin:", error?.message || error);
+            process.exitCode = 1;
+        })
+        .finally(() => sequelize.close());
+}
+
+// Export the bootstrap for use in other modules
+module.exports = { createAdmin };
@@ -0,0 +1,198 @@
+// src/db/scripts/migrate.js
+
+/**
+ * @module migrate
+ * Ecospace Schema Migrations
+ *
+ * @description This script applies and reverts the versioned schema migrations in src/db/migrations.
+ * A migration is a module named <number>-<description>.js exporting an up and a down function, which get the
+ * Sequelize query interface and the transaction to run in. Migrations are applied in the order of their names,
+ * each in its own transaction along with its row in the schema_migrations table, so a failing migration leaves
+ * no trace and the ones before it stay applied. The schema_migrations table is locked while a migration runs,
+ * so migrations started at the same time from several processes are applied only once.
+ * Models do not create their tables, so the server applies the pending migrations before it starts listening,
+ * and the scripts which query the models, like the seed script, apply them first as well.
+ * The first migrations create the tables as they were before the migrations, and each later change to them has a
+ * migration of its own, so a database created by sync() is brought up to date as well: a table, column or index
+ * which already exists is skipped.
+ *
+ * Run it with:
+ * - npm run migrate: applies all the pending migrations.
+ * - npm run migrate:down: reverts the last applied migration.
+ * - npm run migrate:status: lists the migrations and whether they are applied.
+ *
+ * @requires fs
+ * @requires path
+ * @requires ../index
+ * @exports { getMigrationStatus, migrateDown, migrateUp }
+ */
+
+// Core module imports
+const fs = require("fs");
+const path = require("path");
+// Custom module imports
+const sequelize = require("../index");
+
+const MIGRATIONS_DIR = path.join(__dirname, "../migrations");
+const MIGRATION_FILE_PATTERN = /^\d+-[\w-]+\.js$/;
+
+/**
+ * @function ensureMigrationsTable
+ *
+ * @description Creates the schema_migrations table, which has a row for each applied migration, if it does not exist.
+ *
+ * @returns {Promise<void>}
+ */
+const ensureMigrationsTable = async () => {
+    await sequelize.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        name VARCHAR(255) PRIMARY KEY,
+        applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+    )`);
+};
+
+/**
+ * @function listMigrations
+ *
+ * @description Lists the names of the migrations in src/db/migrations in the order they are applied.
+ *
+ * @returns {Array<string>} - The names of the migrations, without the .js extension.
+ */
+const listMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+    .filter(fileName => MIGRATION_FILE_PATTERN.test(fileName))
+    .sort()
+    .map(fileName => path.basename(fileName, ".js"));
+
+/**
+ * @function getAppliedMigrations
+ *
+ * @description Fetches the names of the applied migrations.
+ *
+ * @param {Transaction} transaction - The transaction to read in (optional).
+ * @returns {Promise<Array<string>>} - The names of the applied migrations in the order they were applied.
+ */
+const getAppliedMigrations = async (transaction) => {
+    const [rows] = await sequelize.query("SELECT name FROM schema_migrations ORDER BY applied_at, name", { transaction });
+    return rows.map(({ name }) => name);
+};
+
+/**
+ * @function runMigration
+ *
+ * @description Applies or reverts a migration in a transaction along with its row in schema_migrations.
+ * The migration is skipped if another process applied or reverted it in the meantime.
+ *
+ * @param {string} name - The name of the migration.
+ * @param {string} direction - 'up' to apply the migration, 'down' to revert it.
+ * @returns {Promise<boolean>} - True if the migration was run, false if it was skipped.
+ */
+const runMigration = async (name, direction) => {
+    const migration = require(path.join(MIGRATIONS_DIR, name));
+    return sequelize.transaction(async (transaction) => {
+        // Wait for the migrations run by other processes, then check the migration again
+        await sequelize.query("LOCK TABLE schema_migrations IN EXCLUSIVE MODE", { transaction });
+        const isApplied = (await getAppliedMigrations(transaction)).includes(name);
+        if (isApplied === (direction === "up")) return false;
+
+        await migration[direction](sequelize.getQueryInterface(), transaction);
+        const sql = direction === "up" ? "INSERT INTO schema_migrations (name) VALUES (:name)"
+            : "DELETE FROM schema_migrations WHERE name = :name";
+        await sequelize.query(sql, { replacements: { name }, transaction });
+        return true;
+    });
+};
+
+/**
+ * @function getMigrationStatus
+ *
+ * @description Lists the migrations and whether each of them is applied.
+ *
+ * @returns {Promise<Array<Object>>} - The migrations, each with its name and whether it is applied.
+ */
+const getMigrationStatus = async () => {
+    await ensureMigrationsTable();
+    const applied = await getAppliedMigrations();
+    return listMigrations().map(name => ({ applied: applied.includes(name), name }));
+};
+
+/**
+ * @function migrateUp
+ *
+ * @description Applies all the pending migrations in order. It stops at the first migration which fails.
+ *
+ * @returns {Promise<Array<string>>} - The names of the migrations applied.
+ * @throws {Error} - Throws an error naming the migration which failed.
+ */
+const migrateUp = async () => {
+    await ensureMigrationsTable();
+    const applied = await getAppliedMigrations();
+    const migrated = [];
+    for (const name of listMigrations().filter(name => !applied.includes(name))) {
+        try {
+            if (await runMigration(name, "up")) migrated.push(name);
+        } catch (error) {
+            throw new Error(`Migration ${name} failed: ${error?.message || error}`, { cause: error });
+        }
+    }
+    return migrated;
+};
+
+/**
+ * @function migrateDown
+ *
+ * @description Reverts the last applied migrations, latest first.
+ *
+ * @param {number} steps - The number of migrations to revert (default: 1).
+ * @returns {Promise<Array<string>>} - The names of the migrations reverted.
+ * @throws {Error} - Throws an error naming the migration which failed, or if a migration file is missing.
+ */
+const migrateDown = async (steps = 1) => {
+    await ensureMigrationsTable();
+    const migrations = listMigrations();
+    const applied = await getAppliedMigrations();
+    const reverted = [];
+    for (const name of applied.sort().reverse().slice(0, steps)) {
+        if (!migrations.includes(name)) throw new Error(`Migration ${name} is applied but its file is missing from src/db/migrations`);
+        try {
+            if (await runMigration(name, "down")) reverted.push(name);
+        } catch (error) {
+            throw new Error(`Reverting migration ${name} failed: ${error?.message || error}`, { cause: error });
+        }
+    }
+    return reverted;
+};
+
+// Run the migrations when the script is run directly
+if (require.main === module) {
+    const [command = "up", steps] = process.argv.slice(2);
+    const commands = {
+        down: async () => {
+            const reverted = await migrateDown(steps ? parseInt(steps, 10) || 1 : 1);
+            if (!reverted.length) return console.log("No migrations to revert");
+            reverted.forEach(name => console.log("Reverted %s", name));
+        },
+        status: async () => {
+            const migrations = await getMigrationStatus();
+            migrations.forEach(({ applied, name }) => console.log("%s %s", applied ? "[applied]" : "[pending]", name));
+        },
+        up: async () => {
+            const migrated = await migrateUp();
+            if (!migrated.length) return console.log("Database schema is up to date");
+            migrated.forEach(name => console.log("Applied %s", name));
+        },
+    };
+    if (!commands[command]) {
+        console.error("Unknown command '%s', use one of: %s", command, Object.keys(commands).join(", "));
+        process.exitCode = 1;
+        sequelize.close();
+    } else {
+        commands[command]()
+            .catch(error => {
+                console.error("Error running migrations:", error?.message || error);
+                process.exitCode = 1;
+            })
+            .finally(() => sequelize.close());
+    }
+}
+
+// Export the migration functions for use in other modules
+module.exports = { getMigrationStatus, migrateDown, migrateUp };
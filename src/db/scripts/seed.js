@@ -0,0 +1,238 @@
+// src/db/scripts/seed.js
+
+/**
+ * @module seed
+ * Ecospace Seed Data Loader
+ *
+ * @description This script loads the reference data in src/db/seeds into the database: the growth stages with their
+ * default day ranges, one soil of each soil type, and a starter plant catalog with the growth stages of each plant.
+ * Each seed file is a JSON object with the version of its format and the records, whose keys are the snake_case
+ * column names used by the API, and a plant record lists its growth stages by name under growth_stages, each with
+ * optional min_days and max_days overriding the days of the growth stage. Records are upserted by name, so the script
+ * can be run again after a seed file changes: new records are created, changed records are updated and the other rows
+ * are left as they are.
+ * New growth stages are added after the last growth stage in the order of the file, while existing growth stages keep
+ * their order, as it is managed through the reorder endpoint. The growth stages of a plant replace the ones it is
+ * linked to. Soft deleted soils and plants are updated but stay deleted.
+ * The pending migrations are applied first, and all seed files are loaded in a single transaction.
+ *
+ * Run it with:
+ * - npm run seed: loads the seed files.
+ * - npm run seed -- --reset: empties all the tables but the users and API keys first, except in production.
+ *
+ * @requires fs
+ * @requires lodash
+ * @requires path
+ * @requires ../index
+ * @requires ../models/GrowthStage
+ * @requires ../models/Plant
+ * @requires ../models/PlantGrowthStage
+ * @requires ../models/Soil
+ * @requires ../../config
+ * @requires ../../api/services/plant-service
+ * @requires ./migrate
+ * @exports { seedDatabase }
+ */
+
+// Core module imports
+const fs = require("fs");
+const _ = require("lodash");
+const path = require("path");
+// Custom module imports
+const sequelize = require("../index");
+const GrowthStage = require("../models/GrowthStage");
+const Plant = require("../models/Plant");
+const PlantGrowthStage = require("../models/PlantGrowthStage");
+const Soil = require("../models/Soil");
+const config = require("../../config");
+const { setPlantGrowthStages } = require("../../api/services/plant-service");
+const { migrateUp } = require("./migrate");
+
+const SEEDS_DIR = path.join(__dirname, "../seeds");
+const SEED_FORMAT_VERSION = 1;
+
+/**
+ * @constant SEEDS
+ *
+ * @description Defines the seed files in the order they are loaded, with the model their records are saved as
+ * and the keys of the records which are saved as links rather than columns.
+ *
+ * @type {Array<Object>}
+ */
+const SEEDS = Object.freeze([
+    { fileName: "growth-stages.json", Model: GrowthStage },
+    { fileName: "soils.json", Model: Soil },
+    { fileName: "plants.json", Model: Plant, linkKeys: ["growthStages"] },
+]);
+
+/**
+ * @function readSeedFile
+ *
+ * @description Reads the records of a seed file and converts their keys to the attributes of the model.
+ * The keys of the objects listed under a link key are converted as well.
+ *
+ * @param {string} fileName - The name of the seed file in src/db/seeds.
+ * @param {Model} Model - The model the records are saved as.
+ * @param {Array<string>} linkKeys - The camelCase keys saved as links rather than columns (default: none).
+ * @returns {Array<Object>} - The records with camelCase keys.
+ * @throws {Error} - Throws an error if the file is not a valid seed file, or a record has no name, an unknown key
+ * or a link key which is not a list of objects.
+ */
+const readSeedFile = (fileName, Model, linkKeys = []) => {
+    const seed = JSON.parse(fs.readFileSync(path.join(SEEDS_DIR, fileName), "utf8"));
+    if (seed?.version !== SEED_FORMAT_VERSION || !Array.isArray(seed.records)) {
+        throw new Error(`Seed file ${fileName} must be an object with version ${SEED_FORMAT_VERSION} and an array of records`);
+    }
+    const attributes = Object.keys(Model.getAttributes());
+    return seed.records.map((record, index) => {
+        const details = _.mapKeys(record, (value, key) => _.camelCase(key));
+        const unknownKeys = Object.keys(details)
+            .filter(key => key === "id" || (!attributes.includes(key) && !linkKeys.includes(key)));
+        if (!details.name) throw new Error(`Record ${index + 1} of seed file ${fileName} has no name`);
+        if (unknownKeys.length) {
+            throw new Error(`Record '${details.name}' of seed file ${fileName} has unknown keys: ${unknownKeys.map(_.snakeCase).join(", ")}`);
+        }
+        linkKeys.filter(key => details[key] !== undefined).forEach(key => {
+            if (!Array.isArray(details[key]) || !details[key].every(_.isPlainObject)) {
+                throw new Error(`Record '${details.name}' of seed file ${fileName} must list objects under ${_.snakeCase(key)}`);
+            }
+            details[key] = details[key].map(link => _.mapKeys(link, (value, key) => _.camelCase(key)));
+        });
+        return details;
+    });
+};
+
+/**
+ * @function resetTables
+ *
+ * @description Empties all the tables of the database except schema_migrations, users and api_keys, so that the users
+ * and the machine clients can still authenticate after a reset.
+ *
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<void>}
+ */
+const resetTables = async (transaction) => {
+    const [tables] = await sequelize.query(`SELECT tablename FROM pg_tables
+        WHERE schemaname = current_schema() AND tablename NOT IN ('schema_migrations', 'users', 'api_keys')`, { transaction });
+    if (!tables.length) return;
+    const tableNames = tables.map(({ tablename }) => `"${tablename}"`).join(", ");
+    await sequelize.query(`TRUNCATE TABLE ${tableNames} CASCADE`, { transaction });
+};
+
+/**
+ * @function linkGrowthStages
+ *
+ * @description Links a plant to the growth stages listed in its seed record, unless it is already linked to them with
+ * the same days. The names are resolved in the transaction, as the growth stages may have been created in it.
+ *
+ * @param {Object} plant - The plant, with its id and name.
+ * @param {Array<Object>} growthStages - The growth stages of the plant, each with its name and optional minDays and maxDays.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<boolean>} - True if the links of the plant were replaced, else false.
+ * @throws {Error} - Throws an error if a growth stage name is not in the growth stage catalog.
+ */
+const linkGrowthStages = async ({ id: plantId, name }, growthStages, transaction) => {
+    // When the catalog has more than one growth stage with the same name, the one with the lowest order is used
+    const catalogGrowthStages = await GrowthStage.findAll({
+        where: { name: growthStages.map(growthStage => growthStage.name) }, order: [["order", "asc"]], raw: true, transaction,
+    });
+    const links = growthStages.map(({ name: growthStageName, minDays = null, maxDays = null }) => {
+        const catalogGrowthStage = catalogGrowthStages.find(growthStage => growthStage.name === growthStageName);
+        if (!catalogGrowthStage) throw new Error(`Plant '${name}' has an unknown growth stage: ${growthStageName}`);
+        return { growthStageId: catalogGrowthStage.id, minDays, maxDays };
+    });
+
+    const currentLinks = await PlantGrowthStage.findAll({
+        attributes: ["growthStageId", "minDays", "maxDays"], where: { plantId }, raw: true, transaction,
+    });
+    const toKey = ({ growthStageId, minDays, maxDays }) => `${growthStageId}:${minDays}:${maxDays}`;
+    if (_.isEqual(currentLinks.map(toKey).sort(), links.map(toKey).sort())) return false;
+    await setPlantGrowthStages(plantId, links, transaction);
+    return true;
+};
+
+/**
+ * @function upsertRecords
+ *
+ * @description Creates the records which have no row with the same name, and updates the rows of the other records.
+ * New growth stages get the order after the last growth stage, and the order of existing growth stages is not updated.
+ * A row whose growth stage links are replaced counts as updated.
+ *
+ * @param {Model} Model - The model the records are saved as.
+ * @param {Array<Object>} records - The records of the seed file.
+ * @param {Transaction} transaction - The transaction to run in.
+ * @returns {Promise<Object>} - An object with the number of rows created, updated and unchanged.
+ */
+const upsertRecords = async (Model, records, transaction) => {
+    const counts = { created: 0, updated: 0, unchanged: 0 };
+    const isGrowthStage = Model === GrowthStage;
+    if (isGrowthStage) await sequelize.query("LOCK TABLE growth_stages IN SHARE ROW EXCLUSIVE MODE", { transaction });
+    let lastOrder = isGrowthStage ? (await GrowthStage.max("order", { transaction })) ?? 0 : 0;
+
+    for (const { growthStages, ...record } of records) {
+        const row = await Model.findOne({ where: { name: record.name }, paranoid: false, transaction });
+        if (!row) {
+            const details = isGrowthStage ? { ...record, order: ++lastOrder } : record;
+            const createdRow = await Model.create(details, { transaction });
+            if (growthStages) await linkGrowthStages(createdRow, growthStages, transaction);
+            counts.created++;
+            continue;
+        }
+        row.set(isGrowthStage ? _.omit(record, "order") : record);
+        const isChanged = Boolean(row.changed());
+        if (isChanged) await row.save({ transaction });
+        const isLinkChanged = growthStages ? await linkGrowthStages(row, growthStages, transaction) : false;
+        if (isChanged || isLinkChanged) counts.updated++;
+        else counts.unchanged++;
+    }
+    return counts;
+};
+
+/**
+ * @function seedDatabase
+ *
+ * @description Applies the pending migrations and loads all the seed files in a single transaction.
+ *
+ * @param {Object} options - The options of the seeding.
+ * @param {boolean} options.reset - Whether to empty all the tables first (default: false).
+ * @returns {Promise<Array<Object>>} - The seed files loaded, each with the number of rows created, updated and unchanged.
+ * @throws {Error} - Throws an error if reset is asked for in production, or a seed file is invalid or fails to load.
+ */
+const seedDatabase = async ({ reset = false } = {}) => {
+    if (reset && config.env === "production") throw new Error("Resetting the database is not allowed in production");
+    const seeds = SEEDS.map(({ fileName, Model, linkKeys }) =>
+        ({ fileName, Model, records: readSeedFile(fileName, Model, linkKeys) }));
+    await migrateUp();
+
+    return sequelize.transaction(async (transaction) => {
+        if (reset) await resetTables(transaction);
+        const results = [];
+        for (const { fileName, Model, records } of seeds) {
+            try {
+                results.push({ fileName, ...await upsertRecords(Model, records, transaction) });
+            } catch (error) {
+                throw new Error(`Seed file ${fileName} failed: ${error?.message || error}`, { cause: error });
+            }
+        }
+        return results;
+    });
+};
+
+// Load the seed files when the script is run directly
+if (require.main === module) {
+    const reset = process.argv.slice(2).includes("--reset");
+    seedDatabase({ reset })
+        .then(results => {
+            if (reset) console.log("Emptied all the tables");
+            results.forEach(({ fileName, created, updated, unchanged }) =>
+                console.log("Seeded %s: %d created, %d updated, %d unchanged", fileName, created, updated, unchanged));
+        })
+        .catch(error => {
+            console.error("Error seeding the database:", error?.message || error);
+            process.exitCode = 1;
+        })
+        .finally(() => sequelize.close());
+}
+
+// Export the seeding for use in other modules
+module.exports = { seedDatabase };
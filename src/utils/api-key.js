@@ -0,0 +1,73 @@
+// src/utils/api-key.js
+
+/**
+ * @module api-key
+ * Ecospace API Key Utilities
+ *
+ * @description This module provides the utility functions to generate and check the API keys of the machine clients.
+ * An API key looks like 'eco_<prefix>_<secret>': the prefix of 12 hex characters identifies the key, in logs and in
+ * the list of keys, and the secret holds 256 random bits. Only the SHA-256 hash of a key is saved, which is enough
+ * for a random secret of this size, and the key is shown once, when it is created.
+ *
+ * @requires crypto
+ * @exports { generateApiKey, toApiKeyPrefix, verifyApiKeyHash }
+ */
+
+// Core module imports
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'eco';
+const PREFIX_BYTES = 6;
+const SECRET_BYTES = 32;
+// 'eco_' and 12 hex characters, then '_' and the secret in base64url (43 characters)
+const API_KEY_PATTERN = /^(eco_[0-9a-f]{12})_[A-Za-z0-9_-]{43}$/;
+
+/**
+ * @function hashApiKey
+ *
+ * @description Computes the SHA-256 hash of an API key.
+ *
+ * @param {string} key - The API key.
+ * @returns {Buffer} - The hash.
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+/**
+ * @function generateApiKey
+ *
+ * @description Generates a new random API key.
+ *
+ * @returns {Object} - The key, its prefix and its hash in hex to save.
+ */
+const generateApiKey = () => {
+    const prefix = `${KEY_PREFIX}_${crypto.randomBytes(PREFIX_BYTES).toString('hex')}`;
+    const key = `${prefix}_${crypto.randomBytes(SECRET_BYTES).toString('base64url')}`;
+    return { key, keyHash: hashApiKey(key).toString('hex'), prefix };
+};
+
+/**
+ * @function toApiKeyPrefix
+ *
+ * @description Reads the prefix of an API key, which identifies its saved hash.
+ *
+ * @param {string} key - The API key.
+ * @returns {string|null} - The prefix, or null if the key is malformed.
+ */
+const toApiKeyPrefix = (key) => API_KEY_PATTERN.exec(key)?.[1] ?? null;
+
+/**
+ * @function verifyApiKeyHash
+ *
+ * @description Checks an API key against a saved hash in constant time.
+ *
+ * @param {string} key - The API key.
+ * @param {string} keyHash - The saved hash in hex.
+ * @returns {boolean} - Whether the key matches the hash.
+ */
+const verifyApiKeyHash = (key, keyHash) => {
+    const expected = Buffer.from(keyHash, 'hex');
+    const actual = hashApiKey(key);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = { generateApiKey, toApiKeyPrefix, verifyApiKeyHash };
@@ -5,10 +5,11 @@
  * Ecospace Common Utilities
  * 
  * @description This module provides common utility functions used across the Ecospace application.
- * It includes functions to convert an object to an array of its values.
+ * It includes functions to convert an object to an array of its values, convert object keys to snake_case,
+ * and build pagination metadata for paginated lists.
  * These utilities help in data manipulation and transformation, making it easier to work with various data structures.
  * @requires none
- * @exports {toArrayOfVals}
+ * @exports {toArrayOfVals, toPaginationMetadata, toSnakeCaseKeys}
  */
 
 // Core module imports
@@ -64,4 +65,33 @@ function toSnakeCaseKeys(obj) {
   return obj;
 }
 
-module.exports = { toArrayOfVals, toSnakeCaseKeys };
+/**
+ * @function toPaginationMetadata
+ * 
+ * @description Builds the pagination metadata returned along with paginated lists.
+ * It includes the current page, page size, total items, total pages and whether previous and next pages exist.
+ * hasExceededPage is added if the requested page exceeds total pages and maxLimitApplied is added
+ * if the limit is set to the maximum allowed.
+ * @param {number} page - The current page number.
+ * @param {number} limit - The maximum number of items per page.
+ * @param {number} count - The total number of items.
+ * @param {number} maxLimit - The maximum limit allowed for the list.
+ * @returns {Object} - The pagination metadata.
+ */
+const toPaginationMetadata = (page, limit, count, maxLimit) => {
+    const pageSize = limit;
+    const totalPages = Math.ceil(count / pageSize);
+    const hasPreviousPage = page > 1;
+    const hasNextPage = page < totalPages;
+    let paginationMetadata = { currentPage: page, hasNextPage, hasPreviousPage, pageSize,
+        totalItems: count, totalPages };
+
+    // Set extra metadata for pagination on special cases
+    const hasExceededPage = page > totalPages; // if the requested page exceeds total pages
+    const maxLimitApplied = limit === maxLimit; // if the limit is set to maximum allowed
+    if (count && hasExceededPage) paginationMetadata = { ...paginationMetadata, hasExceededPage };
+    if (maxLimitApplied) paginationMetadata = { ...paginationMetadata, maxLimitApplied };
+    return paginationMetadata;
+};
+
+module.exports = { toArrayOfVals, toPaginationMetadata, toSnakeCaseKeys };
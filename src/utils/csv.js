@@ -0,0 +1,116 @@
+// src/utils/csv.js
+
+/**
+ * @module csv
+ * Ecospace CSV Utilities
+ *
+ * @description This module provides the utility functions to read and write CSV text, as used by spreadsheets.
+ * Cells are separated by commas and rows by line breaks (LF or CRLF). A cell can be quoted with double quotes
+ * to hold commas, line breaks or double quotes, which are escaped by doubling them.
+ *
+ * @requires ./errors
+ * @exports { CSV_LIST_SEPARATOR, parseCsv, toCsvLine }
+ */
+
+// Custom module imports
+const { ValidationError } = require('./errors');
+
+// Separator of the values of a list in a CSV cell, e.g. tags as 'leafy green|quick harvest'
+const CSV_LIST_SEPARATOR = '|';
+
+/**
+ * @function parseCsvRows
+ *
+ * @description Splits CSV text into rows of cells.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} - The rows of cells, without the blank lines.
+ * @throws {ValidationError} - Throws a validation error if a quoted cell is not closed.
+ */
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [], cell = '', isQuoted = false;
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (isQuoted) {
+            if (char !== '"') cell += char;
+            else if (text[index + 1] === '"') cell += text[index++];
+            else isQuoted = false;
+        } else if (char === '"') {
+            isQuoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') index++;
+            rows.push([...row, cell]);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (isQuoted) throw new ValidationError('Malformed CSV: a quoted cell is not closed');
+    rows.push([...row, cell]);
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * @function parseCsv
+ *
+ * @description Reads CSV text with a header row into an object for each of the other rows, keyed by the header cells.
+ * Cells are trimmed, and empty cells are left out of the objects, so that they read as missing values.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Array<Object>} - An object for each row after the header row.
+ * @throws {ValidationError} - Throws a validation error if the header row is missing or has empty or repeated cells,
+ * or a row has more cells than the header row.
+ */
+const parseCsv = (text) => {
+    // Spreadsheets may start the file with a byte order mark
+    const [header, ...rows] = parseCsvRows(String(text).replace(/^\uFEFF/, ''));
+    if (!header) throw new ValidationError('Malformed CSV: the header row is missing');
+    const columns = header.map(column => column.trim());
+    if (columns.some((column, index) => column === '' || columns.indexOf(column) !== index)) {
+        throw new ValidationError('Malformed CSV: the header row must have a unique name for each column');
+    }
+    return rows.map((cells, index) => {
+        if (cells.length > columns.length) {
+            throw new ValidationError(`Malformed CSV: row ${index + 1} has more cells than the header row`);
+        }
+        return Object.fromEntries(cells
+            .map((cell, cellIndex) => [columns[cellIndex], cell.trim()])
+            .filter(([, value]) => value !== ''));
+    });
+};
+
+/**
+ * @function toCsvCell
+ *
+ * @description Converts a value to the text of a CSV cell, quoted if it holds a comma, a line break or a double quote.
+ * Lists are joined by CSV_LIST_SEPARATOR, dates are written in ISO 8601 and other objects as JSON.
+ *
+ * @param {*} value - The value of the cell.
+ * @returns {string} - The text of the cell, empty for null or undefined.
+ */
+const toCsvCell = (value) => {
+    let text;
+    if (value == null) text = '';
+    else if (Array.isArray(value)) text = value.join(CSV_LIST_SEPARATOR);
+    else if (value instanceof Date) text = value.toISOString();
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    else text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @function toCsvLine
+ *
+ * @description Writes the values of a row as a line of CSV text, ending with CRLF as spreadsheets expect.
+ *
+ * @param {Array<*>} values - The values of the cells of the row.
+ * @returns {string} - The line of CSV text.
+ */
+const toCsvLine = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
+
+module.exports = { CSV_LIST_SEPARATOR, parseCsv, toCsvLine };
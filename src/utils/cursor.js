@@ -0,0 +1,164 @@
+// src/utils/cursor.js
+
+/**
+ * @module cursor
+ * Ecospace Cursor Pagination Utilities
+ *
+ * @description This module provides the utility functions for keyset (cursor based) pagination of lists.
+ * A cursor is an opaque base64url string encoding the sort key and the ID of the row a page starts after,
+ * along with the sorting and the direction to move in. Pages are fetched with a WHERE on the sort key and the ID
+ * instead of an OFFSET, so they stay fast as the lists grow and do not repeat or skip rows inserted mid-scroll.
+ *
+ * @requires lodash
+ * @requires sequelize
+ * @exports { decodeCursor, encodeCursor, findAllByCursor, forEachBatchByCursor }
+ */
+
+// Core module imports
+const _ = require('lodash');
+const { col, fn, Op, where: whereValue } = require('sequelize');
+
+// Pattern of a UUID, the ID of a cursor row
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Pattern of an ISO 8601 date time, as a date sort value is encoded in JSON
+const ISO_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+// The fields a list can be sorted by with cursors, each with the check of the sort value of a cursor
+const CURSOR_VALUE_CHECKS = Object.freeze({
+    created_at: value => typeof value === 'string' && ISO_DATE_TIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value)),
+    name: value => typeof value === 'string',
+});
+
+/**
+ * @function toSortKey
+ *
+ * @description Builds the sort key of a model the rows are sorted and compared by.
+ * A created_at cursor value has the millisecond precision of a JS Date, while the rows stamped by NOW() in SQL keep
+ * microseconds, so created_at is truncated to milliseconds for the rows to compare equal to their cursor value.
+ *
+ * @param {Model} Model - The Sequelize model of the rows.
+ * @param {string} sortBy - The column to sort by (e.g., 'name' or 'created_at').
+ * @returns {string|Object} - The column, or the Sequelize function truncating it.
+ */
+const toSortKey = (Model, sortBy) => sortBy === 'created_at'
+    ? fn('date_trunc', 'milliseconds', col(`${Model.name}.${sortBy}`)) : sortBy;
+
+/**
+ * @function encodeCursor
+ *
+ * @description Encodes a cursor object into an opaque base64url string.
+ *
+ * @param {Object} cursor - The cursor object.
+ * @param {string} cursor.direction - The direction to move in from the row ('next' or 'prev').
+ * @param {string} cursor.id - The ID of the row.
+ * @param {string} cursor.sortBy - The field the list is sorted by.
+ * @param {string} cursor.sortOrder - The order of sorting ('asc' or 'desc').
+ * @param {*} cursor.value - The value of the sort field of the row.
+ * @returns {string} - The encoded cursor.
+ */
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+/**
+ * @function decodeCursor
+ *
+ * @description Decodes an opaque base64url cursor string back into the cursor object.
+ * If the string is not a cursor encoded by encodeCursor, e.g. a tampered one, it returns null: the ID must be a UUID,
+ * and the sort value must suit the sort field, a string for name and an ISO 8601 date time for created_at.
+ *
+ * @param {string} cursor - The encoded cursor.
+ * @returns {Object|null} - The cursor object, or null if the cursor is invalid.
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        const isValid = _.isPlainObject(decoded) && ['next', 'prev'].includes(decoded.direction)
+            && typeof decoded.id === 'string' && UUID_PATTERN.test(decoded.id)
+            && Object.hasOwn(CURSOR_VALUE_CHECKS, decoded.sortBy) && CURSOR_VALUE_CHECKS[decoded.sortBy](decoded.value)
+            && ['asc', 'desc'].includes(decoded.sortOrder);
+        return isValid ? decoded : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * @function findAllByCursor
+ *
+ * @description Fetches a page of rows of a model with keyset pagination.
+ * Rows are sorted by the sort field and then by ID, so that rows with the same sort value keep a stable order.
+ * Without a cursor the first page is fetched. With a 'next' cursor the rows after the cursor row are fetched,
+ * and with a 'prev' cursor the rows before it, keeping the order of the list.
+ * One row more than the limit is fetched to know whether there is a further page without counting the rows.
+ *
+ * @param {Model} Model - The Sequelize model to fetch the rows of.
+ * @param {Object} options - The Sequelize find options, like where and paranoid, except for limit and order.
+ * @param {Object} pagination - An object containing cursor pagination parameters.
+ * @param {Object|null} pagination.cursor - The decoded cursor, or null for the first page.
+ * @param {number} pagination.limit - The maximum number of rows to return.
+ * @param {string} pagination.sortBy - The column to sort by (e.g., 'name' or 'created_at').
+ * @param {string} pagination.sortOrder - The order of sorting ('asc' or 'desc').
+ * @returns {Promise<Object>} - An object containing the rows and the cursor pagination metadata.
+ */
+const findAllByCursor = async (Model, options, pagination) => {
+    const { cursor, limit, sortBy } = pagination;
+    const sortOrder = pagination.sortOrder.toLowerCase();
+    const isPrevious = cursor?.direction === 'prev';
+    // Walk the list backwards for the previous page, the rows are put back in order below
+    const direction = (sortOrder === 'asc') !== isPrevious ? 'asc' : 'desc';
+
+    const sortKey = toSortKey(Model, sortBy);
+    const where = { ...options.where };
+    if (cursor) {
+        // Rows past the cursor row: a greater (or lesser) sort value, or the same sort value and a greater (or lesser) ID
+        const operator = direction === 'asc' ? Op.gt : Op.lt;
+        const keyset = { [Op.or]: [whereValue(sortKey, { [operator]: cursor.value }),
+            { [Op.and]: [whereValue(sortKey, { [Op.eq]: cursor.value }), { id: { [operator]: cursor.id } }] }] };
+        where[Op.and] = [...[].concat(where[Op.and] ?? []), keyset];
+    }
+
+    const rows = await Model.findAll({ ...options, where, limit: limit + 1, order: [[sortKey, direction], ['id', direction]] });
+    const hasMoreRows = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    if (isPrevious) pageRows.reverse();
+
+    // Moving back from a page means there is a next page, and moving on from a cursor means there is a previous page
+    const hasNextPage = isPrevious || hasMoreRows;
+    const hasPreviousPage = isPrevious ? hasMoreRows : Boolean(cursor);
+    const toCursor = (row, cursorDirection) => encodeCursor({ direction: cursorDirection, id: row.id, sortBy, sortOrder,
+        value: row.get(_.camelCase(sortBy)) });
+    const firstRow = pageRows[0], lastRow = pageRows[pageRows.length - 1];
+    const paginationMetadata = { hasNextPage, hasPreviousPage, pageSize: limit,
+        nextCursor: hasNextPage && lastRow ? toCursor(lastRow, 'next') : null,
+        prevCursor: hasPreviousPage && firstRow ? toCursor(firstRow, 'prev') : null };
+    return { rows: pageRows, pagination: paginationMetadata };
+};
+
+/**
+ * @function forEachBatchByCursor
+ *
+ * @description Walks through all the rows of a model in batches with keyset pagination, so that a long list is
+ * processed without loading all of its rows in memory. Each batch is fetched only after the previous batch is handled,
+ * and rows inserted during the walk are included if they sort after the current batch.
+ *
+ * @param {Model} Model - The Sequelize model to fetch the rows of.
+ * @param {Object} options - The Sequelize find options, like where and paranoid, except for limit and order.
+ * @param {Object} batching - An object containing the batch size and the sorting.
+ * @param {number} batching.limit - The number of rows of a batch.
+ * @param {string} batching.sortBy - The column to sort by (e.g., 'name' or 'created_at').
+ * @param {string} batching.sortOrder - The order of sorting ('asc' or 'desc').
+ * @param {Function} handleBatch - The async function handling the rows of a batch, returning false to stop the walk.
+ * @returns {Promise<number>} - The number of rows handled.
+ */
+const forEachBatchByCursor = async (Model, options, batching, handleBatch) => {
+    let cursor = null, rowCount = 0;
+    do {
+        const { rows, pagination } = await findAllByCursor(Model, options, { ...batching, cursor });
+        if (rows.length === 0) break;
+        rowCount += rows.length;
+        if (await handleBatch(rows) === false) break;
+        cursor = pagination.hasNextPage ? decodeCursor(pagination.nextCursor) : null;
+    } while (cursor);
+    return rowCount;
+};
+
+module.exports = { decodeCursor, encodeCursor, findAllByCursor, forEachBatchByCursor };
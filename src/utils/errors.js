@@ -0,0 +1,132 @@
+// src/utils/errors.js
+
+/**
+ * @module errors
+ * Ecospace Error Classes
+ *
+ * @description This module defines the typed errors of the Ecospace backend.
+ * Each error carries the HTTP status code and the error code it is sent with by the error handler middleware,
+ * so services and controllers can throw them and leave building the error response to the middleware.
+ * It also provides toServiceError, which services use to rethrow errors they cannot recover from.
+ *
+ * @requires sequelize
+ * @exports { AppError, ConflictError, ForbiddenError, NotFoundError, UnauthorizedError, ValidationError, toServiceError }
+ */
+
+// Core module imports
+const { ForeignKeyConstraintError, ValidationError: SequelizeValidationError } = require('sequelize');
+
+/**
+ * @class AppError
+ *
+ * @description Base class of the typed errors. An AppError which is not one of the typed errors
+ * is sent as an internal server error.
+ *
+ * @param {string} message - The error message sent to the client.
+ * @param {Object} options - The options of the error.
+ * @param {number} options.statusCode - The HTTP status code of the response (default: 500).
+ * @param {string} options.code - The error code of the response (default: 'INTERNAL_ERROR').
+ * @param {Array<Object>} options.errors - The list of field errors sent along with the message (optional).
+ * @param {Error} options.cause - The error which caused this error (optional).
+ */
+class AppError extends Error {
+    constructor(message, { statusCode = 500, code = 'INTERNAL_ERROR', errors, cause } = {}) {
+        super(message, { cause });
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.code = code;
+        if (errors) this.errors = errors;
+    }
+}
+
+/**
+ * @class ConflictError
+ *
+ * @description Error for a request which conflicts with the current state of a resource,
+ * e.g. restoring a plant which is not deleted. It is sent with a 409 status code.
+ *
+ * @param {string} message - The error message sent to the client.
+ * @param {string} code - The error code of the response (default: 'CONFLICT').
+ */
+class ConflictError extends AppError {
+    constructor(message, code = 'CONFLICT') {
+        super(message, { statusCode: 409, code });
+    }
+}
+
+/**
+ * @class ForbiddenError
+ *
+ * @description Error for an authenticated user whose role does not allow the request, e.g. a viewer creating a plant.
+ * It is sent with a 403 status code.
+ *
+ * @param {string} message - The error message sent to the client.
+ */
+class ForbiddenError extends AppError {
+    constructor(message) {
+        super(message, { statusCode: 403, code: 'FORBIDDEN' });
+    }
+}
+
+/**
+ * @class NotFoundError
+ *
+ * @description Error for a resource which is not found. It is sent with a 404 status code.
+ *
+ * @param {string} message - The error message sent to the client.
+ */
+class NotFoundError extends AppError {
+    constructor(message) {
+        super(message, { statusCode: 404, code: 'NOT_FOUND' });
+    }
+}
+
+/**
+ * @class UnauthorizedError
+ *
+ * @description Error for a request without valid credentials, e.g. a missing or expired access token or a wrong password.
+ * It is sent with a 401 status code.
+ *
+ * @param {string} message - The error message sent to the client.
+ */
+class UnauthorizedError extends AppError {
+    constructor(message) {
+        super(message, { statusCode: 401, code: 'UNAUTHORIZED' });
+    }
+}
+
+/**
+ * @class ValidationError
+ *
+ * @description Error for a request with invalid details, e.g. a missing body or a ph_min greater than ph_max.
+ * It is sent with a 400 status code, along with the errors of the fields if any.
+ *
+ * @param {string} message - The error message sent to the client.
+ * @param {Array<Object>} errors - The errors of the fields, each with the field and its message (optional).
+ */
+class ValidationError extends AppError {
+    constructor(message, errors) {
+        super(message, { statusCode: 400, code: 'VALIDATION_ERROR', errors });
+    }
+}
+
+/**
+ * @function toServiceError
+ *
+ * @description Picks the error a service rethrows for an error it caught.
+ * Typed errors and the Sequelize constraint and validation errors are rethrown as they are, so that the error handler
+ * middleware can send them with their own status code, e.g. a unique constraint error as a conflict.
+ * Any other error is wrapped in an AppError with the given message, so internal details are not sent to the client.
+ *
+ * @param {Error} error - The error caught by the service.
+ * @param {string} message - The message of the error if it is not a typed, constraint or validation error.
+ * @returns {Error} - The error to rethrow.
+ */
+const toServiceError = (error, message) => {
+    // UniqueConstraintError extends the Sequelize ValidationError
+    const isClientError = error instanceof SequelizeValidationError || error instanceof ForeignKeyConstraintError;
+    if (error instanceof AppError || isClientError) return error;
+    return new AppError(message, { cause: error });
+};
+
+module.exports = { AppError, ConflictError, ForbiddenError, NotFoundError, UnauthorizedError, ValidationError, toServiceError };
@@ -0,0 +1,117 @@
+// src/utils/export.js
+
+/**
+ * @module export
+ * Ecospace Export Utilities
+ *
+ * @description This module provides the utility functions to stream the rows of an export to the response,
+ * batch by batch, as a file in one of the EXPORT_FORMAT formats:
+ * - csv: a header row with the columns, then a line for each row, lists joined by '|' as the imports read them.
+ * - json: a single JSON array of the rows.
+ * - ndjson: a JSON object for each row on its own line.
+ * The response headers are sent with the first batch, so that an error fetching the first batch is still sent
+ * as a JSON error. Writing waits for the response to drain, so that a slow client does not buffer the export in memory.
+ *
+ * @requires ./csv
+ * @exports { createExportWriter, EXPORT_BATCH_SIZE, EXPORT_FORMAT }
+ */
+
+// Custom module imports
+const { toCsvLine } = require('./csv');
+
+// Number of rows fetched and written at a time
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * @constant EXPORT_FORMAT
+ *
+ * @description Defines the formats of an export.
+ *
+ * @type {Object}
+ * @property {string} CSV - Comma separated values with a header row.
+ * @property {string} JSON - A JSON array.
+ * @property {string} NDJSON - Newline delimited JSON.
+ */
+const EXPORT_FORMAT = Object.freeze({
+    CSV: 'csv',
+    JSON: 'json',
+    NDJSON: 'ndjson',
+});
+
+// Content type of the response for each format
+const CONTENT_TYPES = Object.freeze({
+    [EXPORT_FORMAT.CSV]: 'text/csv; charset=utf-8',
+    [EXPORT_FORMAT.JSON]: 'application/json; charset=utf-8',
+    [EXPORT_FORMAT.NDJSON]: 'application/x-ndjson; charset=utf-8',
+});
+
+/**
+ * @function writeChunk
+ *
+ * @description Writes a chunk of text to the response, waiting for it to drain if its buffer is full.
+ *
+ * @param {Response} res - The Express response object.
+ * @param {string} chunk - The text to write.
+ * @returns {Promise<boolean>} - True once the response can take more text, false if the client went away.
+ */
+const writeChunk = (res, chunk) => new Promise(resolve => {
+    if (res.destroyed) return resolve(false);
+    if (res.write(chunk)) return resolve(true);
+    const onDrain = () => {
+        res.off('close', onClose);
+        resolve(true);
+    };
+    const onClose = () => {
+        res.off('drain', onDrain);
+        resolve(false);
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+});
+
+/**
+ * @function createExportWriter
+ *
+ * @description Creates the writer of an export to the response.
+ *
+ * @param {Response} res - The Express response object.
+ * @param {Object} options - The options of the export.
+ * @param {Array<string>} options.columns - The keys of the rows written as the columns of a CSV export, in order.
+ * @param {string} options.fileName - The name of the downloaded file, without its extension.
+ * @param {string} options.format - The format of the export (EXPORT_FORMAT).
+ * @returns {Object} - The writer, with writeRows(rows) returning a promise of whether the client is still there,
+ * and end() finishing the export.
+ */
+const createExportWriter = (res, { columns, fileName, format }) => {
+    let isStarted = false, rowCount = 0;
+
+    // Sends the headers and returns the text the file starts with
+    const start = () => {
+        isStarted = true;
+        res.status(200).set({
+            'Content-Type': CONTENT_TYPES[format],
+            'Content-Disposition': `attachment; filename="${fileName}.${format}"`,
+        });
+        if (format === EXPORT_FORMAT.CSV) return toCsvLine(columns);
+        return format === EXPORT_FORMAT.JSON ? '[' : '';
+    };
+
+    const toText = (row) => {
+        if (format === EXPORT_FORMAT.CSV) return toCsvLine(columns.map(column => row[column]));
+        if (format === EXPORT_FORMAT.NDJSON) return `${JSON.stringify(row)}\n`;
+        return `${rowCount++ ? ',' : ''}\n${JSON.stringify(row)}`;
+    };
+
+    return {
+        writeRows: (rows) => {
+            const prefix = isStarted ? '' : start();
+            return writeChunk(res, prefix + rows.map(toText).join(''));
+        },
+        end: () => {
+            const prefix = isStarted ? '' : start();
+            res.end(prefix + (format === EXPORT_FORMAT.JSON ? '\n]\n' : ''));
+        },
+    };
+};
+
+module.exports = { createExportWriter, EXPORT_BATCH_SIZE, EXPORT_FORMAT };
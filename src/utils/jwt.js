@@ -0,0 +1,83 @@
+// src/utils/jwt.js
+
+/**
+ * @module jwt
+ * Ecospace JSON Web Token Utilities
+ *
+ * @description This module provides the utility functions to sign and verify the JSON web tokens (RFC 7519)
+ * of the Ecospace backend. Tokens are signed with HMAC SHA-256 (HS256) and the JWT_SECRET of the configuration.
+ * Verifying a token only accepts HS256, checks the signature in constant time and rejects an expired token,
+ * so a token can be trusted once it is verified.
+ *
+ * @requires crypto
+ * @requires ../config
+ * @requires ./errors
+ * @exports { signToken, verifyToken }
+ */
+
+// Core module imports
+const crypto = require('crypto');
+// Custom module imports
+const config = require('../config');
+const { UnauthorizedError } = require('./errors');
+
+const HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+/**
+ * @function sign
+ *
+ * @description Computes the HS256 signature of the header and the payload of a token.
+ *
+ * @param {string} content - The base64url header and payload joined by a dot.
+ * @returns {Buffer} - The signature.
+ */
+const sign = (content) => crypto.createHmac('sha256', config.auth.jwtSecret).update(content).digest();
+
+/**
+ * @function signToken
+ *
+ * @description Signs a token with the claims of the payload, issued now and expiring after the given lifetime.
+ *
+ * @param {Object} payload - The claims of the token, e.g. sub for the ID of the user.
+ * @param {number} expiresIn - The lifetime of the token in seconds.
+ * @returns {string} - The signed token.
+ */
+const signToken = (payload, expiresIn) => {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const claims = Buffer.from(JSON.stringify({ ...payload, iat: issuedAt, exp: issuedAt + expiresIn })).toString('base64url');
+    return `${HEADER}.${claims}.${sign(`${HEADER}.${claims}`).toString('base64url')}`;
+};
+
+/**
+ * @function verifyToken
+ *
+ * @description Verifies the signature and the expiry of a token signed by signToken.
+ *
+ * @param {string} token - The token.
+ * @returns {Object} - The claims of the token.
+ * @throws {UnauthorizedError} - Throws an unauthorized error if the token is malformed, not signed by this backend,
+ * or expired.
+ */
+const verifyToken = (token) => {
+    const [header, claims, signature, ...rest] = String(token).split('.');
+    if (header !== HEADER || !claims || !signature || rest.length) throw new UnauthorizedError('Invalid token');
+
+    const expectedSignature = sign(`${header}.${claims}`);
+    const givenSignature = Buffer.from(signature, 'base64url');
+    if (givenSignature.length !== expectedSignature.length || !crypto.timingSafeEqual(givenSignature, expectedSignature)) {
+        throw new UnauthorizedError('Invalid token');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(claims, 'base64url').toString('utf8'));
+    } catch {
+        throw new UnauthorizedError('Invalid token');
+    }
+    if (!Number.isInteger(payload?.exp) || payload.exp <= Math.floor(Date.now() / 1000)) {
+        throw new UnauthorizedError('Token has expired');
+    }
+    return payload;
+};
+
+module.exports = { signToken, verifyToken };
@@ -0,0 +1,76 @@
+// src/utils/password.js
+
+/**
+ * @module password
+ * Ecospace Password Utilities
+ *
+ * @description This module provides the utility functions to hash and check the passwords of the users.
+ * Passwords are hashed with scrypt and a random salt of their own. The hash is saved as
+ * 'scrypt$<cost>$<blockSize>$<parallelization>$<salt>$<key>' with the salt and the key in base64,
+ * so that the parameters can be raised later and the hashes saved before still verify.
+ *
+ * @requires crypto
+ * @requires util
+ * @exports { hashPassword, verifyPassword }
+ */
+
+// Core module imports
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Parameters of scrypt for new hashes, cost 2^15 needs 32 MiB of memory
+const SCRYPT_PARAMS = Object.freeze({ cost: 2 ** 15, blockSize: 8, parallelization: 1 });
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * @function deriveKey
+ *
+ * @description Derives the scrypt key of a password.
+ *
+ * @param {string} password - The password.
+ * @param {Buffer} salt - The salt.
+ * @param {number} keyLength - The length of the key in bytes.
+ * @param {Object} params - The cost, blockSize and parallelization of scrypt.
+ * @returns {Promise<Buffer>} - The key.
+ */
+const deriveKey = (password, salt, keyLength, { cost, blockSize, parallelization }) =>
+    scrypt(String(password).normalize('NFKC'), salt, keyLength,
+        { N: cost, r: blockSize, p: parallelization, maxmem: 128 * cost * blockSize * 2 });
+
+/**
+ * @function hashPassword
+ *
+ * @description Hashes a password with a new random salt.
+ *
+ * @param {string} password - The password.
+ * @returns {Promise<string>} - The hash to save, with its parameters and salt.
+ */
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const key = await deriveKey(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+    const { cost, blockSize, parallelization } = SCRYPT_PARAMS;
+    return ['scrypt', cost, blockSize, parallelization, salt.toString('base64'), key.toString('base64')].join('$');
+};
+
+/**
+ * @function verifyPassword
+ *
+ * @description Checks a password against a hash saved by hashPassword, in constant time.
+ *
+ * @param {string} password - The password.
+ * @param {string} passwordHash - The saved hash.
+ * @returns {Promise<boolean>} - True if the password matches the hash, false if it does not or the hash is malformed.
+ */
+const verifyPassword = async (password, passwordHash) => {
+    const [algorithm, cost, blockSize, parallelization, salt, key] = String(passwordHash).split('$');
+    const expectedKey = Buffer.from(key ?? '', 'base64');
+    if (algorithm !== 'scrypt' || !salt || expectedKey.length === 0) return false;
+    const params = { cost: Number(cost), blockSize: Number(blockSize), parallelization: Number(parallelization) };
+    const derivedKey = await deriveKey(password, Buffer.from(salt, 'base64'), expectedKey.length, params);
+    return crypto.timingSafeEqual(derivedKey, expectedKey);
+};
+
+module.exports = { hashPassword, verifyPassword };
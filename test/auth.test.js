@@ -0,0 +1,163 @@
+// test/auth.test.js
+
+/**
+ * @module auth.test
+ * Ecospace Authentication Tests
+ *
+ * @description Tests logging in with the access and refresh tokens, and authorizing requests by the role of the user
+ * or the scopes of the API key.
+ */
+
+// Core module imports
+const assert = require("node:assert/strict");
+const { before, describe, test } = require("node:test");
+const request = require("supertest");
+// Custom module imports
+require("./helpers/database");
+const app = require("../src/app");
+const { saveApiKey, revokeApiKey } = require("../src/api/services/api-key-service");
+const { saveUser } = require("../src/api/services/user-service");
+const { API_KEY_SCOPE } = require("../src/constants/api-key-constant");
+const { USER_ROLE } = require("../src/constants/user-constant");
+const { migrateUp } = require("../src/db/scripts/migrate");
+
+const PASSWORD = "correct horse battery staple";
+const users = {};
+const apiKeys = {};
+
+/**
+ * @function login
+ *
+ * @description Logs in as a user created for the tests.
+ *
+ * @param {string} role - The role of the user (USER_ROLE).
+ * @returns {Promise<Object>} - The tokens of the user.
+ */
+const login = async (role) => {
+    const response = await request(app).post("/auth/login").send({ email: users[role].email, password: PASSWORD });
+    assert.equal(response.status, 200);
+    return response.body.data;
+};
+
+before(async () => {
+    await migrateUp();
+    for (const role of Object.values(USER_ROLE)) {
+        users[role] = await saveUser({ email: `${role}@ecospace.test`, name: role, password: PASSWORD, role });
+    }
+    apiKeys.pests = await saveApiKey({ name: "pests", scopes: [API_KEY_SCOPE.PESTS_READ, API_KEY_SCOPE.PESTS_WRITE] },
+        users[USER_ROLE.ADMIN].id);
+    apiKeys.plants = await saveApiKey({ name: "plants", scopes: [API_KEY_SCOPE.PLANTS_READ] }, users[USER_ROLE.ADMIN].id);
+    apiKeys.revoked = await saveApiKey({ name: "revoked", scopes: [API_KEY_SCOPE.PESTS_READ] }, users[USER_ROLE.ADMIN].id);
+    await revokeApiKey(apiKeys.revoked.id);
+});
+
+describe("POST /auth/login", () => {
+    test("returns the tokens and the user for the right password", async () => {
+        const response = await request(app).post("/auth/login").send({ email: "EDITOR@ecospace.test", password: PASSWORD });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.token_type, "Bearer");
+        assert.equal(response.body.data.user.role, USER_ROLE.EDITOR);
+        assert.equal(response.body.data.user.password_hash, undefined);
+    });
+
+    test("rejects a wrong password and an unknown email alike", async () => {
+        const wrongPassword = await request(app).post("/auth/login").send({ email: "editor@ecospace.test", password: "wrong" });
+        const unknownEmail = await request(app).post("/auth/login").send({ email: "nobody@ecospace.test", password: PASSWORD });
+        assert.equal(wrongPassword.status, 401);
+        assert.deepEqual(unknownEmail.body, wrongPassword.body);
+    });
+});
+
+describe("GET /auth/me", () => {
+    test("returns the user of the access token", async () => {
+        const { access_token: accessToken } = await login(USER_ROLE.VIEWER);
+        const response = await request(app).get("/auth/me").set("Authorization", `Bearer ${accessToken}`);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.email, "viewer@ecospace.test");
+    });
+
+    test("rejects a missing, tampered or refresh token", async () => {
+        const { access_token: accessToken, refresh_token: refreshToken } = await login(USER_ROLE.VIEWER);
+        const tamperedToken = `${accessToken.slice(0, -2)}${accessToken.endsWith("AA") ? "BB" : "AA"}`;
+        for (const authorization of [undefined, `Bearer ${tamperedToken}`, `Bearer ${refreshToken}`]) {
+            const response = await request(app).get("/auth/me").set("Authorization", authorization ?? "");
+            assert.equal(response.status, 401, `${authorization} was accepted`);
+        }
+    });
+});
+
+describe("POST /auth/refresh", () => {
+    test("issues new tokens until the user logs out", async () => {
+        const { access_token: accessToken, refresh_token: refreshToken } = await login(USER_ROLE.EDITOR);
+        const refreshed = await request(app).post("/auth/refresh").send({ refresh_token: refreshToken });
+        assert.equal(refreshed.status, 200);
+        assert.ok(refreshed.body.data.access_token);
+
+        const logout = await request(app).post("/auth/logout").set("Authorization", `Bearer ${accessToken}`);
+        assert.equal(logout.status, 204);
+        const revoked = await request(app).post("/auth/refresh").send({ refresh_token: refreshToken });
+        assert.equal(revoked.status, 401);
+        assert.equal(revoked.body.message, "Refresh token has been revoked");
+    });
+});
+
+describe("authorize by role", () => {
+    test("requires a user for writes", async () => {
+        const response = await request(app).post("/gardens").send({});
+        assert.equal(response.status, 401);
+    });
+
+    test("rejects a user below the role of the route", async () => {
+        const { access_token: accessToken } = await login(USER_ROLE.VIEWER);
+        const response = await request(app).post("/gardens").set("Authorization", `Bearer ${accessToken}`).send({});
+        assert.equal(response.status, 403);
+        assert.equal(response.body.message, `Requires the ${USER_ROLE.EDITOR} role or higher`);
+    });
+
+    test("lets a user of the role through to the validation", async () => {
+        const { access_token: accessToken } = await login(USER_ROLE.EDITOR);
+        const response = await request(app).post("/gardens").set("Authorization", `Bearer ${accessToken}`).send({});
+        assert.equal(response.status, 400);
+    });
+
+    test("keeps the API keys to the admins", async () => {
+        const { access_token: accessToken } = await login(USER_ROLE.EDITOR);
+        const response = await request(app).get("/api-keys").set("Authorization", `Bearer ${accessToken}`);
+        assert.equal(response.status, 403);
+    });
+});
+
+describe("authorize by API key scope", () => {
+    test("lets an API key read with the read scope of the catalog", async () => {
+        const response = await request(app).get("/pests").set("Authorization", `ApiKey ${apiKeys.pests.key}`);
+        assert.equal(response.status, 200);
+    });
+
+    test("lets an API key write with the write scope of the catalog", async () => {
+        const response = await request(app).post("/pests").set("Authorization", `ApiKey ${apiKeys.pests.key}`).send({});
+        assert.equal(response.status, 400);
+    });
+
+    test("rejects an API key without the scope of the catalog", async () => {
+        const read = await request(app).get("/pests").set("Authorization", `ApiKey ${apiKeys.plants.key}`);
+        assert.equal(read.status, 403);
+        assert.equal(read.body.message, `Requires the ${API_KEY_SCOPE.PESTS_READ} scope`);
+        const write = await request(app).post("/plants").set("Authorization", `ApiKey ${apiKeys.plants.key}`).send({});
+        assert.equal(write.status, 403);
+        assert.equal(write.body.message, `Requires the ${API_KEY_SCOPE.PLANTS_WRITE} scope`);
+    });
+
+    test("rejects an API key on the routes of the users", async () => {
+        const response = await request(app).post("/gardens").set("Authorization", `ApiKey ${apiKeys.pests.key}`).send({});
+        assert.equal(response.status, 403);
+        assert.equal(response.body.message, "Not allowed with an API key");
+    });
+
+    test("rejects an unknown or revoked API key", async () => {
+        const unknown = await request(app).get("/pests").set("Authorization", `ApiKey ${apiKeys.pests.key}x`);
+        const revoked = await request(app).get("/pests").set("Authorization", `ApiKey ${apiKeys.revoked.key}`);
+        assert.equal(unknown.status, 401);
+        assert.equal(revoked.status, 401);
+        assert.equal(revoked.body.message, "API key has been revoked");
+    });
+});
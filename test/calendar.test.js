@@ -0,0 +1,118 @@
+// test/calendar.test.js
+
+/**
+ * @module calendar.test
+ * Ecospace Planting Calendar Tests
+ *
+ * @description Tests saving the months of the seasons of the regions, and the planting calendar of a region in a month,
+ * which takes the seasons of the nearest region having them and the plants of the region and the regions it is within.
+ */
+
+// Core module imports
+const assert = require("node:assert/strict");
+const { before, describe, test } = require("node:test");
+const request = require("supertest");
+// Custom module imports
+require("./helpers/database");
+const { authorizeAs } = require("./helpers/auth");
+const app = require("../src/app");
+const { USER_ROLE } = require("../src/constants/user-constant");
+const Region = require("../src/db/models/Region");
+const { migrateUp } = require("../src/db/scripts/migrate");
+
+const MISSING_ID = "10000000-0000-4000-8000-000000000001";
+let editor, india, kerala;
+
+/**
+ * @function saveSeasonMonths
+ *
+ * @description Saves the months of a season of a region as an editor.
+ *
+ * @param {Object} region - The region.
+ * @param {string} season - The season.
+ * @param {Array<number>} months - The months of the season.
+ * @returns {Promise<Object>} - The response of the save.
+ */
+const saveSeasonMonths = (region, season, months) => request(app).put(`/calendar/seasons/${region.id}/${season}`)
+    .set("Authorization", editor).send({ months });
+
+/**
+ * @function fetchCalendar
+ *
+ * @description Fetches the planting calendar of a region in a month.
+ *
+ * @param {Object} region - The region.
+ * @param {number} month - The month.
+ * @returns {Promise<Object>} - The data of the calendar.
+ */
+const fetchCalendar = async (region, month) => (await request(app).get("/calendar").query({ region_id: region.id, month })).body.data;
+
+before(async () => {
+    await migrateUp();
+    editor = await authorizeAs(USER_ROLE.EDITOR);
+    india = await Region.create({ name: "India", code: "IN", level: "country" });
+    kerala = await Region.create({ name: "Kerala", code: "IN-KL", level: "state", parentId: india.id });
+    const plant = { category: "crop", growth_cycle: "annual", growth_habit: "herbaceous", purpose: "vegetable" };
+    await request(app).post("/plants").set("Authorization", editor)
+        .send({ ...plant, name: "tomato", ideal_season: "summer", region_ids: [india.id] });
+    await request(app).post("/plants").set("Authorization", editor)
+        .send({ ...plant, name: "basil", ideal_season: "summer", purpose: "herb", region_ids: [kerala.id] });
+    await request(app).post("/plants").set("Authorization", editor)
+        .send({ ...plant, name: "okra", ideal_season: "monsoon", region_ids: [india.id] });
+});
+
+describe("season months", () => {
+    test("saves the months of a season of a region, sorted and without repeats, and replaces them", async () => {
+        const created = await saveSeasonMonths(india, "summer", [5, 3, 4, 4]);
+        assert.equal(created.status, 201);
+        assert.deepEqual(created.body.data.months, [3, 4, 5]);
+        const updated = await saveSeasonMonths(india, "summer", [3, 4, 5, 6]);
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.message, "Season months updated successfully");
+        await saveSeasonMonths(india, "monsoon", [6, 7, 8, 9]);
+
+        const seasons = await request(app).get("/calendar/seasons").query({ region_id: india.id });
+        assert.deepEqual(seasons.body.data.map(({ months, region, season }) => [region.name, season, months]),
+            [["India", "monsoon", [6, 7, 8, 9]], ["India", "summer", [3, 4, 5, 6]]]);
+    });
+
+    test("rejects an unknown season, invalid months and a region which does not exist", async () => {
+        const season = await saveSeasonMonths(india, "dry", [1]);
+        assert.equal(season.status, 400);
+        assert.equal(season.body.errors[0].field, "season");
+        const months = await saveSeasonMonths(india, "winter", [0, 13]);
+        assert.equal(months.status, 400);
+        assert.deepEqual(months.body.errors, [{ field: "months", message: "months must contain only integers from 1 to 12" }]);
+        assert.equal((await saveSeasonMonths({ id: MISSING_ID }, "winter", [1])).status, 404);
+    });
+});
+
+describe("GET /calendar", () => {
+    test("lists the plants of the region and the regions it is within for the seasons of the month, by purpose", async () => {
+        const calendar = await fetchCalendar(kerala, 6);
+        assert.deepEqual(calendar.seasons, ["monsoon", "summer"]);
+        assert.deepEqual(calendar.purposes.map(({ plants, purpose }) => [purpose, plants.map(({ name }) => name)]),
+            [["herb", ["basil"]], ["vegetable", ["okra", "tomato"]]]);
+        // The plants of a region within it are left out
+        const indiaCalendar = await fetchCalendar(india, 4);
+        assert.deepEqual(indiaCalendar.purposes.map(({ plants }) => plants.map(({ name }) => name)), [["tomato"]]);
+        assert.deepEqual(await fetchCalendar(india, 1), { region_id: india.id, month: 1, seasons: [], purposes: [] });
+    });
+
+    test("takes the seasons of the nearest region which has them", async () => {
+        await saveSeasonMonths(kerala, "summer", [1, 2]);
+        assert.deepEqual((await fetchCalendar(kerala, 1)).seasons, ["summer"]);
+        assert.deepEqual((await fetchCalendar(kerala, 6)).seasons, []);
+        assert.equal((await request(app).delete(`/calendar/seasons/${kerala.id}/summer`).set("Authorization", editor)).status, 204);
+        assert.deepEqual((await fetchCalendar(kerala, 6)).seasons, ["monsoon", "summer"]);
+        const removedAgain = await request(app).delete(`/calendar/seasons/${kerala.id}/summer`).set("Authorization", editor);
+        assert.equal(removedAgain.status, 404);
+    });
+
+    test("requires a region which exists and a valid month", async () => {
+        const response = await request(app).get("/calendar").query({ month: 13 });
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.errors.map(({ field }) => field).sort(), ["month", "region_id"]);
+        assert.equal((await request(app).get("/calendar").query({ region_id: MISSING_ID })).status, 404);
+    });
+});
@@ -0,0 +1,212 @@
+// test/catalogs.test.js
+
+/**
+ * @module catalogs.test
+ * Ecospace Catalog Tests
+ *
+ * @description Tests the pest, fertilizer and region catalogs and the links of the plants to them: creating, listing,
+ * updating and deleting the entries, linking them to plants, the fertilizer plan of a plant, and relating plants
+ * to each other as companions or antagonists.
+ */
+
+// Core module imports
+const assert = require("node:assert/strict");
+const { before, describe, test } = require("node:test");
+const request = require("supertest");
+// Custom module imports
+require("./helpers/database");
+const { authorizeAs } = require("./helpers/auth");
+const app = require("../src/app");
+const { USER_ROLE } = require("../src/constants/user-constant");
+const GrowthStage = require("../src/db/models/GrowthStage");
+const Soil = require("../src/db/models/Soil");
+const { migrateUp } = require("../src/db/scripts/migrate");
+
+const MISSING_ID = "10000000-0000-4000-8000-000000000001";
+let editor, tomato, basil, fennel;
+
+/**
+ * @function createAs
+ *
+ * @description Creates an entry of a catalog as an editor.
+ *
+ * @param {string} path - The path of the catalog.
+ * @param {Object} body - The body of the entry.
+ * @returns {Promise<Object>} - The response of the create.
+ */
+const createAs = (path, body) => request(app).post(path).set("Authorization", editor).send(body);
+
+before(async () => {
+    await migrateUp();
+    editor = await authorizeAs(USER_ROLE.EDITOR);
+    await GrowthStage.bulkCreate([
+        { name: "germination", order: 1, minDays: 0, maxDays: 14 },
+        { name: "seedling", order: 2, minDays: 7, maxDays: 21 },
+    ]);
+    const plant = { category: "crop", growth_cycle: "annual", growth_habit: "herbaceous", ideal_season: "summer", purpose: "vegetable" };
+    tomato = (await createAs("/plants", { ...plant, name: "tomato", growth_stages: ["germination", "seedling"] })).body.data;
+    basil = (await createAs("/plants", { ...plant, name: "basil", purpose: "herb" })).body.data;
+    fennel = (await createAs("/plants", { ...plant, name: "fennel", purpose: "herb" })).body.data;
+});
+
+describe("pests", () => {
+    test("creates, lists, updates and links a pest to plants", async () => {
+        const created = await createAs("/pests", { name: "Aphid", active_seasons: ["spring", "summer"],
+            affected_growth_stages: ["seedling"], symptoms: ["curled leaves"] });
+        assert.equal(created.status, 201);
+        const aphid = created.body.data;
+        await createAs("/pests", { name: "Whitefly", active_seasons: ["monsoon"] });
+
+        const list = await request(app).get("/pests").query({ sort_by: "name", sort_order: "desc" });
+        assert.deepEqual(list.body.data.map(({ name }) => name), ["Whitefly", "Aphid"]);
+        const invalid = await request(app).get("/pests").query({ active_season: "rainy" });
+        assert.equal(invalid.status, 400);
+        const updated = await request(app).patch(`/pests/${aphid.id}`).set("Authorization", editor)
+            .send({ description: "Sap-sucking insect" });
+        assert.equal(updated.body.data.description, "Sap-sucking insect");
+
+        const linked = await request(app).put(`/plants/${tomato.id}/pests/${aphid.id}`).set("Authorization", editor)
+            .send({ notes: "Spray neem oil" });
+        assert.equal(linked.status, 201);
+        const plantPests = await request(app).get(`/plants/${tomato.id}/pests`);
+        assert.deepEqual(plantPests.body.data.map(({ name }) => name), ["Aphid"]);
+        const pestPlants = await request(app).get(`/pests/${aphid.id}/plants`);
+        assert.deepEqual(pestPlants.body.data.map(({ name }) => name), ["tomato"]);
+
+        assert.equal((await request(app).delete(`/pests/${aphid.id}`).set("Authorization", editor)).status, 204);
+        assert.deepEqual((await request(app).get(`/plants/${tomato.id}/pests`)).body.data, []);
+        assert.equal((await request(app).get(`/pests/${aphid.id}`)).status, 404);
+    });
+
+    test("rejects a pest with invalid fields and a link to a pest which does not exist", async () => {
+        const response = await createAs("/pests", { name: "", active_seasons: ["rainy"], symptoms: [""] });
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.errors.map(({ field }) => field).sort(), ["active_seasons", "name", "symptoms"]);
+        const link = await request(app).put(`/plants/${tomato.id}/pests/${MISSING_ID}`).set("Authorization", editor).send({});
+        assert.equal(link.status, 404);
+    });
+});
+
+describe("fertilizers", () => {
+    test("rejects a fertilizer with invalid fields or nutrients above 100 percent", async () => {
+        const response = await createAs("/fertilizers", { name: "Urea", type: "mineral", application_rate: 0 });
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.errors.map(({ field }) => field).sort(), ["application_rate", "type"]);
+        const npk = await createAs("/fertilizers", { name: "NPK", type: "synthetic", application_rate: 1, nitrogen: 60,
+            phosphorus: 30, potassium: 20 });
+        assert.equal(npk.status, 400);
+        assert.deepEqual(npk.body.errors, [{ field: "potassium", message: "nitrogen, phosphorus and potassium must add up to at most 100" }]);
+    });
+
+    test("plans the fertilizers of a plant by growth stage, adjusting the rates to the soil", async () => {
+        const compost = (await createAs("/fertilizers", { name: "Compost", type: "organic", application_rate: 2,
+            suitable_growth_stages: ["seedling"] })).body.data;
+        const npk = (await createAs("/fertilizers", { name: "NPK", type: "synthetic", application_rate: 1, nitrogen: 10,
+            phosphorus: 10, potassium: 10 })).body.data;
+        for (const fertilizer of [compost, npk]) {
+            const response = await request(app).put(`/plants/${tomato.id}/fertilizers/${fertilizer.id}`).set("Authorization", editor).send({});
+            assert.equal(response.status, 201);
+        }
+        const byType = await request(app).get("/fertilizers").query({ type: "organic" });
+        assert.deepEqual(byType.body.data.map(({ name }) => name), ["Compost"]);
+        const fertilizerPlants = await request(app).get(`/fertilizers/${npk.id}/plants`);
+        assert.deepEqual(fertilizerPlants.body.data.map(({ name }) => name), ["tomato"]);
+
+        const plan = await request(app).get(`/plants/${tomato.id}/fertilizer-plan`);
+        assert.equal(plan.status, 200);
+        assert.deepEqual(plan.body.data.stages.map(({ fertilizers, name }) => [name, fertilizers.map(({ name }) => name).sort()]),
+            [["germination", ["NPK"]], ["seedling", ["Compost", "NPK"]]]);
+
+        const soil = await Soil.create({ name: "sand", drainage: "well-drained", nutrientLevel: "low", organicMatterLevel: "high",
+            texture: "sandy", type: "desert", waterRetentionLevel: "low" });
+        const soilPlan = await request(app).get(`/plants/${tomato.id}/fertilizer-plan`).query({ soil_id: soil.id });
+        const rates = Object.fromEntries(soilPlan.body.data.fertilizers.map(({ name, recommended_rate: rate }) => [name, rate]));
+        assert.deepEqual(rates, { Compost: 1.88, NPK: 1.25 });
+        const missingSoil = await request(app).get(`/plants/${tomato.id}/fertilizer-plan`).query({ soil_id: MISSING_ID });
+        assert.equal(missingSoil.status, 400);
+        assert.equal(missingSoil.body.message, "Soil not found for soil_id");
+    });
+});
+
+describe("regions", () => {
+    test("creates regions in the hierarchy of countries, states and districts", async () => {
+        const india = await createAs("/regions", { name: "India", code: "IN", level: "country", climate_zone: "tropical" });
+        assert.equal(india.status, 201);
+        const kerala = await createAs("/regions", { name: "Kerala", level: "state", parent_id: india.body.data.id });
+        assert.equal(kerala.status, 201);
+        assert.equal(kerala.body.data.parent_id, india.body.data.id);
+
+        const noParent = await createAs("/regions", { name: "Goa", level: "state" });
+        assert.equal(noParent.status, 400);
+        assert.equal(noParent.body.message, "parent_id is required for a state");
+        const wrongParent = await createAs("/regions", { name: "Ernakulam", level: "district", parent_id: india.body.data.id });
+        assert.equal(wrongParent.status, 400);
+        assert.equal(wrongParent.body.message, "The parent region of a district must be a state");
+        const invalid = await createAs("/regions", { name: "Mars", level: "planet", default_soil_types: ["dust"] });
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(invalid.body.errors.map(({ field }) => field).sort(), ["default_soil_types", "level"]);
+    });
+
+    test("lists, updates and deletes regions, keeping the regions with child regions", async () => {
+        const states = await request(app).get("/regions").query({ level: "state" });
+        assert.deepEqual(states.body.data.map(({ name }) => name), ["Kerala"]);
+        const [india] = (await request(app).get("/regions").query({ level: "country" })).body.data;
+        const updated = await request(app).patch(`/regions/${india.id}`).set("Authorization", editor).send({ code: "IND" });
+        assert.equal(updated.body.data.code, "IND");
+
+        const withChild = await request(app).delete(`/regions/${india.id}`).set("Authorization", editor);
+        assert.equal(withChild.status, 409);
+        assert.equal(withChild.body.message, "Region has child regions, delete them first");
+        assert.equal((await request(app).delete(`/regions/${states.body.data[0].id}`).set("Authorization", editor)).status, 204);
+        assert.equal((await request(app).delete(`/regions/${india.id}`).set("Authorization", editor)).status, 204);
+        assert.equal((await request(app).get(`/regions/${india.id}`)).status, 404);
+    });
+});
+
+describe("companions", () => {
+    test("relates plants both ways, and updates the relationship", async () => {
+        const created = await request(app).put(`/plants/${tomato.id}/companions/${basil.id}`).set("Authorization", editor)
+            .send({ relationship: "companion", reason: "Repels pests" });
+        assert.equal(created.status, 201);
+        // The relationship is symmetric, so relating the plants the other way round updates it
+        const updated = await request(app).put(`/plants/${basil.id}/companions/${tomato.id}`).set("Authorization", editor)
+            .send({ relationship: "companion", reason: "Improves flavour" });
+        assert.equal(updated.status, 200);
+        await request(app).put(`/plants/${fennel.id}/companions/${tomato.id}`).set("Authorization", editor)
+            .send({ relationship: "antagonist", reason: "Stunts growth" });
+
+        const companions = await request(app).get(`/plants/${tomato.id}/companions`);
+        assert.deepEqual(companions.body.data.map(({ name, reason, relationship }) => [relationship, name, reason]),
+            [["antagonist", "fennel", "Stunts growth"], ["companion", "basil", "Improves flavour"]]);
+        const basilCompanions = await request(app).get(`/plants/${basil.id}/companions`);
+        assert.deepEqual(basilCompanions.body.data.map(({ name }) => name), ["tomato"]);
+    });
+
+    test("checks a list of plants for antagonistic pairs", async () => {
+        const compatible = await request(app).post("/plants/companions/check").send({ plant_ids: [tomato.id, basil.id] });
+        assert.equal(compatible.status, 200);
+        assert.deepEqual(compatible.body.data, { compatible: true, antagonistic_pairs: [] });
+        const antagonists = await request(app).post("/plants/companions/check").send({ plant_ids: [tomato.id, basil.id, fennel.id] });
+        assert.equal(antagonists.body.data.compatible, false);
+        assert.deepEqual(antagonists.body.data.antagonistic_pairs.map(({ plants }) => plants.map(({ name }) => name).sort()),
+            [["fennel", "tomato"]]);
+        const missing = await request(app).post("/plants/companions/check").send({ plant_ids: [tomato.id, MISSING_ID] });
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.message, `Plant(s) not found: ${MISSING_ID}`);
+    });
+
+    test("rejects an invalid relationship and a plant which does not exist, and removes a relationship", async () => {
+        const invalid = await request(app).put(`/plants/${tomato.id}/companions/${basil.id}`).set("Authorization", editor)
+            .send({ relationship: "friend" });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.errors[0].field, "relationship");
+        const missing = await request(app).put(`/plants/${tomato.id}/companions/${MISSING_ID}`).set("Authorization", editor)
+            .send({ relationship: "companion" });
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.message, "Companion plant not found");
+
+        const removed = await request(app).delete(`/plants/${basil.id}/companions/${tomato.id}`).set("Authorization", editor);
+        assert.equal(removed.status, 204);
+        assert.deepEqual((await request(app).get(`/plants/${basil.id}/companions`)).body.data, []);
+    });
+});
@@ -0,0 +1,34 @@
+// test/common.test.js
+
+/**
+ * @module common.test
+ * Ecospace Common Utility Tests
+ *
+ * @description Tests building the pagination metadata of a paginated list from its page, limit and count.
+ */
+
+// Core module imports
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+// Custom module imports
+const { toPaginationMetadata } = require("../src/utils/common");
+
+describe("toPaginationMetadata", () => {
+    test("builds the metadata of a page within the list", () => {
+        assert.deepEqual(toPaginationMetadata(2, 10, 25, 50), { currentPage: 2, hasNextPage: true, hasPreviousPage: true,
+            pageSize: 10, totalItems: 25, totalPages: 3 });
+        assert.deepEqual(toPaginationMetadata(3, 10, 25, 50), { currentPage: 3, hasNextPage: false, hasPreviousPage: true,
+            pageSize: 10, totalItems: 25, totalPages: 3 });
+    });
+
+    test("flags a page past the last page, but not the first page of an empty list", () => {
+        assert.equal(toPaginationMetadata(4, 10, 25, 50).hasExceededPage, true);
+        assert.deepEqual(toPaginationMetadata(1, 10, 0, 50), { currentPage: 1, hasNextPage: false, hasPreviousPage: false,
+            pageSize: 10, totalItems: 0, totalPages: 0 });
+    });
+
+    test("flags a limit set to the maximum limit", () => {
+        assert.equal(toPaginationMetadata(1, 50, 25, 50).maxLimitApplied, true);
+        assert.equal("maxLimitApplied" in toPaginationMetadata(1, 10, 25, 50), false);
+    });
+});
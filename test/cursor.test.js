@@ -0,0 +1,97 @@
+// test/cursor.test.js
+
+/**
+ * @module cursor.test
+ * Ecospace Cursor Pagination Tests
+ *
+ * @description Tests decoding the cursors of the lists, which must reject a tampered cursor as invalid
+ * instead of failing the query it is used in.
+ */
+
+// Core module imports
+const assert = require("node:assert/strict");
+const { before, describe, test } = require("node:test");
+const request = require("supertest");
+// Custom module imports
+require("./helpers/database");
+const app = require("../src/app");
+const { migrateUp } = require("../src/db/scripts/migrate");
+const Soil = require("../src/db/models/Soil");
+const { decodeCursor, encodeCursor } = require("../src/utils/cursor");
+
+const CURSOR = Object.freeze({
+    direction: "next",
+    id: "10000000-0000-4000-8000-000000000001",
+    sortBy: "created_at",
+    sortOrder: "asc",
+    value: "2026-01-31T10:00:00.000Z",
+});
+
+describe("decodeCursor", () => {
+    test("decodes a cursor encoded by encodeCursor", () => {
+        assert.deepEqual(decodeCursor(encodeCursor(CURSOR)), CURSOR);
+        assert.deepEqual(decodeCursor(encodeCursor({ ...CURSOR, sortBy: "name", value: "tomato" })),
+            { ...CURSOR, sortBy: "name", value: "tomato" });
+    });
+
+    test("rejects a string which is not an encoded object", () => {
+        for (const cursor of ["", "not a cursor", encodeCursor([CURSOR]), encodeCursor("cursor"), encodeCursor(null)]) {
+            assert.equal(decodeCursor(cursor), null, `${cursor} was decoded`);
+        }
+    });
+
+    test("rejects a cursor with a tampered field", () => {
+        const tamperedCursors = [
+            { ...CURSOR, id: "1 OR 1=1" },
+            { ...CURSOR, id: 1 },
+            { ...CURSOR, value: "yesterday" },
+            { ...CURSOR, value: 1769853600000 },
+            { ...CURSOR, sortBy: "name", value: { $gt: "" } },
+            { ...CURSOR, sortBy: "password_hash" },
+            { ...CURSOR, direction: "sideways" },
+            { ...CURSOR, sortOrder: "asc; DROP TABLE soils" },
+        ];
+        tamperedCursors.forEach(cursor => assert.equal(decodeCursor(encodeCursor(cursor)), null, JSON.stringify(cursor)));
+    });
+});
+
+describe("GET /soils?cursor=", () => {
+    before(() => migrateUp());
+
+    test("returns a validation error for a tampered cursor", async () => {
+        const cursor = encodeCursor({ ...CURSOR, value: "not a date" });
+        const response = await request(app).get("/soils").query({ cursor });
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.errors.map(({ field }) => field), ["cursor"]);
+    });
+
+    test("returns an empty page after a cursor of no rows", async () => {
+        const response = await request(app).get("/soils").query({ cursor: encodeCursor(CURSOR) });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data, []);
+    });
+
+    test("walks the rows created at the same time once each, forwards and backwards", async () => {
+        // The soil list has a minimum limit of 10, so the rows fill two pages
+        const names = Array.from({ length: 12 }, (_, index) => `soil ${index + 1}`);
+        await Soil.bulkCreate(names.map(name => ({ name, drainage: "well-drained", nutrientLevel: "moderate",
+            organicMatterLevel: "medium", texture: "loamy", type: "alluvial", waterRetentionLevel: "moderate" })));
+        // Stamped in SQL, the way migrations and raw inserts stamp rows, with more than millisecond precision
+        await Soil.sequelize.query("UPDATE soils SET created_at = '2026-01-31 10:00:00.123456+00'");
+
+        const pages = [];
+        let query = { limit: 10, pagination_mode: "cursor", sort_by: "created_at" };
+        do {
+            const response = await request(app).get("/soils").query(query);
+            assert.equal(response.status, 200);
+            pages.push(response.body);
+            query = response.body.pagination.next_cursor && { cursor: response.body.pagination.next_cursor, limit: 10 };
+        } while (query);
+        const walkedIds = pages.flatMap(({ data }) => data.map(({ id }) => id));
+        assert.deepEqual(pages.map(({ data }) => data.length), [10, 2]);
+        assert.equal(new Set(walkedIds).size, names.length);
+
+        const previous = await request(app).get("/soils").query({ cursor: pages[1].pagination.prev_cursor, limit: 10 });
+        assert.deepEqual(previous.body.data.map(({ id }) => id), pages[0].data.map(({ id }) => id));
+    });
+});
@@ -0,0 +1,37 @@
+// test/helpers/auth.js
+
+/**
+ * @module auth
+ * Ecospace Test Authorization
+ *
+ * @description This module creates the users the tests send their writes as. It must be required after
+ * ./database, as it saves the users in the test database.
+ *
+ * @requires ../../src/api/services/auth-service
+ * @requires ../../src/api/services/user-service
+ * @requires ../../src/utils/jwt
+ * @exports { authorizeAs }
+ */
+
+// Custom module imports
+const { ACCESS_TOKEN } = require("../../src/api/services/auth-service");
+const { saveUser } = require("../../src/api/services/user-service");
+const { signToken } = require("../../src/utils/jwt");
+
+// Lifetime of the access tokens of the tests, long enough for the slowest test file
+const TOKEN_TTL = 600;
+
+/**
+ * @function authorizeAs
+ *
+ * @description Saves a user of a role and signs an access token for it.
+ *
+ * @param {string} role - The role of the user (USER_ROLE).
+ * @returns {Promise<string>} - The Authorization header of the user.
+ */
+const authorizeAs = async (role) => {
+    const user = await saveUser({ email: `${role}@ecospace.test`, name: role, password: `${role} password`, role });
+    return `Bearer ${signToken({ sub: user.id, role: user.role, type: ACCESS_TOKEN }, TOKEN_TTL)}`;
+};
+
+module.exports = { authorizeAs };
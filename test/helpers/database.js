@@ -0,0 +1,443 @@
+// test/helpers/database.js
+
+/**
+ * @module database
+ * Ecospace Test Database
+ *
+ * @description This module runs the tests against an in-memory PostgreSQL database of pg-mem instead of a server.
+ * It must be required before any module of src, as it puts its own Sequelize instance in place of the one of
+ * src/db/index, so that the models, the services and the migrations all use the in-memory database.
+ * pg-mem does not implement a few statements of PostgreSQL which Sequelize and the migrations run, so they are
+ * adapted as follows:
+ * - pg-mem rolls back only the statements of a single query, so the transactions and their savepoints are run by
+ *   restoring a backup of the whole database taken when they start. The tests run one transaction at a time,
+ *   and a transaction which changes the schema cannot be rolled back.
+ * - LOCK TABLE is ignored, as a test runs a single transaction at a time.
+ * - CREATE TABLE IF NOT EXISTS is skipped for a table which exists, as pg-mem fails on its column constraints.
+ * - The DO blocks creating an enum type run the CREATE TYPE alone, and an enum type which exists is skipped.
+ *   The statements after the block, e.g. the ALTER TABLE adding an enum column, run outside the transaction.
+ * - The lookups of the enum types and the foreign keys in the catalog tables find none.
+ * - A table referencing itself gets no foreign key to itself, i.e. regions.parent_id.
+ * - describeTable lists the columns of the table from information_schema, without their details.
+ * - The full text search and pg_trgm functions of the plant search are approximated on plain text: a tsvector is
+ *   the lowercase words of the text, a tsquery matches the vectors having all of its words and ranks them by the
+ *   share of its words they have, and word_similarity is the best share of the trigrams of the search text
+ *   found in a single word of the text.
+ * - The nested joins Sequelize builds to include a many-to-many association, i.e.
+ *   JOIN ("through" INNER JOIN "target" ON c1) ON c2, are flattened, as pg-mem cannot parse them.
+ * - The insert of findOrCreate is built without the PL/pgSQL function catching its unique violation, as pg-mem
+ *   cannot create functions. The violation is thrown instead, which findOrCreate handles the same way.
+ * - ROUND(numeric, digits) is a function of its own, as pg-mem reads NUMERIC as a float which it cannot round.
+ * - A DATE is returned as a YYYY-MM-DD string, as pg returns it, instead of the Date of pg-mem.
+ * - DATE_TRUNC('milliseconds', timestamp) returns the timestamp, as pg-mem keeps the dates in milliseconds.
+ * - A recursive common table expression, i.e. WITH RECURSIVE, is run into a table by running its recursive query
+ *   until it adds no rows, and the query reads the table instead.
+ * pg-mem cannot cast the array of @>, so the list filters matching all the given values, such as the season filter of
+ * the pests, are not tested, and its errors have no detail, so a unique constraint violation names no fields.
+ *
+ * @requires fs
+ * @requires moment
+ * @requires path
+ * @requires pg-mem
+ * @requires sequelize
+ * @exports { applyMigrations, memoryDb, sequelize }
+ */
+
+// Core module imports
+const fs = require("fs");
+const moment = require("moment");
+const path = require("path");
+const { DataType, newDb } = require("pg-mem");
+const { Sequelize } = require("sequelize");
+
+// The settings the configuration requires, as the tests need no .env file
+process.env.NODE_ENV ??= "test";
+process.env.DB_NAME ??= "ecospace_test";
+process.env.DB_USER ??= "ecospace";
+process.env.DB_PASSWORD ??= "ecospace";
+process.env.JWT_SECRET ??= "ecospace-test-secret-of-at-least-32-characters";
+
+const SRC_DIR = path.join(__dirname, "../../src");
+const DB_MODULE_PATH = path.join(SRC_DIR, "db/index.js");
+const MIGRATIONS_DIR = path.join(SRC_DIR, "db/migrations");
+
+// pg-mem parses the dates Sequelize sends with moment, which warns that their format is not ISO 8601
+moment.suppressDeprecationWarnings = true;
+
+/**
+ * @function toWords
+ *
+ * @description Splits a text into its lowercase words, the way the approximated tsvector and tsquery hold them.
+ *
+ * @param {string} text - The text.
+ * @returns {Array<string>} - The words of the text.
+ */
+const toWords = (text) => String(text ?? "").toLowerCase().match(/[a-z0-9]+/g) ?? [];
+
+/**
+ * @function shareOfTrigrams
+ *
+ * @description Computes the share of the trigrams of a search text found in the trigrams of a word, as pg_trgm
+ * builds them from the words padded with two spaces in front and one after.
+ *
+ * @param {string} searchText - The search text.
+ * @param {string} word - The word.
+ * @returns {number} - The share between 0 and 1.
+ */
+const shareOfTrigrams = (searchText, word) => {
+    const toTrigrams = (text) => new Set(toWords(text).flatMap(textWord =>
+        Array.from({ length: textWord.length + 1 }, (_, index) => `  ${textWord} `.slice(index, index + 3))));
+    const searchTrigrams = toTrigrams(searchText), wordTrigrams = toTrigrams(word);
+    if (searchTrigrams.size === 0) return 0;
+    return [...searchTrigrams].filter(trigram => wordTrigrams.has(trigram)).length / searchTrigrams.size;
+};
+
+/**
+ * @function registerSearchFunctions
+ *
+ * @description Registers the approximated full text search functions and the @@ operator in a schema.
+ *
+ * @param {Object} schema - The pg-mem schema.
+ * @returns {void}
+ */
+const registerSearchFunctions = (schema) => {
+    const { text } = DataType;
+    // The words are padded with spaces, so that concatenated vectors keep their words apart
+    const toVector = (value) => ` ${toWords(value).join(" ")} `;
+    schema.registerFunction({ name: "array_to_string", args: [schema.getType(text).asArray(), text], returns: text,
+        implementation: (values, separator) => (values ?? []).join(separator) });
+    schema.registerFunction({ name: "to_tsvector", args: [text, text], returns: text, implementation: (_, value) => toVector(value) });
+    schema.registerFunction({ name: "setweight", args: [text, text], returns: text, implementation: vector => vector });
+    schema.registerFunction({ name: "websearch_to_tsquery", args: [text, text], returns: text,
+        implementation: (_, value) => toVector(value) });
+    schema.registerFunction({ name: "ts_rank", args: [text, text], returns: DataType.float,
+        implementation: (vector, query) => toWords(query).filter(word => toWords(vector).includes(word)).length
+            / Math.max(1, toWords(query).length) });
+    schema.registerOperator({ operator: "@@", left: text, right: text, returns: DataType.bool,
+        implementation: (vector, query) => toWords(query).length > 0
+            && toWords(query).every(word => toWords(vector).includes(word)) });
+};
+
+const memoryDb = newDb({ autoCreateForeignKeyIndices: true });
+memoryDb.public.registerFunction({ name: "version", implementation: () => "PostgreSQL 16.0" });
+memoryDb.public.registerFunction({
+    name: "round", args: [DataType.float, DataType.integer], returns: DataType.float,
+    implementation: (value, digits) => value == null ? null : Math.round(value * 10 ** digits) / 10 ** digits,
+});
+memoryDb.public.registerFunction({
+    name: "date_trunc", args: [DataType.text, DataType.timestamptz], returns: DataType.timestamptz,
+    implementation: (unit, timestamp) => {
+        if (unit !== "milliseconds") throw new Error(`date_trunc by ${unit} is not supported in the tests`);
+        return timestamp;
+    },
+});
+registerSearchFunctions(memoryDb.public);
+memoryDb.registerExtension("pg_trgm", schema => schema.registerFunction({
+    name: "word_similarity", args: [DataType.text, DataType.text], returns: DataType.float,
+    implementation: (searchText, text) => Math.max(0, ...toWords(text).map(word => shareOfTrigrams(searchText, word))),
+}));
+
+// The backups of the database taken when the open transaction and each of its savepoints started
+const transactionBackups = [];
+
+/**
+ * @function runTransactionStatement
+ *
+ * @description Starts, commits or rolls back the transaction or a savepoint, by taking or restoring a backup of the
+ * whole database.
+ *
+ * @param {string} sql - The statement, e.g. START TRANSACTION or ROLLBACK TO SAVEPOINT "name".
+ * @returns {Array|null} - No rows, or null if the statement is not a transaction statement.
+ */
+const runTransactionStatement = (sql) => {
+    const [, statement, savepoint] = /^\s*(START TRANSACTION|BEGIN|COMMIT|ROLLBACK|SAVEPOINT|ROLLBACK TO SAVEPOINT|RELEASE SAVEPOINT)(?:\s+"([^"]+)")?\s*;*\s*$/i
+        .exec(sql) ?? [];
+    if (!statement) return null;
+    const savepointIndex = transactionBackups.findLastIndex(({ name }) => name === savepoint);
+    switch (statement.toUpperCase()) {
+        case "START TRANSACTION":
+        case "BEGIN":
+            transactionBackups.splice(0, transactionBackups.length, { name: null, backup: memoryDb.backup() });
+            break;
+        case "SAVEPOINT":
+            transactionBackups.push({ name: savepoint, backup: memoryDb.backup() });
+            break;
+        case "ROLLBACK TO SAVEPOINT":
+            transactionBackups[savepointIndex].backup.restore();
+            transactionBackups.splice(savepointIndex + 1);
+            break;
+        case "RELEASE SAVEPOINT":
+            transactionBackups.splice(savepointIndex);
+            break;
+        case "ROLLBACK":
+            transactionBackups[0]?.backup.restore();
+            transactionBackups.splice(0);
+            break;
+        default:
+            transactionBackups.splice(0);
+    }
+    return [];
+};
+
+/**
+ * @function runEnumTypeBlock
+ *
+ * @description Runs the CREATE TYPE of a DO block creating an enum type, skipping an enum type which exists,
+ * and then the statements following the block.
+ *
+ * @param {string} statement - The CREATE TYPE statement of the DO block, with its quotes escaped.
+ * @param {string} nextStatements - The statements following the block, if any.
+ * @returns {Array} - No rows.
+ */
+const runEnumTypeBlock = (statement, nextStatements) => {
+    try {
+        memoryDb.public.none(statement.replace(/''/g, "'"));
+    } catch (error) {
+        if (!/already exists/i.test(error?.message)) throw error;
+    }
+    if (nextStatements.trim()) memoryDb.public.none(nextStatements);
+    return [];
+};
+
+/**
+ * @function findMatchingParen
+ *
+ * @description Finds the parenthesis closing the one at the given index, skipping the quoted strings.
+ *
+ * @param {string} sql - The SQL text.
+ * @param {number} openIndex - The index of the opening parenthesis.
+ * @returns {number} - The index of the closing parenthesis, or -1 if it is not closed.
+ */
+const findMatchingParen = (sql, openIndex) => {
+    let depth = 0;
+    for (let index = openIndex; index < sql.length; index++) {
+        if (sql[index] === "'") index = sql.indexOf("'", index + 1);
+        else if (sql[index] === "(") depth++;
+        else if (sql[index] === ")" && --depth === 0) return index;
+        if (index < 0) break;
+    }
+    return -1;
+};
+
+/**
+ * @function findConditionEnd
+ *
+ * @description Finds where the ON condition of a join starting at the given index ends: at the next join or clause,
+ * or at the parenthesis closing the subquery it is in.
+ *
+ * @param {string} sql - The SQL text.
+ * @param {number} startIndex - The index the condition starts at.
+ * @returns {number} - The index after the condition.
+ */
+const findConditionEnd = (sql, startIndex) => {
+    const clausePattern = /^ (?:INNER JOIN|LEFT OUTER JOIN|WHERE|GROUP BY|ORDER BY|LIMIT|OFFSET) |^;/;
+    for (let index = startIndex; index < sql.length; index++) {
+        if (sql[index] === "'") index = sql.indexOf("'", index + 1);
+        else if (sql[index] === "(") index = findMatchingParen(sql, index);
+        else if (sql[index] === ")" || clausePattern.test(sql.slice(index, index + 18))) return index;
+        if (index < 0) break;
+    }
+    return sql.length;
+};
+
+/**
+ * @function splitConditions
+ *
+ * @description Splits a condition into the conditions joined by AND outside of parentheses and quoted strings.
+ *
+ * @param {string} condition - The SQL condition.
+ * @returns {Array<string>} - The conditions.
+ */
+const splitConditions = (condition) => {
+    const conditions = [];
+    let start = 0;
+    for (let index = 0; index < condition.length; index++) {
+        if (condition[index] === "'") index = condition.indexOf("'", index + 1);
+        else if (condition[index] === "(") index = findMatchingParen(condition, index);
+        else if (condition.startsWith(" AND ", index)) {
+            conditions.push(condition.slice(start, index));
+            start = index + 5;
+        }
+        if (index < 0) break;
+    }
+    return [...conditions, condition.slice(start)];
+};
+
+/**
+ * @function flattenNestedJoins
+ *
+ * @description Flattens the nested joins of a many-to-many include, i.e.
+ * INNER JOIN ("through" INNER JOIN "target" ON c1) ON c2 into INNER JOIN "through" ON TRUE INNER JOIN "target" ON c1 AND c2,
+ * and LEFT OUTER JOIN ("through" INNER JOIN "target" ON c1) ON c2 into
+ * LEFT OUTER JOIN "through" ON c2 LEFT OUTER JOIN "target" ON c1. The conditions of c2 on the target, e.g. that it
+ * is not soft deleted, match the keys of "through" to the keys of the targets which meet them instead.
+ *
+ * @param {string} sql - The SQL query.
+ * @returns {string} - The query without nested joins.
+ */
+const flattenNestedJoins = (sql) => {
+    const nestedJoin = / (INNER JOIN|LEFT OUTER JOIN) \( ("\w+" AS "[^"]+") INNER JOIN ("\w+" AS "[^"]+") ON /;
+    let match;
+    while ((match = nestedJoin.exec(sql))) {
+        const [text, joinType, through, target] = match;
+        const closeIndex = findMatchingParen(sql, match.index + joinType.length + 2);
+        const innerCondition = sql.slice(match.index + text.length, closeIndex);
+        const outerStart = closeIndex + /^\)\s*ON /.exec(sql.slice(closeIndex))[0].length;
+        const outerEnd = findConditionEnd(sql, outerStart);
+        const outerCondition = sql.slice(outerStart, outerEnd);
+        const targetAlias = target.slice(target.lastIndexOf(" AS ") + 4);
+        const outerConditions = splitConditions(outerCondition);
+        const targetConditions = outerConditions.filter(condition => condition.includes(`${targetAlias}.`));
+        const throughConditions = outerConditions.filter(condition => !targetConditions.includes(condition));
+        if (joinType === "LEFT OUTER JOIN" && targetConditions.length) {
+            // pg-mem cannot correlate a subquery of a join, so the rows of "through" are matched by the keys of the targets
+            const keys = innerCondition.split(" = ");
+            const [targetKey, throughKey] = keys[0].startsWith(`${targetAlias}.`) ? keys : [...keys].reverse();
+            throughConditions.push(`${throughKey} IN (SELECT ${targetKey} FROM ${target} WHERE ${targetConditions.join(" AND ")})`);
+        }
+        const joins = joinType === "INNER JOIN"
+            ? ` INNER JOIN ${through} ON TRUE INNER JOIN ${target} ON (${innerCondition}) AND (${outerCondition})`
+            : ` LEFT OUTER JOIN ${through} ON ${throughConditions.join(" AND ")} LEFT OUTER JOIN ${target} ON ${innerCondition}`;
+        sql = `${sql.slice(0, match.index)}${joins}${sql.slice(outerEnd)}`;
+    }
+    return sql;
+};
+
+// The number of recursive common table expressions run, which names their tables
+let recursiveQueryCount = 0;
+
+/**
+ * @function materializeRecursiveQuery
+ *
+ * @description Runs a recursive common table expression into a table: its first query, then its recursive query
+ * on the rows the last run added until it adds none, keeping the rows seen before out for UNION.
+ *
+ * @param {string} cteName - The name of the common table expression.
+ * @param {string} cteQuery - The query of the common table expression, i.e. the first and recursive queries joined by UNION.
+ * @returns {string} - The name of the table of the rows, with a working table of the same name suffixed by _work.
+ */
+const materializeRecursiveQuery = (cteName, cteQuery) => {
+    const [, firstQuery, unionAll, recursiveQuery] = /^([\s\S]*?)\s+UNION(\s+ALL)?\s+([\s\S]*)$/.exec(cteQuery.trim());
+    const tableName = `${cteName}_recursive_${++recursiveQueryCount}`;
+    const { fields, rows } = memoryDb.public.query(firstQuery);
+    const columns = fields.map(({ name, type }) => `"${name}" ${type}`).join(", ");
+    memoryDb.public.none(`CREATE TABLE ${tableName} (${columns}); CREATE TABLE ${tableName}_work (${columns});`);
+    const table = memoryDb.public.getTable(tableName), workTable = memoryDb.public.getTable(`${tableName}_work`);
+    const seenRows = new Set();
+    let addedRows = rows;
+    while (addedRows.length) {
+        addedRows = addedRows.filter(row => unionAll || !seenRows.has(JSON.stringify(row)) && seenRows.add(JSON.stringify(row)));
+        memoryDb.public.none(`DELETE FROM ${tableName}_work`);
+        addedRows.forEach(row => {
+            table.insert(row);
+            workTable.insert(row);
+        });
+        if (addedRows.length) addedRows = memoryDb.public.many(recursiveQuery.replace(new RegExp(`\\b${cteName}\\b`, "g"), `${tableName}_work`));
+    }
+    return tableName;
+};
+
+/**
+ * @function runRecursiveQueries
+ *
+ * @description Runs a query with recursive common table expressions, i.e. WITH RECURSIVE name AS (...) SELECT ...,
+ * at its top or in a subquery, by running each of them into a table which the query reads instead.
+ *
+ * @param {string} sql - The SQL query.
+ * @returns {Array<Object>|null} - The rows of the query, or null if it has no recursive common table expression.
+ */
+const runRecursiveQueries = (sql) => {
+    const recursiveQuery = /WITH RECURSIVE (\w+) AS \(/;
+    const tableNames = [];
+    let match;
+    while ((match = recursiveQuery.exec(sql))) {
+        const [text, cteName] = match;
+        const closeIndex = findMatchingParen(sql, match.index + text.length - 1);
+        const tableName = materializeRecursiveQuery(cteName, sql.slice(match.index + text.length, closeIndex));
+        tableNames.push(tableName);
+        // The query of a subquery ends at the parenthesis closing the subquery
+        const queryEnd = sql[match.index - 1] === "(" ? findMatchingParen(sql, match.index - 1) : sql.length;
+        const query = sql.slice(closeIndex + 1, queryEnd).replace(new RegExp(`\\b${cteName}\\b`, "g"), tableName);
+        sql = `${sql.slice(0, match.index)}${query}${sql.slice(queryEnd)}`;
+    }
+    if (!tableNames.length) return null;
+    try {
+        return memoryDb.public.many(flattenNestedJoins(sql));
+    } finally {
+        tableNames.forEach(tableName => memoryDb.public.none(`DROP TABLE ${tableName}; DROP TABLE ${tableName}_work;`));
+    }
+};
+
+memoryDb.public.interceptQueries(sql => {
+    const transactionResult = runTransactionStatement(sql);
+    if (transactionResult) return transactionResult;
+    if (/^\s*LOCK TABLE /i.test(sql)) return [];
+    const existingTable = /^\s*CREATE TABLE IF NOT EXISTS "?(\w+)"? /i.exec(sql);
+    if (existingTable && memoryDb.public.getTable(existingTable[1], true)) return [];
+    if (/ FROM pg_type t JOIN pg_enum /i.test(sql) || / FROM pg_constraint /i.test(sql)) return [];
+    const enumTypeBlock = /^\s*DO '(?:BEGIN )?(CREATE TYPE [\s\S]*?);\s*EXCEPTION [\s\S]*? END';([\s\S]*)$/i.exec(sql);
+    if (enumTypeBlock) return runEnumTypeBlock(enumTypeBlock[1], enumTypeBlock[2]);
+    const selfReference = /^CREATE TABLE IF NOT EXISTS "(\w+)"/.exec(sql);
+    if (selfReference && sql.includes(` REFERENCES "${selfReference[1]}" `)) {
+        memoryDb.public.none(sql.replace(new RegExp(` REFERENCES "${selfReference[1]}" \\("id"\\)[^,]*?(?=,)`, "g"), ""));
+        return [];
+    }
+    const recursiveRows = runRecursiveQueries(sql);
+    if (recursiveRows) return recursiveRows;
+    const flatSql = flattenNestedJoins(sql);
+    return flatSql === sql ? null : memoryDb.public.many(flatSql);
+});
+
+const pgAdapter = memoryDb.adapters.createPg();
+const { adaptResults } = pgAdapter.Client.prototype;
+pgAdapter.Client.prototype.adaptResults = function (query, result) {
+    const adaptedResult = adaptResults.call(this, query, result);
+    const dateFields = result.fields.filter(({ type }) => type === DataType.date).map(({ name }) => name);
+    adaptedResult.rows.forEach(row => dateFields.forEach(field => {
+        if (row[field] instanceof Date) row[field] = row[field].toISOString().slice(0, 10);
+    }));
+    return adaptedResult;
+};
+
+const sequelize = new Sequelize(process.env.DB_NAME, process.env.DB_USER, process.env.DB_PASSWORD, {
+    dialect: "postgres",
+    dialectModule: pgAdapter,
+    logging: false,
+});
+
+const queryInterface = sequelize.getQueryInterface();
+queryInterface.describeTable = async (tableName, { transaction } = {}) => {
+    const [columns] = await sequelize.query(`SELECT column_name FROM information_schema.columns
+        WHERE table_name = :tableName`, { replacements: { tableName }, transaction });
+    return Object.fromEntries(columns.map(({ column_name: columnName }) => [columnName, {}]));
+};
+const { queryGenerator } = queryInterface;
+const insertQuery = queryGenerator.insertQuery;
+queryGenerator.insertQuery = function (table, values, attributes, options = {}) {
+    return insertQuery.call(this, table, values, attributes, { ...options, exception: false });
+};
+
+require.cache[DB_MODULE_PATH] = { id: DB_MODULE_PATH, filename: DB_MODULE_PATH, loaded: true, exports: sequelize };
+
+/**
+ * @function applyMigrations
+ *
+ * @description Applies the migrations of src/db/migrations up to the given one, each in its own transaction,
+ * without recording them in schema_migrations. It lets a test fill the tables as they were before a migration.
+ *
+ * @param {string} lastName - The name of the last migration to apply, without the .js extension.
+ * @param {string} firstName - The name of the first migration to apply (optional, default: the first one).
+ * @returns {Promise<void>}
+ */
+const applyMigrations = async (lastName, firstName) => {
+    const names = fs.readdirSync(MIGRATIONS_DIR)
+        .map(fileName => path.basename(fileName, ".js"))
+        .sort()
+        .filter(name => name <= lastName && (!firstName || name >= firstName));
+    for (const name of names) {
+        const { up } = require(path.join(MIGRATIONS_DIR, name));
+        await sequelize.transaction(transaction => up(queryInterface, transaction));
+    }
+};
+
+module.exports = { applyMigrations, memoryDb, sequelize };
@@ -0,0 +1,33 @@
+// test/helpers/warnings.js
+
+/**
+ * @module warnings
+ * Ecospace Test Warnings
+ *
+ * @description This module collects the warnings logged by the code under test, e.g. the rows a migration skipped,
+ * so that the tests can check them instead of printing them.
+ *
+ * @exports { collectWarnings }
+ */
+
+/**
+ * @function collectWarnings
+ *
+ * @description Runs a function with console.warn muted, and returns the warnings it logged.
+ *
+ * @param {Function} run - The async function to run.
+ * @returns {Promise<Array<string>>} - The warnings, each formatted like console.warn prints it.
+ */
+const collectWarnings = async (run) => {
+    const warnings = [];
+    const { warn } = console;
+    console.warn = (message, ...values) => warnings.push(values.reduce((text, value) => text.replace(/%[sd]/, value), message));
+    try {
+        await run();
+    } finally {
+        console.warn = warn;
+    }
+    return warnings;
+};
+
+module.exports = { collectWarnings };
@@ -0,0 +1,110 @@
+// test/import.test.js
+
+/**
+ * @module import.test
+ * Ecospace Plant Import Tests
+ *
+ * @description Tests importing plants in bulk: the report of a dry run, which saves nothing,
+ * and an import which saves all the rows or none of them.
+ */
+
+// Core module imports
+const assert = require("node:assert/strict");
+const { before, describe, test } = require("node:test");
+const request = require("supertest");
+// Custom module imports
+require("./helpers/database");
+const { authorizeAs } = require("./helpers/auth");
+const app = require("../src/app");
+const { USER_ROLE } = require("../src/constants/user-constant");
+const GrowthStage = require("../src/db/models/GrowthStage");
+const Plant = require("../src/db/models/Plant");
+const PlantGrowthStage = require("../src/db/models/PlantGrowthStage");
+const { migrateUp } = require("../src/db/scripts/migrate");
+
+const TOMATO = Object.freeze({
+    name: "tomato",
+    scientific_name: "solanum lycopersicum",
+    category: "crop",
+    growth_cycle: "annual",
+    growth_habit: "herbaceous",
+    ideal_season: "summer",
+    purpose: "vegetable",
+    growth_stages: [{ name: "germination", min_days: 5, max_days: 10 }, { name: "seedling" }],
+});
+const OKRA = Object.freeze({ ...TOMATO, name: "okra", scientific_name: "abelmoschus esculentus", growth_stages: undefined });
+let authorization;
+let germination, seedling;
+
+/**
+ * @function importPlants
+ *
+ * @description Sends the rows of a plant import as an editor.
+ *
+ * @param {Array<Object>} rows - The rows of the import.
+ * @param {boolean} dryRun - Whether to only report on the rows.
+ * @returns {Promise<Object>} - The response of the import.
+ */
+const importPlants = (rows, dryRun) => request(app).post(`/plants/import${dryRun ? "?dry_run=true" : ""}`)
+    .set("Authorization", authorization).send(rows);
+
+before(async () => {
+    await migrateUp();
+    authorization = await authorizeAs(USER_ROLE.EDITOR);
+    [germination, seedling] = await GrowthStage.bulkCreate([
+        { name: "germination", order: 1, minDays: 0, maxDays: 14 },
+        { name: "seedling", order: 2, minDays: 7, maxDays: 21 },
+    ]);
+});
+
+describe("POST /plants/import?dry_run=true", () => {
+    test("reports what importing would do to each row without saving anything", async () => {
+        const response = await importPlants([TOMATO, { ...OKRA, category: "tree" }, { name: "tomato" }], true);
+        assert.equal(response.status, 200);
+        const { applied, dry_run: dryRun, rows, summary } = response.body.data;
+        assert.equal(dryRun, true);
+        assert.equal(applied, false);
+        assert.deepEqual(summary, { created: 1, error: 2, skipped: 0, updated: 0 });
+        assert.deepEqual(rows.map(({ name, status }) => ({ name, status })), [
+            { name: "tomato", status: "created" },
+            { name: "okra", status: "error" },
+            { name: "tomato", status: "error" },
+        ]);
+        assert.ok(rows[1].errors.some(({ field }) => field === "category"));
+        assert.ok(rows[2].errors.some(({ message }) => message === "name is repeated from row 1"));
+
+        assert.equal(await Plant.count({ paranoid: false }), 0);
+        assert.equal(await PlantGrowthStage.count(), 0);
+    });
+
+    test("reports a growth stage missing from the catalog as an error of its row", async () => {
+        const response = await importPlants([{ ...TOMATO, growth_stages: [{ name: "fruiting" }] }], true);
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.rows[0].errors, [{ field: "growth_stages", message: "Growth stage(s) not found: fruiting" }]);
+    });
+});
+
+describe("POST /plants/import", () => {
+    test("saves nothing when a row is invalid", async () => {
+        const response = await importPlants([TOMATO, { ...OKRA, category: "tree" }], false);
+        assert.equal(response.status, 400);
+        assert.ok(response.body.errors.every(({ row }) => row === 2));
+        assert.equal(await Plant.count({ paranoid: false }), 0);
+    });
+
+    test("saves all the rows when every row is valid, and reports the unchanged rows as skipped", async () => {
+        const response = await importPlants([TOMATO, OKRA], false);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.applied, true);
+        assert.deepEqual(response.body.data.summary, { created: 2, error: 0, skipped: 0, updated: 0 });
+        assert.equal(await Plant.count(), 2);
+        const tomato = await Plant.findOne({ where: { name: "tomato" } });
+        const links = await PlantGrowthStage.findAll({ where: { plantId: tomato.id }, raw: true });
+        assert.deepEqual(Object.fromEntries(links.map(({ growthStageId, maxDays, minDays }) => [growthStageId, [minDays, maxDays]])),
+            { [germination.id]: [5, 10], [seedling.id]: [null, null] });
+
+        const dryRun = await importPlants([TOMATO, { ...OKRA, purpose: "fodder" }], true);
+        assert.deepEqual(dryRun.body.data.summary, { created: 0, error: 0, skipped: 1, updated: 1 });
+        assert.equal((await Plant.findOne({ where: { name: "okra" } })).purpose, "vegetable");
+    });
+});
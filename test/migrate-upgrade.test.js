@@ -0,0 +1,88 @@
+// test/migrate-upgrade.test.js
+
+/**
+ * @module migrate-upgrade.test
+ * Ecospace Schema Migration Tests for Databases Set Up Before the Migrations
+ *
+ * @description Tests applying the migrations on a database set up before the migrations, whose plants keep the
+ * growth stages, compatible plants, common pests, recommended fertilizers and compatible regions as free text arrays.
+ * The database is built with the baseline migrations, which create the tables as they were, and not recorded.
+ */
+
+// Core module imports
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+// Custom module imports
+const { applyMigrations, sequelize } = require("./helpers/database");
+const { collectWarnings } = require("./helpers/warnings");
+const { getMigrationStatus, migrateUp } = require("../src/db/scripts/migrate");
+
+const TOMATO_ID = "10000000-0000-4000-8000-000000000001";
+const BASIL_ID = "10000000-0000-4000-8000-000000000002";
+
+/**
+ * @function selectRows
+ *
+ * @description Runs a SELECT query and returns its rows.
+ *
+ * @param {string} sql - The SELECT query.
+ * @returns {Promise<Array<Object>>} - The rows of the query.
+ */
+const selectRows = async (sql) => (await sequelize.query(sql))[0];
+
+test("brings a database set up before the migrations up to date, moving the free text arrays into links", async () => {
+    await applyMigrations("003-create-growth-stages");
+    await sequelize.query(`INSERT INTO soils (id, name, drainage, nutrient_level, organic_matter_level, texture, type,
+        water_retention_level, created_at, updated_at)
+        VALUES ('30000000-0000-4000-8000-000000000001', 'loam', 'well-drained', 'moderate', 'medium', 'loamy', 'alluvial',
+        'moderate', NOW(), NOW())`);
+    await sequelize.query(`INSERT INTO growth_stages (id, name, "order", min_days, max_days, created_at, updated_at)
+        VALUES ('20000000-0000-4000-8000-000000000001', 'germination', 1, 0, 14, NOW(), NOW()),
+        ('20000000-0000-4000-8000-000000000002', 'seedling', 2, 7, 21, NOW(), NOW())`);
+    await sequelize.query(`INSERT INTO plants (id, name, category, growth_cycle, growth_habit, ideal_season, purpose,
+        common_names, growth_stages, compatible_plants, common_pests, recommended_fertilizers, region_compatibility,
+        created_at, updated_at)
+        VALUES ('${TOMATO_ID}', 'tomato', 'crop', 'annual', 'herbaceous', 'summer', 'vegetable', ARRAY['Love apple'],
+        ARRAY['germination', 'seedling'], ARRAY['Sweet basil'], ARRAY['aphid'], ARRAY['compost'], ARRAY['India'],
+        NOW(), NOW()),
+        ('${BASIL_ID}', 'basil', 'plant', 'annual', 'herb', 'summer', 'herb', ARRAY['Sweet basil'],
+        ARRAY['germination'], ARRAY['love apple'], ARRAY['aphid'], '{}', ARRAY['India'], NOW(), NOW())`);
+
+    const warnings = await collectWarnings(() => migrateUp());
+    assert.ok((await getMigrationStatus()).every(({ applied }) => applied));
+
+    const growthStages = await selectRows(`SELECT plants.name, growth_stages.name AS growth_stage FROM plant_growth_stages
+        JOIN plants ON plants.id = plant_growth_stages.plant_id
+        JOIN growth_stages ON growth_stages.id = plant_growth_stages.growth_stage_id ORDER BY plants.name, growth_stages.name`);
+    assert.deepEqual(growthStages, [
+        { name: "basil", growth_stage: "germination" },
+        { name: "tomato", growth_stage: "germination" },
+        { name: "tomato", growth_stage: "seedling" },
+    ]);
+    // Both plants name each other by a common name, which makes a single pair
+    assert.deepEqual(await selectRows("SELECT plant_id, companion_id, relationship FROM plant_companions"),
+        [{ plant_id: TOMATO_ID, companion_id: BASIL_ID, relationship: "companion" }]);
+    const pests = await selectRows(`SELECT plant_pests.plant_id, pests.name FROM plant_pests
+        JOIN pests ON pests.id = plant_pests.pest_id ORDER BY plant_pests.plant_id`);
+    assert.deepEqual(pests, [{ plant_id: TOMATO_ID, name: "aphid" }, { plant_id: BASIL_ID, name: "aphid" }]);
+    const regions = await selectRows(`SELECT plant_regions.plant_id, regions.name, regions.level FROM plant_regions
+        JOIN regions ON regions.id = plant_regions.region_id ORDER BY plant_regions.plant_id`);
+    assert.deepEqual(regions, [
+        { plant_id: TOMATO_ID, name: "India", level: "country" },
+        { plant_id: BASIL_ID, name: "India", level: "country" },
+    ]);
+    // The fertilizer catalog starts empty, so the recommended fertilizers have nothing to link to
+    assert.equal((await selectRows("SELECT plant_id FROM plant_fertilizers")).length, 0);
+    assert.deepEqual(warnings, [
+        "Skipped recommended fertilizer 'compost' of plant 'tomato': no fertilizer with that name",
+        "Created region 'India' at the country level, correct its level and parent under /regions",
+    ]);
+
+    const plantColumns = Object.keys(await sequelize.getQueryInterface().describeTable("plants"));
+    ["growth_stages", "compatible_plants", "common_pests", "recommended_fertilizers", "region_compatibility"]
+        .forEach(column => assert.ok(!plantColumns.includes(column), `plants.${column} was kept`));
+    // The rows saved before the migrations are kept, and none of them is soft deleted
+    assert.deepEqual(await selectRows("SELECT name, deleted_at FROM soils"), [{ name: "loam", deleted_at: null }]);
+    assert.deepEqual(await selectRows("SELECT name FROM plants WHERE deleted_at IS NULL ORDER BY name"),
+        [{ name: "basil" }, { name: "tomato" }]);
+});
@@ -0,0 +1,63 @@
+// test/migrate.test.js
+
+/**
+ * @module migrate.test
+ * Ecospace Schema Migration Tests
+ *
+ * @description Tests applying and reverting the migrations on an empty database with the migrate script.
+ * The tests run in order on the same database.
+ */
+
+// Core module imports
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+// Custom module imports
+const { memoryDb, sequelize } = require("./helpers/database");
+const { getMigrationStatus, migrateDown, migrateUp } = require("../src/db/scripts/migrate");
+
+/**
+ * @function listColumns
+ *
+ * @description Lists the column names of a table.
+ *
+ * @param {string} tableName - The name of the table.
+ * @returns {Promise<Array<string>>} - The column names of the table.
+ */
+const listColumns = async (tableName) => Object.keys(await sequelize.getQueryInterface().describeTable(tableName));
+
+describe("migrateUp", () => {
+    test("applies all the migrations in order, and none when run again", async () => {
+        const applied = await migrateUp();
+        assert.equal(applied[0], "001-create-soils");
+        assert.deepEqual(applied, [...applied].sort());
+        assert.deepEqual(await migrateUp(), []);
+
+        const status = await getMigrationStatus();
+        assert.deepEqual(status.map(({ name }) => name), applied);
+        assert.ok(status.every(({ applied }) => applied));
+    });
+
+    test("leaves the plants without the free text columns moved to their own tables", async () => {
+        const columns = await listColumns("plants");
+        ["common_pests", "compatible_plants", "growth_stages", "recommended_fertilizers", "region_compatibility"]
+            .forEach(column => assert.ok(!columns.includes(column), `plants still has ${column}`));
+        assert.ok(columns.includes("deleted_at"));
+        assert.ok(columns.includes("ph_min"));
+        assert.ok(columns.includes("preferred_drainage"));
+        assert.ok((await listColumns("season_calendars")).includes("region_id"));
+    });
+});
+
+describe("migrateDown", () => {
+    // pg-mem keeps the names of the unique indexes of a dropped table, so the reverted migration is not applied again
+    test("reverts the last applied migration only", async () => {
+        const lastName = (await getMigrationStatus()).at(-1).name;
+        assert.equal(lastName, "023-create-api-keys");
+        assert.deepEqual(await migrateDown(), [lastName]);
+
+        const status = await getMigrationStatus();
+        assert.deepEqual(status.filter(({ applied }) => !applied).map(({ name }) => name), [lastName]);
+        assert.equal(memoryDb.public.getTable("api_keys", true), null);
+        assert.ok(memoryDb.public.getTable("users", true));
+    });
+});
@@ -0,0 +1,108 @@
+// test/move-migrations.test.js
+
+/**
+ * @module move-migrations.test
+ * Ecospace Data Moving Migration Tests
+ *
+ * @description Tests the migrations moving the free text columns of the plants and the season calendar into the
+ * tables which replaced them. The tests run in order on the same database, each applying the migrations up to the
+ * one it tests after filling the free text column that migration moves.
+ */
+
+// Core module imports
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+// Custom module imports
+const { applyMigrations, sequelize } = require("./helpers/database");
+const { collectWarnings } = require("./helpers/warnings");
+
+const PLANT_ID = "10000000-0000-4000-8000-000000000001";
+const SEEDLING_ID = "20000000-0000-4000-8000-000000000002";
+const INDIA_ID = "30000000-0000-4000-8000-000000000001";
+
+/**
+ * @function selectRows
+ *
+ * @description Runs a SELECT query and returns its rows.
+ *
+ * @param {string} sql - The SELECT query.
+ * @returns {Promise<Array<Object>>} - The rows of the query.
+ */
+const selectRows = async (sql) => (await sequelize.query(sql))[0];
+
+/**
+ * @function hasColumn
+ *
+ * @description Checks whether a table has a column.
+ *
+ * @param {string} tableName - The name of the table.
+ * @param {string} columnName - The name of the column.
+ * @returns {Promise<boolean>} - True if the table has the column, else false.
+ */
+const hasColumn = async (tableName, columnName) =>
+    Object.hasOwn(await sequelize.getQueryInterface().describeTable(tableName), columnName);
+
+describe("007-move-plant-growth-stages", () => {
+    test("links the plant to the growth stages named in growth_stages and drops the column", async () => {
+        await applyMigrations("006-create-plant-growth-stages");
+        await sequelize.query(`INSERT INTO growth_stages (id, name, "order", min_days, max_days, created_at, updated_at)
+            VALUES ('20000000-0000-4000-8000-000000000001', 'germination', 1, 0, 14, NOW(), NOW()),
+            ('${SEEDLING_ID}', 'seedling', 2, 7, 21, NOW(), NOW())`);
+        await sequelize.query(`INSERT INTO plants (id, name, scientific_name, category, growth_cycle, growth_habit,
+            ideal_season, purpose, growth_stages, created_at, updated_at)
+            VALUES ('${PLANT_ID}', 'tomato', 'solanum lycopersicum', 'crop', 'annual', 'herbaceous', 'summer',
+            'vegetable', ARRAY['Germination', ' seedling', 'ripening'], NOW(), NOW())`);
+
+        const warnings = await collectWarnings(() => applyMigrations("007-move-plant-growth-stages", "007"));
+        const links = await selectRows(`SELECT growth_stage_id, min_days, max_days FROM plant_growth_stages
+            ORDER BY growth_stage_id`);
+        assert.deepEqual(links, [
+            { growth_stage_id: "20000000-0000-4000-8000-000000000001", min_days: null, max_days: null },
+            { growth_stage_id: SEEDLING_ID, min_days: null, max_days: null },
+        ]);
+        assert.deepEqual(warnings, ["Skipped growth stage 'ripening' of plant 'tomato': no growth stage with that name"]);
+        assert.equal(await hasColumn("plants", "growth_stages"), false);
+    });
+});
+
+describe("015-move-common-pests", () => {
+    test("links the plant to the existing pests and saves the other pests", async () => {
+        await applyMigrations("014-create-pests", "008");
+        await sequelize.query(`INSERT INTO pests (id, name, created_at, updated_at)
+            VALUES ('40000000-0000-4000-8000-000000000001', 'Aphid', NOW(), NOW())`);
+        await sequelize.query(`UPDATE plants SET common_pests = ARRAY['aphid', 'Whitefly', 'whitefly '] WHERE id = '${PLANT_ID}'`);
+
+        await applyMigrations("015-move-common-pests", "015");
+        const pests = await selectRows(`SELECT pests.name FROM plant_pests JOIN pests ON pests.id = plant_pests.pest_id
+            ORDER BY pests.name`);
+        assert.deepEqual(pests.map(({ name }) => name), ["Aphid", "Whitefly"]);
+        assert.equal((await selectRows("SELECT id FROM pests")).length, 2);
+        assert.equal(await hasColumn("plants", "common_pests"), false);
+    });
+});
+
+describe("019-move-region-compatibility", () => {
+    test("links the plant and the season calendar to the regions, saving unknown names as countries", async () => {
+        await applyMigrations("018-create-regions", "016");
+        await sequelize.query(`INSERT INTO regions (id, name, code, level, created_at, updated_at)
+            VALUES ('${INDIA_ID}', 'India', 'IN', 'country', NOW(), NOW())`);
+        await sequelize.query(`UPDATE plants SET region_compatibility = ARRAY['in', 'Nepal'] WHERE id = '${PLANT_ID}'`);
+        await sequelize.query(`INSERT INTO season_calendars (id, region, season, months, created_at, updated_at)
+            VALUES ('50000000-0000-4000-8000-000000000001', 'india', 'summer', ARRAY[3, 4, 5], NOW(), NOW()),
+            ('50000000-0000-4000-8000-000000000002', 'IN', 'summer', ARRAY[4, 5, 6], NOW(), NOW())`);
+
+        const warnings = await collectWarnings(() => applyMigrations("019-move-region-compatibility", "019"));
+        const regions = await selectRows(`SELECT regions.name, regions.level FROM plant_regions
+            JOIN regions ON regions.id = plant_regions.region_id ORDER BY regions.name`);
+        assert.deepEqual(regions, [{ name: "India", level: "country" }, { name: "Nepal", level: "country" }]);
+
+        // India has a second set of summer months under its code, which is removed
+        const seasonCalendars = await selectRows("SELECT id, region_id FROM season_calendars");
+        assert.deepEqual(seasonCalendars, [{ id: "50000000-0000-4000-8000-000000000001", region_id: INDIA_ID }]);
+        assert.deepEqual(warnings, [
+            "Created region 'Nepal' at the country level, correct its level and parent under /regions",
+            "Removed summer months of 'IN': not a single region",
+        ]);
+        assert.equal(await hasColumn("season_calendars", "region"), false);
+    });
+});
@@ -0,0 +1,147 @@
+// test/plantings.test.js
+
+/**
+ * @module plantings.test
+ * Ecospace Planting Tests
+ *
+ * @description Tests the garden, plot and planting endpoints: creating gardens and their plots, sowing plantings
+ * in the plots, advancing them through the growth stages of their plants, and their growth stage history and timeline.
+ */
+
+// Core module imports
+const assert = require("node:assert/strict");
+const { before, describe, test } = require("node:test");
+const request = require("supertest");
+// Custom module imports
+require("./helpers/database");
+const { authorizeAs } = require("./helpers/auth");
+const app = require("../src/app");
+const { USER_ROLE } = require("../src/constants/user-constant");
+const GrowthStage = require("../src/db/models/GrowthStage");
+const Soil = require("../src/db/models/Soil");
+const { migrateUp } = require("../src/db/scripts/migrate");
+
+const MISSING_ID = "10000000-0000-4000-8000-000000000001";
+let editor, loam, tomato, basil, garden, plot, planting;
+
+before(async () => {
+    await migrateUp();
+    editor = await authorizeAs(USER_ROLE.EDITOR);
+    await GrowthStage.bulkCreate([
+        { name: "germination", order: 1, minDays: 0, maxDays: 14 },
+        { name: "seedling", order: 2, minDays: 7, maxDays: 21 },
+    ]);
+    loam = await Soil.create({ name: "loam", drainage: "well-drained", nutrientLevel: "moderate", organicMatterLevel: "medium",
+        texture: "loamy", type: "alluvial", waterRetentionLevel: "moderate" });
+    const plant = { category: "crop", growth_cycle: "annual", growth_habit: "herbaceous", ideal_season: "summer", purpose: "vegetable" };
+    tomato = (await request(app).post("/plants").set("Authorization", editor).send({ ...plant, name: "tomato",
+        growth_stages: [{ name: "germination", min_days: 5, max_days: 10 }, "seedling"] })).body.data;
+    basil = (await request(app).post("/plants").set("Authorization", editor).send({ ...plant, name: "basil" })).body.data;
+});
+
+describe("gardens and plots", () => {
+    test("creates a garden and a plot in it", async () => {
+        const gardenResponse = await request(app).post("/gardens").set("Authorization", editor)
+            .send({ name: "Backyard", area: 40, soil_id: loam.id });
+        assert.equal(gardenResponse.status, 201);
+        garden = gardenResponse.body.data;
+        const plotResponse = await request(app).post(`/gardens/${garden.id}/plots`).set("Authorization", editor)
+            .send({ name: "Bed 1", area: 4, soil_id: loam.id });
+        assert.equal(plotResponse.status, 201);
+        plot = plotResponse.body.data;
+        assert.equal(plot.garden_id, garden.id);
+
+        const plots = await request(app).get(`/gardens/${garden.id}/plots`);
+        assert.deepEqual(plots.body.data.map(({ name }) => name), ["Bed 1"]);
+    });
+
+    test("rejects an invalid garden, and a plot of a garden or soil which does not exist", async () => {
+        const invalidGarden = await request(app).post("/gardens").set("Authorization", editor).send({ name: "", area: -1 });
+        assert.equal(invalidGarden.status, 400);
+        assert.deepEqual(invalidGarden.body.errors.map(({ field }) => field).sort(), ["area", "name"]);
+        const missingGarden = await request(app).post(`/gardens/${MISSING_ID}/plots`).set("Authorization", editor)
+            .send({ name: "Bed 2", area: 4, soil_id: loam.id });
+        assert.equal(missingGarden.status, 404);
+        const missingSoil = await request(app).post(`/gardens/${garden.id}/plots`).set("Authorization", editor)
+            .send({ name: "Bed 2", area: 4, soil_id: MISSING_ID });
+        assert.equal(missingSoil.status, 400);
+        assert.equal(missingSoil.body.message, "Soil not found for soil_id");
+    });
+});
+
+describe("POST /plantings", () => {
+    test("sows a planting in the first growth stage of its plant", async () => {
+        const response = await request(app).post("/plantings").set("Authorization", editor)
+            .send({ plant_id: tomato.id, plot_id: plot.id, sow_date: "2025-01-01", quantity: 6 });
+        assert.equal(response.status, 201);
+        planting = response.body.data;
+        assert.equal(planting.current_growth_stage.name, "germination");
+        assert.equal(planting.quantity, 6);
+        assert.equal(planting.sow_date, "2025-01-01");
+    });
+
+    test("rejects a planting sown in the future, or of a plant without growth stages", async () => {
+        const future = await request(app).post("/plantings").set("Authorization", editor)
+            .send({ plant_id: tomato.id, plot_id: plot.id, sow_date: "2999-01-01" });
+        assert.equal(future.status, 400);
+        assert.deepEqual(future.body.errors, [{ field: "sow_date", message: "sow_date can not be in the future" }]);
+        const noStages = await request(app).post("/plantings").set("Authorization", editor)
+            .send({ plant_id: basil.id, plot_id: plot.id, sow_date: "2025-01-01" });
+        assert.equal(noStages.status, 400);
+        assert.equal(noStages.body.message, "Plant has no growth stages to track");
+    });
+});
+
+describe("POST /plantings/:planting_id/advance", () => {
+    test("rejects a transition before the current growth stage was entered", async () => {
+        const response = await request(app).post(`/plantings/${planting.id}/advance`).set("Authorization", editor)
+            .send({ transitioned_at: "2024-12-31T00:00:00Z" });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.message, "transitioned_at must be after the current growth stage was entered");
+    });
+
+    test("advances the planting to the next growth stage, up to the final one", async () => {
+        const response = await request(app).post(`/plantings/${planting.id}/advance`).set("Authorization", editor)
+            .send({ transitioned_at: "2025-01-08T00:00:00Z" });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.message, "Planting advanced to seedling");
+        assert.equal(response.body.data.current_growth_stage.name, "seedling");
+        const final = await request(app).post(`/plantings/${planting.id}/advance`).set("Authorization", editor).send({});
+        assert.equal(final.status, 409);
+        assert.equal(final.body.message, "Planting is already in the final growth stage");
+    });
+});
+
+describe("growth stage history and timeline of a planting", () => {
+    test("compares the days spent in each growth stage with the days of the plant", async () => {
+        const response = await request(app).get(`/plantings/${planting.id}/stages`);
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.map(({ days_spent: daysSpent, growth_stage: growthStage, status }) =>
+            [growthStage.name, status, growthStage.name === "germination" ? daysSpent : null]), [
+            ["germination", "within", 7],
+            ["seedling", "longer", null],
+        ]);
+    });
+
+    test("projects the growth stages of its plant from the sow date", async () => {
+        const response = await request(app).get(`/plantings/${planting.id}/timeline`);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.sow_date, "2025-01-01");
+        assert.deepEqual(response.body.data.stages.map(({ name, latest_end_date: latestEndDate }) => [name, latestEndDate]),
+            [["germination", "2025-01-11"], ["seedling", "2025-02-01"]]);
+    });
+});
+
+describe("listing and deleting plantings", () => {
+    test("lists the plantings of a plot, and removes a planting", async () => {
+        const list = await request(app).get("/plantings").query({ plot_id: plot.id });
+        assert.equal(list.status, 200);
+        assert.deepEqual(list.body.data.map(({ id }) => id), [planting.id]);
+        const invalid = await request(app).get("/plantings").query({ sort_by: "quantity" });
+        assert.equal(invalid.status, 400);
+
+        assert.equal((await request(app).delete(`/plantings/${planting.id}`).set("Authorization", editor)).status, 204);
+        assert.equal((await request(app).get(`/plantings/${planting.id}`)).status, 404);
+        assert.equal((await request(app).get(`/plantings/${planting.id}/stages`)).status, 404);
+    });
+});
@@ -0,0 +1,260 @@
+// test/plants.test.js
+
+/**
+ * @module plants.test
+ * Ecospace Plant Tests
+ *
+ * @description Tests the plant endpoints: validating, creating, listing, updating, soft deleting, restoring and
+ * purging plants, searching them, projecting their growth stage timeline and exporting them.
+ */
+
+// Core module imports
+const assert = require("node:assert/strict");
+const { before, describe, test } = require("node:test");
+const request = require("supertest");
+// Custom module imports
+require("./helpers/database");
+const { authorizeAs } = require("./helpers/auth");
+const app = require("../src/app");
+const { USER_ROLE } = require("../src/constants/user-constant");
+const GrowthStage = require("../src/db/models/GrowthStage");
+const Region = require("../src/db/models/Region");
+const { migrateUp } = require("../src/db/scripts/migrate");
+
+const TOMATO = Object.freeze({
+    name: "Tomato",
+    scientific_name: "Solanum lycopersicum",
+    category: "crop",
+    growth_cycle: "annual",
+    growth_habit: "herbaceous",
+    ideal_season: "summer",
+    purpose: "vegetable",
+    common_names: ["Love apple"],
+    tags: ["nightshade", "staking"],
+    growth_stages: [{ name: "germination", min_days: 5, max_days: 10 }, "seedling", "harvesting"],
+});
+const MISSING_ID = "10000000-0000-4000-8000-000000000001";
+let editor, admin, india, kerala;
+const plants = {};
+
+/**
+ * @function createPlant
+ *
+ * @description Creates a plant as an editor.
+ *
+ * @param {Object} plant - The body of the plant.
+ * @returns {Promise<Object>} - The response of the create.
+ */
+const createPlant = (plant) => request(app).post("/plants").set("Authorization", editor).send(plant);
+
+before(async () => {
+    await migrateUp();
+    editor = await authorizeAs(USER_ROLE.EDITOR);
+    admin = await authorizeAs(USER_ROLE.ADMIN);
+    await GrowthStage.bulkCreate([
+        { name: "germination", order: 1, minDays: 0, maxDays: 14 },
+        { name: "seedling", order: 2, minDays: 7, maxDays: 21 },
+        { name: "harvesting", order: 3, minDays: 20, maxDays: 40 },
+    ]);
+    india = await Region.create({ name: "India", code: "IN", level: "country" });
+    kerala = await Region.create({ name: "Kerala", code: "IN-KL", level: "state", parentId: india.id });
+});
+
+describe("POST /plants", () => {
+    test("creates a plant with its growth stages and regions, sanitizing the names", async () => {
+        const response = await createPlant({ ...TOMATO, region_ids: [india.id] });
+        assert.equal(response.status, 201);
+        const { data } = response.body;
+        assert.equal(data.name, "tomato");
+        assert.equal(data.scientific_name, "solanum lycopersicum");
+        assert.deepEqual(data.growth_stages, ["germination", "seedling", "harvesting"]);
+        assert.deepEqual(data.regions, [{ id: india.id, level: "country", name: "India" }]);
+        plants.tomato = data;
+        plants.basil = (await createPlant({ ...TOMATO, name: "basil", scientific_name: "ocimum basilicum", category: "plant",
+            growth_habit: "herb", purpose: "herb", common_names: ["Sweet basil"], tags: ["aromatic"], growth_stages: undefined }))
+            .body.data;
+        plants.okra = (await createPlant({ ...TOMATO, name: "okra", scientific_name: "abelmoschus esculentus",
+            common_names: ["Lady finger"], tags: ["mallow"], region_ids: [kerala.id] })).body.data;
+    });
+
+    test("rejects a plant with missing or invalid fields", async () => {
+        const response = await createPlant({ ...TOMATO, name: "", category: "tree", ph_min: 7, ph_max: 6 });
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.errors.map(({ field }) => field).sort(), ["category", "name", "ph_max", "ph_min"]);
+        const growthStages = await createPlant({ ...TOMATO, name: "chilli", growth_stages: ["sprouting"] });
+        assert.equal(growthStages.status, 400);
+        assert.equal(growthStages.body.errors[0].field, "growth_stages");
+    });
+
+    test("rejects a growth stage or region missing from the catalogs", async () => {
+        const growthStage = await createPlant({ ...TOMATO, name: "chilli", scientific_name: undefined, growth_stages: ["fruiting"] });
+        assert.equal(growthStage.status, 400);
+        assert.equal(growthStage.body.message, "Growth stage(s) not found: fruiting");
+        const region = await createPlant({ ...TOMATO, name: "chilli", scientific_name: undefined, region_ids: [MISSING_ID] });
+        assert.equal(region.status, 400);
+        assert.equal(region.body.message, `Region(s) not found: ${MISSING_ID}`);
+    });
+
+    test("rejects a plant named like another plant", async () => {
+        const response = await createPlant({ ...TOMATO, scientific_name: undefined, growth_stages: undefined });
+        assert.equal(response.status, 409);
+        assert.equal(response.body.code, "ALREADY_EXISTS");
+    });
+});
+
+describe("GET /plants", () => {
+    test("lists a page of the plants with its pagination metadata", async () => {
+        const response = await request(app).get("/plants").query({ sort_by: "name", sort_order: "desc" });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.map(({ name }) => name), ["tomato", "okra", "basil"]);
+        assert.deepEqual(response.body.pagination, { current_page: 1, has_next_page: false, has_previous_page: false,
+            page_size: 10, total_items: 3, total_pages: 1 });
+    });
+
+    test("filters the plants by their fields, tags and regions", async () => {
+        const byCategory = await request(app).get("/plants").query({ category: "plant" });
+        assert.deepEqual(byCategory.body.data.map(({ name }) => name), ["basil"]);
+        const byTags = await request(app).get("/plants").query({ tags: "nightshade,aromatic", tags_mode: "any", sort_by: "name" });
+        assert.deepEqual(byTags.body.data.map(({ name }) => name), ["basil", "tomato"]);
+        // A region takes in the regions within it
+        const byRegion = await request(app).get("/plants").query({ region_id: india.id, sort_by: "name" });
+        assert.deepEqual(byRegion.body.data.map(({ name }) => name), ["okra", "tomato"]);
+        const bySubregion = await request(app).get("/plants").query({ region_id: kerala.id });
+        assert.deepEqual(bySubregion.body.data.map(({ name }) => name), ["okra"]);
+    });
+
+    test("rejects invalid query parameters", async () => {
+        const response = await request(app).get("/plants").query({ page: 0, sort_by: "color", category: "tree" });
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.errors.map(({ field }) => field).sort(), ["category", "page", "sort_by"]);
+    });
+});
+
+describe("GET /plants/:plant_id", () => {
+    test("returns the plant, or 404 for a plant which does not exist", async () => {
+        const response = await request(app).get(`/plants/${plants.tomato.id}`);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.name, "tomato");
+        assert.equal((await request(app).get(`/plants/${MISSING_ID}`)).status, 404);
+        const invalidId = await request(app).get("/plants/tomato");
+        assert.equal(invalidId.status, 400);
+        assert.equal(invalidId.body.errors[0].field, "plant_id");
+    });
+});
+
+describe("PATCH /plants/:plant_id", () => {
+    test("updates the details of the plant and replaces its growth stages", async () => {
+        const response = await request(app).patch(`/plants/${plants.okra.id}`).set("Authorization", editor)
+            .send({ scientific_name: "Abelmoschus Esculentus L.", growth_stages: ["germination", "harvesting"], ph_min: 6, ph_max: 6.8 });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.scientific_name, "abelmoschus esculentus l.");
+        assert.deepEqual(response.body.data.growth_stages, ["germination", "harvesting"]);
+        assert.deepEqual([response.body.data.ph_min, response.body.data.ph_max], [6, 6.8]);
+    });
+
+    test("rejects an update without details or with a ph_min above the saved ph_max", async () => {
+        const empty = await request(app).patch(`/plants/${plants.okra.id}`).set("Authorization", editor).send({ color: "red" });
+        assert.equal(empty.status, 400);
+        assert.equal(empty.body.message, "No details to update");
+        const phMin = await request(app).patch(`/plants/${plants.okra.id}`).set("Authorization", editor).send({ ph_min: 7 });
+        assert.equal(phMin.status, 400);
+        assert.equal(phMin.body.message, "ph_min must be less than or equal to ph_max");
+    });
+});
+
+describe("GET /plants/:plant_id/timeline", () => {
+    test("projects the growth stages from the sow date, with the harvest window", async () => {
+        const response = await request(app).get(`/plants/${plants.tomato.id}/timeline`).query({ sow_date: "2026-03-01" });
+        assert.equal(response.status, 200);
+        const { harvest_window: harvestWindow, sow_date: sowDate, stages } = response.body.data;
+        assert.equal(sowDate, "2026-03-01");
+        assert.deepEqual(stages.map(({ earliest_start_date: earliest, latest_end_date: latest, name }) => [name, earliest, latest]), [
+            ["germination", "2026-03-01", "2026-03-11"],
+            ["seedling", "2026-03-06", "2026-04-01"],
+            ["harvesting", "2026-03-13", "2026-05-11"],
+        ]);
+        assert.deepEqual(harvestWindow, { earliest_date: "2026-03-13", latest_date: "2026-05-11" });
+    });
+
+    test("rejects a plant without growth stages and an invalid sow date", async () => {
+        const noStages = await request(app).get(`/plants/${plants.basil.id}/timeline`);
+        assert.equal(noStages.status, 400);
+        assert.equal(noStages.body.message, "Plant has no growth stages to project a timeline");
+        const sowDate = await request(app).get(`/plants/${plants.tomato.id}/timeline`).query({ sow_date: "2026-02-30" });
+        assert.equal(sowDate.status, 400);
+        assert.equal(sowDate.body.errors[0].field, "sow_date");
+    });
+});
+
+describe("GET /plants/search", () => {
+    test("finds the plants by their names and tags, tolerating typos", async () => {
+        const byName = await request(app).get("/plants/search").query({ q: "tomatoe" });
+        assert.equal(byName.status, 200);
+        assert.deepEqual(byName.body.data.map(({ name }) => name), ["tomato"]);
+        const byTag = await request(app).get("/plants/search").query({ q: "aromatic" });
+        assert.deepEqual(byTag.body.data.map(({ name }) => name), ["basil"]);
+        assert.equal(byTag.body.pagination.total_items, 1);
+    });
+
+    test("requires the search text", async () => {
+        const response = await request(app).get("/plants/search");
+        assert.equal(response.status, 400);
+        assert.equal(response.body.errors[0].field, "q");
+    });
+});
+
+describe("GET /plants/export", () => {
+    test("exports the plants as JSON, NDJSON and CSV", async () => {
+        const json = await request(app).get("/plants/export").query({ sort_by: "name" });
+        assert.equal(json.status, 200);
+        assert.match(json.headers["content-type"], /^application\/json/);
+        assert.deepEqual(JSON.parse(json.text).map(({ name }) => name), ["basil", "okra", "tomato"]);
+
+        const ndjson = await request(app).get("/plants/export").query({ format: "ndjson", category: "plant" });
+        assert.match(ndjson.headers["content-type"], /^application\/x-ndjson/);
+        assert.deepEqual(ndjson.text.trim().split("\n").map(line => JSON.parse(line).name), ["basil"]);
+
+        const csv = await request(app).get("/plants/export").query({ format: "csv", category: "crop" });
+        assert.match(csv.headers["content-type"], /^text\/csv/);
+        assert.match(csv.headers["content-disposition"], /attachment; filename="plants-\d{4}-\d{2}-\d{2}\.csv"/);
+        const [header, ...lines] = csv.text.trim().split("\n");
+        assert.ok(header.split(",").includes("region_ids"));
+        assert.equal(lines.length, 2);
+        assert.ok(lines.some(line => line.includes(india.id)));
+    });
+
+    test("rejects an unknown format", async () => {
+        const response = await request(app).get("/plants/export").query({ format: "xml" });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.errors[0].field, "format");
+    });
+});
+
+describe("soft delete, restore and purge", () => {
+    test("hides a deleted plant unless deleted plants are included, and restores it", async () => {
+        const plantUrl = `/plants/${plants.basil.id}`;
+        assert.equal((await request(app).delete(plantUrl).set("Authorization", editor)).status, 204);
+        assert.equal((await request(app).get(plantUrl)).status, 404);
+        const deleted = await request(app).get(plantUrl).query({ include_deleted: true });
+        assert.equal(deleted.status, 200);
+        assert.ok(deleted.body.data.deleted_at);
+        const list = await request(app).get("/plants").query({ include_deleted: true });
+        assert.equal(list.body.data.length, 3);
+        assert.equal((await request(app).get("/plants")).body.data.length, 2);
+
+        const restored = await request(app).post(`${plantUrl}/restore`).set("Authorization", editor);
+        assert.equal(restored.status, 200);
+        assert.equal(restored.body.data.deleted_at, null);
+        const restoredAgain = await request(app).post(`${plantUrl}/restore`).set("Authorization", editor);
+        assert.equal(restoredAgain.status, 409);
+        assert.equal(restoredAgain.body.message, "Plant is not deleted");
+    });
+
+    test("purges a plant for good, only as an admin", async () => {
+        const purgeUrl = `/plants/${plants.okra.id}/purge`;
+        assert.equal((await request(app).delete(purgeUrl).set("Authorization", editor)).status, 403);
+        assert.equal((await request(app).delete(purgeUrl).set("Authorization", admin)).status, 204);
+        assert.equal((await request(app).get(`/plants/${plants.okra.id}`).query({ include_deleted: true })).status, 404);
+        assert.equal((await request(app).delete(purgeUrl).set("Authorization", admin)).status, 404);
+    });
+});
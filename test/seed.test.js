@@ -0,0 +1,47 @@
+// test/seed.test.js
+
+/**
+ * @module seed.test
+ * Ecospace Seed Data Tests
+ *
+ * @description Tests loading the seed files, along with the growth stages of the plants, and loading them again.
+ */
+
+// Core module imports
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+// Custom module imports
+require("./helpers/database");
+const GrowthStage = require("../src/db/models/GrowthStage");
+const Plant = require("../src/db/models/Plant");
+const PlantGrowthStage = require("../src/db/models/PlantGrowthStage");
+const { seedDatabase } = require("../src/db/scripts/seed");
+
+test("loads the seed files with the growth stages of each plant", async () => {
+    const results = await seedDatabase();
+    assert.deepEqual(results.map(({ fileName, updated, unchanged }) => ({ fileName, updated, unchanged })), [
+        { fileName: "growth-stages.json", updated: 0, unchanged: 0 },
+        { fileName: "soils.json", updated: 0, unchanged: 0 },
+        { fileName: "plants.json", updated: 0, unchanged: 0 },
+    ]);
+
+    const tomato = await Plant.findOne({ where: { name: "tomato" } });
+    const germination = await GrowthStage.findOne({ where: { name: "germination" } });
+    const links = await PlantGrowthStage.findAll({ where: { plantId: tomato.id }, raw: true });
+    assert.equal(links.length, 6);
+    const germinationLink = links.find(({ growthStageId }) => growthStageId === germination.id);
+    assert.deepEqual([germinationLink.minDays, germinationLink.maxDays], [5, 10]);
+    // Every plant has growth stages to track its plantings with
+    const plantIds = new Set((await PlantGrowthStage.findAll({ attributes: ["plantId"], raw: true })).map(({ plantId }) => plantId));
+    assert.equal(plantIds.size, await Plant.count());
+});
+
+test("leaves the rows and the growth stages of the plants unchanged when loaded again", async () => {
+    const linkCount = await PlantGrowthStage.count();
+    const results = await seedDatabase();
+    results.forEach(({ fileName, created, updated, unchanged }) => {
+        assert.equal(created + updated, 0, `${fileName} changed rows`);
+        assert.ok(unchanged > 0);
+    });
+    assert.equal(await PlantGrowthStage.count(), linkCount);
+});
@@ -0,0 +1,74 @@
+// test/soil-service.test.js
+
+/**
+ * @module soil-service.test
+ * Ecospace Soil Service Tests
+ *
+ * @description Tests deciding the pH type of a soil from its pH range, when the soil is saved and when either
+ * bound of its pH range is updated.
+ */
+
+// Core module imports
+const assert = require("node:assert/strict");
+const { before, describe, test } = require("node:test");
+// Custom module imports
+require("./helpers/database");
+const { saveSoil, toPhType, updateSoilDetails } = require("../src/api/services/soil-service");
+const { SOIL_PH_TYPE } = require("../src/constants/soil-constant");
+const { migrateUp } = require("../src/db/scripts/migrate");
+const { ValidationError } = require("../src/utils/errors");
+
+const SOIL = Object.freeze({
+    drainage: "well-drained", nutrientLevel: "moderate", organicMatterLevel: "medium", texture: "loamy", type: "alluvial",
+    waterRetentionLevel: "moderate",
+});
+
+describe("toPhType", () => {
+    test("decides the pH type from the pH range", () => {
+        assert.equal(toPhType(5.5, 6.5), SOIL_PH_TYPE.ACIDIC);
+        assert.equal(toPhType(7, 7), SOIL_PH_TYPE.NEUTRAL);
+        assert.equal(toPhType(7.2, 8), SOIL_PH_TYPE.ALKALINE);
+    });
+
+    test("decides a range reaching above 7 as alkaline, even if it starts below 7", () => {
+        assert.equal(toPhType(6, 7.5), SOIL_PH_TYPE.ALKALINE);
+        assert.equal(toPhType(6.5, 7), SOIL_PH_TYPE.ACIDIC);
+    });
+});
+
+describe("saveSoil and updateSoilDetails", () => {
+    before(() => migrateUp());
+
+    test("saves the pH type of the pH range, and none without a pH range", async () => {
+        assert.equal((await saveSoil({ ...SOIL, name: "loam", phMin: 6, phMax: 6.8 })).phType, SOIL_PH_TYPE.ACIDIC);
+        assert.equal((await saveSoil({ ...SOIL, name: "sand" })).phType, null);
+    });
+
+    test("updates the pH type when both bounds are sent", async () => {
+        const soil = await saveSoil({ ...SOIL, name: "clay", phMin: 6, phMax: 6.8 });
+        const updatedSoil = await updateSoilDetails(soil.id, { phMin: 7.2, phMax: 8 });
+        assert.equal(updatedSoil.phType, SOIL_PH_TYPE.ALKALINE);
+    });
+
+    test("updates the pH type from the saved ph_max when only ph_min is sent", async () => {
+        const soil = await saveSoil({ ...SOIL, name: "silt", phMin: 6, phMax: 7 });
+        const updatedSoil = await updateSoilDetails(soil.id, { phMin: 7 });
+        assert.deepEqual([updatedSoil.phMin, updatedSoil.phMax, updatedSoil.phType], [7, 7, SOIL_PH_TYPE.NEUTRAL]);
+    });
+
+    test("updates the pH type from the saved ph_min when only ph_max is sent", async () => {
+        const soil = await saveSoil({ ...SOIL, name: "peat", phMin: 6, phMax: 6.8 });
+        const updatedSoil = await updateSoilDetails(soil.id, { phMax: 7.5 });
+        assert.deepEqual([updatedSoil.phMin, updatedSoil.phMax, updatedSoil.phType], [6, 7.5, SOIL_PH_TYPE.ALKALINE]);
+    });
+
+    test("rejects a bound crossing the saved other bound", async () => {
+        const soil = await saveSoil({ ...SOIL, name: "chalk", phMin: 7.5, phMax: 8.5 });
+        await assert.rejects(updateSoilDetails(soil.id, { phMin: 9 }), ValidationError);
+        await assert.rejects(updateSoilDetails(soil.id, { phMax: 7 }), ValidationError);
+    });
+
+    test("returns null for a soil which does not exist", async () => {
+        assert.equal(await updateSoilDetails("10000000-0000-4000-8000-000000000001", { phMin: 6 }), null);
+    });
+});
@@ -0,0 +1,195 @@
+// test/soils.test.js
+
+/**
+ * @module soils.test
+ * Ecospace Soil Tests
+ *
+ * @description Tests the soil endpoints: validating, creating, listing, updating, soft deleting, restoring and
+ * purging soils, linking them to plants and exporting them.
+ */
+
+// Core module imports
+const assert = require("node:assert/strict");
+const { before, describe, test } = require("node:test");
+const request = require("supertest");
+// Custom module imports
+require("./helpers/database");
+const { authorizeAs } = require("./helpers/auth");
+const app = require("../src/app");
+const { USER_ROLE } = require("../src/constants/user-constant");
+const Plant = require("../src/db/models/Plant");
+const { migrateUp } = require("../src/db/scripts/migrate");
+
+const LOAM = Object.freeze({
+    name: "loam", drainage: "well-drained", nutrient_level: "moderate", organic_matter_level: "medium", texture: "loamy",
+    type: "alluvial", water_retention_level: "moderate", ph_min: 6, ph_max: 7,
+});
+const MISSING_ID = "10000000-0000-4000-8000-000000000001";
+let editor, admin, tomato;
+const soils = {};
+
+/**
+ * @function createSoil
+ *
+ * @description Creates a soil as an editor.
+ *
+ * @param {Object} soil - The body of the soil.
+ * @returns {Promise<Object>} - The response of the create.
+ */
+const createSoil = (soil) => request(app).post("/soils").set("Authorization", editor).send(soil);
+
+before(async () => {
+    await migrateUp();
+    editor = await authorizeAs(USER_ROLE.EDITOR);
+    admin = await authorizeAs(USER_ROLE.ADMIN);
+    tomato = await Plant.create({ name: "tomato", category: "crop", growthCycle: "annual", growthHabit: "herbaceous",
+        idealSeason: "summer", purpose: "vegetable" });
+});
+
+describe("POST /soils", () => {
+    test("creates a soil with the pH type of its pH range", async () => {
+        const response = await createSoil(LOAM);
+        assert.equal(response.status, 201);
+        assert.equal(response.body.message, "Soil created successfully");
+        assert.equal(response.body.data.ph_type, "acidic");
+        soils.loam = response.body.data;
+        soils.clay = (await createSoil({ ...LOAM, name: "clay", drainage: "poorly-drained", texture: "clayey", ph_min: 7,
+            ph_max: 8 })).body.data;
+        soils.sand = (await createSoil({ ...LOAM, name: "sand", drainage: "moderately-drained", texture: "sandy",
+            ph_min: undefined, ph_max: undefined })).body.data;
+    });
+
+    test("rejects a soil with missing or invalid fields", async () => {
+        const response = await createSoil({ ...LOAM, drainage: "swampy", type: undefined, ph_min: 8, ph_max: 15 });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.message, "Validation error");
+        assert.deepEqual(response.body.errors.map(({ field }) => field).sort(), ["drainage", "ph_max", "type"]);
+    });
+
+    test("requires an editor", async () => {
+        assert.equal((await request(app).post("/soils").send(LOAM)).status, 401);
+    });
+});
+
+describe("GET /soils", () => {
+    test("lists the soils sorted, filtered and paginated", async () => {
+        const response = await request(app).get("/soils").query({ sort_by: "name", sort_order: "desc" });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.data.map(({ name }) => name), ["sand", "loam", "clay"]);
+        assert.equal(response.body.pagination.total_items, 3);
+        const byDrainage = await request(app).get("/soils").query({ drainage: "poorly-drained" });
+        assert.deepEqual(byDrainage.body.data.map(({ name }) => name), ["clay"]);
+    });
+
+    test("rejects invalid query parameters", async () => {
+        const response = await request(app).get("/soils").query({ sort_by: "color", texture: "rocky", limit: 0 });
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.errors.map(({ field }) => field).sort(), ["limit", "sort_by", "texture"]);
+    });
+});
+
+describe("GET /soils/:soil_id", () => {
+    test("returns the soil, or 404 for a soil which does not exist", async () => {
+        const response = await request(app).get(`/soils/${soils.loam.id}`);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.name, "loam");
+        const missing = await request(app).get(`/soils/${MISSING_ID}`);
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.message, "Soil not found");
+        assert.equal((await request(app).get("/soils/loam")).status, 400);
+    });
+});
+
+describe("PATCH /soils/:soil_id", () => {
+    test("updates the details and the pH type of the soil", async () => {
+        const response = await request(app).patch(`/soils/${soils.loam.id}`).set("Authorization", editor)
+            .send({ color: "brown", ph_max: 7.5 });
+        assert.equal(response.status, 200);
+        assert.deepEqual([response.body.data.color, response.body.data.ph_max, response.body.data.ph_type],
+            ["brown", 7.5, "alkaline"]);
+    });
+
+    test("rejects an update without details or with a pH out of range", async () => {
+        const empty = await request(app).patch(`/soils/${soils.loam.id}`).set("Authorization", editor).send({ texture: "sandy" });
+        assert.equal(empty.status, 400);
+        assert.equal(empty.body.message, "No details to update");
+        const ph = await request(app).patch(`/soils/${soils.loam.id}`).set("Authorization", editor).send({ ph_min: -1 });
+        assert.equal(ph.status, 400);
+        assert.deepEqual(ph.body.errors, [{ field: "ph_min", message: "ph_min must be between 0 and 14" }]);
+    });
+});
+
+describe("plants of a soil", () => {
+    test("links a plant to a soil and lists it from both sides", async () => {
+        const linkUrl = `/plants/${tomato.id}/soils/${soils.loam.id}`;
+        const created = await request(app).put(linkUrl).set("Authorization", editor).send({ suitability: "high" });
+        assert.equal(created.status, 201);
+        const updated = await request(app).put(linkUrl).set("Authorization", editor).send({ suitability: "Moderate", notes: "Mulch" });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.data.suitability, "moderate");
+
+        const soilPlants = await request(app).get(`/soils/${soils.loam.id}/plants`);
+        assert.equal(soilPlants.status, 200);
+        assert.deepEqual(soilPlants.body.data.map(({ name }) => name), ["tomato"]);
+        const plantSoils = await request(app).get(`/plants/${tomato.id}/soils`);
+        assert.deepEqual(plantSoils.body.data.map(({ name }) => name), ["loam"]);
+    });
+
+    test("leaves out the soft deleted plants", async () => {
+        const basil = await Plant.create({ name: "basil", category: "plant", growthCycle: "annual", growthHabit: "herb",
+            idealSeason: "summer", purpose: "herb" });
+        await request(app).put(`/plants/${basil.id}/soils/${soils.loam.id}`).set("Authorization", editor).send({ suitability: "low" });
+        await basil.destroy();
+        const soilPlants = await request(app).get(`/soils/${soils.loam.id}/plants`);
+        assert.deepEqual(soilPlants.body.data.map(({ name }) => name), ["tomato"]);
+    });
+
+    test("rejects an invalid suitability and unlinks the plant", async () => {
+        const linkUrl = `/plants/${tomato.id}/soils/${soils.clay.id}`;
+        const invalid = await request(app).put(linkUrl).set("Authorization", editor).send({ suitability: "perfect" });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.errors[0].field, "suitability");
+        const unlinked = await request(app).delete(`/plants/${tomato.id}/soils/${soils.loam.id}`).set("Authorization", editor);
+        assert.equal(unlinked.status, 204);
+        assert.deepEqual((await request(app).get(`/soils/${soils.loam.id}/plants`)).body.data, []);
+        assert.equal((await request(app).get(`/soils/${MISSING_ID}/plants`)).status, 404);
+    });
+});
+
+describe("GET /soils/export", () => {
+    test("exports the soils as JSON and CSV", async () => {
+        const json = await request(app).get("/soils/export").query({ sort_by: "name" });
+        assert.equal(json.status, 200);
+        assert.deepEqual(JSON.parse(json.text).map(({ name }) => name), ["clay", "loam", "sand"]);
+        const csv = await request(app).get("/soils/export").query({ format: "csv", texture: "sandy" });
+        assert.match(csv.headers["content-type"], /^text\/csv/);
+        const [header, ...lines] = csv.text.trim().split("\n");
+        assert.ok(header.split(",").includes("ph_type"));
+        assert.equal(lines.length, 1);
+    });
+});
+
+describe("soft delete, restore and purge", () => {
+    test("hides a deleted soil unless deleted soils are included, and restores it", async () => {
+        const soilUrl = `/soils/${soils.sand.id}`;
+        assert.equal((await request(app).delete(soilUrl).set("Authorization", editor)).status, 204);
+        assert.equal((await request(app).get(soilUrl)).status, 404);
+        assert.equal((await request(app).get(soilUrl).query({ include_deleted: true })).status, 200);
+        assert.equal((await request(app).get("/soils")).body.data.length, 2);
+        assert.equal((await request(app).get("/soils").query({ include_deleted: true })).body.data.length, 3);
+
+        const restored = await request(app).post(`${soilUrl}/restore`).set("Authorization", editor);
+        assert.equal(restored.status, 200);
+        assert.equal(restored.body.data.deleted_at, null);
+        const restoredAgain = await request(app).post(`${soilUrl}/restore`).set("Authorization", editor);
+        assert.equal(restoredAgain.status, 409);
+        assert.equal(restoredAgain.body.message, "Soil is not deleted");
+    });
+
+    test("purges a soil for good, only as an admin", async () => {
+        const purgeUrl = `/soils/${soils.clay.id}/purge`;
+        assert.equal((await request(app).delete(purgeUrl).set("Authorization", editor)).status, 403);
+        assert.equal((await request(app).delete(purgeUrl).set("Authorization", admin)).status, 204);
+        assert.equal((await request(app).get(`/soils/${soils.clay.id}`).query({ include_deleted: true })).status, 404);
+    });
+});
@@ -0,0 +1,76 @@
+// test/suitable-soils.test.js
+
+/**
+ * @module suitable-soils.test
+ * Ecospace Suitable Soils Tests
+ *
+ * @description Tests ranking the soils by how well they match the soil preferences of a plant.
+ */
+
+// Core module imports
+const assert = require("node:assert/strict");
+const { before, test } = require("node:test");
+const request = require("supertest");
+// Custom module imports
+require("./helpers/database");
+const app = require("../src/app");
+const Plant = require("../src/db/models/Plant");
+const Soil = require("../src/db/models/Soil");
+const { migrateUp } = require("../src/db/scripts/migrate");
+
+const PLANT = Object.freeze({
+    category: "crop", growthCycle: "annual", growthHabit: "herbaceous", idealSeason: "summer", purpose: "vegetable",
+});
+const SOIL = Object.freeze({ nutrientLevel: "moderate", organicMatterLevel: "medium", texture: "loamy", type: "alluvial" });
+let tomato, okra;
+
+/**
+ * @function fetchSuitableSoils
+ *
+ * @description Fetches a page of the soils ranked for a plant.
+ *
+ * @param {Object} plant - The plant.
+ * @param {Object} query - The limit and page of the list (optional).
+ * @returns {Promise<Object>} - The response of the list.
+ */
+const fetchSuitableSoils = (plant, query = {}) => request(app).get(`/plants/${plant.id}/suitable-soils`).query(query);
+
+before(async () => {
+    await migrateUp();
+    await Soil.bulkCreate([
+        { ...SOIL, name: "loam", phMin: 6, phMax: 7.5, drainage: "well-drained", waterRetentionLevel: "moderate" },
+        { ...SOIL, name: "clay", phMin: 6.5, phMax: 8, drainage: "poorly-drained", waterRetentionLevel: "high" },
+        { ...SOIL, name: "sand", drainage: "moderately-drained", waterRetentionLevel: "low" },
+        { ...SOIL, name: "chalk", phMin: 7.5, phMax: 8.5, drainage: "well-drained", waterRetentionLevel: "moderate" },
+        { ...SOIL, name: "peat", phMin: 6, phMax: 7, drainage: "well-drained", waterRetentionLevel: "moderate" },
+    ]);
+    await Soil.destroy({ where: { name: "peat" } });
+    tomato = await Plant.create({ ...PLANT, name: "tomato", phMin: 6, phMax: 7, preferredDrainage: "well-drained",
+        preferredWaterRetentionLevel: "moderate" });
+    okra = await Plant.create({ ...PLANT, name: "okra", phMin: 6.8, phMax: 6.8 });
+});
+
+test("ranks the soils by the average score of the comparable criteria, leaving out deleted soils", async () => {
+    const response = await fetchSuitableSoils(tomato);
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data.map(({ breakdown, score, soil }) => ({ breakdown, name: soil.name, score })), [
+        { name: "loam", score: 1, breakdown: { drainage: 1, ph: 1, water_retention_level: 1 } },
+        { name: "chalk", score: 0.67, breakdown: { drainage: 1, ph: 0, water_retention_level: 1 } },
+        { name: "sand", score: 0.5, breakdown: { drainage: 0.5, ph: null, water_retention_level: 0.5 } },
+        { name: "clay", score: 0.33, breakdown: { drainage: 0, ph: 0.5, water_retention_level: 0.5 } },
+    ]);
+    assert.equal(response.body.pagination.total_items, 4);
+});
+
+test("scores a single preferred pH by whether the soil range has it, and ranks ties by name", async () => {
+    const response = await fetchSuitableSoils(okra);
+    assert.deepEqual(response.body.data.map(({ score, soil }) => [soil.name, score]),
+        [["clay", 1], ["loam", 1], ["chalk", 0], ["sand", 0]]);
+});
+
+test("returns the requested page of the ranked soils", async () => {
+    const response = await fetchSuitableSoils(tomato, { limit: 2, page: 2 });
+    assert.deepEqual(response.body.data.map(({ soil }) => soil.name), ["sand", "clay"]);
+    assert.equal(response.body.pagination.has_previous_page, true);
+    assert.equal(response.body.pagination.has_next_page, false);
+});